@@ -6,6 +6,17 @@ const parentSelect = document.getElementById('parent');
 const generatedFilesBlock = document.getElementById('generatedFilesBlock');
 const generatedFilesContent = document.getElementById('generatedFilesContent');
 const generatedFilesCount = document.getElementById('generatedFilesCount');
+const generationProgress = document.getElementById('generationProgress');
+const generationProgressMessage = document.getElementById('generationProgressMessage');
+const generationProgressCount = document.getElementById('generationProgressCount');
+const generationProgressBar = document.getElementById('generationProgressBar');
+const generationError = document.getElementById('generationError');
+const phasePicker = document.getElementById('phasePicker');
+const phasePickerOptions = document.getElementById('phasePickerOptions');
+const filterTypeSelect = document.getElementById('filterType');
+const customStatuses = document.getElementById('customStatuses');
+const registrationListFile = document.getElementById('registrationListFile');
+const registrationList = document.getElementById('registrationList');
 
 function renderGeneratedFiles(files, html) {
   generatedFilesBlock.style.display = 'block';
@@ -21,13 +32,72 @@ function renderGeneratedFiles(files, html) {
   generatedFilesContent.innerHTML = html;
 }
 
+function phaseOption(phase, parentId) {
+  const isParent = String(phase.id) === String(parentId);
+  const wrapper = document.createElement('div');
+  wrapper.className = 'form-check';
+
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.className = 'form-check-input';
+  checkbox.id = 'phase-' + phase.id;
+  checkbox.name = 'phaseIds';
+  checkbox.value = phase.id;
+  checkbox.checked = true;
+  // A fase pai entra sempre: marcada e travada, enviada pelo campo oculto
+  checkbox.disabled = isParent;
+
+  const label = document.createElement('label');
+  label.className = 'form-check-label';
+  label.htmlFor = checkbox.id;
+  label.textContent = phase.name +
+    (phase.isAppealPhase ? ' (recurso)' : '') +
+    (!phase.isAppealPhase && !phase.isDataCollection ? ' (somente avaliação)' : '');
+
+  wrapper.append(checkbox, label);
+  if (isParent) {
+    const hidden = document.createElement('input');
+    hidden.type = 'hidden';
+    hidden.name = 'phaseIds';
+    hidden.value = phase.id;
+    wrapper.append(hidden);
+  }
+  return wrapper;
+}
+
+// Seletor de fases: só existe para quem pode gerar fichas
+async function loadPhasePicker(parentId) {
+  if (!phasePicker) return;
+
+  phasePicker.style.display = 'block';
+  phasePickerOptions.className = 'small text-muted';
+  phasePickerOptions.textContent = 'Buscando fases...';
+
+  try {
+    const response = await fetch('/opportunities/' + encodeURIComponent(parentId) + '/phases');
+    if (!response.ok) {
+      throw new Error('Erro ao buscar fases');
+    }
+    const data = await response.json();
+    phasePickerOptions.className = '';
+    phasePickerOptions.replaceChildren(...(data.phases || []).map(phase => phaseOption(phase, parentId)));
+  } catch (error) {
+    // Sem seletor, a geração inclui todas as fases
+    phasePickerOptions.className = 'small text-danger';
+    phasePickerOptions.textContent = 'Não foi possível listar as fases; todas serão incluídas.';
+  }
+}
+
 parentSelect.addEventListener('change', async () => {
   const parentId = parentSelect.value;
   if (!parentId) {
     generatedFilesBlock.style.display = 'none';
+    if (phasePicker) phasePicker.style.display = 'none';
     return;
   }
 
+  loadPhasePicker(parentId);
+
   generatedFilesBlock.style.display = 'block';
   generatedFilesCount.textContent = '...';
   generatedFilesContent.className = 'small text-muted';
@@ -47,8 +117,91 @@ parentSelect.addEventListener('change', async () => {
   }
 });
 
-form.addEventListener('submit', () => {
+// Os status só são escolhidos no filtro personalizado
+if (filterTypeSelect) {
+  filterTypeSelect.addEventListener('change', () => {
+    customStatuses.style.display = filterTypeSelect.value === 'custom' ? 'block' : 'none';
+  });
+}
+
+function resetSubmitButton() {
+  btnSubmit.disabled = false;
+  btnText.textContent = 'Gerar Fichas';
+  loadingSpinner.style.display = 'none';
+}
+
+function showProgress(progress) {
+  generationProgressMessage.textContent = progress.message || '';
+  if (progress.total) {
+    const percent = Math.round((progress.current / progress.total) * 100);
+    generationProgressCount.textContent = progress.current + '/' + progress.total;
+    generationProgressBar.style.width = percent + '%';
+  }
+}
+
+function showGenerationError(message) {
+  generationProgressBar.classList.remove('progress-bar-animated');
+  generationProgressBar.classList.add('bg-danger');
+  generationError.textContent = message;
+  resetSubmitButton();
+}
+
+function followGenerationJob(job) {
+  const events = new EventSource(job.eventsUrl);
+
+  events.addEventListener('progress', event => {
+    showProgress(JSON.parse(event.data));
+  });
+
+  events.addEventListener('done', () => {
+    events.close();
+    generationProgressBar.style.width = '100%';
+    window.location.href = job.resultUrl;
+  });
+
+  events.addEventListener('failed', () => {
+    events.close();
+    showGenerationError('Erro ao gerar fichas. Veja o log no servidor.');
+  });
+
+  events.onerror = () => {
+    // O EventSource reconecta sozinho enquanto o job estiver em andamento
+    if (events.readyState === EventSource.CLOSED) {
+      showGenerationError('Conexão com o servidor perdida durante a geração.');
+    }
+  };
+}
+
+form.addEventListener('submit', async event => {
+  event.preventDefault();
+  // Perfil leitor: o formulário só tem o seletor de oportunidade
+  if (!btnSubmit) return;
+
   btnSubmit.disabled = true;
   btnText.textContent = 'Gerando...';
   loadingSpinner.style.display = 'inline-block';
+
+  generationProgress.style.display = 'block';
+  generationProgressBar.className = 'progress-bar progress-bar-striped progress-bar-animated';
+  generationProgressBar.style.width = '0%';
+  generationProgressMessage.textContent = 'Iniciando geração...';
+  generationProgressCount.textContent = '';
+  generationError.textContent = '';
+
+  try {
+    // O formulário vai como urlencoded: o arquivo segue como texto
+    const listFile = registrationListFile && registrationListFile.files[0];
+    if (registrationList) registrationList.value = listFile ? await listFile.text() : '';
+
+    const response = await fetch(form.action, {
+      method: 'POST',
+      body: new URLSearchParams(new FormData(form))
+    });
+    if (!response.ok) {
+      throw new Error(await response.text());
+    }
+    followGenerationJob(await response.json());
+  } catch (error) {
+    showGenerationError(error.message || 'Não foi possível iniciar a geração.');
+  }
 });
@@ -79,7 +79,7 @@ done
 log_info "Verificando logs recentes..."
 docker compose logs --tail=20
 
-HTTP_STATUS=$(curl -s -o /dev/null -w "%{http_code}" http://localhost:4444)
+HTTP_STATUS=$(curl -s -o /dev/null -w "%{http_code}" http://localhost:4444/login)
 if [ "$HTTP_STATUS" -eq 200 ]; then
     log_info "Endpoint principal funcionando"
 else
@@ -2,7 +2,9 @@
  * generate_sheets.js
  *
  * Serviço HTTP para gerar fichas de inscrição em PDF de uma oportunidade pai
- * incluindo todas as fases-filhas (exceto "parentId+1").
+ * e das fases escolhidas (por padrão todas, exceto a publicação do resultado
+ * final; ver src/domain/phases.js). Também roda como CLI:
+ * `node generate_sheets.js help` lista os comandos.
  * Avaliações técnicas (type = 'technical') exibem:
  *   - Seções + Critérios + Nota
  *   - Total, Status e Parecer
@@ -13,11 +15,17 @@
  * .env deve conter:
  *   DB_HOST, DB_PORT, DB_USER, DB_PASSWORD, DB_NAME, OUTPUT_DIR, SERVER_PORT,
  *   LOGO_PATH, FILES_DIR, CHROMIUM_PATH
+ *   USERS_FILE, SESSION_SECRET
+ * Opcionais: SESSION_COOKIE_SECURE, DOWNLOAD_LINK_SECRET, DOWNLOAD_LINK_TTL_HOURS,
+ *   BROWSER_POOL_SIZE, BROWSER_MAX_RENDERS, RENDER_CONCURRENCY,
+ *   DISPLAY_TIME_ZONE, DB_TIME_ZONE
  *
  * ORGANIZAÇÃO:
  * - src/domain/     → regras puras (formatação, status, avaliações, opções)
  * - src/web/        → app Express + templates Handlebars das páginas
  * - src/pdf/        → template e renderização do PDF da ficha
+ * - src/jobs/       → jobs em segundo plano e fila de renderização
+ * - src/cli/        → comandos de linha de comando (generate, list-*)
  * - este arquivo    → acesso ao banco, orquestração da geração e bootstrap
  *
  * PERFORMANCE:
@@ -26,6 +34,8 @@
  * - Pré-carregamento de dados em lote
  * - Busca paralela de avaliações e arquivos
  * - Cache de seções e critérios
+ * - Pool de navegadores Chromium reutilizados entre as fichas
+ * - Fichas renderizadas em paralelo, com concorrência limitada
  */
 
 require('dotenv').config();
@@ -35,11 +45,40 @@ const { Pool }   = require('pg');
 const archiver   = require('archiver');
 
 const { STATUS_LABELS, OPPORTUNITY_STATUS_APPEAL_PHASE } = require('./src/domain/status');
-const { formatValue, slugifyAgentName } = require('./src/domain/format');
+const { formatField } = require('./src/domain/format');
+const { DEFAULT_TIME_ZONE, isValidTimeZone, formatDateValue } = require('./src/domain/dates');
 const { processEvaluation, processAppealResult, buildSectionsWithCriteria } = require('./src/domain/evaluation');
-const { statusFilterFor } = require('./src/domain/generation-options');
-const { renderFichaPdf, mergeWithAttachments, logoBase64 } = require('./src/pdf/ficha-renderer');
+const {
+  redactionProfileFor,
+  evaluatorIdentityFor,
+  DEFAULT_REDACTION_PROFILE,
+  DEFAULT_EVALUATOR_IDENTITY,
+  DEFAULT_ZIP_LAYOUT
+} = require('./src/domain/generation-options');
+const { EVALUATOR_IDENTITY, createEvaluatorLabeler } = require('./src/domain/evaluators');
+const { matchRegistrationAcrossPhases, phasesWithoutMatch } = require('./src/domain/phase-matching');
+const { buildGenerationReport, generationReportToCsv } = require('./src/domain/generation-report');
+const { buildRegistrationSpreadsheet, spreadsheetToCsv } = require('./src/domain/spreadsheet');
+const { DEFAULT_PAGE_SIZE, pageWindow } = require('./src/domain/ficha-api');
+const { selectPhases, loadRegistrationPhase } = require('./src/domain/phases');
+const { unmatchedRegistrationNumbers } = require('./src/domain/registration-list');
+const { parseFilenameTemplate, filenameValuesFor, fichaFilename, zipFolderFor } = require('./src/domain/file-naming');
+const {
+  registrationFilterFor,
+  buildPhaseRegistrationsSql,
+  describeRegistrationFilter
+} = require('./src/domain/registration-filter');
+const { renderFichaPdf, closeBrowserPool, logoBase64 } = require('./src/pdf/ficha-renderer');
+const { buildAttachmentBundle, appendBundle, pdfPageCount } = require('./src/pdf/attachments');
+const { readPdfOutline, fichaOutline } = require('./src/pdf/outline');
+const { finishFichaPdf } = require('./src/pdf/page-stamp');
+const { buildConsolidatedPdf } = require('./src/pdf/consolidated');
+const { buildXlsx } = require('./src/export/xlsx');
+const { runWithConcurrency } = require('./src/jobs/work-queue');
 const { createApp } = require('./src/web/app');
+const { runCli } = require('./src/cli/cli');
+const { hashPassword, loadUsersFile } = require('./src/auth/users');
+const { createDownloadLinks } = require('./src/auth/download-links');
 const { listGeneratedFilesForOpportunity, listResultFilesForGeneration } = require('./generated_files');
 
 // ------------------------------------------------------------
@@ -52,7 +91,36 @@ const DB_PASSWORD = process.env.DB_PASSWORD || 'mapas';
 const DB_NAME     = process.env.DB_NAME     || 'mapas';
 const OUTPUT_DIR  = process.env.OUTPUT_DIR  || path.join(__dirname, 'output');
 const SERVER_PORT = parseInt(process.env.SERVER_PORT || '4444', 10);
+const USERS_FILE  = process.env.USERS_FILE  || path.join(__dirname, 'users.json');
+const SESSION_SECRET = process.env.SESSION_SECRET || '';
+const SESSION_COOKIE_SECURE = process.env.SESSION_COOKIE_SECURE === 'true';
+// Links de download assinados: segredo próprio (ou o da sessão) e validade em horas
+const DOWNLOAD_LINK_SECRET = process.env.DOWNLOAD_LINK_SECRET || SESSION_SECRET;
+const DOWNLOAD_LINK_TTL_HOURS = Math.max(1, parseInt(process.env.DOWNLOAD_LINK_TTL_HOURS || '72', 10) || 1);
+// Segredo dos pseudônimos de avaliadores: trocar o segredo troca os pseudônimos
+const EVALUATOR_PSEUDONYM_SECRET = process.env.EVALUATOR_PSEUDONYM_SECRET || SESSION_SECRET;
 const FILES_DIR   = process.env.FILES_DIR   || '/srv/mapas/docker-data/private-files/registration';
+const RENDER_CONCURRENCY = Math.max(1, parseInt(process.env.RENDER_CONCURRENCY || '2', 10) || 1);
+// Fuso em que as datas aparecem na ficha e fuso dos timestamps sem fuso do banco
+const DISPLAY_TIME_ZONE = process.env.DISPLAY_TIME_ZONE || DEFAULT_TIME_ZONE;
+const DB_TIME_ZONE = process.env.DB_TIME_ZONE || DISPLAY_TIME_ZONE;
+
+for (const [name, timeZone] of [['DISPLAY_TIME_ZONE', DISPLAY_TIME_ZONE], ['DB_TIME_ZONE', DB_TIME_ZONE]]) {
+  if (!isValidTimeZone(timeZone)) {
+    console.error(`${name} inválido: ${timeZone}. Use um fuso IANA, ex.: ${DEFAULT_TIME_ZONE}.`);
+    process.exit(1);
+  }
+}
+const DATE_OPTIONS = { timeZone: DISPLAY_TIME_ZONE, sourceTimeZone: DB_TIME_ZONE };
+
+// Modelo padrão do nome das fichas (ver src/domain/file-naming.js)
+let FICHA_FILENAME_TEMPLATE;
+try {
+  FICHA_FILENAME_TEMPLATE = parseFilenameTemplate(process.env.FICHA_FILENAME_TEMPLATE);
+} catch (err) {
+  console.error(`FICHA_FILENAME_TEMPLATE inválido: ${err.message}`);
+  process.exit(1);
+}
 
 // Pool otimizado com configurações de timeout
 const pool = new Pool({
@@ -109,26 +177,10 @@ async function fetchOpportunityById(opportunityId) {
   });
 }
 
-// 2.2) Lista todos os filhos de parentId, EXCLUINDO parentId+1
-async function fetchChildrenExcludingNext(parentId) {
-  return withClient(async client => {
-    const res = await client.query(`
-      SELECT o.id, o.name
-      FROM opportunity o
-      LEFT JOIN opportunity_meta appeal_meta
-        ON appeal_meta.object_id = o.id
-       AND appeal_meta.key = 'isAppealPhase'
-      WHERE o.parent_id = $1
-        AND o.id != $2
-        AND o.status != $3
-        AND COALESCE(appeal_meta.value, '0') NOT IN ('1', 'true', 't')
-      ORDER BY o.id;
-    `, [parentId, parentId + 1, OPPORTUNITY_STATUS_APPEAL_PHASE]);
-    return res.rows;
-  });
-}
-
-// 2.3) Busca fases relevantes, inserindo fases de recurso logo após a fase avaliada
+// 2.2) Busca fases relevantes, inserindo fases de recurso logo após a fase
+// avaliada. A fase de publicação do resultado final (`isLastPhase`) não tem
+// dados e fica de fora; `isDataCollection` distingue fases com formulário
+// próprio das que só avaliam. A oportunidade pai sempre coleta dados.
 async function fetchRelevantPhasesWithAppeals(parentId) {
   return withClient(async client => {
     const res = await client.query(`
@@ -139,18 +191,31 @@ async function fetchRelevantPhasesWithAppeals(parentId) {
           main.parent_id,
           main.status,
           false AS is_appeal_phase,
+          (main.id = $1 OR COALESCE(collect_meta.value, '0') IN ('1', 'true', 't')) AS is_data_collection,
           main.id AS sort_phase_id,
           0 AS sort_order
         FROM opportunity main
         LEFT JOIN opportunity_meta main_meta
           ON main_meta.object_id = main.id
          AND main_meta.key = 'isAppealPhase'
+        LEFT JOIN opportunity_meta last_meta
+          ON last_meta.object_id = main.id
+         AND last_meta.key = 'isLastPhase'
+        LEFT JOIN opportunity_meta collect_meta
+          ON collect_meta.object_id = main.id
+         AND collect_meta.key = 'isDataCollection'
         WHERE (main.id = $1 OR main.parent_id = $1)
-          AND main.id != $1 + 1
           AND main.status != $2
           AND COALESCE(main_meta.value, '0') NOT IN ('1', 'true', 't')
+          AND COALESCE(last_meta.value, '0') NOT IN ('1', 'true', 't')
       )
-      SELECT id, name, parent_id, status, is_appeal_phase AS "isAppealPhase"
+      SELECT
+        id,
+        name,
+        parent_id,
+        status,
+        is_appeal_phase AS "isAppealPhase",
+        is_data_collection AS "isDataCollection"
       FROM (
         SELECT
           main.id,
@@ -158,6 +223,7 @@ async function fetchRelevantPhasesWithAppeals(parentId) {
           main.parent_id,
           main.status,
           main.is_appeal_phase,
+          main.is_data_collection,
           main.sort_phase_id,
           main.sort_order
         FROM main_phases main
@@ -170,6 +236,7 @@ async function fetchRelevantPhasesWithAppeals(parentId) {
           appeal.parent_id,
           appeal.status,
           true AS is_appeal_phase,
+          true AS is_data_collection,
           main.id AS sort_phase_id,
           1 AS sort_order
         FROM main_phases main
@@ -190,30 +257,46 @@ async function fetchRelevantPhasesWithAppeals(parentId) {
 async function fetchOpportunityAsSinglePhase(parentId) {
   return withClient(async client => {
     const res = await client.query(
-      `SELECT id, name, parent_id, status, false AS "isAppealPhase" FROM opportunity WHERE id = $1 LIMIT 1;`,
+      `SELECT id, name, parent_id, status, false AS "isAppealPhase", true AS "isDataCollection" FROM opportunity WHERE id = $1 LIMIT 1;`,
       [parentId]
     );
     return res.rowCount ? [res.rows[0]] : [];
   });
 }
 
-// 2.4) Busca inscrições para múltiplas fases em uma única query
-async function fetchRegistrationsForPhases(phaseIds, parentId, filterType = 'selected') {
-  return withClient(async client => {
-    const res = await client.query(`
-      SELECT
+// Fases da ficha; sem filhas, a própria oportunidade vira fase única
+async function fetchPhasesForOpportunity(parentId) {
+  const phases = await fetchRelevantPhasesWithAppeals(parentId);
+  return phases.length ? phases : fetchOpportunityAsSinglePhase(parentId);
+}
+
+// Colunas das inscrições lidas pela geração (2.3 e 2.3.1)
+const REGISTRATION_COLUMNS = `
         r.id     AS registration_id,
         r.number AS registration_number,
         r.status AS registration_status,
         r.opportunity_id AS phase_id,
+        r.category AS category,
+        -- Texto sem fuso: o pg converteria para o fuso do processo Node
+        to_char(r.create_timestamp, 'YYYY-MM-DD"T"HH24:MI:SS') AS create_timestamp,
+        to_char(r.sent_timestamp, 'YYYY-MM-DD"T"HH24:MI:SS')   AS sent_timestamp,
         a.id     AS agent_id,
-        a.name   AS agent_name
+        a.name   AS agent_name`;
+
+// 2.3) Busca inscrições para múltiplas fases em uma única query. O filtro
+// (ver src/domain/registration-filter.js) vale só para a fase pai. Com
+// `related`, traz só as inscrições com um desses números ou agentes
+async function fetchRegistrationsForPhases(phaseIds, parentId, filter = 'selected', related = null) {
+  const condition = buildPhaseRegistrationsSql(registrationFilterFor(filter), { phaseIds, parentId, related });
+
+  return withClient(async client => {
+    const res = await client.query(`
+      SELECT ${REGISTRATION_COLUMNS}
       FROM registration r
       LEFT JOIN agent a ON r.agent_id = a.id
-      WHERE r.opportunity_id = ANY($1::int[])
-      AND (r.opportunity_id != $2 OR ${statusFilterFor(filterType)})
+      WHERE ${condition.sql}
       ORDER BY r.opportunity_id, r.number;
-    `, [phaseIds, parentId]);
+    `, condition.params);
 
     // Agrupa por phase_id
     const grouped = {};
@@ -226,7 +309,35 @@ async function fetchRegistrationsForPhases(phaseIds, parentId, filterType = 'sel
   });
 }
 
-// 2.5) Busca múltiplas inscrições pai em lote
+// 2.3.1) Uma página (`{ page, pageSize }`) das inscrições de uma fase, na
+// ordem do número, e o total da fase. Como em 2.3, o filtro vale só quando a
+// fase é a pai; a janela da página vem de pageWindow (ver ficha-api.js)
+async function fetchRegistrationPage(phaseId, parentId, filter, pagination) {
+  const condition = buildPhaseRegistrationsSql(registrationFilterFor(filter), { phaseIds: [phaseId], parentId });
+
+  return withClient(async client => {
+    const countRes = await client.query(
+      `SELECT COUNT(*)::int AS total FROM registration r WHERE ${condition.sql};`,
+      condition.params
+    );
+    const total = countRes.rows[0].total;
+    const window = pageWindow(total, pagination);
+    if (!window) return { total, registrations: [] };
+
+    const { params } = condition;
+    const res = await client.query(`
+      SELECT ${REGISTRATION_COLUMNS}
+      FROM registration r
+      LEFT JOIN agent a ON r.agent_id = a.id
+      WHERE ${condition.sql}
+      ORDER BY r.number, r.id
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2};
+    `, [...params, window.limit, window.offset]);
+    return { total, registrations: res.rows };
+  });
+}
+
+// 2.4) Busca múltiplas inscrições pai em lote
 async function fetchParentRegistrationIds(childRegistrationIds) {
   if (!childRegistrationIds.length) return {};
 
@@ -249,7 +360,7 @@ async function fetchParentRegistrationIds(childRegistrationIds) {
   });
 }
 
-// 2.6) Busca metadados para múltiplas inscrições em lote
+// 2.5) Busca metadados para múltiplas inscrições em lote
 async function fetchOrderedMetaForRegistrations(regIds, phaseIds) {
   if (!regIds.length || !phaseIds.length) return {};
 
@@ -289,29 +400,29 @@ async function fetchOrderedMetaForRegistrations(regIds, phaseIds) {
   });
 }
 
-// Cache para seções e critérios
-const sectionsCache = new Map();
+// Cache para a configuração dos métodos de avaliação
+const evaluationMethodCache = new Map();
 
-// 2.7) Busca seções e critérios de avaliação técnica, com cache por fase
-async function getSectionsAndCriteriaForPhase(phaseId) {
-  if (sectionsCache.has(phaseId)) {
-    return sectionsCache.get(phaseId);
+// 2.6) Busca o método de avaliação da fase (tipo, seções/critérios e, no
+// documental, os títulos dos campos avaliados), com cache por fase
+async function getEvaluationMethodForPhase(phaseId) {
+  if (evaluationMethodCache.has(phaseId)) {
+    return evaluationMethodCache.get(phaseId);
   }
 
   const result = await withClient(async client => {
-    // 1) evaluation_method_configuration.id do tipo 'technical'
+    // 1) evaluation_method_configuration da fase
     const r1 = await client.query(`
-      SELECT id
+      SELECT id, type
       FROM evaluation_method_configuration
       WHERE opportunity_id = $1
-        AND type = 'technical'
       LIMIT 1;
     `, [phaseId]);
-    if (r1.rowCount === 0) return [];
+    if (r1.rowCount === 0) return null;
 
-    const evalMethodConfigId = r1.rows[0].id;
+    const { id: evalMethodConfigId, type } = r1.rows[0];
 
-    // 2) sections e criteria em paralelo
+    // 2) sections e criteria em paralelo (técnica e habilitação)
     const [sectionsRes, criteriaRes] = await Promise.all([
       client.query(`
         SELECT value
@@ -337,17 +448,39 @@ async function getSectionsAndCriteriaForPhase(phaseId) {
       }
     };
 
-    return buildSectionsWithCriteria(
-      parseMeta(sectionsRes, 'sections'),
-      parseMeta(criteriaRes, 'criteria')
-    );
+    // 3) Documental: títulos dos campos e anexos da fase e da oportunidade pai,
+    // com as chaves usadas em evaluation_data (field_<id> e rfc_<id>)
+    const fieldLabels = {};
+    if (type === 'documentary') {
+      const fieldsRes = await client.query(`
+        SELECT 'field_' || id AS key, title
+        FROM registration_field_configuration
+        WHERE opportunity_id IN ($1, (SELECT parent_id FROM opportunity WHERE id = $1))
+        UNION ALL
+        SELECT 'rfc_' || id AS key, title
+        FROM registration_file_configuration
+        WHERE opportunity_id IN ($1, (SELECT parent_id FROM opportunity WHERE id = $1));
+      `, [phaseId]);
+      for (const row of fieldsRes.rows) {
+        fieldLabels[row.key] = row.title;
+      }
+    }
+
+    return {
+      type,
+      sections: buildSectionsWithCriteria(
+        parseMeta(sectionsRes, 'sections'),
+        parseMeta(criteriaRes, 'criteria')
+      ),
+      fieldLabels
+    };
   });
 
-  sectionsCache.set(phaseId, result);
+  evaluationMethodCache.set(phaseId, result);
   return result;
 }
 
-// 2.8) Busca avaliações em lote para múltiplas inscrições e fases
+// 2.7) Busca avaliações em lote para múltiplas inscrições e fases
 async function getEvaluationsForRegistrations(regIds, phaseIds) {
   if (!regIds.length || !phaseIds.length) return {};
 
@@ -382,7 +515,10 @@ async function getEvaluationsForRegistrations(regIds, phaseIds) {
   });
 }
 
-// 2.9) Busca arquivos para múltiplas inscrições e fases
+// 2.8) Arquivos enviados de cada inscrição e fase, um por campo de arquivo
+// (registration_file_configuration), na ordem dos campos (display_order).
+// Quando o proponente reenviou o arquivo, vale o registro mais recente.
+// Devolve `{ "<regId>_<phaseId>": [{ fieldId, title, name }] }`.
 async function fetchFilesForRegistrations(regIds, phaseIds) {
   if (!regIds.length || !phaseIds.length) return {};
 
@@ -391,135 +527,145 @@ async function fetchFilesForRegistrations(regIds, phaseIds) {
       SELECT
         r.id AS reg_id,
         rfc.opportunity_id AS phase_id,
+        rfc.id AS field_id,
+        rfc.title AS field_title,
         file_data.name AS file_name
       FROM registration r
       JOIN registration_file_configuration rfc
-        ON rfc.opportunity_id = ANY($2::int[])
-      LEFT JOIN LATERAL (
+        ON rfc.opportunity_id = r.opportunity_id
+        AND rfc.opportunity_id = ANY($2::int[])
+      JOIN LATERAL (
         SELECT f.name
         FROM "file" f
         WHERE f.grp = CONCAT('rfc_', rfc.id)
+          AND f.object_type = 'MapasCulturais\\Entities\\Registration'
           AND f.object_id = r.id
-        ORDER BY id DESC
+        ORDER BY f.id DESC
         LIMIT 1
       ) file_data ON TRUE
       WHERE r.id = ANY($1::int[])
-      ORDER BY r.id, rfc.opportunity_id, rfc.display_order;
+      ORDER BY r.id, rfc.opportunity_id, rfc.display_order, rfc.id;
     `, [regIds, phaseIds]);
 
     const files = {};
     for (const row of res.rows) {
       const key = `${row.reg_id}_${row.phase_id}`;
       if (!files[key]) files[key] = [];
-      if (row.file_name) files[key].push(row.file_name);
+      files[key].push({ fieldId: row.field_id, title: row.field_title || '', name: row.file_name });
     }
+    return files;
+  });
+}
 
-    // Deduplica arquivos
-    for (const key in files) {
-      files[key] = [...new Set(files[key])];
+// 2.9) Nome do agente de perfil de cada usuário avaliador
+async function fetchEvaluatorNames(userIds) {
+  if (!userIds.length) return {};
+
+  return withClient(async client => {
+    const res = await client.query(`
+      SELECT u.id AS user_id, a.name
+      FROM usr u
+      JOIN agent a ON a.id = u.profile_id
+      WHERE u.id = ANY($1::int[]);
+    `, [userIds]);
+
+    const names = {};
+    for (const row of res.rows) {
+      names[row.user_id] = row.name;
     }
+    return names;
+  });
+}
 
-    return files;
+// 2.10) Inscrições com os números informados, em qualquer oportunidade
+async function fetchRegistrationsByNumbers(numbers) {
+  if (!numbers.length) return [];
+
+  return withClient(async client => {
+    const res = await client.query(`
+      SELECT
+        r.number         AS registration_number,
+        r.opportunity_id AS opportunity_id,
+        o.name           AS opportunity_name
+      FROM registration r
+      JOIN opportunity o ON o.id = r.opportunity_id
+      WHERE r.number = ANY($1::text[]);
+    `, [numbers]);
+    return res.rows;
   });
 }
 
 // ------------------------------------------------------------
 // 3) Leitura dos anexos em disco
 // ------------------------------------------------------------
-function readAttachmentBuffers(regIdsByPhase, phases) {
-  const buffers = [];
-  const seen = new Set();
-
-  for (const phase of phases) {
-    const rId = regIdsByPhase[phase.id];
-    if (!rId) continue;
-    const folder = path.join(FILES_DIR, String(rId));
-    if (!fs.existsSync(folder)) continue;
-
-    try {
-      for (const name of fs.readdirSync(folder).filter(f => f.endsWith('.pdf'))) {
-        const p = path.join(folder, name);
-        if (!seen.has(p)) {
-          seen.add(p);
-          buffers.push(fs.readFileSync(p));
-        }
+// Arquivos da tabela de anexos de cada fase da ficha (ver
+// fetchFilesForRegistrations), lidos de FILES_DIR/<regId>/<nome>, como
+// `{ phaseId, fieldId, phaseName, title, name, buffer }`. Arquivo que não
+// está no disco vem com `buffer` nulo e vira página de aviso (ver
+// src/pdf/attachments.js).
+function readAttachments(dataPhases) {
+  const attachments = [];
+
+  for (const phase of dataPhases) {
+    for (const file of phase.files) {
+      const filePath = path.join(FILES_DIR, String(phase.evalRegId), path.basename(file.name));
+      let buffer = null;
+      try {
+        buffer = fs.readFileSync(filePath);
+      } catch (err) {
+        console.warn(`Anexo não encontrado: ${filePath} (${err.code || err.message})`);
       }
-    } catch (err) {
-      console.warn(`Erro ao ler pasta ${folder}:`, err);
+      attachments.push({ phaseId: phase.id, fieldId: file.fieldId, phaseName: phase.name, title: file.title, name: file.name, buffer });
     }
   }
 
-  return buffers;
+  return attachments;
 }
 
 // ------------------------------------------------------------
-// 4) Geração de fichas para um parentId
+// 4) Montagem das fichas (compartilhada pela geração em lote e pela avulsa)
 // ------------------------------------------------------------
-async function generateFichas(parentId, filterType = 'selected', includeAttachments = true) {
-  const generationMode = includeAttachments ? 'ficha + anexos' : 'somente ficha';
-  console.log(`\n→ Iniciando geração de fichas para parentId=${parentId} (filtro: ${filterType}, modo: ${generationMode})`);
-  const startTime = Date.now();
-
-  // 4.1) Buscar todos os filhos (exceto parentId+1)
-  const children = await fetchChildrenExcludingNext(parentId);
-  console.log(`→ Filhos encontrados: ${children.length}`);
-
-  // 4.2) Carrega todas as fases relevantes, incluindo recursos após suas fases avaliadas
-  let phases = await fetchRelevantPhasesWithAppeals(parentId);
-  if (!phases.length) {
-    phases = await fetchOpportunityAsSinglePhase(parentId);
-  }
 
+// 4.1) Fases relevantes e inscrições de cada uma. Escolhe a fase cujas
+// inscrições viram fichas, PRIORIZANDO A FASE PAI. `phaseIds` restringe as
+// fases da ficha (ver src/domain/phases.js); nulo mantém todas. As inscrições
+// são carregadas em todas as fases (`chainPhases`): a cadeia
+// previousPhaseRegistrationId passa também pelas fases que ficaram de fora,
+// e sem elas o casamento cairia no agente.
+async function loadGenerationScope(parentId, filter, phaseIds = null) {
+  // Fases relevantes, incluindo recursos após suas fases avaliadas
+  const chainPhases = await fetchPhasesForOpportunity(parentId);
+  const phases = selectPhases(chainPhases, parentId, phaseIds);
   console.log(`→ Fases relevantes: ${phases.map(p => p.name).join(', ')}`);
 
-  // 4.3) Buscar inscrições para todas as fases de uma vez
-  const phaseIds = phases.map(p => p.id);
-  const registrationsByPhase = await fetchRegistrationsForPhases(phaseIds, parentId, filterType);
+  // Inscrições para todas as fases de uma vez
+  const registrationsByPhase = await fetchRegistrationsForPhases(chainPhases.map(p => p.id), parentId, filter);
   console.log(`→ Inscrições por fase carregadas em lote`);
 
-  // 4.4) Encontrar a fase que tenha inscrições - PRIORIZA A FASE PAI
-  let chosenPhaseId = null;
-  let registrations = [];
-
-  const regsParent = registrationsByPhase[parentId] || [];
-  if (regsParent.length > 0) {
-    chosenPhaseId = parentId;
-    registrations = regsParent;
-  }
-
-  // Se a fase pai não tiver inscrições, usa a primeira filha que tiver
-  if (!chosenPhaseId) {
-    for (const child of children) {
-      const regs = registrationsByPhase[child.id] || [];
-      if (regs.length > 0) {
-        chosenPhaseId = child.id;
-        registrations = regs;
-        break;
-      }
-    }
-  }
-
-  if (!chosenPhaseId) {
-    throw new Error(`Nenhuma inscrição encontrada para parentId=${parentId}`);
-  }
-
-  console.log(`→ Usando fase ${chosenPhaseId} com ${registrations.length} inscrições`);
-
-  // 4.5) Preparar diretórios
-  if (!fs.existsSync(OUTPUT_DIR)) {
-    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
-  }
+  // Fase pai ou, se ela não tiver inscrições, a primeira filha que tiver
+  const { phaseId: chosenPhaseId, registrations } = await loadRegistrationPhase(phases, parentId, phaseId => {
+    const regs = registrationsByPhase[phaseId] || [];
+    return { total: regs.length, registrations: regs };
+  });
 
-  // 4.6) Pré-carregamento em lote de todos os dados
-  console.log(`→ Pré-carregando TODOS os dados em lote...`);
+  return { phases, chainPhases, registrationsByPhase, chosenPhaseId, registrations };
+}
 
+// 4.2) Pré-carregamento em lote de metadados, avaliações e arquivos das
+// inscrições das fases da ficha (`phases`). Os elos da cadeia de fases vêm
+// de todas as inscrições de registrationsByPhase, inclusive das fases que
+// ficaram de fora da ficha.
+async function preloadRegistrationData(registrationsByPhase, phases) {
   const allRegIdsSet = new Set();
-  for (const phaseId of phaseIds) {
-    const regsInPhase = registrationsByPhase[phaseId] || [];
+  for (const phase of phases) {
+    const regsInPhase = registrationsByPhase[phase.id] || [];
     regsInPhase.forEach(r => allRegIdsSet.add(r.registration_id));
   }
   const allRegIds = Array.from(allRegIdsSet);
   const allPhaseIds = phases.map(p => p.id);
+  const chainRegIds = Array.from(new Set(
+    Object.values(registrationsByPhase).flatMap(regs => regs.map(r => r.registration_id))
+  ));
 
   console.log(`→ Total de IDs únicos para pré-carregar: ${allRegIds.length}`);
 
@@ -529,143 +675,498 @@ async function generateFichas(parentId, filterType = 'selected', includeAttachme
     allEvaluations,
     allFiles
   ] = await Promise.all([
-    fetchParentRegistrationIds(allRegIds),
+    fetchParentRegistrationIds(chainRegIds),
     fetchOrderedMetaForRegistrations(allRegIds, allPhaseIds),
     getEvaluationsForRegistrations(allRegIds, allPhaseIds),
     fetchFilesForRegistrations(allRegIds, allPhaseIds)
   ]);
 
-  console.log(`→ Dados pré-carregados em ${Date.now() - startTime}ms`);
+  return { parentRegIdMap, allMetaData, allEvaluations, allFiles };
+}
 
-  const pdfFilenames = [];
-  const filenameSuffix = includeAttachments ? '' : '_sem_anexos';
+// 4.2.1) Rótulo dos avaliadores conforme a identificação escolhida. Nomes
+// reais só são buscados quando pedidos.
+async function evaluatorLabelerFor(parentId, identity, preloaded) {
+  let namesByUserId = {};
+  if (identity.value === EVALUATOR_IDENTITY.NAMED) {
+    const userIds = new Set();
+    for (const rows of Object.values(preloaded.allEvaluations)) {
+      rows.forEach(row => row.user_id != null && userIds.add(row.user_id));
+    }
+    namesByUserId = await fetchEvaluatorNames(Array.from(userIds));
+  }
 
-  // 4.7) Processar cada inscrição com dados pré-carregados
-  for (let i = 0; i < registrations.length; i++) {
-    const reg = registrations[i];
-    const regNumber = reg.registration_number || reg.registration_id;
-    const parentRegId = parentRegIdMap[reg.registration_id];
-    const regStartTime = Date.now();
+  return createEvaluatorLabeler({
+    identity: identity.value,
+    opportunityId: parentId,
+    secret: EVALUATOR_PSEUDONYM_SECRET,
+    namesByUserId
+  });
+}
 
-    console.log(`\n→ [${i + 1}/${registrations.length}] Processando ${regNumber}...`);
+// 4.2.2) Inscrições de cada fase que podem casar com as de `regs` (mesmo
+// número ou mesmo agente), na mesma ordem: o casamento dá o mesmo resultado
+// e o pré-carregamento fica pequeno. Usado quando só algumas fichas são
+// montadas (ficha avulsa, API JSON).
+function relatedRegistrationsByPhase(registrationsByPhase, regs) {
+  const numbers = new Set(regs.map(r => r.registration_number));
+  const agentIds = new Set(regs.map(r => r.agent_id));
+  const relatedByPhase = {};
+  for (const [phaseId, regsInPhase] of Object.entries(registrationsByPhase)) {
+    relatedByPhase[phaseId] = regsInPhase.filter(r =>
+      numbers.has(r.registration_number) || agentIds.has(r.agent_id)
+    );
+  }
+  return relatedByPhase;
+}
 
-    // 4.7.1) Metadados do pai (pré-carregados)
-    // Se não tem parentRegId, é porque esta É a inscrição pai - usa o próprio ID
-    const actualParentRegId = parentRegId || reg.registration_id;
+// 4.3) Dados da ficha de uma inscrição a partir dos dados pré-carregados:
+// casamento das fases e, em cada fase, campos formatados, avaliações e
+// arquivos. Servem ao PDF (buildFichaPdf) e à planilha da geração. Devolve
+// `{ regNumber, parentReg, dataPhases, unmatchedPhases }`, com as fases sem
+// inscrição casada para o relatório. O casamento segue todas as fases
+// (`chainPhases`, padrão `phases`); a ficha mostra só `phases`.
+async function buildFichaData(reg, {
+  parentId,
+  phases,
+  chainPhases = phases,
+  registrationsByPhase,
+  preloaded,
+  redact = {},
+  evaluatorLabel
+}) {
+  const { parentRegIdMap, allMetaData, allEvaluations, allFiles } = preloaded;
+  const formatOptions = { redact, ...DATE_OPTIONS };
+  const regNumber = reg.registration_number || reg.registration_id;
+  const parentRegId = parentRegIdMap[reg.registration_id];
+
+  // 4.3.1) Metadados do pai (pré-carregados)
+  // Se não tem parentRegId, é porque esta É a inscrição pai - usa o próprio ID
+  const actualParentRegId = parentRegId || reg.registration_id;
+
+  let parentMetaArray = [];
+  if (actualParentRegId && allMetaData[actualParentRegId]) {
+    const rawParentArray = allMetaData[actualParentRegId][parentId] || [];
+    parentMetaArray = rawParentArray
+      .map(item => formatField(item, formatOptions))
+      .filter(Boolean);
+  }
 
-    let parentMetaArray = [];
-    if (actualParentRegId && allMetaData[actualParentRegId]) {
-      const rawParentArray = allMetaData[actualParentRegId][parentId] || [];
-      parentMetaArray = rawParentArray.map(item => ({
-        label: item.label,
-        value: formatValue(item.value, item.fieldType)
-      }));
-    }
+  // 4.3.2) Inscrição de cada fase pela cadeia previousPhaseRegistrationId
+  // (ver src/domain/phase-matching.js)
+  const { byPhase: registrationsByPhaseMatch, issues: matchIssues } = matchRegistrationAcrossPhases(reg, {
+    parentId,
+    phases: chainPhases,
+    registrationsByPhase,
+    previousRegistrationIds: parentRegIdMap,
+    rootRegistrationId: actualParentRegId
+  });
+  const unmatchedPhases = phasesWithoutMatch({ parentId, phases, byPhase: registrationsByPhaseMatch, issues: matchIssues });
+  const regIdsByPhase = {};
+  for (const phase of phases) {
+    const match = registrationsByPhaseMatch[phase.id];
+    regIdsByPhase[phase.id] = (phase.id === parentId)
+      ? actualParentRegId
+      : (match ? match.registration_id : null);
+  }
 
-    // 4.7.2) Determinar IDs de registro por fase
-    const regIdsByPhase = {};
-    const registrationsByPhaseMatch = {};
-    for (const phase of phases) {
-      const regsThisPhase = registrationsByPhase[phase.id] || [];
-      // Recursos são casados pelo número da inscrição; demais fases, pelo agente
-      const match = phase.isAppealPhase
-        ? regsThisPhase.find(r => r.registration_number === reg.registration_number)
-        : regsThisPhase.find(r => r.agent_id === reg.agent_id);
-      registrationsByPhaseMatch[phase.id] = (phase.id === parentId)
-        ? reg
-        : (match || null);
-      regIdsByPhase[phase.id] = (phase.id === parentId)
-        ? actualParentRegId
-        : (match ? match.registration_id : null);
+  // 4.3.3) Processar dados das fases em paralelo
+  const phasePromises = phases.map(async (phase) => {
+    const phaseRegistration = registrationsByPhaseMatch[phase.id];
+    // Recurso sem inscrição, ou ainda em rascunho, não aparece na ficha
+    if (phase.isAppealPhase && (!phaseRegistration || phaseRegistration.registration_status === 0)) {
+      return null;
     }
 
-    // 4.7.3) Processar dados das fases em paralelo
-    const phasePromises = phases.map(async (phase) => {
-      const phaseRegistration = registrationsByPhaseMatch[phase.id];
-      // Recurso sem inscrição, ou ainda em rascunho, não aparece na ficha
-      if (phase.isAppealPhase && (!phaseRegistration || phaseRegistration.registration_status === 0)) {
-        return null;
-      }
+    // Para fase pai usa parentMetaArray, para filhas usa o regId correto de cada fase
+    const phaseRegId = regIdsByPhase[phase.id] || reg.registration_id;
+
+    const rowsForThisPhase = (phase.id === parentId)
+      ? parentMetaArray
+      : ((allMetaData[phaseRegId] && allMetaData[phaseRegId][phase.id]) || [])
+          .map(item => formatField(item, formatOptions))
+          .filter(Boolean);
+
+    const key = `${phaseRegId}_${phase.id}`;
+    const evaluationData = allEvaluations[key];
+    const files = allFiles[key] || [];
+
+    const evalObj = await processEvaluation(phase.id, evaluationData, getEvaluationMethodForPhase, { evaluatorLabel });
+    const phaseStatus = phaseRegistration
+      ? phaseRegistration.registration_status
+      : (phase.isAppealPhase ? null : reg.registration_status);
+
+    return {
+      id: phase.id,
+      name: phase.name,
+      isAppealPhase: Boolean(phase.isAppealPhase),
+      rows: rowsForThisPhase,
+      evaluation: evalObj,
+      appealResult: phase.isAppealPhase
+        ? processAppealResult(evaluationData, phaseStatus)
+        : null,
+      regStatusText: STATUS_LABELS[phaseStatus] || '',
+      files: files,
+      evalRegId: phaseRegId
+    };
+  });
 
-      // Para fase pai usa parentMetaArray, para filhas usa o regId correto de cada fase
-      const phaseRegId = regIdsByPhase[phase.id] || reg.registration_id;
-
-      const rowsForThisPhase = (phase.id === parentId)
-        ? parentMetaArray
-        : ((allMetaData[phaseRegId] && allMetaData[phaseRegId][phase.id]) || []).map(item => ({
-            label: item.label,
-            value: formatValue(item.value, item.fieldType)
-          }));
-
-      const key = `${phaseRegId}_${phase.id}`;
-      const evaluationData = allEvaluations[key];
-      const files = allFiles[key] || [];
-
-      const evalObj = await processEvaluation(phase.id, evaluationData, getSectionsAndCriteriaForPhase);
-      const phaseStatus = phaseRegistration
-        ? phaseRegistration.registration_status
-        : (phase.isAppealPhase ? null : reg.registration_status);
-
-      return {
-        id: phase.id,
-        name: phase.name,
-        isAppealPhase: Boolean(phase.isAppealPhase),
-        rows: rowsForThisPhase,
-        evaluation: evalObj,
-        appealResult: phase.isAppealPhase
-          ? processAppealResult(evaluationData, phaseStatus)
-          : null,
-        regStatusText: STATUS_LABELS[phaseStatus] || '',
-        files: files,
-        evalRegId: phaseRegId
-      };
-    });
+  const dataPhases = (await Promise.all(phasePromises)).filter(Boolean);
 
-    const dataPhases = (await Promise.all(phasePromises)).filter(Boolean);
+  // Criação e envio vêm da inscrição na fase pai, que é quando o proponente
+  // de fato se inscreveu
+  const parentReg = (registrationsByPhase[parentId] || [])
+    .find(r => r.registration_id === actualParentRegId) || reg;
 
-    // 4.7.4) Gerar PDF
-    let pdfBuffer;
-    try {
-      pdfBuffer = await renderFichaPdf({
-        registration_number: regNumber,
-        agent: {
-          id: reg.agent_id,
-          name: reg.agent_name || '',
-        },
-        phases: dataPhases
-      });
-    } catch (err) {
-      console.error(`Erro ao gerar PDF para ${regNumber}:`, err);
-      continue;
-    }
+  return { regNumber, parentReg, dataPhases, unmatchedPhases };
+}
 
-    // 4.7.5) Anexar arquivos PDF
-    let finalPdfBuffer = pdfBuffer;
-    if (includeAttachments) {
-      const attachmentBuffers = readAttachmentBuffers(regIdsByPhase, phases);
-      if (attachmentBuffers.length) {
-        finalPdfBuffer = await mergeWithAttachments(pdfBuffer, attachmentBuffers);
-      }
+// 4.4) Monta o PDF de uma inscrição: renderização, junção dos anexos e, em
+// todas as páginas, cabeçalho com a inscrição e numeração (ver
+// src/pdf/page-stamp.js). `fichaData` reaproveita os dados já montados por
+// buildFichaData. Devolve o PDF, os marcadores da ficha (`outline`, fase →
+// anexos, gravados no PDF e reaproveitados no PDF único) e, para o relatório
+// da geração, as fases sem inscrição casada (`unmatchedPhases`) e os anexos
+// que ficaram de fora (`skippedAttachments`).
+async function buildFichaPdf(reg, context, includeAttachments, fichaData = null) {
+  const { evaluatorIdentityNote = '' } = context;
+  const { regNumber, parentReg, dataPhases, unmatchedPhases } = fichaData || await buildFichaData(reg, context);
+
+  // 4.4.1) Caderno de anexos (separador + conteúdo de cada arquivo), montado
+  // antes da ficha para a tabela de anexos saber onde cada um começa
+  const attachments = includeAttachments ? readAttachments(dataPhases) : [];
+  const bundle = attachments.length ? await buildAttachmentBundle(attachments) : null;
+
+  // 4.4.2) Gerar PDF
+  const renderWithAttachmentPages = fichaPageCount => renderFichaPdf({
+    ...fichaModelFor(reg, { regNumber, parentReg, dataPhases }, evaluatorIdentityNote),
+    attachmentPages: Boolean(bundle),
+    phases: bundle
+      ? withAttachmentPages(dataPhases, attachments, bundle.startPages, fichaPageCount)
+      : dataPhases
+  });
+
+  const finish = (pdf, outline) => finishFichaPdf(pdf, {
+    registrationNumber: regNumber,
+    agentName: reg.agent_name || '',
+    outline
+  });
+
+  if (!bundle) {
+    const pdf = await renderWithAttachmentPages(0);
+    const outline = fichaOutline(await readPdfOutline(pdf), dataPhases);
+    return { pdf: await finish(pdf, outline), outline, unmatchedPhases, skippedAttachments: [] };
+  }
+
+  // As páginas dos anexos dependem do tamanho da ficha, que só se sabe
+  // renderizando: renderiza de novo enquanto a contagem mudar (na prática,
+  // uma segunda vez no máximo, já que os números não mudam o layout)
+  let fichaPageCount = 1;
+  let pdfBuffer = await renderWithAttachmentPages(fichaPageCount);
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const actualPageCount = await pdfPageCount(pdfBuffer);
+    if (actualPageCount === fichaPageCount) break;
+    fichaPageCount = actualPageCount;
+    pdfBuffer = await renderWithAttachmentPages(fichaPageCount);
+  }
+
+  // 4.4.3) Juntar o caderno de anexos, com cabeçalho, numeração e marcadores
+  const outline = fichaOutline(await readPdfOutline(pdfBuffer), dataPhases, attachments.map((attachment, i) => ({
+    ...attachment,
+    pageIndex: fichaPageCount + bundle.startPages[i]
+  })));
+  const skippedAttachments = bundle.skipped.map(({ index, reason }) => ({
+    phaseName: attachments[index].phaseName,
+    field: attachments[index].title,
+    file: attachments[index].name,
+    reason
+  }));
+  return { pdf: await finish(await appendBundle(pdfBuffer, bundle.pdf), outline), outline, unmatchedPhases, skippedAttachments };
+}
+
+// 4.4.4) Modelo entregue ao template da ficha (renderFichaPdf), também
+// devolvido pela API JSON (ver src/domain/ficha-api.js)
+function fichaModelFor(reg, { regNumber, parentReg, dataPhases }, evaluatorIdentityNote = '') {
+  return {
+    registration_number: regNumber,
+    created_at: formatDateValue(parentReg.create_timestamp, DATE_OPTIONS) || '',
+    sent_at: formatDateValue(parentReg.sent_timestamp, DATE_OPTIONS) || '',
+    evaluatorIdentityNote,
+    agent: {
+      id: reg.agent_id,
+      name: reg.agent_name || '',
+    },
+    phases: dataPhases
+  };
+}
+
+// Fases com a página (a partir de 1) em que cada anexo começa no PDF final
+function withAttachmentPages(dataPhases, attachments, startPages, fichaPageCount) {
+  const pageByFile = new Map(attachments.map((attachment, i) => [
+    `${attachment.phaseId}/${attachment.fieldId}`,
+    fichaPageCount + startPages[i] + 1
+  ]));
+  return dataPhases.map(phase => ({
+    ...phase,
+    files: phase.files.map(file => ({ ...file, page: pageByFile.get(`${phase.id}/${file.fieldId}`) || null }))
+  }));
+}
+
+// 4.5) Linha da inscrição na planilha da geração. Sem `fichaData` (os
+// dados da inscrição não puderam ser montados), só as colunas da inscrição.
+function spreadsheetEntryFor(reg, fichaData) {
+  const parentReg = fichaData ? fichaData.parentReg : reg;
+  return {
+    registrationNumber: reg.registration_number || reg.registration_id,
+    agentName: reg.agent_name || '',
+    category: reg.category || '',
+    status: STATUS_LABELS[reg.registration_status] || '',
+    sentAt: formatDateValue(parentReg.sent_timestamp, DATE_OPTIONS) || '',
+    phases: fichaData ? fichaData.dataPhases : null
+  };
+}
+
+// 4.6) Números pedidos (lista enviada ou filtro por número) que não viraram
+// ficha, com o motivo (ver src/domain/registration-list.js)
+async function findUnmatchedNumbers(parentId, requestedNumbers, registrations) {
+  if (!requestedNumbers) return [];
+
+  const generatedNumbers = registrations.map(r => r.registration_number);
+  const generated = new Set(generatedNumbers);
+  const missing = requestedNumbers.filter(number => !generated.has(number));
+  if (!missing.length) return [];
+
+  const opportunityPhases = await fetchPhasesForOpportunity(parentId);
+  return unmatchedRegistrationNumbers(
+    requestedNumbers,
+    generatedNumbers,
+    await fetchRegistrationsByNumbers(missing),
+    opportunityPhases.map(phase => phase.id)
+  );
+}
+
+// Sufixo comum à ficha e ao ZIP: versões diferentes não se sobrescrevem
+function generationFilenameSuffix(includeAttachments, redactionProfile, evaluatorIdentity) {
+  return (includeAttachments ? '' : '_sem_anexos') + redactionProfile.filenameSuffix + evaluatorIdentity.filenameSuffix;
+}
+
+function fichaFilenameFor(parentId, reg, phases, filenameSuffix, filenameTemplate = FICHA_FILENAME_TEMPLATE) {
+  const phase = phases.find(p => p.id === reg.phase_id);
+  return fichaFilename(parentId, filenameValuesFor(reg, phase), { template: filenameTemplate, suffix: filenameSuffix });
+}
+
+// ------------------------------------------------------------
+// 5) Geração de fichas para um parentId
+// ------------------------------------------------------------
+/**
+ * `onProgress` recebe `{ current, total, registrationNumber, message }` a cada
+ * etapa, para acompanhamento ao vivo do job (ver src/jobs/job-store.js).
+ * `outputDir` permite gravar fora de OUTPUT_DIR (usado pela CLI com --out).
+ * `redactionProfile` escolhe o perfil LGPD (ver REDACTION_PROFILES) e
+ * `evaluatorIdentity`, como os avaliadores aparecem (ver EVALUATOR_IDENTITIES).
+ * `phaseIds` limita as fases da ficha; nulo inclui todas.
+ * `filter` é o nome de um filtro predefinido ou o filtro estruturado de
+ * src/domain/registration-filter.js.
+ *
+ * `filenameTemplate` troca o modelo de nome das fichas (nulo: o de
+ * FICHA_FILENAME_TEMPLATE) e `zipLayout` agrupa as fichas em pastas no ZIP
+ * (ver ZIP_LAYOUTS). `consolidated` junta também as fichas num PDF único
+ * com capa, sumário e marcadores (ver src/pdf/consolidated.js) e
+ * `spreadsheet` grava a planilha da geração em XLSX e CSV (ver
+ * src/domain/spreadsheet.js).
+ *
+ * Resolve com `{ zipFilename, consolidatedFilename, spreadsheetFilenames,
+ * unmatchedNumbers, report }`: o PDF único (nulo fora do modo consolidado),
+ * as planilhas (vazio sem `spreadsheet`), os números pedidos no filtro
+ * que não viraram ficha, com o motivo, e o relatório da geração (ver
+ * src/domain/generation-report.js), também salvo no ZIP.
+ */
+async function generateFichas(parentId, filter = 'selected', includeAttachments = true, {
+  onProgress = () => {},
+  outputDir = OUTPUT_DIR,
+  redactionProfile = DEFAULT_REDACTION_PROFILE,
+  evaluatorIdentity = DEFAULT_EVALUATOR_IDENTITY,
+  phaseIds = null,
+  filenameTemplate = null,
+  zipLayout = DEFAULT_ZIP_LAYOUT,
+  consolidated = false,
+  spreadsheet = false
+} = {}) {
+  const template = filenameTemplate ? parseFilenameTemplate(filenameTemplate) : FICHA_FILENAME_TEMPLATE;
+  const generationMode = includeAttachments ? 'ficha + anexos' : 'somente ficha';
+  const profile = redactionProfileFor(redactionProfile);
+  const identity = evaluatorIdentityFor(evaluatorIdentity);
+  const filenameSuffix = generationFilenameSuffix(includeAttachments, profile, identity);
+  const registrationFilter = registrationFilterFor(filter);
+  console.log(`\n→ Iniciando geração de fichas para parentId=${parentId} (filtro: ${describeRegistrationFilter(registrationFilter)}, modo: ${generationMode}, perfil: ${profile.value}, avaliadores: ${identity.value})`);
+  const startTime = Date.now();
+
+  // 5.1) Fases, inscrições e fase escolhida
+  const { phases, chainPhases, registrationsByPhase, chosenPhaseId, registrations } = await loadGenerationScope(parentId, registrationFilter, phaseIds);
+
+  const unmatchedNumbers = await findUnmatchedNumbers(parentId, registrationFilter.registrationNumbers, registrations);
+  for (const { number, reason } of unmatchedNumbers) {
+    console.warn(`→ Inscrição ${number} fora da geração: ${reason}`);
+  }
+
+  if (!chosenPhaseId) {
+    throw new Error(`Nenhuma inscrição encontrada para parentId=${parentId}`);
+  }
+
+  console.log(`→ Usando fase ${chosenPhaseId} com ${registrations.length} inscrições`);
+  onProgress({
+    current: 0,
+    total: registrations.length,
+    registrationNumber: null,
+    message: `Usando fase ${chosenPhaseId} com ${registrations.length} inscrições`
+  });
+
+  // 5.2) Preparar diretórios
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  // 5.3) Pré-carregamento em lote de todos os dados
+  console.log(`→ Pré-carregando TODOS os dados em lote...`);
+  const preloaded = await preloadRegistrationData(registrationsByPhase, phases);
+  console.log(`→ Dados pré-carregados em ${Date.now() - startTime}ms`);
+
+  const fichaContext = {
+    parentId,
+    phases,
+    chainPhases,
+    registrationsByPhase,
+    preloaded,
+    redact: profile.redact,
+    evaluatorLabel: await evaluatorLabelerFor(parentId, identity, preloaded),
+    evaluatorIdentityNote: identity.note
+  };
+
+  // 5.4) Processar cada inscrição com dados pré-carregados. Devolve o nome do
+  // PDF salvo e o que vai para o relatório; qualquer erro é tratado pela fila
+  // em 5.5 sem afetar as demais. A linha da planilha sai antes do PDF, então
+  // entra mesmo quando a renderização falha.
+  const spreadsheetEntries = new Array(registrations.length);
+  const processRegistration = async (reg, i) => {
+    const regNumber = reg.registration_number || reg.registration_id;
+    const regStartTime = Date.now();
+
+    const progressMessage = `[${i + 1}/${registrations.length}] Processando ${regNumber}...`;
+    console.log(`\n→ ${progressMessage}`);
+    onProgress({
+      current: i + 1,
+      total: registrations.length,
+      registrationNumber: regNumber,
+      message: progressMessage
+    });
+
+    const fichaData = await buildFichaData(reg, fichaContext);
+    if (spreadsheet) {
+      spreadsheetEntries[i] = spreadsheetEntryFor(reg, fichaData);
+    }
+    const { pdf, outline, unmatchedPhases, skippedAttachments } = await buildFichaPdf(reg, fichaContext, includeAttachments, fichaData);
+    for (const issue of unmatchedPhases.filter(p => p.candidates.length)) {
+      console.warn(`   → Vínculo ambíguo na fase ${issue.phaseName}: ${issue.reason} (${issue.candidates.join(', ')})`);
     }
 
-    // 4.7.6) Salvar PDF
-    const filename = `ficha_${parentId}_${regNumber}_${slugifyAgentName(reg.agent_name)}${filenameSuffix}.pdf`;
-    const filepath = path.join(OUTPUT_DIR, filename);
+    const filename = fichaFilenameFor(parentId, reg, phases, filenameSuffix, template);
+    fs.writeFileSync(path.join(outputDir, filename), pdf);
+    console.log(`   → PDF salvo: ${filename} (${Date.now() - regStartTime}ms)`);
+    return { filename, outline, unmatchedPhases, skippedAttachments };
+  };
+
+  // 5.5) Fila de renderização com até RENDER_CONCURRENCY inscrições em paralelo.
+  // Os resultados voltam na ordem das inscrições, então o ZIP não muda de ordem.
+  console.log(`→ Renderizando com concorrência ${RENDER_CONCURRENCY}`);
+  const results = await runWithConcurrency(registrations, RENDER_CONCURRENCY, processRegistration);
+
+  // Nome de cada PDF no ZIP, dentro da pasta do layout escolhido, e o
+  // resultado de cada inscrição para o relatório
+  const pdfFiles = [];
+  const outcomes = results.map((result, i) => {
+    const reg = registrations[i];
+    const outcome = { registrationNumber: reg.registration_number || reg.registration_id, agentName: reg.agent_name || '' };
+    if (result.status === 'fulfilled') {
+      const { filename, outline, unmatchedPhases, skippedAttachments } = result.value;
+      pdfFiles.push({ filename, entryName: zipFolderFor(zipLayout, reg) + filename });
+      return { ...outcome, filename, outline, unmatchedPhases, skippedAttachments };
+    }
+    console.error(`Erro ao gerar ficha ${outcome.registrationNumber}:`, result.reason);
+    return { ...outcome, error: (result.reason && result.reason.message) || String(result.reason) };
+  });
+  const report = buildGenerationReport({ opportunityId: parentId, outcomes, unmatchedNumbers });
+  const { summary } = report;
+  console.log(`→ Relatório: ${summary.generated} de ${summary.registrations} fichas geradas, ${summary.failed} falha(s), ${summary.skippedAttachments} anexo(s) não incluído(s), ${summary.phasesWithoutMatch} fase(s) sem inscrição casada`);
+
+  // 5.6) PDF único com todas as fichas que deram certo, na ordem da geração
+  let consolidatedFilename = null;
+  if (consolidated && pdfFiles.length) {
+    consolidatedFilename = `fichas_${parentId}_consolidado${filenameSuffix}.pdf`;
+    console.log(`\n→ Montando PDF único com ${pdfFiles.length} fichas...`);
+    onProgress({
+      current: registrations.length,
+      total: registrations.length,
+      registrationNumber: null,
+      message: `Montando PDF único com ${pdfFiles.length} fichas...`
+    });
+    const opportunity = await fetchOpportunityById(parentId);
+    const consolidatedPdf = await buildConsolidatedPdf({
+      title: (opportunity && opportunity.name) || `Oportunidade ${parentId}`,
+      details: [
+        `Oportunidade #${parentId}`,
+        `${pdfFiles.length} fichas`,
+        `Gerado em ${formatDateValue(new Date(), DATE_OPTIONS)}`
+      ],
+      fichas: outcomes.filter(outcome => !outcome.error).map(outcome => ({
+        registrationNumber: outcome.registrationNumber,
+        agentName: outcome.agentName,
+        // Lido na vez de cada ficha, não todos antes da junção
+        loadPdf: () => fs.promises.readFile(path.join(outputDir, outcome.filename)),
+        outline: outcome.outline
+      }))
+    });
+    fs.writeFileSync(path.join(outputDir, consolidatedFilename), consolidatedPdf);
+    console.log(`→ PDF único salvo: ${consolidatedFilename}`);
+  }
 
+  // 5.7) Planilha com uma linha por inscrição, ao lado do ZIP. O CSV sai
+  // sempre: abre em qualquer programa e fica no lugar do XLSX se ele falhar
+  const spreadsheetFilenames = [];
+  if (spreadsheet) {
+    const spreadsheetName = `fichas_${parentId}_planilha${filenameSuffix}`;
+    console.log(`\n→ Montando planilha com ${registrations.length} inscrições...`);
+    onProgress({
+      current: registrations.length,
+      total: registrations.length,
+      registrationNumber: null,
+      message: `Montando planilha com ${registrations.length} inscrições...`
+    });
+    const sheet = buildRegistrationSpreadsheet(
+      registrations.map((reg, i) => spreadsheetEntries[i] || spreadsheetEntryFor(reg, null)),
+      phases
+    );
+    fs.writeFileSync(path.join(outputDir, `${spreadsheetName}.csv`), spreadsheetToCsv(sheet));
     try {
-      fs.writeFileSync(filepath, finalPdfBuffer);
-      pdfFilenames.push(filename);
-      console.log(`   → PDF salvo: ${filename} (${Date.now() - regStartTime}ms)`);
+      fs.writeFileSync(path.join(outputDir, `${spreadsheetName}.xlsx`), await buildXlsx(sheet, { sheetName: 'Inscrições' }));
+      spreadsheetFilenames.push(`${spreadsheetName}.xlsx`);
     } catch (err) {
-      console.error(`Erro ao salvar PDF ${filename}:`, err);
+      console.error('Erro ao gerar a planilha XLSX; fica só o CSV:', err);
     }
+    spreadsheetFilenames.push(`${spreadsheetName}.csv`);
+    console.log(`→ Planilha salva: ${spreadsheetFilenames.join(', ')} (${sheet.columns.length} colunas)`);
   }
 
-  // 4.8) Criar ZIP
-  console.log(`\n→ Criando ZIP com ${pdfFilenames.length} arquivos...`);
+  // 5.8) Criar ZIP
+  console.log(`\n→ Criando ZIP com ${pdfFiles.length} arquivos...`);
+  onProgress({
+    current: registrations.length,
+    total: registrations.length,
+    registrationNumber: null,
+    message: `Criando ZIP com ${pdfFiles.length} arquivos...`
+  });
   const zipStartTime = Date.now();
   const zipFilename = `fichas_${parentId}${filenameSuffix}.zip`;
-  const zipFilepath = path.join(OUTPUT_DIR, zipFilename);
+  const zipFilepath = path.join(outputDir, zipFilename);
   const output = fs.createWriteStream(zipFilepath);
   const archive = archiver('zip', { zlib: { level: 9 } });
 
@@ -675,32 +1176,237 @@ async function generateFichas(parentId, filterType = 'selected', includeAttachme
       const zipTime = Date.now() - zipStartTime;
       console.log(`→ ZIP gerado: ${zipFilename} (${archive.pointer()} bytes) em ${zipTime}ms`);
       console.log(`→ Processo completo: ${totalTime}ms total`);
-      resolve(zipFilename);
+      resolve({ zipFilename, consolidatedFilename, spreadsheetFilenames, unmatchedNumbers, report });
     });
     archive.on('error', reject);
     archive.pipe(output);
-    for (const filename of pdfFilenames) {
-      archive.file(path.join(OUTPUT_DIR, filename), { name: filename });
+    for (const { filename, entryName } of pdfFiles) {
+      archive.file(path.join(outputDir, filename), { name: entryName });
     }
+    archive.append(`${JSON.stringify(report, null, 2)}\n`, { name: 'relatorio.json' });
+    archive.append(generationReportToCsv(report), { name: 'relatorio.csv' });
     archive.finalize();
   });
 }
 
 // ------------------------------------------------------------
-// 5) Inicia servidor HTTP
+// 6) Ficha avulsa de uma única inscrição
 // ------------------------------------------------------------
-const app = createApp({
-  outputDir: OUTPUT_DIR,
-  assetsDir: path.join(__dirname, 'assets'),
-  logoBase64,
-  fetchParentOpportunities,
-  fetchOpportunityById,
-  generateFichas,
-  listGeneratedFilesForOpportunity,
-  listResultFilesForGeneration
-});
+/**
+ * Gera a ficha de uma inscrição sem gravar em disco, com o mesmo casamento de
+ * fases, avaliações e anexos da geração em lote. Aceita qualquer status exceto
+ * rascunho, já que recursos costumam vir de inscrições não selecionadas.
+ * Devolve `null` quando o número não pertence à oportunidade.
+ */
+async function generateFichaForRegistration(parentId, registrationNumber, includeAttachments = true, {
+  redactionProfile = DEFAULT_REDACTION_PROFILE,
+  evaluatorIdentity = DEFAULT_EVALUATOR_IDENTITY
+} = {}) {
+  const profile = redactionProfileFor(redactionProfile);
+  const identity = evaluatorIdentityFor(evaluatorIdentity);
+  const { phases, registrationsByPhase, registrations } = await loadGenerationScope(parentId, 'all');
+  const reg = registrations.find(r => r.registration_number === registrationNumber);
+  if (!reg) return null;
+
+  const relatedByPhase = relatedRegistrationsByPhase(registrationsByPhase, [reg]);
+  const preloaded = await preloadRegistrationData(relatedByPhase, phases);
+  const { pdf, unmatchedPhases } = await buildFichaPdf(reg, {
+    parentId,
+    phases,
+    registrationsByPhase: relatedByPhase,
+    preloaded,
+    redact: profile.redact,
+    evaluatorLabel: await evaluatorLabelerFor(parentId, identity, preloaded),
+    evaluatorIdentityNote: identity.note
+  }, includeAttachments);
+  for (const issue of unmatchedPhases.filter(p => p.candidates.length)) {
+    console.warn(`Vínculo ambíguo da inscrição ${registrationNumber} na fase ${issue.phaseName}: ${issue.reason}`);
+  }
 
-app.listen(SERVER_PORT, () => {
-  console.log(`Servidor rodando na porta ${SERVER_PORT}`);
-  console.log(`Acesse http://localhost:${SERVER_PORT}/ para gerar fichas.`);
-});
+  return {
+    filename: fichaFilenameFor(parentId, reg, phases, generationFilenameSuffix(includeAttachments, profile, identity)),
+    buffer: Buffer.from(pdf)
+  };
+}
+
+// ------------------------------------------------------------
+// 7) Fichas para a API JSON (ver src/domain/ficha-api.js)
+// ------------------------------------------------------------
+/**
+ * Uma página das fichas da oportunidade, montadas como para o PDF, mas sem
+ * renderizar nem ler anexos. `filter` segue generateFichas; `page` começa em
+ * 1. Resolve com `{ total, entries }`: `total` conta as inscrições do filtro
+ * e cada entrada é `{ ficha, category, status, unmatchedPhases }`, com
+ * `ficha` no modelo do template (ver fichaModelFor).
+ *
+ * A página sai do banco (LIMIT/OFFSET na fase escolhida por
+ * loadRegistrationPhase, como em loadGenerationScope) e das demais fases vêm só as inscrições com o número
+ * ou o agente das inscrições da página, que bastam para o casamento.
+ */
+async function fetchFichaPage(parentId, {
+  filter = 'selected',
+  page = 1,
+  pageSize = DEFAULT_PAGE_SIZE,
+  redactionProfile = DEFAULT_REDACTION_PROFILE,
+  evaluatorIdentity = DEFAULT_EVALUATOR_IDENTITY
+} = {}) {
+  const phases = await fetchPhasesForOpportunity(parentId);
+  const registrationFilter = registrationFilterFor(filter);
+
+  // Mesma fase de loadGenerationScope, mas só a página pedida
+  const chosen = await loadRegistrationPhase(phases, parentId, phaseId =>
+    fetchRegistrationPage(phaseId, parentId, registrationFilter, { page, pageSize })
+  );
+  if (!chosen.registrations.length) return { total: chosen.total, entries: [] };
+
+  const pageRegistrations = chosen.registrations;
+  const registrationsByPhase = await fetchRegistrationsForPhases(phases.map(p => p.id), parentId, registrationFilter, {
+    numbers: [...new Set(pageRegistrations.map(r => r.registration_number))],
+    agentIds: [...new Set(pageRegistrations.map(r => r.agent_id).filter(id => id != null))]
+  });
+  return {
+    total: chosen.total,
+    entries: await buildFichaApiEntries(parentId, phases, registrationsByPhase, pageRegistrations, { redactionProfile, evaluatorIdentity })
+  };
+}
+
+/**
+ * Ficha de uma inscrição para a API, com os mesmos critérios da ficha avulsa
+ * (qualquer status exceto rascunho). Devolve `null` quando o número não
+ * pertence à oportunidade.
+ */
+async function fetchFicha(parentId, registrationNumber, {
+  redactionProfile = DEFAULT_REDACTION_PROFILE,
+  evaluatorIdentity = DEFAULT_EVALUATOR_IDENTITY
+} = {}) {
+  const { phases, registrationsByPhase, registrations } = await loadGenerationScope(parentId, 'all');
+  const reg = registrations.find(r => r.registration_number === registrationNumber);
+  if (!reg) return null;
+
+  const [entry] = await buildFichaApiEntries(parentId, phases, registrationsByPhase, [reg], { redactionProfile, evaluatorIdentity });
+  return entry;
+}
+
+async function buildFichaApiEntries(parentId, phases, registrationsByPhase, regs, { redactionProfile, evaluatorIdentity }) {
+  if (!regs.length) return [];
+
+  const profile = redactionProfileFor(redactionProfile);
+  const identity = evaluatorIdentityFor(evaluatorIdentity);
+  const relatedByPhase = relatedRegistrationsByPhase(registrationsByPhase, regs);
+  const preloaded = await preloadRegistrationData(relatedByPhase, phases);
+  const context = {
+    parentId,
+    phases,
+    registrationsByPhase: relatedByPhase,
+    preloaded,
+    redact: profile.redact,
+    evaluatorLabel: await evaluatorLabelerFor(parentId, identity, preloaded)
+  };
+
+  return Promise.all(regs.map(async reg => {
+    const fichaData = await buildFichaData(reg, context);
+    return {
+      ficha: fichaModelFor(reg, fichaData, identity.note),
+      category: reg.category || '',
+      status: reg.registration_status,
+      unmatchedPhases: fichaData.unmatchedPhases
+    };
+  }));
+}
+
+// ------------------------------------------------------------
+// 8) Bootstrap: servidor HTTP (padrão) ou CLI (ver src/cli/cli.js)
+// ------------------------------------------------------------
+async function releaseResources() {
+  await closeBrowserPool();
+  await pool.end();
+}
+
+function startServer() {
+  // Sem usuários ou sem segredo de sessão o servidor não sobe: as fichas
+  // contêm dados pessoais e não podem ficar expostas.
+  let users;
+  try {
+    users = loadUsersFile(USERS_FILE);
+  } catch (err) {
+    console.error(`Erro ao carregar usuários: ${err.message}`);
+    console.error('Crie o arquivo com `node generate_sheets.js hash-password` (ver README).');
+    process.exit(1);
+  }
+  if (!SESSION_SECRET) {
+    console.error('Defina SESSION_SECRET no .env para assinar as sessões.');
+    process.exit(1);
+  }
+
+  const app = createApp({
+    outputDir: OUTPUT_DIR,
+    assetsDir: path.join(__dirname, 'assets'),
+    logoBase64,
+    fetchParentOpportunities,
+    fetchOpportunityById,
+    fetchPhasesForOpportunity,
+    generateFichas,
+    generateFichaForRegistration,
+    fetchFichaPage,
+    fetchFicha,
+    listGeneratedFilesForOpportunity,
+    listResultFilesForGeneration,
+    users,
+    sessionSecret: SESSION_SECRET,
+    secureCookie: SESSION_COOKIE_SECURE,
+    downloadLinks: createDownloadLinks({
+      secret: DOWNLOAD_LINK_SECRET,
+      ttlMs: DOWNLOAD_LINK_TTL_HOURS * 60 * 60 * 1000
+    }),
+    pseudonymsAvailable: Boolean(EVALUATOR_PSEUDONYM_SECRET)
+  });
+
+  const server = app.listen(SERVER_PORT, () => {
+    console.log(`Servidor rodando na porta ${SERVER_PORT}`);
+    console.log(`Acesse http://localhost:${SERVER_PORT}/ para gerar fichas.`);
+  });
+
+  // Encerramento limpo: para de aceitar conexões, fecha os navegadores do pool
+  // de PDF e as conexões com o banco antes de sair.
+  async function shutdown(signal) {
+    console.log(`\n→ ${signal} recebido, encerrando...`);
+    server.close();
+    try {
+      await releaseResources();
+    } catch (err) {
+      console.error('Erro ao encerrar recursos:', err);
+    }
+    process.exit(0);
+  }
+
+  process.once('SIGINT', () => shutdown('SIGINT'));
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+}
+
+async function startCli(argv) {
+  let exitCode;
+  try {
+    exitCode = await runCli(argv, {
+      outputDir: OUTPUT_DIR,
+      fetchParentOpportunities,
+      fetchOpportunityById,
+      fetchPhasesForOpportunity,
+      generateFichas,
+      hashPassword,
+      pseudonymsAvailable: Boolean(EVALUATOR_PSEUDONYM_SECRET)
+    });
+  } finally {
+    await releaseResources();
+  }
+  process.exitCode = exitCode;
+}
+
+const [command] = process.argv.slice(2);
+if (!command || command === 'serve') {
+  startServer();
+} else {
+  startCli(process.argv.slice(2)).catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  });
+}
@@ -1,21 +1,47 @@
 const fs = require('fs');
 const path = require('path');
 
+const { REDACTION_PROFILES, EVALUATOR_IDENTITIES } = require('./src/domain/generation-options');
+
+// ZIPs possíveis: com ou sem anexos, em cada perfil LGPD e identificação dos
+// avaliadores. O PDF único (modo consolidado) e a planilha usam os mesmos sufixos
+const ZIP_SUFFIXES = ['', '_sem_anexos'].flatMap(attachmentSuffix =>
+  REDACTION_PROFILES.flatMap(profile =>
+    EVALUATOR_IDENTITIES.map(identity => `${attachmentSuffix}${profile.filenameSuffix}${identity.filenameSuffix}`)
+  )
+);
+
+// Ordem dos tipos na listagem; dentro de cada tipo, do mais recente ao mais antigo
+const TYPE_ORDER = { zip: 0, pdf: 1, xlsx: 2, csv: 3, file: 4 };
+
 function getGeneratedFileType(filename) {
   if (filename.endsWith('.zip')) return 'zip';
   if (filename.endsWith('.pdf')) return 'pdf';
+  if (filename.endsWith('.xlsx')) return 'xlsx';
+  if (filename.endsWith('.csv')) return 'csv';
   return 'file';
 }
 
+// Fichas: ficha_<id>_<modelo de nome><sufixo>.pdf, qualquer que seja o modelo
+// (ver src/domain/file-naming.js); PDF único: fichas_<id>_consolidado<sufixo>.pdf;
+// planilha: fichas_<id>_planilha<sufixo>.xlsx e .csv
 function isGeneratedFileForOpportunity(filename, parentId) {
   const id = String(parentId);
-  return filename === `fichas_${id}.zip` ||
-    filename === `fichas_${id}_sem_anexos.zip` || (
+  return ZIP_SUFFIXES.some(suffix =>
+    filename === `fichas_${id}${suffix}.zip` ||
+    filename === `fichas_${id}_consolidado${suffix}.pdf` ||
+    filename === `fichas_${id}_planilha${suffix}.xlsx` ||
+    filename === `fichas_${id}_planilha${suffix}.csv`
+  ) || (
     filename.startsWith(`ficha_${id}_`) && filename.endsWith('.pdf')
   );
 }
 
-function listGeneratedFilesForOpportunity(outputDir, parentId) {
+/**
+ * Arquivos já gerados de uma oportunidade, com links de download assinados
+ * por `downloadLinks` (ver src/auth/download-links.js).
+ */
+function listGeneratedFilesForOpportunity(outputDir, parentId, downloadLinks) {
   if (!Number.isInteger(Number(parentId)) || Number(parentId) <= 0) {
     return [];
   }
@@ -32,23 +58,24 @@ function listGeneratedFilesForOpportunity(outputDir, parentId) {
 
       return {
         name: filename,
-        url: `/downloads/${encodeURIComponent(filename)}`,
+        url: downloadLinks.urlFor(filename),
         type: getGeneratedFileType(filename),
         size: stats.size,
         mtime: stats.mtime.toISOString()
       };
     })
     .sort((a, b) => {
-      if (a.type !== b.type) return a.type === 'zip' ? -1 : 1;
+      if (a.type !== b.type) return TYPE_ORDER[a.type] - TYPE_ORDER[b.type];
       return b.mtime.localeCompare(a.mtime);
     });
 }
 
 /**
- * Arquivos exibidos na página de resultado: o ZIP recém-gerado primeiro,
- * seguido de todos os PDFs daquela oportunidade.
+ * Arquivos exibidos na página de resultado: o ZIP recém-gerado primeiro e os
+ * demais arquivos da geração (`extraFilenames`: PDF único, planilhas),
+ * seguidos de todos os PDFs daquela oportunidade, com links assinados.
  */
-function listResultFilesForGeneration(outputDir, parentId, zipFilename) {
+function listResultFilesForGeneration(outputDir, parentId, zipFilename, downloadLinks, extraFilenames = []) {
   let pdfFiles = [];
   try {
     pdfFiles = fs.readdirSync(outputDir)
@@ -59,8 +86,9 @@ function listResultFilesForGeneration(outputDir, parentId, zipFilename) {
   }
 
   return [
-    { name: zipFilename, url: `/downloads/${zipFilename}`, type: 'zip' },
-    ...pdfFiles.map(name => ({ name, url: `/downloads/${name}`, type: 'pdf' }))
+    { name: zipFilename, url: downloadLinks.urlFor(zipFilename), type: 'zip' },
+    ...extraFilenames.map(name => ({ name, url: downloadLinks.urlFor(name), type: getGeneratedFileType(name) })),
+    ...pdfFiles.map(name => ({ name, url: downloadLinks.urlFor(name), type: 'pdf' }))
   ];
 }
 
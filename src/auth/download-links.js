@@ -0,0 +1,74 @@
+/**
+ * Links de download assinados (HMAC-SHA256) e com prazo de validade.
+ *
+ * O link carrega o nome do arquivo, o instante de expiração (segundos Unix)
+ * e a assinatura de ambos:
+ *
+ *   /downloads/<arquivo>?expires=1767225600&signature=<hex>
+ *
+ * Quem tem o link baixa aquele arquivo até expirar, sem precisar de login —
+ * o que permite repassá-lo à comissão. Sem a assinatura, adivinhar o nome
+ * pelo padrão `ficha_<parentId>_<número>_...` não dá acesso a nada.
+ */
+
+const crypto = require('crypto');
+
+const DOWNLOADS_PATH = '/downloads';
+
+// Links valem 72h por padrão: tempo para a comissão abrir o que recebeu
+const DEFAULT_DOWNLOAD_LINK_TTL_MS = 72 * 60 * 60 * 1000;
+
+const LINK_STATUS = {
+  VALID: 'valid',
+  INVALID: 'invalid',
+  EXPIRED: 'expired'
+};
+
+function createDownloadLinks({ secret, ttlMs = DEFAULT_DOWNLOAD_LINK_TTL_MS, now = Date.now }) {
+  if (!secret) {
+    throw new Error('createDownloadLinks: secret é obrigatório.');
+  }
+
+  function signatureFor(filename, expires) {
+    return crypto.createHmac('sha256', secret).update(`${filename}\n${expires}`).digest('hex');
+  }
+
+  /**
+   * URL assinada para `filename`, válida por `ttlMs` a partir de agora.
+   */
+  function urlFor(filename) {
+    const expires = Math.floor((now() + ttlMs) / 1000);
+    const query = new URLSearchParams({ expires: String(expires), signature: signatureFor(filename, expires) });
+    return `${DOWNLOADS_PATH}/${encodeURIComponent(filename)}?${query}`;
+  }
+
+  /**
+   * Confere os parâmetros `expires` e `signature` recebidos para `filename`.
+   * A assinatura é checada antes do prazo, para não confirmar a quem não tem
+   * um link legítimo que o arquivo existiu.
+   */
+  function verify(filename, { expires, signature } = {}) {
+    if (typeof expires !== 'string' || !/^\d+$/.test(expires) ||
+        typeof signature !== 'string' || !/^[0-9a-f]{64}$/.test(signature)) {
+      return LINK_STATUS.INVALID;
+    }
+
+    const expected = Buffer.from(signatureFor(filename, expires), 'hex');
+    if (!crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex'))) {
+      return LINK_STATUS.INVALID;
+    }
+    if (Number(expires) * 1000 <= now()) {
+      return LINK_STATUS.EXPIRED;
+    }
+    return LINK_STATUS.VALID;
+  }
+
+  return { urlFor, verify };
+}
+
+module.exports = {
+  DOWNLOADS_PATH,
+  DEFAULT_DOWNLOAD_LINK_TTL_MS,
+  LINK_STATUS,
+  createDownloadLinks
+};
@@ -0,0 +1,115 @@
+/**
+ * Usuários locais do gerador: hash de senha (scrypt) e leitura do arquivo de
+ * usuários (USERS_FILE).
+ *
+ * Papéis:
+ *   - operator → gera fichas e baixa arquivos
+ *   - viewer   → apenas consulta e baixa arquivos já gerados
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = {
+  OPERATOR: 'operator',
+  VIEWER: 'viewer'
+};
+
+const ROLE_LABELS = {
+  [ROLES.OPERATOR]: 'Operador',
+  [ROLES.VIEWER]: 'Leitor'
+};
+
+const HASH_PREFIX = 'scrypt';
+const KEY_LENGTH = 64;
+// Usuário inexistente também paga um scrypt, para não vazar quem existe pelo tempo
+const DUMMY_SALT = crypto.randomBytes(16);
+
+/**
+ * Hash no formato `scrypt$<salt hex>$<hash hex>`.
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const derived = await scrypt(String(password), salt, KEY_LENGTH);
+  return `${HASH_PREFIX}$${salt.toString('hex')}$${derived.toString('hex')}`;
+}
+
+async function verifyPassword(password, storedHash) {
+  const [prefix, saltHex, hashHex] = String(storedHash || '').split('$');
+  if (prefix !== HASH_PREFIX || !saltHex || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, 'hex');
+  if (expected.length !== KEY_LENGTH) return false;
+
+  const derived = await scrypt(String(password), Buffer.from(saltHex, 'hex'), KEY_LENGTH);
+  return crypto.timingSafeEqual(derived, expected);
+}
+
+function isValidRole(role) {
+  return Object.values(ROLES).includes(role);
+}
+
+/**
+ * Valida a lista de usuários: `[{ username, passwordHash, role }]`.
+ * Lança erro descritivo para que uma configuração quebrada impeça a subida.
+ */
+function parseUsers(rawUsers) {
+  if (!Array.isArray(rawUsers)) {
+    throw new Error('O arquivo de usuários deve conter uma lista.');
+  }
+
+  const seen = new Set();
+  return rawUsers.map((user, index) => {
+    const username = user && typeof user.username === 'string' ? user.username.trim() : '';
+    if (!username) {
+      throw new Error(`Usuário #${index + 1} sem username.`);
+    }
+    if (seen.has(username)) {
+      throw new Error(`Usuário duplicado: ${username}.`);
+    }
+    if (!String(user.passwordHash || '').startsWith(`${HASH_PREFIX}$`)) {
+      throw new Error(`Usuário ${username} sem passwordHash válido.`);
+    }
+    if (!isValidRole(user.role)) {
+      throw new Error(`Usuário ${username} com papel inválido: ${user.role}.`);
+    }
+    seen.add(username);
+    return { username, passwordHash: user.passwordHash, role: user.role };
+  });
+}
+
+function loadUsersFile(usersFile) {
+  if (!fs.existsSync(usersFile)) {
+    throw new Error(`Arquivo de usuários não encontrado em ${usersFile}.`);
+  }
+  return parseUsers(JSON.parse(fs.readFileSync(usersFile, 'utf-8')));
+}
+
+/**
+ * Devolve `{ username, role }` quando as credenciais conferem, senão `null`.
+ */
+async function authenticate(users, username, password) {
+  const user = users.find(u => u.username === String(username || '').trim());
+  if (!user) {
+    await scrypt(String(password), DUMMY_SALT, KEY_LENGTH);
+    return null;
+  }
+  if (!(await verifyPassword(password, user.passwordHash))) {
+    return null;
+  }
+  return { username: user.username, role: user.role };
+}
+
+module.exports = {
+  ROLES,
+  ROLE_LABELS,
+  hashPassword,
+  verifyPassword,
+  isValidRole,
+  parseUsers,
+  loadUsersFile,
+  authenticate
+};
@@ -0,0 +1,365 @@
+/**
+ * Interface de linha de comando para geração em lote, sem o servidor web.
+ *
+ *   node generate_sheets.js generate --parent 123 --filter selected_and_alternate --sheet-only --out ./dir
+ *   node generate_sheets.js list-opportunities [--json]
+ *   node generate_sheets.js list-phases --parent 123 [--json]
+ *   echo -n 'senha' | node generate_sheets.js hash-password
+ *
+ * Assim como o app Express, recebe todas as dependências por parâmetro e
+ * reaproveita a validação de src/domain/generation-options.js. Devolve o
+ * código de saída em vez de chamar process.exit, para ser testável.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const {
+  REGISTRATION_FILTERS,
+  ATTACHMENT_MODES,
+  REDACTION_PROFILES,
+  EVALUATOR_IDENTITIES,
+  ZIP_LAYOUTS,
+  DEFAULT_FILTER,
+  DEFAULT_ATTACHMENT_MODE,
+  DEFAULT_REDACTION_PROFILE,
+  DEFAULT_EVALUATOR_IDENTITY,
+  DEFAULT_ZIP_LAYOUT,
+  PSEUDONYMS_UNAVAILABLE_MESSAGE,
+  isValidAttachmentMode,
+  isValidRedactionProfile,
+  isValidEvaluatorIdentity,
+  isEvaluatorIdentityAvailable,
+  isValidZipLayout,
+  includesAttachments,
+  isConsolidated
+} = require('../domain/generation-options');
+const { parsePhaseIds, unknownPhaseIds } = require('../domain/phases');
+const { CUSTOM_FILTER, parseRegistrationFilter } = require('../domain/registration-filter');
+const { parseRegistrationList, withRegistrationList } = require('../domain/registration-list');
+const { FILENAME_TOKENS, parseFilenameTemplate } = require('../domain/file-naming');
+
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Uso: node generate_sheets.js <comando> [opções]
+
+Comandos:
+  serve                       inicia o servidor web (padrão sem comando)
+  generate                    gera as fichas de uma oportunidade
+  list-opportunities          lista as oportunidades-pai disponíveis
+  list-phases                 lista as fases que entram nas fichas
+  hash-password               gera o passwordHash de USERS_FILE (senha pela entrada padrão)
+  help                        mostra esta ajuda
+
+Opções de generate:
+  --parent <id>               oportunidade principal (obrigatório)
+  --filter <filtro>           ${REGISTRATION_FILTERS.map(f => f.value).join(' | ')} (padrão: ${DEFAULT_FILTER})
+  --status <status>           status do filtro custom, separados por vírgula (implica --filter custom)
+  --category <categoria>      só inscrições da categoria
+  --proponent-type <tipo>     só inscrições do tipo de proponente
+  --range <faixa>             só inscrições da faixa
+  --sent-from <aaaa-mm-dd>    só inscrições enviadas a partir do dia
+  --sent-to <aaaa-mm-dd>      só inscrições enviadas até o dia
+  --numbers <números>         só estes números de inscrição, separados por vírgula
+  --numbers-file <arquivo>    só os números de inscrição do CSV ou texto (um por linha),
+                              em qualquer status exceto rascunho, salvo com --filter custom
+  --attachment-mode <modo>    ${ATTACHMENT_MODES.map(m => m.value).join(' | ')} (padrão: ${DEFAULT_ATTACHMENT_MODE})
+  --sheet-only                atalho para --attachment-mode sheet_only
+  --redaction <perfil>        ${REDACTION_PROFILES.map(p => p.value).join(' | ')} (padrão: ${DEFAULT_REDACTION_PROFILE})
+  --evaluators <modo>         ${EVALUATOR_IDENTITIES.map(i => i.value).join(' | ')} (padrão: ${DEFAULT_EVALUATOR_IDENTITY})
+  --phases <ids>              fases incluídas, separadas por vírgula (padrão: todas; ver list-phases)
+  --name-template <modelo>    nome das fichas após ficha_<id>_, com ${FILENAME_TOKENS.map(t => `{${t}}`).join(' ')} (padrão: FICHA_FILENAME_TEMPLATE)
+  --zip-folders <layout>      ${ZIP_LAYOUTS.map(l => l.value).join(' | ')} (padrão: ${DEFAULT_ZIP_LAYOUT})
+  --spreadsheet               grava também a planilha das inscrições (XLSX e CSV)
+  --out <dir>                 diretório de saída (padrão: OUTPUT_DIR)
+
+Opções de list-phases:
+  --parent <id>               oportunidade principal (obrigatório)
+
+Opções de listagem:
+  --json                      saída em JSON
+
+Códigos de saída: ${EXIT_OK} sucesso, ${EXIT_FAILURE} falha na execução (inclusive fichas que falharam), ${EXIT_USAGE} uso inválido.`;
+
+const COMMAND_OPTIONS = {
+  generate: {
+    parent: { type: 'string' },
+    filter: { type: 'string' },
+    status: { type: 'string' },
+    category: { type: 'string' },
+    'proponent-type': { type: 'string' },
+    range: { type: 'string' },
+    'sent-from': { type: 'string' },
+    'sent-to': { type: 'string' },
+    numbers: { type: 'string' },
+    'numbers-file': { type: 'string' },
+    'attachment-mode': { type: 'string' },
+    'sheet-only': { type: 'boolean' },
+    redaction: { type: 'string' },
+    evaluators: { type: 'string' },
+    phases: { type: 'string' },
+    'name-template': { type: 'string' },
+    'zip-folders': { type: 'string' },
+    spreadsheet: { type: 'boolean' },
+    out: { type: 'string' }
+  },
+  'list-opportunities': {
+    json: { type: 'boolean' }
+  },
+  'list-phases': {
+    parent: { type: 'string' },
+    json: { type: 'boolean' }
+  },
+  'hash-password': {}
+};
+
+class UsageError extends Error {}
+
+function parseParentId(value) {
+  const parentId = parseInt(value, 10);
+  if (value === undefined || isNaN(parentId) || parentId <= 0) {
+    throw new UsageError('Informe uma oportunidade válida em --parent.');
+  }
+  return parentId;
+}
+
+function resolveRegistrationFilter(values, deps) {
+  const filterType = values.filter || (values.status ? CUSTOM_FILTER : DEFAULT_FILTER);
+  if (values.status && filterType !== CUSTOM_FILTER) {
+    throw new UsageError(`--status só pode ser usado com --filter ${CUSTOM_FILTER}.`);
+  }
+
+  let registrationFilter;
+  try {
+    registrationFilter = parseRegistrationFilter({
+      filterType,
+      statuses: values.status,
+      category: values.category,
+      proponentType: values['proponent-type'],
+      range: values.range,
+      sentFrom: values['sent-from'],
+      sentTo: values['sent-to'],
+      registrationNumbers: values.numbers
+    });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  if (!values['numbers-file']) return registrationFilter;
+
+  let text;
+  try {
+    text = deps.readFile(values['numbers-file']);
+  } catch (err) {
+    throw new UsageError(`Não foi possível ler ${values['numbers-file']}: ${err.message}`);
+  }
+  try {
+    return withRegistrationList(registrationFilter, parseRegistrationList(text));
+  } catch (err) {
+    throw new UsageError(`${values['numbers-file']}: ${err.message}`);
+  }
+}
+
+function resolveAttachmentMode(values) {
+  const attachmentMode = values['attachment-mode'];
+  if (values['sheet-only']) {
+    if (attachmentMode && attachmentMode !== 'sheet_only') {
+      throw new UsageError('--sheet-only não pode ser combinado com outro --attachment-mode.');
+    }
+    return 'sheet_only';
+  }
+  return attachmentMode || DEFAULT_ATTACHMENT_MODE;
+}
+
+async function runGenerate(values, deps) {
+  const parentId = parseParentId(values.parent);
+  const registrationFilter = resolveRegistrationFilter(values, deps);
+  const attachmentMode = resolveAttachmentMode(values);
+  const redactionProfile = values.redaction || DEFAULT_REDACTION_PROFILE;
+  const evaluatorIdentity = values.evaluators || DEFAULT_EVALUATOR_IDENTITY;
+  const zipLayout = values['zip-folders'] || DEFAULT_ZIP_LAYOUT;
+  const filenameTemplate = (values['name-template'] || '').trim() || null;
+
+  if (!isValidAttachmentMode(attachmentMode)) {
+    throw new UsageError('Tipo de geração inválido.');
+  }
+  if (!isValidRedactionProfile(redactionProfile)) {
+    throw new UsageError('Perfil de ocultação inválido.');
+  }
+  if (!isValidEvaluatorIdentity(evaluatorIdentity)) {
+    throw new UsageError('Identificação de avaliadores inválida.');
+  }
+  if (!isEvaluatorIdentityAvailable(evaluatorIdentity, deps)) {
+    throw new UsageError(PSEUDONYMS_UNAVAILABLE_MESSAGE);
+  }
+  if (!isValidZipLayout(zipLayout)) {
+    throw new UsageError('Organização do ZIP inválida.');
+  }
+  if (filenameTemplate) {
+    try {
+      parseFilenameTemplate(filenameTemplate);
+    } catch (err) {
+      throw new UsageError(err.message);
+    }
+  }
+  let phaseIds;
+  try {
+    phaseIds = parsePhaseIds(values.phases);
+  } catch (err) {
+    throw new UsageError(`${err.message} Use ids separados por vírgula em --phases.`);
+  }
+
+  const opportunity = await deps.fetchOpportunityById(parentId);
+  if (!opportunity) {
+    deps.stderr.write('Oportunidade não encontrada.\n');
+    return EXIT_FAILURE;
+  }
+  if (phaseIds) {
+    const unknown = unknownPhaseIds(await deps.fetchPhasesForOpportunity(parentId), phaseIds);
+    if (unknown.length) {
+      throw new UsageError(`Fase inválida para esta oportunidade: ${unknown.join(', ')}.`);
+    }
+  }
+
+  const outputDir = path.resolve(values.out || deps.outputDir);
+  const { zipFilename, consolidatedFilename = null, spreadsheetFilenames = [], unmatchedNumbers = [], report = null } = await deps.generateFichas(parentId, registrationFilter, includesAttachments(attachmentMode), {
+    outputDir,
+    redactionProfile,
+    evaluatorIdentity,
+    phaseIds,
+    filenameTemplate,
+    zipLayout,
+    consolidated: isConsolidated(attachmentMode),
+    spreadsheet: Boolean(values.spreadsheet)
+  });
+  for (const { number, reason } of unmatchedNumbers) {
+    deps.stderr.write(`Inscrição ${number} sem ficha: ${reason}.\n`);
+  }
+  deps.stdout.write(`${path.join(outputDir, zipFilename)}\n`);
+  for (const filename of [consolidatedFilename, ...spreadsheetFilenames].filter(Boolean)) {
+    deps.stdout.write(`${path.join(outputDir, filename)}\n`);
+  }
+
+  // O ZIP sai mesmo com fichas que falharam; o código de saída avisa o cron
+  if (!report) return EXIT_OK;
+  for (const { registrationNumber, error } of report.registrations.filter(r => r.error)) {
+    deps.stderr.write(`Ficha ${registrationNumber} falhou: ${error}\n`);
+  }
+  const { summary } = report;
+  deps.stderr.write(`${summary.generated} de ${summary.registrations} fichas geradas; ${summary.skippedAttachments} anexo(s) não incluído(s); relatório completo em relatorio.json e relatorio.csv no ZIP.\n`);
+  return summary.failed ? EXIT_FAILURE : EXIT_OK;
+}
+
+function writeList(stdout, items, asJson, formatLine) {
+  if (asJson) {
+    stdout.write(`${JSON.stringify(items, null, 2)}\n`);
+    return;
+  }
+  for (const item of items) stdout.write(`${formatLine(item)}\n`);
+}
+
+async function runListOpportunities(values, deps) {
+  const opportunities = await deps.fetchParentOpportunities();
+  writeList(deps.stdout, opportunities, values.json, o => `${o.id}\t${o.name}`);
+  return EXIT_OK;
+}
+
+async function runListPhases(values, deps) {
+  const parentId = parseParentId(values.parent);
+  const phases = await deps.fetchPhasesForOpportunity(parentId);
+  if (!phases.length) {
+    deps.stderr.write('Oportunidade não encontrada.\n');
+    return EXIT_FAILURE;
+  }
+
+  writeList(deps.stdout, phases, values.json, phase =>
+    `${phase.id}\t${phase.name}${phase.isAppealPhase ? '\t(recurso)' : ''}${phase.isDataCollection === false ? '\t(somente avaliação)' : ''}`
+  );
+  return EXIT_OK;
+}
+
+// A senha vem da entrada padrão para não ficar no histórico nem no `ps`
+async function runHashPassword(values, deps) {
+  const chunks = [];
+  for await (const chunk of deps.stdin) chunks.push(Buffer.from(chunk));
+  const password = Buffer.concat(chunks).toString('utf-8').replace(/\r?\n$/, '');
+  if (!password) {
+    throw new UsageError('Informe a senha pela entrada padrão.');
+  }
+
+  deps.stdout.write(`${await deps.hashPassword(password)}\n`);
+  return EXIT_OK;
+}
+
+const COMMANDS = {
+  generate: runGenerate,
+  'list-opportunities': runListOpportunities,
+  'list-phases': runListPhases,
+  'hash-password': runHashPassword
+};
+
+/**
+ * @param {string[]} argv argumentos após o nome do script
+ * @returns {Promise<number>} código de saída
+ */
+async function runCli(argv, {
+  outputDir,
+  fetchParentOpportunities,
+  fetchOpportunityById,
+  fetchPhasesForOpportunity,
+  generateFichas,
+  hashPassword,
+  pseudonymsAvailable = true,
+  readFile = file => fs.readFileSync(file, 'utf-8'),
+  stdin = process.stdin,
+  stdout = process.stdout,
+  stderr = process.stderr
+}) {
+  const deps = {
+    outputDir,
+    fetchParentOpportunities,
+    fetchOpportunityById,
+    fetchPhasesForOpportunity,
+    generateFichas,
+    hashPassword,
+    pseudonymsAvailable,
+    readFile,
+    stdin,
+    stdout,
+    stderr
+  };
+  const [command, ...args] = argv;
+
+  if (command === 'help' || command === '--help' || command === '-h') {
+    stdout.write(`${USAGE}\n`);
+    return EXIT_OK;
+  }
+
+  const run = COMMANDS[command];
+  if (!run) {
+    stderr.write(`Comando desconhecido: ${command}\n\n${USAGE}\n`);
+    return EXIT_USAGE;
+  }
+
+  try {
+    const { values } = parseArgs({ args, options: COMMAND_OPTIONS[command], strict: true });
+    return await run(values, deps);
+  } catch (err) {
+    if (err instanceof UsageError || err.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' ||
+        err.code === 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE' || err.code === 'ERR_PARSE_ARGS_UNEXPECTED_POSITIONAL') {
+      stderr.write(`${err.message}\n\n${USAGE}\n`);
+      return EXIT_USAGE;
+    }
+    stderr.write(`Erro ao executar ${command}: ${err.message}\n`);
+    return EXIT_FAILURE;
+  }
+}
+
+module.exports = {
+  EXIT_OK,
+  EXIT_FAILURE,
+  EXIT_USAGE,
+  runCli
+};
@@ -0,0 +1,32 @@
+/**
+ * CSV separado por ponto e vírgula, como o Excel em pt-BR espera, com
+ * quebras de linha CRLF.
+ *
+ * Domínio puro: sem acesso a banco.
+ */
+
+// Célula que o Excel e o LibreOffice executariam como fórmula; números
+// (inclusive negativos, com ponto ou vírgula decimal) ficam como estão
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^[+-]?\d+(?:[.,]\d+)?$/;
+
+/**
+ * Texto digitado pelo proponente vai para a célula: o que começa como
+ * fórmula ganha um apóstrofo na frente e é lido como texto (CSV injection).
+ */
+function csvCell(value) {
+  let text = String(value == null ? '' : value);
+  if (FORMULA_PREFIX.test(text) && !PLAIN_NUMBER.test(text)) {
+    text = `'${text}`;
+  }
+  return /[;"\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function rowsToCsv(rows) {
+  return rows.map(row => row.map(csvCell).join(';')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  csvCell,
+  rowsToCsv
+};
@@ -0,0 +1,141 @@
+/**
+ * Datas e horários da ficha no fuso de exibição (padrão America/Sao_Paulo).
+ *
+ *   - "2025-03-09"                 → data de calendário, sem conversão
+ *   - "2025-03-09T17:30:00Z"       → instante com fuso: convertido para o fuso de exibição
+ *   - "2025-03-09T14:30:00-03:00"  → idem
+ *   - "2025-03-09 14:30:00"        → horário sem fuso: lido no fuso de origem
+ *                                    (padrão: o próprio fuso de exibição)
+ *   - Date                         → instante, convertido para o fuso de exibição
+ *
+ * O fuso de origem existe porque o MapasCulturais grava `timestamp without
+ * time zone` no horário do servidor PHP.
+ *
+ * Domínio puro: sem acesso a banco.
+ */
+
+const DEFAULT_TIME_ZONE = 'America/Sao_Paulo';
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?\s*(Z|[+-]\d{2}(?::?\d{2})?)?$/i;
+
+const partsFormatters = new Map();
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function partsFormatter(timeZone) {
+  if (!partsFormatters.has(timeZone)) {
+    partsFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return partsFormatters.get(timeZone);
+}
+
+// Relógio de parede do instante `date` no fuso `timeZone`
+function wallClockAt(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of partsFormatter(timeZone).formatToParts(date)) {
+    parts[type] = Number(value);
+  }
+  return parts;
+}
+
+function wallClockAsUtc({ year, month, day, hour, minute, second }) {
+  return Date.UTC(year, month - 1, day, hour, minute, second);
+}
+
+// Data e horário existentes: 2024-02-31 e 25:00 passam nos padrões, mas não
+// são datas
+function isRealWallClock({ year, month, day, hour = 0, minute = 0, second = 0 }) {
+  const leapYear = year % 4 === 0 && (year % 100 !== 0 || year % 400 === 0);
+  const daysInMonth = [31, leapYear ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31][month - 1];
+  return daysInMonth !== undefined && day >= 1 && day <= daysInMonth &&
+    hour < 24 && minute < 60 && second < 60;
+}
+
+/**
+ * Instante correspondente a um horário de parede no fuso `timeZone`. Ajusta
+ * duas vezes para acertar o deslocamento em datas de horário de verão.
+ */
+function zonedWallClockToDate(wallClock, timeZone) {
+  const asUtc = wallClockAsUtc(wallClock);
+  let instant = asUtc;
+  for (let i = 0; i < 2; i++) {
+    const offset = wallClockAsUtc(wallClockAt(new Date(instant), timeZone)) - instant;
+    instant = asUtc - offset;
+  }
+  return new Date(instant);
+}
+
+function offsetToMinutes(offset) {
+  if (/^z$/i.test(offset)) return 0;
+  const [, sign, hours, minutes = '0'] = offset.match(/^([+-])(\d{2}):?(\d{2})?$/);
+  return (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes));
+}
+
+const pad = number => String(number).padStart(2, '0');
+
+function printDate({ year, month, day }) {
+  return `${pad(day)}/${pad(month)}/${year}`;
+}
+
+function printDateTime(wallClock) {
+  return `${printDate(wallClock)} ${pad(wallClock.hour)}:${pad(wallClock.minute)}:${pad(wallClock.second)}`;
+}
+
+/**
+ * "dd/mm/aaaa" ou "dd/mm/aaaa HH:MM:SS" no fuso de exibição, ou `null` quando
+ * o valor não é data (inclusive datas inexistentes, como 2024-02-31, que
+ * ficam como foram digitadas).
+ */
+function formatDateValue(value, { timeZone = DEFAULT_TIME_ZONE, sourceTimeZone = timeZone } = {}) {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : printDateTime(wallClockAt(value, timeZone));
+  }
+  if (typeof value !== 'string') return null;
+
+  const text = value.trim();
+  const dateMatch = text.match(DATE_PATTERN);
+  if (dateMatch) {
+    const [, year, month, day] = dateMatch.map(Number);
+    return isRealWallClock({ year, month, day }) ? printDate({ year, month, day }) : null;
+  }
+
+  const dateTimeMatch = text.match(DATE_TIME_PATTERN);
+  if (!dateTimeMatch) return null;
+
+  const [, year, month, day, hour, minute, second = 0] = dateTimeMatch.slice(0, 7).map(part => Number(part || 0));
+  const wallClock = { year, month, day, hour, minute, second };
+  if (!isRealWallClock(wallClock)) return null;
+  const offset = dateTimeMatch[7];
+
+  if (offset) {
+    const instant = wallClockAsUtc(wallClock) - offsetToMinutes(offset) * 60 * 1000;
+    return printDateTime(wallClockAt(new Date(instant), timeZone));
+  }
+  if (sourceTimeZone === timeZone) {
+    return printDateTime(wallClock);
+  }
+  return printDateTime(wallClockAt(zonedWallClockToDate(wallClock, sourceTimeZone), timeZone));
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  formatDateValue
+};
@@ -1,8 +1,12 @@
 /**
  * Interpretação das avaliações (registration_evaluation) do MapasCulturais.
  *
- * Domínio puro: o carregamento de seções/critérios é injetado via
- * `loadSectionsForPhase`, de modo que este módulo não conhece o banco.
+ * Cada método de avaliação (evaluation_method_configuration.type) tem o seu
+ * interpretador em EVALUATION_INTERPRETERS. Método sem interpretador próprio
+ * (ex.: 'simple') cai no técnico, que sem seções vira avaliação simplificada.
+ *
+ * Domínio puro: a configuração do método é injetada via
+ * `loadEvaluationMethodForPhase`, de modo que este módulo não conhece o banco.
  */
 
 const { formatAppealStatus } = require('./status');
@@ -19,67 +23,278 @@ function parseEvaluationData(rawEval) {
   return rawEval && typeof rawEval === 'object' ? rawEval : {};
 }
 
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function textOf(value) {
+  return value == null ? '' : String(value).trim();
+}
+
+const EVALUATION_FLAGS = {
+  hasTechnical: false,
+  hasSimplified: false,
+  hasDocumentary: false,
+  hasQualification: false
+};
+
 const EMPTY_EVALUATION_RESULT = {
   evaluations: [],
-  hasTechnical: false,
-  hasSimplified: false
+  ...EVALUATION_FLAGS
 };
 
+const NOT_EVALUATED = 'Não avaliado';
+
+// ------------------------------------------------------------
+// Técnica: nota por critério, agrupada por seção
+// ------------------------------------------------------------
+
+// Arredonda somas e médias para não exibir ruído de ponto flutuante (8.300000001)
+function roundScore(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function sumOf(values) {
+  return values.reduce((sum, value) => sum + value, 0);
+}
+
 /**
- * @param {number} phaseId
- * @param {Array<{evaluation_data: unknown, total_score: number}>} evaluationDataArray
- * @param {(phaseId: number) => Promise<Array>} loadSectionsForPhase
+ * Nota, peso e nota máxima de cada critério; subtotal ponderado de cada
+ * seção (soma de nota × peso) e o total calculado da avaliação. Quando o
+ * total calculado difere de registration_evaluation.result, a avaliação é
+ * marcada com `totalMismatch`.
  */
-async function processEvaluation(phaseId, evaluationDataArray, loadSectionsForPhase) {
-  if (!Array.isArray(evaluationDataArray) || evaluationDataArray.length === 0) {
-    return { ...EMPTY_EVALUATION_RESULT };
-  }
+function interpretTechnical(rawEval, evaluationRow, method) {
+  const sections = method.sections.map(sec => {
+    const criteria = sec.criteria.map(c => {
+      const score = rawEval[c.id] !== undefined ? (Number(rawEval[c.id]) || 0) : 0;
+      const weight = c.weight === undefined ? 1 : c.weight;
+      return {
+        label: c.title || '',
+        score,
+        max: c.max === undefined ? null : c.max,
+        weight,
+        weightedScore: roundScore(score * weight)
+      };
+    });
+    const hasMax = criteria.length > 0 && criteria.every(c => c.max !== null);
 
-  const processedEvaluations = [];
-  let technicalSections = null;
+    return {
+      sectionTitle: sec.name || '',
+      criteria,
+      subtotal: roundScore(sumOf(criteria.map(c => c.score * c.weight))),
+      maxSubtotal: hasMax ? roundScore(sumOf(criteria.map(c => c.max * c.weight))) : null
+    };
+  });
 
-  for (let i = 0; i < evaluationDataArray.length; i++) {
-    const evaluationData = evaluationDataArray[i];
-    const rawEval = parseEvaluationData(evaluationData.evaluation_data);
-    const totalScore = evaluationData.total_score || 0;
-    const evaluator = `#${i + 1}`;
+  const hasTechnical = sections.length > 0;
+  const storedTotal = Number(storedTotalOf(evaluationRow));
+  const computedTotal = roundScore(sumOf(sections.map(sec => sec.subtotal)));
 
-    const parecer = rawEval.obs ? String(rawEval.obs) : '';
-    const status = rawEval.status ? String(rawEval.status) : '';
+  return {
+    sections,
+    computedTotal,
+    maxTotal: hasTechnical && sections.every(sec => sec.maxSubtotal !== null)
+      ? roundScore(sumOf(sections.map(sec => sec.maxSubtotal)))
+      : null,
+    totalMismatch: hasTechnical && Number.isFinite(storedTotal) && roundScore(storedTotal) !== computedTotal,
+    hasTechnical,
+    hasSimplified: !hasTechnical && (evaluationRow.total_score || 0) > 0
+  };
+}
 
-    // As seções técnicas são iguais para toda a fase: carrega uma única vez.
-    if (!technicalSections) {
-      technicalSections = await loadSectionsForPhase(phaseId);
-    }
+/**
+ * Total gravado na avaliação, ou `null` quando ainda não há nota (avaliação
+ * pendente ou em branco): não vale zero na média nem na divergência.
+ */
+function storedTotalOf(evaluationRow) {
+  const total = evaluationRow.total_score;
+  return total === null || total === undefined || total === '' ? null : total;
+}
 
-    const sections = technicalSections.map(sec => ({
-      sectionTitle: sec.name || '',
-      criteria: sec.criteria.map(c => ({
-        label: c.title || '',
-        score: rawEval[c.id] !== undefined ? (Number(rawEval[c.id]) || 0) : 0
-      }))
+// Totais numéricos das avaliações técnicas da fase
+function technicalTotals(evaluations) {
+  return evaluations
+    .filter(e => e.hasTechnical && e.total !== null)
+    .map(e => Number(e.total))
+    .filter(Number.isFinite);
+}
+
+/**
+ * Média dos totais gravados das avaliações técnicas da fase, ou `null` quando
+ * não há nota numérica.
+ */
+function meanTechnicalTotal(evaluations) {
+  const totals = technicalTotals(evaluations);
+  return totals.length ? roundScore(sumOf(totals) / totals.length) : null;
+}
+
+// ------------------------------------------------------------
+// Documental: parecer por campo do formulário
+// ------------------------------------------------------------
+const DOCUMENTARY_VERDICTS = {
+  valid: 'Válido',
+  invalid: 'Inválido'
+};
+
+/**
+ * evaluation_data: `{ "field_12": { label, evaluation: 'valid'|'invalid'|'',
+ * obs_items, obs }, ..., obs }`. O rótulo gravado na avaliação tem
+ * preferência; na falta dele, usa o título atual do campo.
+ */
+function interpretDocumentary(rawEval, evaluationRow, method) {
+  const items = Object.entries(rawEval)
+    .filter(([, item]) => isPlainObject(item) && 'evaluation' in item)
+    .map(([key, item]) => ({
+      label: textOf(item.label) || method.fieldLabels[key] || key,
+      verdict: DOCUMENTARY_VERDICTS[item.evaluation] || NOT_EVALUATED,
+      justification: [textOf(item.obs_items), textOf(item.obs)].filter(Boolean).join(' — ')
     }));
 
-    const hasTechnical = sections.length > 0;
+  let result = '';
+  if (items.some(item => item.verdict === DOCUMENTARY_VERDICTS.invalid)) {
+    result = 'Inválida';
+  } else if (items.length > 0 && items.every(item => item.verdict === DOCUMENTARY_VERDICTS.valid)) {
+    result = 'Válida';
+  }
 
-    processedEvaluations.push({
-      evaluator,
-      sections,
-      status,
-      parecer,
-      total: totalScore,
-      hasTechnical,
-      hasSimplified: !hasTechnical && totalScore > 0
-    });
+  return { items, result, hasDocumentary: true };
+}
+
+// ------------------------------------------------------------
+// Habilitação: atende / não atende por critério, agrupado por seção
+// ------------------------------------------------------------
+const QUALIFICATION_VERDICTS = {
+  valid: 'Atende',
+  invalid: 'Não atende'
+};
+
+const QUALIFICATION_RESULTS = {
+  valid: 'Habilitado',
+  invalid: 'Inabilitado',
+  habilitado: 'Habilitado',
+  inabilitado: 'Inabilitado'
+};
+
+/**
+ * Valor do critério: texto ('valid', 'invalid' ou a opção escolhida), lista
+ * de opções, ou `{ value, reason }`. A justificativa também pode vir em
+ * `<critério>_reason`.
+ */
+function qualificationItem(criterion, rawEval) {
+  const raw = rawEval[criterion.id];
+  const value = isPlainObject(raw) ? raw.value : raw;
+  const reason = isPlainObject(raw)
+    ? textOf(raw.reason || raw.obs)
+    : textOf(rawEval[`${criterion.id}_reason`]);
+
+  const options = (Array.isArray(value) ? value : [value]).map(textOf).filter(Boolean);
+  return {
+    label: criterion.title || '',
+    verdict: options.length
+      ? options.map(option => QUALIFICATION_VERDICTS[option] || option).join(', ')
+      : NOT_EVALUATED,
+    justification: reason
+  };
+}
+
+/**
+ * O Mapas grava o resultado consolidado em registration_evaluation.result;
+ * sem ele, um critério não atendido inabilita.
+ */
+function qualificationResult(storedResult, sections) {
+  const stored = textOf(storedResult);
+  if (stored && Number.isNaN(Number(stored))) {
+    return QUALIFICATION_RESULTS[stored.toLowerCase()] || stored;
+  }
+
+  const criteria = sections.flatMap(sec => sec.criteria);
+  if (criteria.some(c => c.verdict.split(', ').includes(QUALIFICATION_VERDICTS.invalid))) {
+    return QUALIFICATION_RESULTS.invalid;
+  }
+  if (criteria.length > 0 && criteria.every(c => c.verdict !== NOT_EVALUATED)) {
+    return QUALIFICATION_RESULTS.valid;
   }
+  return '';
+}
+
+function interpretQualification(rawEval, evaluationRow, method) {
+  const sections = method.sections.map(sec => ({
+    sectionTitle: sec.name || '',
+    criteria: sec.criteria.map(c => qualificationItem(c, rawEval))
+  }));
 
   return {
-    evaluations: processedEvaluations,
-    hasTechnical: processedEvaluations.some(e => e.hasTechnical),
-    hasSimplified: processedEvaluations.some(e => e.hasSimplified)
+    sections,
+    result: qualificationResult(evaluationRow.total_score, sections),
+    hasQualification: true
   };
 }
 
+/**
+ * Interpretadores por tipo de método. Cada um recebe a avaliação decodificada,
+ * a linha de registration_evaluation e a configuração do método da fase, e
+ * devolve os campos específicos do método mais o seu indicador `has*`.
+ */
+const EVALUATION_INTERPRETERS = {
+  technical: interpretTechnical,
+  documentary: interpretDocumentary,
+  qualification: interpretQualification
+};
+
+function normalizeMethod(method) {
+  return {
+    type: (method && method.type) || null,
+    sections: (method && Array.isArray(method.sections)) ? method.sections : [],
+    fieldLabels: (method && method.fieldLabels) || {}
+  };
+}
+
+/**
+ * @param {number} phaseId
+ * @param {Array<{evaluation_data: unknown, total_score: number|string}>} evaluationDataArray
+ * @param {(phaseId: number) => Promise<{type: string, sections?: Array, fieldLabels?: Object}|null>} loadEvaluationMethodForPhase
+ * @param {{evaluatorLabel?: (evaluationRow: Object, index: number) => string}} [options]
+ *   rótulo de cada avaliador (ver createEvaluatorLabeler em evaluators.js);
+ *   padrão #1, #2...
+ */
+async function processEvaluation(phaseId, evaluationDataArray, loadEvaluationMethodForPhase, {
+  evaluatorLabel = (evaluationRow, index) => `#${index + 1}`
+} = {}) {
+  if (!Array.isArray(evaluationDataArray) || evaluationDataArray.length === 0) {
+    return { ...EMPTY_EVALUATION_RESULT };
+  }
+
+  // A configuração do método é a mesma para toda a fase: carrega uma única vez.
+  const method = normalizeMethod(await loadEvaluationMethodForPhase(phaseId));
+  const interpret = EVALUATION_INTERPRETERS[method.type] || interpretTechnical;
+
+  const processedEvaluations = evaluationDataArray.map((evaluationData, i) => {
+    const rawEval = parseEvaluationData(evaluationData.evaluation_data);
+
+    return {
+      evaluator: evaluatorLabel(evaluationData, i),
+      method: method.type,
+      sections: [],
+      status: rawEval.status ? String(rawEval.status) : '',
+      parecer: rawEval.obs && typeof rawEval.obs !== 'object' ? String(rawEval.obs) : '',
+      total: storedTotalOf(evaluationData),
+      ...EVALUATION_FLAGS,
+      ...interpret(rawEval, evaluationData, method)
+    };
+  });
+
+  const result = { evaluations: processedEvaluations };
+  for (const flag of Object.keys(EVALUATION_FLAGS)) {
+    result[flag] = processedEvaluations.some(e => e[flag]);
+  }
+  if (result.hasTechnical) {
+    result.meanTotal = meanTechnicalTotal(processedEvaluations);
+    result.hasMeanTotal = technicalTotals(processedEvaluations).length > 1;
+  }
+  return result;
+}
+
 /**
  * Resultado de uma fase de recurso: considera sempre a última avaliação.
  */
@@ -103,9 +318,17 @@ function processAppealResult(evaluationDataArray, registrationStatus) {
   };
 }
 
+// Peso, mínimo e máximo chegam como número ou texto ("2", "10.5")
+function criterionNumber(value, fallback) {
+  if (value === undefined || value === null || String(value).trim() === '') return fallback;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
 /**
  * Monta a lista de seções/critérios a partir dos metadados brutos
- * (evaluationmethodconfiguration_meta) de uma fase.
+ * (evaluationmethodconfiguration_meta) de uma fase. Critério sem peso vale 1;
+ * sem mínimo/máximo, fica `null`.
  */
 function buildSectionsWithCriteria(sectionsRaw, criteriaRaw) {
   if (!Array.isArray(sectionsRaw)) return [];
@@ -116,12 +339,21 @@ function buildSectionsWithCriteria(sectionsRaw, criteriaRaw) {
     criteria: Array.isArray(criteriaRaw)
       ? criteriaRaw
           .filter(c => c.sid === sec.id)
-          .map(c => ({ id: c.id, title: c.title, sid: c.sid }))
+          // Critérios de habilitação podem vir com `name` em vez de `title`
+          .map(c => ({
+            id: c.id,
+            title: c.title || c.name,
+            sid: c.sid,
+            weight: criterionNumber(c.weight, 1),
+            min: criterionNumber(c.min, null),
+            max: criterionNumber(c.max, null)
+          }))
       : []
   }));
 }
 
 module.exports = {
+  EVALUATION_INTERPRETERS,
   parseEvaluationData,
   processEvaluation,
   processAppealResult,
@@ -0,0 +1,62 @@
+/**
+ * Identificação dos avaliadores na ficha.
+ *
+ *   - 'anonymous'    → #1, #2... na ordem das avaliações de cada fase
+ *   - 'pseudonymous' → código estável por oportunidade, ex.: AV-3F9A2C. É o
+ *                      mesmo avaliador em todas as fichas da oportunidade, mas
+ *                      não se repete entre oportunidades nem revela o usuário
+ *                      sem o segredo
+ *   - 'named'        → nome do agente do usuário avaliador (auditoria interna)
+ *
+ * Domínio puro: os nomes chegam prontos em `namesByUserId`.
+ */
+
+const crypto = require('crypto');
+
+const EVALUATOR_IDENTITY = {
+  ANONYMOUS: 'anonymous',
+  PSEUDONYMOUS: 'pseudonymous',
+  NAMED: 'named'
+};
+
+function sequentialLabel(row, index) {
+  return `#${index + 1}`;
+}
+
+/**
+ * Pseudônimo do usuário `userId` na oportunidade `opportunityId`.
+ */
+function evaluatorPseudonym(secret, opportunityId, userId) {
+  const digest = crypto.createHmac('sha256', secret).update(`${opportunityId}\n${userId}`).digest('hex');
+  return `AV-${digest.slice(0, 6).toUpperCase()}`;
+}
+
+/**
+ * Devolve `(evaluationRow, index) => rótulo` para processEvaluation. Linhas
+ * sem `user_id` ficam com o rótulo sequencial.
+ */
+function createEvaluatorLabeler({ identity = EVALUATOR_IDENTITY.ANONYMOUS, opportunityId, secret, namesByUserId = {} } = {}) {
+  if (identity === EVALUATOR_IDENTITY.PSEUDONYMOUS) {
+    if (!secret) {
+      throw new Error('createEvaluatorLabeler: secret é obrigatório para pseudônimos.');
+    }
+    return (row, index) => (row.user_id == null
+      ? sequentialLabel(row, index)
+      : evaluatorPseudonym(secret, opportunityId, row.user_id));
+  }
+
+  if (identity === EVALUATOR_IDENTITY.NAMED) {
+    return (row, index) => {
+      if (row.user_id == null) return sequentialLabel(row, index);
+      return namesByUserId[row.user_id] || `Usuário ${row.user_id}`;
+    };
+  }
+
+  return sequentialLabel;
+}
+
+module.exports = {
+  EVALUATOR_IDENTITY,
+  evaluatorPseudonym,
+  createEvaluatorLabeler
+};
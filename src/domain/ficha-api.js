@@ -0,0 +1,197 @@
+/**
+ * Formato JSON da API de fichas (`GET /api/opportunities/:id/fichas` e
+ * `GET /api/opportunities/:id/fichas/:number`): os mesmos dados que a ficha
+ * em PDF mostra, montados do mesmo jeito, para outros sistemas consumirem
+ * sem renderizar PDFs.
+ *
+ * O formato é versionado por FICHA_API_VERSION, que muda quando o formato
+ * mudar de forma incompatível; campos novos não mudam a versão. Campos sem
+ * valor saem como `null`, nunca omitidos. Os valores vêm como na ficha, com
+ * o perfil LGPD e a identificação dos avaliadores aplicados; datas no fuso
+ * de exibição (`dd/mm/aaaa hh:mm:ss`).
+ *
+ * Domínio puro: sem acesso a banco.
+ */
+
+const { STATUS_LABELS } = require('./status');
+const { plainText } = require('./spreadsheet');
+
+const FICHA_API_VERSION = 1;
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+function textOrNull(value) {
+  const text = value == null ? '' : String(value).trim();
+  return text || null;
+}
+
+function numberOrNull(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function positiveInteger(value, fallback, message) {
+  if (value === undefined || value === '') return fallback;
+  if (!/^\d+$/.test(String(value)) || Number(value) < 1) {
+    throw new Error(message);
+  }
+  return Number(value);
+}
+
+/**
+ * Página pedida na query string (`page` a partir de 1, `pageSize` até
+ * MAX_PAGE_SIZE). Lança erro com a mensagem para o cliente quando inválida.
+ */
+function parsePagination({ page, pageSize } = {}) {
+  const size = positiveInteger(pageSize, DEFAULT_PAGE_SIZE, 'Tamanho de página inválido.');
+  if (size > MAX_PAGE_SIZE) {
+    throw new Error(`Tamanho de página acima do máximo (${MAX_PAGE_SIZE}).`);
+  }
+  return { page: positiveInteger(page, 1, 'Página inválida.'), pageSize: size };
+}
+
+/**
+ * `LIMIT`/`OFFSET` da página entre `total` inscrições: a última página pode
+ * vir incompleta e uma página depois do fim dá `null` (nada a buscar).
+ */
+function pageWindow(total, { page, pageSize }) {
+  const offset = (page - 1) * pageSize;
+  if (offset >= total) return null;
+  return { limit: Math.min(pageSize, total - offset), offset };
+}
+
+function criterionToJson(criterion) {
+  return {
+    label: criterion.label || '',
+    score: numberOrNull(criterion.score),
+    max: numberOrNull(criterion.max),
+    weight: numberOrNull(criterion.weight),
+    weightedScore: numberOrNull(criterion.weightedScore),
+    verdict: textOrNull(criterion.verdict),
+    justification: textOrNull(criterion.justification)
+  };
+}
+
+function evaluationToJson(evaluation) {
+  const scored = evaluation.hasTechnical || evaluation.hasSimplified;
+  return {
+    evaluator: evaluation.evaluator,
+    method: evaluation.method || null,
+    status: textOrNull(evaluation.status),
+    parecer: textOrNull(evaluation.parecer),
+    total: scored ? numberOrNull(evaluation.total) : null,
+    computedTotal: evaluation.hasTechnical ? numberOrNull(evaluation.computedTotal) : null,
+    maxTotal: evaluation.hasTechnical ? numberOrNull(evaluation.maxTotal) : null,
+    totalMismatch: Boolean(evaluation.totalMismatch),
+    result: textOrNull(evaluation.result),
+    sections: (evaluation.sections || []).map(section => ({
+      title: textOrNull(section.sectionTitle),
+      subtotal: numberOrNull(section.subtotal),
+      maxSubtotal: numberOrNull(section.maxSubtotal),
+      criteria: (section.criteria || []).map(criterionToJson)
+    })),
+    items: (evaluation.items || []).map(item => ({
+      label: item.label || '',
+      verdict: textOrNull(item.verdict),
+      justification: textOrNull(item.justification)
+    }))
+  };
+}
+
+function phaseToJson(phase) {
+  const evaluation = phase.evaluation || {};
+  return {
+    id: phase.id,
+    name: phase.name,
+    isAppealPhase: Boolean(phase.isAppealPhase),
+    status: textOrNull(phase.regStatusText),
+    fields: (phase.rows || []).map(row => ({
+      label: row.label,
+      value: textOrNull(plainText(row.value)),
+      html: textOrNull(row.value)
+    })),
+    evaluation: {
+      hasTechnical: Boolean(evaluation.hasTechnical),
+      hasSimplified: Boolean(evaluation.hasSimplified),
+      hasDocumentary: Boolean(evaluation.hasDocumentary),
+      hasQualification: Boolean(evaluation.hasQualification),
+      meanTotal: numberOrNull(evaluation.meanTotal),
+      evaluations: (evaluation.evaluations || []).map(evaluationToJson)
+    },
+    appealResult: phase.appealResult
+      ? { status: textOrNull(phase.appealResult.statusText), parecer: textOrNull(phase.appealResult.parecer) }
+      : null,
+    files: (phase.files || []).map(file => ({ fieldId: file.fieldId, field: file.title || '', name: file.name }))
+  };
+}
+
+/**
+ * Ficha no formato da API.
+ *
+ * @param {Object} entry
+ * @param {Object} entry.ficha o modelo entregue ao template da ficha
+ *   (`{ registration_number, created_at, sent_at, evaluatorIdentityNote,
+ *   agent, phases }`, ver renderFichaPdf)
+ * @param {string} [entry.category]
+ * @param {number} entry.status status da inscrição (código do MapasCulturais)
+ * @param {Array<{ phaseId, phaseName, reason, candidates }>} [entry.unmatchedPhases]
+ *   fases sem inscrição casada (ver phase-matching.js)
+ */
+function fichaToJson({ ficha, category = '', status, unmatchedPhases = [] }) {
+  return {
+    registrationNumber: String(ficha.registration_number),
+    agent: { id: ficha.agent.id == null ? null : ficha.agent.id, name: ficha.agent.name || '' },
+    category: textOrNull(category),
+    status: { code: status == null ? null : status, label: STATUS_LABELS[status] || null },
+    createdAt: textOrNull(ficha.created_at),
+    sentAt: textOrNull(ficha.sent_at),
+    evaluatorIdentityNote: textOrNull(ficha.evaluatorIdentityNote),
+    phases: (ficha.phases || []).map(phaseToJson),
+    phasesWithoutMatch: unmatchedPhases.map(({ phaseId, phaseName, reason, candidates = [] }) => ({
+      phaseId,
+      phaseName,
+      reason,
+      candidates
+    }))
+  };
+}
+
+/**
+ * Resposta de `GET /api/opportunities/:id/fichas`: uma página das fichas,
+ * na ordem das inscrições, com o total para paginar.
+ */
+function fichaPageToJson({ opportunityId, page, pageSize, total, entries }) {
+  return {
+    version: FICHA_API_VERSION,
+    opportunityId,
+    page,
+    pageSize,
+    total,
+    totalPages: Math.ceil(total / pageSize),
+    fichas: entries.map(fichaToJson)
+  };
+}
+
+/**
+ * Resposta de `GET /api/opportunities/:id/fichas/:number`.
+ */
+function fichaResponseToJson({ opportunityId, entry }) {
+  return {
+    version: FICHA_API_VERSION,
+    opportunityId,
+    ficha: fichaToJson(entry)
+  };
+}
+
+module.exports = {
+  FICHA_API_VERSION,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parsePagination,
+  pageWindow,
+  fichaToJson,
+  fichaPageToJson,
+  fichaResponseToJson
+};
@@ -0,0 +1,310 @@
+/**
+ * Renderizadores por tipo de campo do MapasCulturais
+ * (registration_field_configuration.field_type).
+ *
+ * Cada renderizador recebe o valor já decodificado (JSON.parse quando
+ * possível, senão o texto bruto) e devolve HTML pronto para a célula da ficha,
+ * com todo texto do proponente escapado. Devolve `null` quando o valor não
+ * tem o formato esperado; aí formatValue usa a formatação genérica.
+ *
+ * Domínio puro: sem acesso a banco.
+ */
+
+function escapeHtml(text) {
+  // &apos; em vez de &#39;: a máscara LGPD troca dígitos e não pode quebrar entidades
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function onlyDigits(value) {
+  return String(value).replace(/\D/g, '');
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function firstFilled(obj, keys) {
+  for (const key of keys) {
+    const value = obj[key];
+    if (value != null && String(value).trim() !== '') return String(value).trim();
+  }
+  return '';
+}
+
+// ------------------------------------------------------------
+// Números e moeda
+// ------------------------------------------------------------
+const numberFormat = new Intl.NumberFormat('pt-BR', { maximumFractionDigits: 6 });
+const currencyFormat = new Intl.NumberFormat('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+/**
+ * Aceita número, "1500.5" (notação JS, como o Mapas grava), "1.500,50" e
+ * "R$ 1.500,50". Devolve `null` para texto que não é número.
+ */
+function parseNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+
+  let text = value.replace(/^\s*R\$/i, '').replace(/\s/g, '');
+  if (!/^-?[\d.,]+$/.test(text)) return null;
+  if (text.includes(',')) {
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else if ((text.match(/\./g) || []).length > 1) {
+    text = text.replace(/\./g, '');
+  }
+
+  const number = Number(text);
+  return Number.isFinite(number) ? number : null;
+}
+
+function renderNumber(value) {
+  const number = parseNumber(value);
+  return number === null ? null : numberFormat.format(number);
+}
+
+function renderCurrency(value) {
+  const number = parseNumber(value);
+  return number === null ? null : `R$ ${currencyFormat.format(number)}`;
+}
+
+// ------------------------------------------------------------
+// Documentos e telefone
+// ------------------------------------------------------------
+function renderCpf(value) {
+  const d = onlyDigits(value);
+  return d.length === 11 ? `${d.slice(0, 3)}.${d.slice(3, 6)}.${d.slice(6, 9)}-${d.slice(9)}` : null;
+}
+
+function renderCnpj(value) {
+  const d = onlyDigits(value);
+  return d.length === 14
+    ? `${d.slice(0, 2)}.${d.slice(2, 5)}.${d.slice(5, 8)}/${d.slice(8, 12)}-${d.slice(12)}`
+    : null;
+}
+
+/**
+ * (85) 99999-8888, (85) 3333-4444 ou, sem DDD, 99999-8888. O código do país
+ * (55) é descartado.
+ */
+function renderPhone(value) {
+  let d = onlyDigits(value);
+  if ((d.length === 12 || d.length === 13) && d.startsWith('55')) d = d.slice(2);
+
+  const local = number => `${number.slice(0, -4)}-${number.slice(-4)}`;
+  if (d.length === 10 || d.length === 11) return `(${d.slice(0, 2)}) ${local(d.slice(2))}`;
+  if (d.length === 8 || d.length === 9) return local(d);
+  return null;
+}
+
+// ------------------------------------------------------------
+// E-mail e links
+// ------------------------------------------------------------
+const EMAIL_PATTERN = /^[^\s@<>"']+@[^\s@<>"']+\.[^\s@<>"']+$/;
+
+function renderEmail(value) {
+  const email = typeof value === 'string' ? value.trim() : '';
+  if (!EMAIL_PATTERN.test(email)) return null;
+  return `<a href="mailto:${escapeHtml(email)}">${escapeHtml(email)}</a>`;
+}
+
+/**
+ * Só http(s) vira link; "www.site.com" ganha https://. Outros esquemas
+ * (javascript:, file:) ficam como texto.
+ */
+function safeHref(url) {
+  const text = typeof url === 'string' ? url.trim() : '';
+  if (/^https?:\/\/\S+$/i.test(text)) return text;
+  if (/^www\.\S+$/i.test(text)) return `https://${text}`;
+  return null;
+}
+
+function renderLink(url, title = '') {
+  const href = safeHref(url);
+  const label = String(title || '').trim() || String(url || '').trim();
+  if (!href) return label ? escapeHtml(label) : '';
+  return `<a href="${escapeHtml(href)}">${escapeHtml(label)}</a>`;
+}
+
+function renderUrl(value) {
+  return safeHref(value) ? renderLink(value) : null;
+}
+
+/**
+ * Campo "links": `[{ title, value }]`, um link por linha.
+ */
+function renderLinks(value) {
+  if (!Array.isArray(value)) return typeof value === 'string' ? renderUrl(value) : null;
+
+  return value
+    .map(item => (isPlainObject(item)
+      ? renderLink(item.value || item.url || '', item.title || item.name || '')
+      : renderLink(item)))
+    .filter(Boolean)
+    .join('<br/>');
+}
+
+// ------------------------------------------------------------
+// Endereços e dados bancários
+// ------------------------------------------------------------
+// Chaves do campo "addresses" e dos metadados En_* do agente
+const ADDRESS_KEYS = {
+  name: ['nome', 'name'],
+  street: ['logradouro', 'En_Nome_Logradouro', 'rua', 'street'],
+  number: ['numero', 'En_Num', 'number'],
+  complement: ['complemento', 'En_Complemento', 'complement'],
+  neighborhood: ['bairro', 'En_Bairro', 'neighborhood'],
+  city: ['cidade', 'municipio', 'En_Municipio', 'city'],
+  state: ['estado', 'uf', 'En_Estado', 'state'],
+  zip: ['cep', 'En_CEP', 'zipcode'],
+  country: ['pais', 'En_Pais', 'country']
+};
+
+function isAddressLike(value) {
+  if (!isPlainObject(value)) return false;
+  return ['street', 'zip', 'city'].some(part => firstFilled(value, ADDRESS_KEYS[part]));
+}
+
+/**
+ * "Sede: Rua X, 123 - Sala 2, Centro, Fortaleza/CE, CEP 60000-000"
+ */
+function renderAddress(value) {
+  if (!isAddressLike(value)) return null;
+
+  const part = name => firstFilled(value, ADDRESS_KEYS[name]);
+  const streetLine = [part('street'), part('number')].filter(Boolean).join(', ') +
+    (part('complement') ? ` - ${part('complement')}` : '');
+  const zip = part('zip');
+
+  const text = [
+    streetLine,
+    part('neighborhood'),
+    [part('city'), part('state')].filter(Boolean).join('/'),
+    zip ? `CEP ${zip}` : '',
+    part('country')
+  ].filter(Boolean).join(', ');
+
+  const name = part('name');
+  return escapeHtml(name ? `${name}: ${text}` : text);
+}
+
+function renderAddresses(value) {
+  if (isPlainObject(value)) return renderAddress(value);
+  if (!Array.isArray(value) || !value.some(isAddressLike)) return null;
+
+  return value.map(renderAddress).filter(Boolean).join('<br/><br/>');
+}
+
+const BANK_KEYS = {
+  bank: ['bank', 'banco', 'bank_number', 'number'],
+  branch: ['branch', 'agencia'],
+  branchDigit: ['dv_branch', 'branch_dv', 'agencia_dv'],
+  account: ['account_number', 'conta'],
+  accountDigit: ['dv_account_number', 'account_number_dv', 'conta_dv'],
+  accountType: ['account_type', 'tipo_conta']
+};
+
+const ACCOUNT_TYPE_LABELS = {
+  1: 'Conta corrente',
+  2: 'Conta poupança',
+  corrente: 'Conta corrente',
+  poupanca: 'Conta poupança'
+};
+
+function renderBankFields(value) {
+  if (!isPlainObject(value)) return null;
+
+  const part = name => firstFilled(value, BANK_KEYS[name]);
+  const withDigit = (main, digit) => (main && digit ? `${main}-${digit}` : main);
+  const bank = part('bank');
+  const branch = withDigit(part('branch'), part('branchDigit'));
+  const account = withDigit(part('account'), part('accountDigit'));
+  if (!bank && !branch && !account) return null;
+
+  const accountType = part('accountType');
+  const accountLabel = ACCOUNT_TYPE_LABELS[accountType.toLowerCase()] || accountType || 'Conta';
+
+  return escapeHtml([
+    bank ? `Banco: ${bank}` : '',
+    branch ? `Agência: ${branch}` : '',
+    account ? `${accountLabel}: ${account}` : ''
+  ].filter(Boolean).join('; '));
+}
+
+// ------------------------------------------------------------
+// Caixas de seleção e listas de opções
+// ------------------------------------------------------------
+const TRUE_VALUES = new Set(['true', '1', 'on', 'sim']);
+const FALSE_VALUES = new Set(['false', '0', 'off', 'nao', 'não', '']);
+
+function renderCheckbox(value) {
+  if (Array.isArray(value) || isPlainObject(value)) return renderOptionList(value);
+
+  const text = String(value).trim().toLowerCase();
+  if (TRUE_VALUES.has(text)) return 'Sim';
+  if (FALSE_VALUES.has(text)) return 'Não';
+  return null;
+}
+
+/**
+ * Opções marcadas, uma por linha: `["A", "B"]` ou `{ "A": true, "B": false }`.
+ */
+function renderOptionList(value) {
+  let options;
+  if (Array.isArray(value)) {
+    options = value;
+  } else if (isPlainObject(value)) {
+    options = Object.entries(value)
+      .filter(([key, checked]) => key !== '$$hashKey' && checked === true)
+      .map(([key]) => key);
+  } else if (typeof value === 'string' || typeof value === 'number') {
+    options = [value];
+  } else {
+    return null;
+  }
+
+  return options
+    .filter(option => option != null && typeof option !== 'object' && String(option).trim() !== '')
+    .map(option => escapeHtml(String(option).trim()))
+    .join('<br/>');
+}
+
+const FIELD_RENDERERS = {
+  currency: renderCurrency,
+  number: renderNumber,
+  cpf: renderCpf,
+  cnpj: renderCnpj,
+  brPhone: renderPhone,
+  phone: renderPhone,
+  email: renderEmail,
+  url: renderUrl,
+  links: renderLinks,
+  addresses: renderAddresses,
+  bankFields: renderBankFields,
+  checkbox: renderCheckbox,
+  checkboxes: renderOptionList,
+  multiselect: renderOptionList
+};
+
+module.exports = {
+  FIELD_RENDERERS,
+  escapeHtml,
+  parseNumber,
+  renderNumber,
+  renderCurrency,
+  renderCpf,
+  renderCnpj,
+  renderPhone,
+  renderEmail,
+  renderUrl,
+  renderLinks,
+  renderAddress,
+  renderAddresses,
+  renderBankFields,
+  renderCheckbox,
+  renderOptionList
+};
@@ -0,0 +1,122 @@
+/**
+ * Nomes dos PDFs das fichas e pastas dentro do ZIP.
+ *
+ * O modelo de nome usa marcadores entre chaves:
+ *
+ *   {number}    número da inscrição (obrigatório: um arquivo por inscrição)
+ *   {agent}     nome do agente, ex.: maria-da-silva
+ *   {status}    status da inscrição, ex.: selecionada
+ *   {category}  categoria da inscrição, ex.: musica
+ *   {phase}     fase de onde vêm as inscrições, ex.: inscricoes
+ *
+ * O arquivo sempre começa com `ficha_<parentId>_` e termina com o sufixo da
+ * geração (anexos, LGPD, avaliadores), que é como generated_files.js
+ * reconhece as fichas de cada oportunidade no OUTPUT_DIR.
+ *
+ * Domínio puro: sem acesso a banco.
+ */
+
+const { formatRegistrationStatus } = require('./status');
+const { slugifyAgentName } = require('./format');
+
+const FILENAME_TOKENS = ['number', 'agent', 'status', 'category', 'phase'];
+
+const DEFAULT_FILENAME_TEMPLATE = '{number}_{agent}';
+
+// Pastas do ZIP agrupado por status
+const STATUS_FOLDERS = {
+  0:  'Não avaliadas',
+  1:  'Pendentes',
+  2:  'Inválidas',
+  3:  'Não selecionadas',
+  8:  'Suplentes',
+  10: 'Selecionadas'
+};
+
+const TEMPLATE_TEXT_PATTERN = /^[A-Za-z0-9_.\-]*$/;
+
+function slugify(text, fallback) {
+  const slug = String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, '-')
+    .replace(/[^a-z0-9\-]/g, '');
+  return slug || fallback;
+}
+
+/**
+ * Modelo de nome validado. Vazio → modelo padrão. Lança erro com mensagem
+ * para o operador quando há marcador desconhecido, falta {number} ou há
+ * caracteres que não servem em nome de arquivo.
+ */
+function parseFilenameTemplate(template) {
+  const text = String(template || '').trim();
+  if (!text) return DEFAULT_FILENAME_TEMPLATE;
+
+  const tokens = [...text.matchAll(/\{([^{}]*)\}/g)].map(match => match[1]);
+  const unknown = tokens.find(token => !FILENAME_TOKENS.includes(token));
+  if (unknown !== undefined) {
+    throw new Error(`Marcador desconhecido no modelo de nome: {${unknown}}.`);
+  }
+  if (!tokens.includes('number')) {
+    throw new Error('O modelo de nome precisa ter {number}, para cada inscrição ter o seu arquivo.');
+  }
+  if (!TEMPLATE_TEXT_PATTERN.test(text.replace(/\{[^{}]*\}/g, ''))) {
+    throw new Error('O modelo de nome só aceita letras, números, "-", "_", "." e marcadores.');
+  }
+  return text;
+}
+
+/**
+ * Valores dos marcadores para uma inscrição (linha de
+ * fetchRegistrationsForPhases) e a fase de onde ela veio.
+ */
+function filenameValuesFor(reg, phase = null) {
+  return {
+    number: String(reg.registration_number || reg.registration_id),
+    agent: slugifyAgentName(reg.agent_name),
+    status: slugify(formatRegistrationStatus(reg.registration_status), 'sem-status'),
+    category: slugify(reg.category, 'sem-categoria'),
+    phase: slugify(phase && phase.name, 'sem-fase')
+  };
+}
+
+/**
+ * `ficha_<parentId>_<modelo preenchido><sufixo>.pdf`
+ */
+function fichaFilename(parentId, values, { template = DEFAULT_FILENAME_TEMPLATE, suffix = '' } = {}) {
+  const name = template.replace(/\{(\w+)\}/g, (_, token) => values[token]);
+  return `ficha_${parentId}_${name}${suffix}.pdf`;
+}
+
+// Texto livre (categoria) como nome de pasta: sem barras nem controles
+function folderName(text, fallback) {
+  const name = String(text || '').replace(/[\\/:*?"<>|\u0000-\u001f]/g, ' ').replace(/\s+/g, ' ').trim();
+  return name || fallback;
+}
+
+/**
+ * Pasta da ficha dentro do ZIP ('' na raiz), conforme o layout de
+ * ZIP_LAYOUTS (ver generation-options.js).
+ */
+function zipFolderFor(zipLayout, reg) {
+  if (zipLayout === 'status') {
+    return `${STATUS_FOLDERS[Number(reg.registration_status)] || 'Outros status'}/`;
+  }
+  if (zipLayout === 'category') {
+    return `${folderName(reg.category, 'Sem categoria')}/`;
+  }
+  return '';
+}
+
+module.exports = {
+  FILENAME_TOKENS,
+  DEFAULT_FILENAME_TEMPLATE,
+  STATUS_FOLDERS,
+  parseFilenameTemplate,
+  filenameValuesFor,
+  fichaFilename,
+  zipFolderFor
+};
@@ -2,9 +2,29 @@
  * Formatação dos valores de campo vindos do MapasCulturais
  * (registration_meta.value + registration_field_configuration.field_type).
  *
+ * O resultado é HTML para a célula da ficha: o texto do proponente sai
+ * escapado e cada field_type conhecido tem seu renderizador
+ * (ver src/domain/field-renderers.js).
+ *
  * Domínio puro: sem acesso a banco.
+ *
+ * Opções aceitas por formatValue/formatField:
+ *   - `redact`: mapa `categoria → ação` do perfil LGPD escolhido na geração
+ *     (ver src/domain/redaction.js); vazio, tudo é exibido.
+ *   - `timeZone` / `sourceTimeZone`: fuso de exibição das datas e fuso dos
+ *     horários gravados sem fuso (ver src/domain/dates.js).
  */
 
+const {
+  REDACTION_ACTIONS,
+  categoryForPersonKey,
+  categoryForField,
+  redactionActionFor,
+  maskDocument
+} = require('./redaction');
+const { FIELD_RENDERERS, escapeHtml, renderAddress } = require('./field-renderers');
+const { formatDateValue } = require('./dates');
+
 const PEOPLE_FIELD_LABELS = {
   name: 'Nome',
   fullName: 'Nome completo',
@@ -51,17 +71,17 @@ function formatNestedValue(value) {
     const truthyKeys = Object.entries(value)
       .filter(([key, entryValue]) => key !== '$$hashKey' && entryValue === true)
       .map(([key]) => key);
-    if (truthyKeys.length) return truthyKeys.join(', ');
+    if (truthyKeys.length) return truthyKeys.map(escapeHtml).join(', ');
 
     return Object.entries(value)
       .filter(([key, entryValue]) => key !== '$$hashKey' && !isBlankValue(entryValue))
-      .map(([key, entryValue]) => `${key}: ${formatNestedValue(entryValue)}`)
+      .map(([key, entryValue]) => `${escapeHtml(key)}: ${formatNestedValue(entryValue)}`)
       .join('; ');
   }
-  return String(value).trim();
+  return escapeHtml(String(value).trim());
 }
 
-function formatPeopleList(people) {
+function formatPeopleList(people, { redact = {} } = {}) {
   if (!Array.isArray(people)) return '';
 
   return people
@@ -73,8 +93,12 @@ function formatPeopleList(people) {
       const parts = [];
       for (const [key, value] of Object.entries(person)) {
         if (key === '$$hashKey' || isBlankValue(value)) continue;
-        const label = PEOPLE_FIELD_LABELS[key] || key;
-        const formattedValue = formatNestedValue(value);
+        const action = redactionActionFor(redact, categoryForPersonKey(key));
+        if (action === REDACTION_ACTIONS.HIDE) continue;
+
+        const label = PEOPLE_FIELD_LABELS[key] || escapeHtml(key);
+        let formattedValue = formatNestedValue(value);
+        if (action === REDACTION_ACTIONS.MASK) formattedValue = maskDocument(formattedValue);
         if (formattedValue) parts.push(`${label}: ${formattedValue}`);
       }
       return parts.join('; ');
@@ -83,25 +107,13 @@ function formatPeopleList(people) {
     .join('<br/><br/>');
 }
 
-function formatValue(raw, fieldType = null) {
+function formatValue(raw, fieldType = null, { redact = {}, timeZone, sourceTimeZone } = {}) {
   if (raw == null) return '';
 
-  // String "YYYY-MM-DD"
-  if (typeof raw === 'string') {
-    const isoDateMatch = raw.match(/^(\d{4})-(\d{2})-(\d{2})$/);
-    if (isoDateMatch) {
-      const [, year, month, day] = isoDateMatch;
-      return `${day}/${month}/${year}`;
-    }
-  }
-  // String "YYYY-MM-DDTHH:MM:SSZ"
-  const isoDateTimeMatch = typeof raw === 'string'
-    ? raw.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}:\d{2}:\d{2})/)
-    : null;
-  if (isoDateTimeMatch) {
-    const [, year, month, day, time] = isoDateTimeMatch;
-    return `${day}/${month}/${year} ${time}`;
-  }
+  // "YYYY-MM-DD", "YYYY-MM-DDTHH:MM:SS[Z|±HH:MM]" ou Date, no fuso de exibição
+  const formattedDate = formatDateValue(raw, { timeZone, sourceTimeZone });
+  if (formattedDate !== null) return formattedDate;
+
   // Tenta JSON.parse(raw)
   let parsed;
   if (typeof raw === 'string') {
@@ -114,12 +126,18 @@ function formatValue(raw, fieldType = null) {
     parsed = raw;
   }
   if (fieldType === 'persons' && Array.isArray(parsed)) {
-    return formatPeopleList(parsed);
+    return formatPeopleList(parsed, { redact });
+  }
+  // Renderizador do field_type; formato inesperado cai no tratamento genérico
+  const renderer = FIELD_RENDERERS[fieldType];
+  if (renderer) {
+    const rendered = renderer(parsed == null ? raw : parsed);
+    if (rendered != null) return rendered;
   }
   if (Array.isArray(parsed)) {
     // Array de strings/números
     if (parsed.every(x => typeof x === 'string' || typeof x === 'number')) {
-      return parsed.map(x => String(x)).join('<br/>');
+      return parsed.map(x => escapeHtml(x)).join('<br/>');
     }
     // Array de objetos: "chave: valor; ..."
     if (parsed.every(x => x && typeof x === 'object' && !Array.isArray(x))) {
@@ -127,15 +145,34 @@ function formatValue(raw, fieldType = null) {
         const parts = [];
         for (const [k, v] of Object.entries(obj)) {
           if (k === '$$hashKey') continue;
-          parts.push(`${k}: ${v}`);
+          parts.push(`${escapeHtml(k)}: ${v && typeof v === 'object' ? formatNestedValue(v) : escapeHtml(v)}`);
         }
         return parts.join('; ');
       });
       return lines.join('<br/><br/>');
     }
   }
+  // Objeto avulso (ex.: endereço de agent-owner-field): sem JSON cru na ficha
+  if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+    return renderAddress(parsed) || formatNestedValue(parsed);
+  }
   // Senão, converte para string simples
-  return String(raw);
+  return escapeHtml(String(raw));
+}
+
+/**
+ * Linha `{ label, value }` da ficha para um campo do formulário, já com o
+ * perfil LGPD aplicado. Devolve `null` quando o campo deve ser ocultado.
+ */
+function formatField({ label, fieldType, value }, options = {}) {
+  const action = redactionActionFor(options.redact, categoryForField(label, fieldType));
+  if (action === REDACTION_ACTIONS.HIDE) return null;
+
+  const formatted = formatValue(value, fieldType, options);
+  return {
+    label,
+    value: action === REDACTION_ACTIONS.MASK ? maskDocument(formatted) : formatted
+  };
 }
 
 /**
@@ -157,5 +194,6 @@ module.exports = {
   formatNestedValue,
   formatPeopleList,
   formatValue,
+  formatField,
   slugifyAgentName
 };
@@ -5,21 +5,96 @@
  * e a validação da rota POST /generate.
  */
 
+// `statuses` são os status de inscrição na fase pai; nulo aceita todos menos
+// "Não avaliada" (0). O filtro personalizado usa os status marcados no
+// formulário (ver src/domain/registration-filter.js)
 const REGISTRATION_FILTERS = [
-  { value: 'selected',               label: 'Apenas selecionadas (status 10)',            statusFilter: 'r.status = 10' },
-  { value: 'selected_and_alternate', label: 'Selecionadas e suplentes (status 8 e 10)',   statusFilter: 'r.status IN (8, 10)' },
-  { value: 'all',                    label: 'Todas inscritas (exceto não avaliadas)',     statusFilter: 'r.status != 0' }
+  { value: 'selected',               label: 'Apenas selecionadas (status 10)',            statuses: [10] },
+  { value: 'selected_and_alternate', label: 'Selecionadas e suplentes (status 8 e 10)',   statuses: [8, 10] },
+  { value: 'all',                    label: 'Todas inscritas (exceto não avaliadas)',     statuses: null },
+  { value: 'custom',                 label: 'Personalizado (escolher status)',            statuses: null }
 ];
 
 const DEFAULT_FILTER = 'selected';
 
+// `consolidated` junta também todas as fichas num PDF único, com capa,
+// sumário e marcadores (ver src/pdf/consolidated.js), além do ZIP
 const ATTACHMENT_MODES = [
-  { value: 'with_attachments', label: 'Ficha + anexos', selected: true,  includesAttachments: true },
-  { value: 'sheet_only',       label: 'Somente ficha',  selected: false, includesAttachments: false }
+  { value: 'with_attachments', label: 'Ficha + anexos',                              selected: true,  includesAttachments: true,  consolidated: false },
+  { value: 'sheet_only',       label: 'Somente ficha',                               selected: false, includesAttachments: false, consolidated: false },
+  { value: 'consolidated',     label: 'Ficha + anexos e PDF único com todas as fichas', selected: false, includesAttachments: true,  consolidated: true }
 ];
 
 const DEFAULT_ATTACHMENT_MODE = 'with_attachments';
 
+// Perfis LGPD: `redact` segue src/domain/redaction.js; `filenameSuffix` evita
+// que a versão ocultada sobrescreva a completa no OUTPUT_DIR
+const REDACTION_PROFILES = [
+  {
+    value: 'full',
+    label: 'Dados completos',
+    selected: true,
+    filenameSuffix: '',
+    redact: {}
+  },
+  {
+    value: 'masked',
+    label: 'LGPD: mascarar CPF/CNPJ e ocultar dados sensíveis',
+    selected: false,
+    filenameSuffix: '_lgpd_mascarado',
+    redact: { cpf: 'mask', cnpj: 'mask', race: 'hide', gender: 'hide', sexualOrientation: 'hide', disability: 'hide', income: 'hide' }
+  },
+  {
+    value: 'hidden',
+    label: 'LGPD: ocultar todos os dados sensíveis',
+    selected: false,
+    filenameSuffix: '_lgpd_oculto',
+    redact: { cpf: 'hide', cnpj: 'hide', race: 'hide', gender: 'hide', sexualOrientation: 'hide', disability: 'hide', income: 'hide' }
+  }
+];
+
+const DEFAULT_REDACTION_PROFILE = 'full';
+
+// Identificação dos avaliadores (ver src/domain/evaluators.js); `note` vai para
+// o cabeçalho da ficha e `filenameSuffix` separa as versões no OUTPUT_DIR.
+// `requiresSecret`: só disponível com o segredo dos pseudônimos configurado
+const EVALUATOR_IDENTITIES = [
+  {
+    value: 'anonymous',
+    label: 'Anônimos (#1, #2...)',
+    selected: true,
+    filenameSuffix: '',
+    note: ''
+  },
+  {
+    value: 'pseudonymous',
+    label: 'Pseudônimos (o mesmo código em toda a oportunidade)',
+    selected: false,
+    filenameSuffix: '_pseudonimos',
+    requiresSecret: true,
+    note: 'Avaliadores identificados por pseudônimo, o mesmo em todas as fichas desta oportunidade.'
+  },
+  {
+    value: 'named',
+    label: 'Nomes reais (auditoria interna)',
+    selected: false,
+    filenameSuffix: '_avaliadores_identificados',
+    note: 'Avaliadores identificados pelo nome. Documento para uso interno.'
+  }
+];
+
+const DEFAULT_EVALUATOR_IDENTITY = 'anonymous';
+
+// Pastas dentro do ZIP (ver zipFolderFor em src/domain/file-naming.js); no
+// OUTPUT_DIR os PDFs ficam sempre na raiz
+const ZIP_LAYOUTS = [
+  { value: 'flat',     label: 'Todas as fichas na raiz do ZIP',                    selected: true },
+  { value: 'status',   label: 'Uma pasta por status (Selecionadas/, Suplentes/...)', selected: false },
+  { value: 'category', label: 'Uma pasta por categoria',                            selected: false }
+];
+
+const DEFAULT_ZIP_LAYOUT = 'flat';
+
 function isValidFilterType(filterType) {
   return REGISTRATION_FILTERS.some(filter => filter.value === filterType);
 }
@@ -28,25 +103,80 @@ function isValidAttachmentMode(attachmentMode) {
   return ATTACHMENT_MODES.some(mode => mode.value === attachmentMode);
 }
 
+function isValidRedactionProfile(redactionProfile) {
+  return REDACTION_PROFILES.some(profile => profile.value === redactionProfile);
+}
+
+function isValidEvaluatorIdentity(evaluatorIdentity) {
+  return EVALUATOR_IDENTITIES.some(identity => identity.value === evaluatorIdentity);
+}
+
 /**
- * Cláusula SQL de status para o filtro escolhido. Desconhecido → padrão.
+ * A identificação pode ser usada com a configuração atual: pseudônimos pedem
+ * EVALUATOR_PSEUDONYM_SECRET ou SESSION_SECRET (`pseudonymsAvailable`).
+ * Identificações desconhecidas ficam para isValidEvaluatorIdentity.
  */
-function statusFilterFor(filterType) {
-  const filter = REGISTRATION_FILTERS.find(f => f.value === filterType);
-  return (filter || REGISTRATION_FILTERS[0]).statusFilter;
+function isEvaluatorIdentityAvailable(evaluatorIdentity, { pseudonymsAvailable }) {
+  const identity = EVALUATOR_IDENTITIES.find(candidate => candidate.value === evaluatorIdentity);
+  return !identity || !identity.requiresSecret || Boolean(pseudonymsAvailable);
+}
+
+const PSEUDONYMS_UNAVAILABLE_MESSAGE =
+  'Pseudônimos de avaliadores indisponíveis: defina EVALUATOR_PSEUDONYM_SECRET ou SESSION_SECRET no .env.';
+
+function isValidZipLayout(zipLayout) {
+  return ZIP_LAYOUTS.some(layout => layout.value === zipLayout);
+}
+
+function attachmentModeFor(attachmentMode) {
+  return ATTACHMENT_MODES.find(mode => mode.value === attachmentMode) ||
+    ATTACHMENT_MODES.find(mode => mode.value === DEFAULT_ATTACHMENT_MODE);
 }
 
 function includesAttachments(attachmentMode) {
-  return attachmentMode === DEFAULT_ATTACHMENT_MODE;
+  return attachmentModeFor(attachmentMode).includesAttachments;
+}
+
+function isConsolidated(attachmentMode) {
+  return attachmentModeFor(attachmentMode).consolidated;
+}
+
+/**
+ * Perfil LGPD pelo valor do formulário. Desconhecido → dados completos.
+ */
+function redactionProfileFor(redactionProfile) {
+  return REDACTION_PROFILES.find(profile => profile.value === redactionProfile) ||
+    REDACTION_PROFILES.find(profile => profile.value === DEFAULT_REDACTION_PROFILE);
+}
+
+/**
+ * Identificação dos avaliadores pelo valor do formulário. Desconhecida → anônimos.
+ */
+function evaluatorIdentityFor(evaluatorIdentity) {
+  return EVALUATOR_IDENTITIES.find(identity => identity.value === evaluatorIdentity) ||
+    EVALUATOR_IDENTITIES.find(identity => identity.value === DEFAULT_EVALUATOR_IDENTITY);
 }
 
 module.exports = {
   REGISTRATION_FILTERS,
   ATTACHMENT_MODES,
+  REDACTION_PROFILES,
+  EVALUATOR_IDENTITIES,
+  ZIP_LAYOUTS,
   DEFAULT_FILTER,
   DEFAULT_ATTACHMENT_MODE,
+  DEFAULT_REDACTION_PROFILE,
+  DEFAULT_EVALUATOR_IDENTITY,
+  DEFAULT_ZIP_LAYOUT,
+  PSEUDONYMS_UNAVAILABLE_MESSAGE,
   isValidFilterType,
   isValidAttachmentMode,
-  statusFilterFor,
-  includesAttachments
+  isValidRedactionProfile,
+  isValidEvaluatorIdentity,
+  isEvaluatorIdentityAvailable,
+  isValidZipLayout,
+  includesAttachments,
+  isConsolidated,
+  redactionProfileFor,
+  evaluatorIdentityFor
 };
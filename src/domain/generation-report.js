@@ -0,0 +1,124 @@
+/**
+ * Relatório da geração em lote, salvo no ZIP como relatorio.json e
+ * relatorio.csv e mostrado na página de resultado.
+ *
+ * Cobre, na ordem das inscrições:
+ *
+ *   - as fichas geradas e as que falharam na renderização, com o erro;
+ *   - os anexos que ficaram de fora do PDF e o motivo (ver src/pdf/attachments.js);
+ *   - as fases em que a inscrição não casou com nenhuma outra (ver
+ *     phase-matching.js), inclusive os casamentos ambíguos;
+ *   - os números pedidos na lista ou no filtro que não viraram ficha (ver
+ *     registration-list.js).
+ *
+ * O formato do JSON é versionado por REPORT_VERSION.
+ *
+ * Domínio puro: sem acesso a banco.
+ */
+
+const { rowsToCsv } = require('./csv');
+
+const REPORT_VERSION = 1;
+
+const REGISTRATION_OUTCOMES = {
+  GENERATED: 'gerada',
+  FAILED: 'falhou'
+};
+
+/**
+ * @param {Object} input
+ * @param {number} input.opportunityId
+ * @param {Date} [input.generatedAt]
+ * @param {Array<{ registrationNumber, agentName, filename, error, skippedAttachments, unmatchedPhases }>} input.outcomes
+ *   resultado de cada inscrição, na ordem da geração. `error` preenchido
+ *   quando a ficha falhou; `skippedAttachments` é
+ *   `[{ phaseName, field, file, reason }]` e `unmatchedPhases`,
+ *   `[{ phaseName, reason, candidates }]`.
+ * @param {Array<{ number, reason, opportunityId, opportunityName }>} [input.unmatchedNumbers]
+ */
+function buildGenerationReport({ opportunityId, generatedAt = new Date(), outcomes, unmatchedNumbers = [] }) {
+  const registrations = [];
+  const skippedAttachments = [];
+  const phasesWithoutMatch = [];
+
+  for (const outcome of outcomes) {
+    const { registrationNumber, agentName = '' } = outcome;
+    registrations.push({
+      registrationNumber,
+      agentName,
+      status: outcome.error ? REGISTRATION_OUTCOMES.FAILED : REGISTRATION_OUTCOMES.GENERATED,
+      filename: outcome.error ? null : outcome.filename,
+      error: outcome.error || null
+    });
+    for (const attachment of outcome.skippedAttachments || []) {
+      skippedAttachments.push({ registrationNumber, ...attachment });
+    }
+    for (const phase of outcome.unmatchedPhases || []) {
+      phasesWithoutMatch.push({ registrationNumber, agentName, ...phase });
+    }
+  }
+
+  const failed = registrations.filter(r => r.status === REGISTRATION_OUTCOMES.FAILED).length;
+  return {
+    version: REPORT_VERSION,
+    opportunityId,
+    generatedAt: generatedAt.toISOString(),
+    summary: {
+      registrations: registrations.length,
+      generated: registrations.length - failed,
+      failed,
+      skippedAttachments: skippedAttachments.length,
+      phasesWithoutMatch: phasesWithoutMatch.length,
+      unmatchedNumbers: unmatchedNumbers.length
+    },
+    registrations,
+    skippedAttachments,
+    phasesWithoutMatch,
+    unmatchedNumbers
+  };
+}
+
+/**
+ * Resumo do resultado de generateFichas para o navegador (evento 'done' e
+ * GET /jobs/:id): os arquivos e as contagens. O relatório completo fica no
+ * servidor, para a página de resultado, e no ZIP.
+ */
+function generationResultSummary({ zipFilename, consolidatedFilename = null, spreadsheetFilenames = [], unmatchedNumbers = [], report = null }) {
+  return {
+    zipFilename,
+    consolidatedFilename,
+    spreadsheetFilenames,
+    summary: report ? report.summary : null,
+    unmatchedNumbers: unmatchedNumbers.length
+  };
+}
+
+/**
+ * CSV (separado por ponto e vírgula, como o Excel em pt-BR espera) com uma
+ * linha por ocorrência do relatório; a coluna `tipo` diz de qual lista ela veio.
+ */
+function generationReportToCsv(report) {
+  const header = ['tipo', 'inscricao', 'agente', 'fase', 'campo', 'arquivo', 'detalhe'];
+  const rows = [
+    ...report.registrations.map(r => r.status === REGISTRATION_OUTCOMES.FAILED
+      ? ['falha_renderizacao', r.registrationNumber, r.agentName, '', '', '', r.error]
+      : ['ficha_gerada', r.registrationNumber, r.agentName, '', '', r.filename, '']),
+    ...report.skippedAttachments.map(a =>
+      ['anexo_nao_incluido', a.registrationNumber, '', a.phaseName, a.field, a.file, a.reason]),
+    ...report.phasesWithoutMatch.map(p =>
+      ['fase_sem_inscricao', p.registrationNumber, p.agentName, p.phaseName, '', '',
+        p.candidates.length ? `${p.reason} Candidatas: ${p.candidates.join(', ')}` : p.reason]),
+    ...report.unmatchedNumbers.map(u =>
+      ['inscricao_sem_ficha', u.number, '', '', '', '',
+        u.opportunityName ? `${u.reason}: ${u.opportunityName} (#${u.opportunityId})` : u.reason])
+  ];
+  return rowsToCsv([header, ...rows]);
+}
+
+module.exports = {
+  REPORT_VERSION,
+  REGISTRATION_OUTCOMES,
+  buildGenerationReport,
+  generationResultSummary,
+  generationReportToCsv
+};
@@ -0,0 +1,123 @@
+/**
+ * Casamento de uma inscrição com as inscrições das demais fases.
+ *
+ * O MapasCulturais grava, em cada inscrição importada para uma fase, o
+ * `previousPhaseRegistrationId` (registration_meta) da inscrição na fase
+ * anterior. A cadeia é seguida para frente, fase a fase, a partir da inscrição
+ * da ficha:
+ *
+ *   - fase pai         → a própria inscrição da ficha
+ *   - fase de recurso  → mesma `registration_number`
+ *   - demais fases     → a inscrição cujo previousPhaseRegistrationId está na
+ *                        cadeia; sem elo na cadeia, a única inscrição do mesmo
+ *                        agente que não pertença à cadeia de outra inscrição
+ *
+ * Quando a cadeia ou o agente apontam para mais de uma inscrição, a fase fica
+ * sem casamento e o caso volta em `issues`. phasesWithoutMatch junta esses
+ * casos às fases em que simplesmente não há inscrição, para o relatório da
+ * geração (ver generation-report.js).
+ *
+ * Domínio puro: sem acesso a banco.
+ */
+
+const MATCH_ISSUES = {
+  AMBIGUOUS_CHAIN: 'Mais de uma inscrição da fase aponta para esta pela cadeia de fases.',
+  AMBIGUOUS_AGENT: 'Sem cadeia de fases, e o agente tem mais de uma inscrição na fase.',
+  NO_REGISTRATION: 'Nenhuma inscrição da fase casa com esta.'
+};
+
+/**
+ * @param {Object} reg inscrição da ficha
+ * @param {Object} context
+ * @param {number} context.parentId
+ * @param {Array<{id: number, name: string, isAppealPhase: boolean}>} context.phases
+ * @param {Object<number, Array>} context.registrationsByPhase
+ * @param {Object<number, number>} context.previousRegistrationIds id da inscrição → previousPhaseRegistrationId
+ * @param {number} context.rootRegistrationId inscrição da ficha na fase pai
+ * @returns {{ byPhase: Object<number, Object|null>, issues: Array<{phaseId, phaseName, reason, candidates}> }}
+ */
+function matchRegistrationAcrossPhases(reg, {
+  parentId,
+  phases,
+  registrationsByPhase,
+  previousRegistrationIds,
+  rootRegistrationId
+}) {
+  const knownRegistrationIds = new Set();
+  for (const regs of Object.values(registrationsByPhase)) {
+    regs.forEach(r => knownRegistrationIds.add(r.registration_id));
+  }
+
+  const chain = new Set([rootRegistrationId, reg.registration_id]);
+  const byPhase = {};
+  const issues = [];
+
+  const reportIssue = (phase, reason, candidates) => issues.push({
+    phaseId: phase.id,
+    phaseName: phase.name,
+    reason,
+    candidates: candidates.map(r => r.registration_number || r.registration_id)
+  });
+
+  for (const phase of phases) {
+    const regsThisPhase = registrationsByPhase[phase.id] || [];
+
+    if (phase.id === parentId) {
+      byPhase[phase.id] = reg;
+      continue;
+    }
+    if (phase.isAppealPhase) {
+      byPhase[phase.id] = regsThisPhase.find(r => r.registration_number === reg.registration_number) || null;
+      continue;
+    }
+
+    let match = null;
+    const linked = regsThisPhase.filter(r => chain.has(previousRegistrationIds[r.registration_id]));
+    if (linked.length === 1) {
+      match = linked[0];
+    } else if (linked.length > 1) {
+      reportIssue(phase, MATCH_ISSUES.AMBIGUOUS_CHAIN, linked);
+    } else {
+      // Inscrição cujo elo aponta para outra inscrição conhecida é de outra cadeia
+      const sameAgent = regsThisPhase.filter(r => {
+        if (r.agent_id !== reg.agent_id) return false;
+        const previousId = previousRegistrationIds[r.registration_id];
+        return previousId == null || !knownRegistrationIds.has(previousId);
+      });
+      if (sameAgent.length === 1) {
+        match = sameAgent[0];
+      } else if (sameAgent.length > 1) {
+        reportIssue(phase, MATCH_ISSUES.AMBIGUOUS_AGENT, sameAgent);
+      }
+    }
+
+    byPhase[phase.id] = match;
+    if (match) chain.add(match.registration_id);
+  }
+
+  return { byPhase, issues };
+}
+
+/**
+ * Fases da ficha sem inscrição casada: as ambíguas de `issues` e as demais
+ * fases (fora a pai e os recursos, que só existem quando há recurso) em que
+ * nenhuma inscrição casou.
+ *
+ * @returns {Array<{phaseId, phaseName, reason, candidates}>} na ordem das fases
+ */
+function phasesWithoutMatch({ parentId, phases, byPhase, issues }) {
+  const result = [];
+  for (const phase of phases) {
+    if (phase.id === parentId || phase.isAppealPhase || byPhase[phase.id]) continue;
+
+    const issue = issues.find(i => i.phaseId === phase.id);
+    result.push(issue || { phaseId: phase.id, phaseName: phase.name, reason: MATCH_ISSUES.NO_REGISTRATION, candidates: [] });
+  }
+  return result;
+}
+
+module.exports = {
+  MATCH_ISSUES,
+  matchRegistrationAcrossPhases,
+  phasesWithoutMatch
+};
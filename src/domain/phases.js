@@ -0,0 +1,74 @@
+/**
+ * Escolha das fases que entram nas fichas.
+ *
+ * As fases vêm de fetchPhasesForOpportunity (oportunidade pai, fases filhas
+ * e recursos), já sem a fase de publicação do resultado final, que no
+ * MapasCulturais é marcada com `isLastPhase` e não tem dados próprios. O
+ * operador pode restringir a geração a algumas delas; a fase pai entra
+ * sempre, porque é dela que saem as inscrições das fichas.
+ *
+ * Domínio puro: sem acesso a banco.
+ */
+
+/**
+ * Ids de fase vindos do formulário (`phaseIds` repetido) ou da CLI
+ * ("11,13"). Devolve `null` quando nada foi informado (todas as fases) e
+ * lança erro quando algum id não é inteiro positivo.
+ */
+function parsePhaseIds(input) {
+  if (input === undefined || input === null || input === '') return null;
+
+  const parts = (Array.isArray(input) ? input : String(input).split(','))
+    .map(part => String(part).trim())
+    .filter(Boolean);
+  if (!parts.length) return null;
+
+  return parts.map(part => {
+    if (!/^\d+$/.test(part) || Number(part) <= 0) {
+      throw new Error(`Fase inválida: ${part}.`);
+    }
+    return Number(part);
+  });
+}
+
+/**
+ * Ids escolhidos que não são fases da oportunidade.
+ */
+function unknownPhaseIds(phases, phaseIds) {
+  const known = new Set(phases.map(phase => phase.id));
+  return (phaseIds || []).filter(id => !known.has(id));
+}
+
+/**
+ * Fases escolhidas, na ordem original. `phaseIds` nulo mantém todas.
+ */
+function selectPhases(phases, parentId, phaseIds) {
+  if (!phaseIds) return phases;
+
+  const chosen = new Set(phaseIds);
+  return phases.filter(phase => phase.id === parentId || chosen.has(phase.id));
+}
+
+/**
+ * Inscrições que viram fichas: as da fase pai ou, se ela não tiver nenhuma,
+ * as da primeira fase filha (sem os recursos) que tiver. `load(phaseId)`
+ * devolve, ou promete, `{ total, registrations }` da fase; as fases são
+ * consultadas em ordem até a primeira com `total` positivo. Resolve com
+ * `{ phaseId, total, registrations }`, com `phaseId` nulo quando nenhuma
+ * fase tem inscrições.
+ */
+async function loadRegistrationPhase(phases, parentId, load) {
+  const candidates = [parentId, ...phases.filter(p => p.id !== parentId && !p.isAppealPhase).map(p => p.id)];
+  for (const phaseId of candidates) {
+    const { total, registrations } = await load(phaseId);
+    if (total > 0) return { phaseId, total, registrations };
+  }
+  return { phaseId: null, total: 0, registrations: [] };
+}
+
+module.exports = {
+  parsePhaseIds,
+  unknownPhaseIds,
+  selectPhases,
+  loadRegistrationPhase
+};
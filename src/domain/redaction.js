@@ -0,0 +1,113 @@
+/**
+ * Ocultação de dados pessoais sensíveis (LGPD) nas fichas.
+ *
+ * Um perfil de ocultação (ver REDACTION_PROFILES em generation-options.js)
+ * traz um mapa `categoria → ação`:
+ *   - 'mask' → mostra só o miolo do documento, ex.: ***.456.789-**
+ *   - 'hide' → o campo some da ficha
+ * Categoria ausente do mapa é exibida normalmente.
+ *
+ * O campo é classificado pela chave (lista de pessoas), pelo field_type
+ * ('cpf', 'cnpj') ou, na falta deles, pelo rótulo. O rótulo é o critério mais
+ * frágil, então os padrões evitam perguntas sobre o projeto como "Gênero
+ * musical" ou "Acessibilidade para pessoas com deficiência".
+ *
+ * Domínio puro: sem acesso a banco.
+ */
+
+const SENSITIVE_CATEGORIES = ['cpf', 'cnpj', 'race', 'gender', 'sexualOrientation', 'disability', 'income'];
+
+const REDACTION_ACTIONS = {
+  MASK: 'mask',
+  HIDE: 'hide'
+};
+
+// Chaves dos objetos de pessoa (field_type 'persons'), ver PEOPLE_FIELD_LABELS
+const PERSON_KEY_CATEGORIES = {
+  cpf: 'cpf',
+  cnpj: 'cnpj',
+  race: 'race',
+  gender: 'gender',
+  sexualOrientation: 'sexualOrientation',
+  deficiencies: 'disability',
+  income: 'income'
+};
+
+const FIELD_TYPE_CATEGORIES = {
+  cpf: 'cpf',
+  cnpj: 'cnpj'
+};
+
+// Rótulos comparados sem acento e em minúsculas; a primeira regra que casa vence
+const LABEL_PATTERNS = [
+  ['cpf', /\bcpf\b/],
+  ['cnpj', /\bcnpj\b/],
+  ['sexualOrientation', /\borientacao sexual\b/],
+  ['gender', /\bidentidade de genero\b|\bseu genero\b|^genero\s*[:?]?$|\bsexo\b/],
+  ['race', /\braca\b|\betnia\b|\betnico.racial\b/],
+  ['disability', /\bpcd\b|\btipo de deficiencia\b|\binformacoes sobre deficiencias\b|\b(e|e uma|voce e|voce e uma) pessoa com deficiencia\b|\bpossui (alguma )?deficiencia\b/],
+  ['income', /\brenda\b|\bfaixa salarial\b/]
+];
+
+function normalizeLabel(label) {
+  return String(label || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim();
+}
+
+function categoryForPersonKey(key) {
+  return PERSON_KEY_CATEGORIES[key] || null;
+}
+
+/**
+ * Categoria sensível de um campo do formulário, ou `null`.
+ */
+function categoryForField(label, fieldType = null) {
+  if (FIELD_TYPE_CATEGORIES[fieldType]) return FIELD_TYPE_CATEGORIES[fieldType];
+
+  const normalized = normalizeLabel(label);
+  const rule = LABEL_PATTERNS.find(([, pattern]) => pattern.test(normalized));
+  return rule ? rule[0] : null;
+}
+
+/**
+ * Ação do perfil para a categoria: 'mask', 'hide' ou `null` (exibir).
+ * Só documentos podem ser mascarados; nas demais categorias 'mask' oculta.
+ */
+function redactionActionFor(rules, category) {
+  const action = category && rules ? rules[category] : null;
+  if (!action) return null;
+  if (action === REDACTION_ACTIONS.MASK && category !== 'cpf' && category !== 'cnpj') {
+    return REDACTION_ACTIONS.HIDE;
+  }
+  return action;
+}
+
+/**
+ * Mascara CPFs (***.456.789-**) e CNPJs (**.345.678/0001-**) encontrados no
+ * texto. Sequências numéricas de outro tamanho têm todos os dígitos trocados
+ * por `*`, já que não dá para saber o que é seguro mostrar.
+ */
+function maskDocument(text) {
+  return String(text).replace(/\d[\d.\/-]*\d|\d/g, match => {
+    const digits = match.replace(/\D/g, '');
+    if (digits.length === 11) {
+      return `***.${digits.slice(3, 6)}.${digits.slice(6, 9)}-**`;
+    }
+    if (digits.length === 14) {
+      return `**.${digits.slice(2, 5)}.${digits.slice(5, 8)}/${digits.slice(8, 12)}-**`;
+    }
+    return match.replace(/\d/g, '*');
+  });
+}
+
+module.exports = {
+  SENSITIVE_CATEGORIES,
+  REDACTION_ACTIONS,
+  categoryForPersonKey,
+  categoryForField,
+  redactionActionFor,
+  maskDocument
+};
@@ -0,0 +1,221 @@
+/**
+ * Filtro das inscrições que viram fichas.
+ *
+ * O formulário e a CLI montam um filtro estruturado:
+ *
+ *   {
+ *     filterType: 'custom',             // predefinido de REGISTRATION_FILTERS
+ *     statuses: [8, 10],                // nulo: todos menos "Não avaliada"
+ *     category: 'Música',               // registration.category
+ *     proponentType: 'Pessoa Física',   // registration.proponent_type
+ *     range: 'Faixa 1',                 // registration.range
+ *     sentFrom: '2025-03-01',           // envio a partir do dia (inclusive)
+ *     sentTo: '2025-03-31',             // envio até o dia (inclusive)
+ *     registrationNumbers: ['on-123']   // nulo: todas as inscrições
+ *   }
+ *
+ * e buildRegistrationFilterSql o transforma em cláusula parametrizada: os
+ * valores vão sempre como parâmetros da query, nunca no texto do SQL.
+ *
+ * Domínio puro: sem acesso a banco.
+ */
+
+const { STATUS_LABELS } = require('./status');
+const { REGISTRATION_FILTERS, DEFAULT_FILTER } = require('./generation-options');
+
+const CUSTOM_FILTER = 'custom';
+
+// Status oferecidos no filtro personalizado, na ordem do formulário
+const REGISTRATION_STATUS_OPTIONS = [10, 8, 3, 2, 1, 0].map(value => ({
+  value,
+  label: STATUS_LABELS[value],
+  selected: value === 10
+}));
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+// Números de inscrição do MapasCulturais (ex.: on-1234, EG1234). Fonte única
+// para o filtro, a lista enviada e as rotas que recebem um número.
+const REGISTRATION_NUMBER_PATTERN = /^[\w-]+$/;
+
+function asList(input) {
+  if (input === undefined || input === null) return [];
+  return Array.isArray(input) ? input : [input];
+}
+
+function optionalText(input) {
+  const text = input === undefined || input === null ? '' : String(input).trim();
+  return text || null;
+}
+
+function parseStatuses(input) {
+  const parts = asList(input)
+    .flatMap(part => String(part).split(','))
+    .map(part => part.trim())
+    .filter(Boolean);
+
+  const statuses = parts.map(part => {
+    const status = Number(part);
+    if (!/^\d+$/.test(part) || !STATUS_LABELS[status]) {
+      throw new Error(`Status de inscrição inválido: ${part}.`);
+    }
+    return status;
+  });
+  if (!statuses.length) {
+    throw new Error('Escolha ao menos um status de inscrição.');
+  }
+  return [...new Set(statuses)].sort((a, b) => a - b);
+}
+
+function parseDate(input) {
+  const text = optionalText(input);
+  if (!text) return null;
+
+  const match = text.match(DATE_PATTERN);
+  const date = match && new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  if (!date || date.toISOString().slice(0, 10) !== text) {
+    throw new Error(`Data de envio inválida: ${text}.`);
+  }
+  return text;
+}
+
+/**
+ * Números de inscrição separados por vírgula, ponto e vírgula, espaço ou
+ * quebra de linha. Devolve `null` quando nada foi informado.
+ */
+function parseRegistrationNumbers(input) {
+  const numbers = asList(input)
+    .flatMap(part => String(part).split(/[\s,;]+/))
+    .filter(Boolean);
+  if (!numbers.length) return null;
+
+  const invalid = numbers.find(number => !REGISTRATION_NUMBER_PATTERN.test(number));
+  if (invalid) {
+    throw new Error(`Número de inscrição inválido: ${invalid}.`);
+  }
+  return [...new Set(numbers)];
+}
+
+/**
+ * Filtro estruturado a partir do corpo do formulário ou das opções da CLI.
+ * Lança erro com mensagem para o operador quando algum campo é inválido.
+ */
+function parseRegistrationFilter(input = {}) {
+  const filterType = input.filterType || DEFAULT_FILTER;
+  const preset = REGISTRATION_FILTERS.find(filter => filter.value === filterType);
+  if (!preset) {
+    throw new Error('Tipo de filtro inválido.');
+  }
+
+  const sentFrom = parseDate(input.sentFrom);
+  const sentTo = parseDate(input.sentTo);
+  if (sentFrom && sentTo && sentFrom > sentTo) {
+    throw new Error('Período de envio inválido: a data inicial é posterior à final.');
+  }
+
+  return {
+    filterType,
+    statuses: filterType === CUSTOM_FILTER ? parseStatuses(input.statuses) : preset.statuses,
+    category: optionalText(input.category),
+    proponentType: optionalText(input.proponentType),
+    range: optionalText(input.range),
+    sentFrom,
+    sentTo,
+    registrationNumbers: parseRegistrationNumbers(input.registrationNumbers)
+  };
+}
+
+/**
+ * Filtro para o nome de um predefinido (como a CLI e as versões anteriores
+ * passavam) ou o próprio filtro estruturado. Nome desconhecido → padrão.
+ */
+function registrationFilterFor(filter) {
+  if (filter && typeof filter === 'object') return filter;
+
+  const known = REGISTRATION_FILTERS.some(preset => preset.value === filter && preset.value !== CUSTOM_FILTER);
+  return parseRegistrationFilter({ filterType: known ? filter : DEFAULT_FILTER });
+}
+
+/**
+ * Cláusula SQL do filtro sobre a tabela `alias`, com placeholders a partir de
+ * `$firstParam`. Devolve `{ sql, params }`.
+ */
+function buildRegistrationFilterSql(filter, { alias = 'r', firstParam = 1 } = {}) {
+  const conditions = [];
+  const params = [];
+  const param = (value, cast = '') => {
+    params.push(value);
+    return `$${firstParam + params.length - 1}${cast}`;
+  };
+
+  if (filter.statuses) {
+    conditions.push(`${alias}.status = ANY(${param(filter.statuses, '::int[]')})`);
+  } else {
+    conditions.push(`${alias}.status != 0`);
+  }
+  if (filter.category) {
+    conditions.push(`${alias}.category = ${param(filter.category)}`);
+  }
+  if (filter.proponentType) {
+    conditions.push(`${alias}.proponent_type = ${param(filter.proponentType)}`);
+  }
+  if (filter.range) {
+    conditions.push(`${alias}.range = ${param(filter.range)}`);
+  }
+  // sent_timestamp é gravado sem fuso, no horário do servidor do Mapas
+  if (filter.sentFrom) {
+    conditions.push(`${alias}.sent_timestamp >= ${param(filter.sentFrom, '::date')}`);
+  }
+  if (filter.sentTo) {
+    conditions.push(`${alias}.sent_timestamp < ${param(filter.sentTo, '::date')} + 1`);
+  }
+  if (filter.registrationNumbers) {
+    conditions.push(`${alias}.number = ANY(${param(filter.registrationNumbers, '::text[]')})`);
+  }
+
+  return { sql: conditions.join(' AND '), params };
+}
+
+/**
+ * Condição das inscrições de `phaseIds` numa geração da fase pai `parentId`:
+ * o filtro vale só para a fase pai, as demais fases entram inteiras. Com
+ * `related` (`{ numbers, agentIds }`), só as inscrições com um desses números
+ * ou agentes. Placeholders a partir de `$1`; devolve `{ sql, params }`.
+ */
+function buildPhaseRegistrationsSql(filter, { phaseIds, parentId, related = null, alias = 'r' }) {
+  const registrationFilter = buildRegistrationFilterSql(filter, { alias, firstParam: 3 });
+  const params = [phaseIds, parentId, ...registrationFilter.params];
+  const conditions = [
+    `${alias}.opportunity_id = ANY($1::int[])`,
+    `(${alias}.opportunity_id != $2 OR (${registrationFilter.sql}))`
+  ];
+  if (related) {
+    params.push(related.numbers, related.agentIds);
+    conditions.push(`(${alias}.number = ANY($${params.length - 1}::text[]) OR ${alias}.agent_id = ANY($${params.length}::int[]))`);
+  }
+  return { sql: conditions.join(' AND '), params };
+}
+
+/**
+ * Resumo legível do filtro, para o log da geração.
+ */
+function describeRegistrationFilter(filter) {
+  const parts = [filter.statuses ? `status ${filter.statuses.join(', ')}` : 'status != 0'];
+  if (filter.category) parts.push(`categoria "${filter.category}"`);
+  if (filter.proponentType) parts.push(`proponente "${filter.proponentType}"`);
+  if (filter.range) parts.push(`faixa "${filter.range}"`);
+  if (filter.sentFrom || filter.sentTo) parts.push(`enviadas entre ${filter.sentFrom || '...'} e ${filter.sentTo || '...'}`);
+  if (filter.registrationNumbers) parts.push(`${filter.registrationNumbers.length} número(s) de inscrição`);
+  return `${filter.filterType}: ${parts.join('; ')}`;
+}
+
+module.exports = {
+  CUSTOM_FILTER,
+  REGISTRATION_NUMBER_PATTERN,
+  REGISTRATION_STATUS_OPTIONS,
+  parseRegistrationFilter,
+  parseRegistrationNumbers,
+  registrationFilterFor,
+  buildRegistrationFilterSql,
+  buildPhaseRegistrationsSql,
+  describeRegistrationFilter
+};
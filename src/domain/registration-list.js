@@ -0,0 +1,169 @@
+/**
+ * Lista de números de inscrição enviada pelo operador (CSV ou texto simples).
+ *
+ * Aceita:
+ *   - um número por linha;
+ *   - números separados por vírgula, ponto e vírgula ou espaço numa linha só;
+ *   - planilha exportada em CSV (`;`, `,` ou tabulação): com cabeçalho, usa a
+ *     coluna cujo título fala em número ou, se nenhuma falar, em inscrição
+ *     ("Data de inscrição" não ganha de "Número"); sem cabeçalho, a primeira.
+ *
+ * Depois da geração, unmatchedRegistrationNumbers explica os números da lista
+ * que não viraram ficha.
+ *
+ * Domínio puro: sem acesso a banco.
+ */
+
+const { CUSTOM_FILTER, REGISTRATION_NUMBER_PATTERN } = require('./registration-filter');
+
+const DELIMITERS = [';', '\t', ','];
+// Títulos da coluna dos números, em ordem de preferência
+const HEADER_PATTERNS = [/numero|number/, /inscricao/];
+
+const UNMATCHED_REASONS = {
+  NOT_FOUND: 'Não encontrada',
+  OTHER_OPPORTUNITY: 'Pertence a outra oportunidade',
+  FILTERED_OUT: 'Fora do filtro escolhido'
+};
+
+function normalizeHeader(cell) {
+  return cell
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+// Células de uma linha CSV, respeitando aspas ("a;b" é uma célula só)
+function splitCsvLine(line, delimiter) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') {
+      if (quoted && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (char === delimiter && !quoted) {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell);
+  return cells.map(value => value.trim());
+}
+
+/**
+ * Números de inscrição do arquivo, sem repetição e na ordem da lista.
+ * Lança erro com a linha do problema quando algum valor não é um número de
+ * inscrição, ou quando a lista está vazia.
+ */
+function parseRegistrationList(text) {
+  const lines = String(text || '')
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .map((line, index) => ({ line: line.trim(), lineNumber: index + 1 }))
+    .filter(({ line }) => line);
+  if (!lines.length) {
+    throw new Error('A lista não tem números de inscrição.');
+  }
+
+  const delimiter = DELIMITERS.find(candidate => lines[0].line.includes(candidate)) || null;
+  const rows = lines.map(({ line, lineNumber }) => ({
+    lineNumber,
+    cells: delimiter ? splitCsvLine(line, delimiter) : [line]
+  }));
+
+  let entries;
+  const headers = rows[0].cells.map(normalizeHeader);
+  const headerColumn = HEADER_PATTERNS
+    .map(pattern => headers.findIndex(header => pattern.test(header)))
+    .find(index => index >= 0);
+  if (headerColumn !== undefined) {
+    entries = rows.slice(1).map(({ lineNumber, cells }) => ({ lineNumber, value: cells[headerColumn] || '' }));
+  } else if (rows.length === 1) {
+    // Linha única: lista corrida de números
+    entries = lines[0].line.split(/[\s,;]+/).map(value => ({ lineNumber: 1, value }));
+  } else {
+    entries = rows.map(({ lineNumber, cells }) => ({ lineNumber, value: cells[0] }));
+  }
+
+  const numbers = [];
+  for (const { lineNumber, value } of entries) {
+    if (!value) continue;
+    if (!REGISTRATION_NUMBER_PATTERN.test(value)) {
+      throw new Error(`Linha ${lineNumber}: número de inscrição inválido: ${value}.`);
+    }
+    numbers.push(value);
+  }
+  if (!numbers.length) {
+    throw new Error('A lista não tem números de inscrição.');
+  }
+  return [...new Set(numbers)];
+}
+
+/**
+ * Filtro de inscrições (ver registration-filter.js) restrito também aos
+ * números da lista, somados aos já digitados no filtro.
+ *
+ * A lista manda no status: o status de um predefinido (por padrão só as
+ * selecionadas) é trocado por qualquer status exceto rascunho, para
+ * recursos deferidos, suplentes e não selecionadas da lista virarem ficha.
+ * Os status escolhidos no filtro personalizado continuam valendo.
+ */
+function withRegistrationList(filter, numbers) {
+  const statusFilter = filter.filterType === CUSTOM_FILTER
+    ? {}
+    : { filterType: 'all', statuses: null };
+  return {
+    ...filter,
+    ...statusFilter,
+    registrationNumbers: [...new Set([...(filter.registrationNumbers || []), ...numbers])]
+  };
+}
+
+/**
+ * Números pedidos que não viraram ficha, com o motivo.
+ *
+ * @param {string[]} requestedNumbers números da lista
+ * @param {string[]} generatedNumbers números das inscrições da geração
+ * @param {Array<{registration_number, opportunity_id, opportunity_name}>} foundRegistrations
+ *   inscrições com os números que faltaram, em qualquer oportunidade
+ * @param {number[]} opportunityPhaseIds fases da oportunidade da geração
+ * @returns {Array<{ number, reason, opportunityId, opportunityName }>}
+ */
+function unmatchedRegistrationNumbers(requestedNumbers, generatedNumbers, foundRegistrations, opportunityPhaseIds) {
+  const generated = new Set(generatedNumbers.map(String));
+  const phaseIds = new Set(opportunityPhaseIds);
+
+  return requestedNumbers
+    .filter(number => !generated.has(number))
+    .map(number => {
+      const found = foundRegistrations.filter(r => String(r.registration_number) === number);
+      if (!found.length) {
+        return { number, reason: UNMATCHED_REASONS.NOT_FOUND, opportunityId: null, opportunityName: null };
+      }
+
+      const inOpportunity = found.find(r => phaseIds.has(r.opportunity_id));
+      const registration = inOpportunity || found[0];
+      return {
+        number,
+        reason: inOpportunity ? UNMATCHED_REASONS.FILTERED_OUT : UNMATCHED_REASONS.OTHER_OPPORTUNITY,
+        opportunityId: registration.opportunity_id,
+        opportunityName: registration.opportunity_name || null
+      };
+    });
+}
+
+module.exports = {
+  UNMATCHED_REASONS,
+  parseRegistrationList,
+  withRegistrationList,
+  unmatchedRegistrationNumbers
+};
@@ -0,0 +1,181 @@
+/**
+ * Planilha da geração: uma linha por inscrição, para a comissão filtrar e
+ * ordenar o que as fichas mostram em PDF.
+ *
+ * Colunas, nesta ordem:
+ *
+ *   - inscrição, agente, categoria, status e envio;
+ *   - para cada fase, na ordem das fases: o status na fase, um campo do
+ *     formulário por coluna, o resultado e o parecer do recurso e, para cada
+ *     avaliação (Avaliação 1, 2...), o avaliador, a nota ou o veredito de cada
+ *     critério, o total, o resultado e o parecer; por fim a média da fase.
+ *
+ * As avaliações são numeradas pela posição na fase, e não pelo rótulo do
+ * avaliador, para as colunas baterem entre inscrições em qualquer modo de
+ * identificação (o rótulo vai na coluna "Avaliador").
+ *
+ * Os valores vêm já formatados para a ficha (perfil LGPD aplicado) e saem
+ * como texto simples; notas e totais ficam numéricos.
+ *
+ * Domínio puro: sem acesso a banco.
+ */
+
+const { rowsToCsv } = require('./csv');
+
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
+
+/**
+ * Texto simples do HTML de um campo da ficha: quebras de linha no lugar de
+ * `<br/>`, sem tags e com as entidades decodificadas. Entidade numérica fora
+ * do Unicode (texto digitado pelo proponente) fica como está.
+ */
+function plainText(html) {
+  return String(html == null ? '' : html)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const point = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return point <= 0x10FFFF ? String.fromCodePoint(point) : entity;
+      }
+      return HTML_ENTITIES[code.toLowerCase()] || entity;
+    })
+    .trim();
+}
+
+function numberOrText(value) {
+  const number = Number(value);
+  return value !== '' && value !== null && Number.isFinite(number) ? number : value;
+}
+
+// Colunas de uma avaliação: chave estável dentro da fase → [cabeçalho, valor]
+function evaluationCells(evaluation) {
+  const cells = [['avaliador', 'Avaliador', evaluation.evaluator]];
+
+  for (const section of evaluation.sections || []) {
+    for (const criterion of section.criteria || []) {
+      const label = section.sectionTitle ? `${section.sectionTitle}: ${criterion.label}` : criterion.label;
+      const value = evaluation.hasTechnical ? criterion.score : criterion.verdict;
+      cells.push([`criterio:${label}`, label, value]);
+    }
+  }
+  if (evaluation.hasTechnical || evaluation.hasSimplified) {
+    cells.push(['total', 'Total', numberOrText(evaluation.total)]);
+  }
+  if (evaluation.hasDocumentary || evaluation.hasQualification) {
+    cells.push(['resultado', 'Resultado', evaluation.result]);
+  }
+  if (evaluation.status) {
+    cells.push(['status', 'Status', evaluation.status]);
+  }
+  cells.push(['parecer', 'Parecer', evaluation.parecer]);
+  return cells;
+}
+
+// Colunas de uma fase da ficha: chave estável dentro da fase → [cabeçalho, valor]
+function phaseCells(phase) {
+  const cells = [['status', 'Status', phase.regStatusText]];
+
+  // Dois campos com o mesmo rótulo na fase viram colunas distintas
+  const seenLabels = new Map();
+  for (const row of phase.rows || []) {
+    const occurrence = (seenLabels.get(row.label) || 0) + 1;
+    seenLabels.set(row.label, occurrence);
+    const header = occurrence > 1 ? `${row.label} (${occurrence})` : row.label;
+    cells.push([`campo:${header}`, header, plainText(row.value)]);
+  }
+
+  if (phase.appealResult) {
+    cells.push(['recurso:resultado', 'Resultado do recurso', phase.appealResult.statusText]);
+    cells.push(['recurso:parecer', 'Parecer do recurso', phase.appealResult.parecer]);
+  }
+
+  const evaluation = phase.evaluation || {};
+  (evaluation.evaluations || []).forEach((item, i) => {
+    for (const [key, header, value] of evaluationCells(item)) {
+      cells.push([`avaliacao:${i + 1}:${key}`, `Avaliação ${i + 1} - ${header}`, value]);
+    }
+  });
+  if (evaluation.hasTechnical && evaluation.meanTotal !== undefined) {
+    cells.push(['media', 'Média', evaluation.meanTotal]);
+  }
+  return cells;
+}
+
+/**
+ * @param {Array<{ registrationNumber, agentName, category, status, sentAt, phases }>} entries
+ *   uma por inscrição, na ordem da geração; `phases` são as fases da ficha
+ *   (`{ id, rows, evaluation, appealResult, regStatusText }`), ou nulo quando
+ *   os dados da inscrição não puderam ser montados
+ * @param {Array<{ id, name }>} phases todas as fases da geração, na ordem
+ * @returns {{ columns: string[], rows: Array<Array<string|number|null>> }}
+ */
+function buildRegistrationSpreadsheet(entries, phases) {
+  const baseColumns = [
+    ['numero', 'Inscrição'],
+    ['agente', 'Agente'],
+    ['categoria', 'Categoria'],
+    ['status', 'Status'],
+    ['envio', 'Enviada em']
+  ];
+
+  // Cabeçalhos de cada fase na ordem em que aparecem nas inscrições
+  const headersByPhase = new Map(phases.map(phase => [phase.id, new Map()]));
+  const valuesByEntry = entries.map(entry => {
+    const values = new Map([
+      ['numero', entry.registrationNumber],
+      ['agente', entry.agentName],
+      ['categoria', entry.category],
+      ['status', entry.status],
+      ['envio', entry.sentAt]
+    ]);
+    for (const phase of entry.phases || []) {
+      const headers = headersByPhase.get(phase.id);
+      if (!headers) continue;
+      for (const [key, header, value] of phaseCells(phase)) {
+        if (!headers.has(key)) headers.set(key, header);
+        values.set(`${phase.id}|${key}`, value);
+      }
+    }
+    return values;
+  });
+
+  const columns = [...baseColumns];
+  for (const phase of phases) {
+    for (const [key, header] of headersByPhase.get(phase.id)) {
+      columns.push([`${phase.id}|${key}`, `${phase.name} - ${header}`]);
+    }
+  }
+
+  return {
+    columns: columns.map(([, header]) => header),
+    rows: valuesByEntry.map(values => columns.map(([key]) => {
+      const value = values.get(key);
+      return value === undefined || value === '' ? null : value;
+    }))
+  };
+}
+
+/**
+ * CSV da planilha, para quem não abre XLSX. Números com vírgula decimal,
+ * como o Excel em pt-BR lê.
+ */
+function spreadsheetToCsv({ columns, rows }) {
+  return rowsToCsv([
+    columns,
+    ...rows.map(row => row.map(value => (typeof value === 'number' ? String(value).replace('.', ',') : value)))
+  ]);
+}
+
+module.exports = {
+  plainText,
+  buildRegistrationSpreadsheet,
+  spreadsheetToCsv
+};
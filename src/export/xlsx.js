@@ -0,0 +1,154 @@
+/**
+ * Planilha XLSX de uma aba, escrita direto no formato Office Open XML (um ZIP
+ * de arquivos XML, montado com o archiver), sem biblioteca de planilhas.
+ *
+ * Cobre o que a planilha da geração precisa: cabeçalho em negrito, fixo e
+ * com filtro; texto com quebras de linha; números como números.
+ */
+
+const archiver = require('archiver');
+
+const NS_MAIN = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const NS_RELS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const NS_PACKAGE_RELS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+// Limites do Excel
+const MAX_CELL_LENGTH = 32767;
+const MAX_SHEET_NAME_LENGTH = 31;
+
+// Estilos em styles.xml: 0 padrão, 1 cabeçalho, 2 texto com quebra de linha
+const STYLE_HEADER = 1;
+const STYLE_WRAP = 2;
+
+const COLUMN_WIDTH = 24;
+
+// A, B, ..., Z, AA, AB...
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+// Texto de célula: sem caracteres de controle que o XML não aceita
+function xmlText(value) {
+  return String(value)
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/g, '')
+    .slice(0, MAX_CELL_LENGTH)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function sheetName(name) {
+  return String(name).replace(/[\[\]:*?/\\]/g, ' ').slice(0, MAX_SHEET_NAME_LENGTH) || 'Planilha';
+}
+
+function cellXml(ref, value, style) {
+  if (value === null || value === undefined || value === '') return '';
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"${style ? ` s="${style}"` : ''}><v>${value}</v></c>`;
+  }
+  return `<c r="${ref}" t="inlineStr"${style ? ` s="${style}"` : ''}><is><t xml:space="preserve">${xmlText(value)}</t></is></c>`;
+}
+
+function rowXml(rowNumber, values, style) {
+  const cells = values.map((value, i) => cellXml(`${columnName(i)}${rowNumber}`, value, style)).join('');
+  return `<row r="${rowNumber}">${cells}</row>`;
+}
+
+function worksheetXml({ columns, rows }) {
+  const lastColumn = columnName(Math.max(columns.length, 1) - 1);
+  const lastRow = rows.length + 1;
+  return XML_HEADER +
+    `<worksheet xmlns="${NS_MAIN}" xmlns:r="${NS_RELS}">` +
+    `<dimension ref="A1:${lastColumn}${lastRow}"/>` +
+    '<sheetViews><sheetView workbookViewId="0">' +
+    '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+    '</sheetView></sheetViews>' +
+    `<cols><col min="1" max="${Math.max(columns.length, 1)}" width="${COLUMN_WIDTH}" customWidth="1"/></cols>` +
+    '<sheetData>' +
+    rowXml(1, columns, STYLE_HEADER) +
+    rows.map((row, i) => rowXml(i + 2, row, STYLE_WRAP)).join('') +
+    '</sheetData>' +
+    `<autoFilter ref="A1:${lastColumn}${lastRow}"/>` +
+    '</worksheet>';
+}
+
+const STYLES_XML = XML_HEADER +
+  `<styleSheet xmlns="${NS_MAIN}">` +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="3">' +
+  '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+  '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0" applyAlignment="1"><alignment vertical="top" wrapText="1"/></xf>' +
+  '</cellXfs>' +
+  '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+  '</styleSheet>';
+
+/**
+ * Arquivos do pacote XLSX (caminho → XML).
+ *
+ * @param {{ columns: string[], rows: Array<Array<string|number|null>> }} sheet
+ * @param {{ sheetName?: string }} [options]
+ */
+function xlsxParts(sheet, { sheetName: name = 'Planilha' } = {}) {
+  return {
+    '[Content_Types].xml': XML_HEADER +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      '</Types>',
+    '_rels/.rels': XML_HEADER +
+      `<Relationships xmlns="${NS_PACKAGE_RELS}">` +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      '</Relationships>',
+    'xl/workbook.xml': XML_HEADER +
+      `<workbook xmlns="${NS_MAIN}" xmlns:r="${NS_RELS}">` +
+      `<sheets><sheet name="${xmlText(sheetName(name))}" sheetId="1" r:id="rId1"/></sheets>` +
+      // Filtro do cabeçalho: o Excel exige o nome definido junto com o autoFilter
+      `<definedNames><definedName name="_xlnm._FilterDatabase" localSheetId="0" hidden="1">'${xmlText(sheetName(name)).replace(/'/g, "''")}'!$A$1:$${columnName(Math.max(sheet.columns.length, 1) - 1)}$${sheet.rows.length + 1}</definedName></definedNames>` +
+      '</workbook>',
+    'xl/_rels/workbook.xml.rels': XML_HEADER +
+      `<Relationships xmlns="${NS_PACKAGE_RELS}">` +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+      '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+      '</Relationships>',
+    'xl/styles.xml': STYLES_XML,
+    'xl/worksheets/sheet1.xml': worksheetXml(sheet)
+  };
+}
+
+/**
+ * Monta o arquivo XLSX em memória.
+ *
+ * @returns {Promise<Buffer>}
+ */
+function buildXlsx(sheet, options) {
+  return new Promise((resolve, reject) => {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const chunks = [];
+    archive.on('data', chunk => chunks.push(chunk));
+    archive.on('end', () => resolve(Buffer.concat(chunks)));
+    archive.on('error', reject);
+    for (const [name, xml] of Object.entries(xlsxParts(sheet, options))) {
+      archive.append(xml, { name });
+    }
+    archive.finalize();
+  });
+}
+
+module.exports = {
+  columnName,
+  xlsxParts,
+  buildXlsx
+};
@@ -0,0 +1,126 @@
+/**
+ * Registro em memória dos jobs de geração de fichas.
+ *
+ * Cada job guarda o histórico de eventos ('progress', 'done', 'failed') para
+ * que um cliente que se conecte depois do início — ou que reconecte o
+ * EventSource — receba tudo desde o começo. Nada aqui conhece Express,
+ * banco ou Puppeteer: quem inicia o job injeta a função de trabalho.
+ */
+
+const { randomUUID } = require('crypto');
+const { EventEmitter } = require('events');
+
+const JOB_STATUS = {
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed'
+};
+
+// Jobs concluídos ficam disponíveis por 1h para a página de resultado
+const DEFAULT_JOB_TTL_MS = 60 * 60 * 1000;
+
+function isFinished(job) {
+  return job.status !== JOB_STATUS.RUNNING;
+}
+
+/**
+ * Visão pública do job, sem o emitter nem o histórico completo. O resultado
+ * sai resumido (ver `summarize` em start); o completo fica em `job.result`.
+ */
+function jobSnapshot(job) {
+  const lastProgress = [...job.events].reverse().find(event => event.type === 'progress');
+
+  return {
+    id: job.id,
+    status: job.status,
+    progress: lastProgress ? lastProgress.data : null,
+    result: job.summary,
+    error: job.error
+  };
+}
+
+function createJobStore({ ttlMs = DEFAULT_JOB_TTL_MS, now = Date.now, idFactory = randomUUID } = {}) {
+  const jobs = new Map();
+
+  function prune() {
+    const limit = now() - ttlMs;
+    for (const [id, job] of jobs) {
+      if (isFinished(job) && job.finishedAt < limit) jobs.delete(id);
+    }
+  }
+
+  /**
+   * Inicia `run(reportProgress)` em segundo plano e devolve o job na hora.
+   * O valor resolvido vira `job.result`; uma rejeição marca o job como falho.
+   * `summarize(result)` dá o que vai para o cliente no evento 'done' e no
+   * snapshot (padrão: o resultado inteiro).
+   */
+  function start(meta, run, { summarize = result => result } = {}) {
+    prune();
+
+    const job = {
+      id: idFactory(),
+      meta,
+      status: JOB_STATUS.RUNNING,
+      events: [],
+      result: null,
+      summary: null,
+      error: null,
+      createdAt: now(),
+      finishedAt: null,
+      emitter: new EventEmitter()
+    };
+    jobs.set(job.id, job);
+
+    const emit = (type, data) => {
+      const event = { type, data };
+      job.events.push(event);
+      job.emitter.emit('event', event);
+    };
+
+    Promise.resolve()
+      .then(() => run(progress => {
+        if (!isFinished(job)) emit('progress', progress);
+      }))
+      .then(result => {
+        job.status = JOB_STATUS.DONE;
+        job.result = result;
+        job.summary = summarize(result);
+        job.finishedAt = now();
+        emit('done', { result: job.summary });
+      }, err => {
+        job.status = JOB_STATUS.FAILED;
+        job.error = err && err.message ? err.message : String(err);
+        job.finishedAt = now();
+        emit('failed', { error: job.error });
+      });
+
+    return job;
+  }
+
+  function get(id) {
+    return jobs.get(id) || null;
+  }
+
+  /**
+   * Reenvia o histórico do job e passa a escutar os próximos eventos.
+   * Devolve a função que cancela a inscrição.
+   */
+  function subscribe(job, listener) {
+    for (const event of job.events) listener(event);
+    if (isFinished(job)) return () => {};
+
+    job.emitter.on('event', listener);
+    return () => job.emitter.off('event', listener);
+  }
+
+  return { start, get, subscribe };
+}
+
+module.exports = {
+  JOB_STATUS,
+  DEFAULT_JOB_TTL_MS,
+  createJobStore,
+  jobSnapshot,
+  isFinished
+};
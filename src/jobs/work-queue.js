@@ -0,0 +1,36 @@
+/**
+ * Fila de trabalho com limite de concorrência.
+ *
+ * Os itens são retirados da fila na ordem de entrada por até `concurrency`
+ * workers simultâneos. O resultado preserva a ordem dos itens e segue o
+ * formato de Promise.allSettled: a falha de um item não interrompe os demais.
+ */
+
+/**
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} concurrency
+ * @param {(item: T, index: number) => Promise<R>} worker
+ * @returns {Promise<Array<{status: 'fulfilled', value: R} | {status: 'rejected', reason: unknown}>>}
+ */
+async function runWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  const limit = Math.max(1, Math.min(Number(concurrency) || 1, items.length));
+  let nextIndex = 0;
+
+  async function runWorker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: limit }, runWorker));
+  return results;
+}
+
+module.exports = { runWithConcurrency };
@@ -0,0 +1,194 @@
+/**
+ * Anexos da inscrição juntados ao PDF da ficha ("Ficha + anexos").
+ *
+ * Os anexos vêm na ordem dos campos de arquivo da fase (display_order) e cada
+ * um é precedido por uma página separadora com o título do campo. Cada anexo
+ * vira páginas do PDF final, via pdf-lib:
+ *
+ *   - PDF         → páginas copiadas como estão
+ *   - JPG e PNG   → uma página A4 com a imagem reduzida (ou ampliada) para
+ *                   caber nas margens, deitada quando a imagem é larga
+ *   - demais tipos, e arquivos que não abrem → página de aviso com o nome do
+ *                   arquivo que ficou de fora, para o avaliador saber que ele
+ *                   existe e procurá-lo no Mapas
+ *
+ * buildAttachmentBundle monta esse caderno de anexos à parte e diz em que
+ * página dele cada anexo começa, para a tabela de anexos da ficha apontar a
+ * página certa depois da junção.
+ */
+
+const path = require('path');
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const { A4_WIDTH, A4_HEIGHT, PAGE_MARGIN, winAnsiText, wrapText } = require('./pdf-text');
+
+const ATTACHMENT_TYPES = {
+  '.pdf': 'pdf',
+  '.jpg': 'jpg',
+  '.jpeg': 'jpg',
+  '.png': 'png'
+};
+
+const SKIP_REASONS = {
+  MISSING: 'Arquivo não encontrado no servidor',
+  UNSUPPORTED: 'Tipo de arquivo não suportado na ficha',
+  INVALID_PDF: 'PDF inválido ou protegido',
+  INVALID_IMAGE: 'Imagem inválida ou corrompida'
+};
+
+/**
+ * Tipo do anexo pela extensão: 'pdf', 'jpg', 'png' ou null (não suportado).
+ */
+function attachmentType(filename) {
+  return ATTACHMENT_TYPES[path.extname(String(filename || '')).toLowerCase()] || null;
+}
+
+async function appendPdf(doc, buffer) {
+  const pdf = await PDFDocument.load(buffer);
+  const pages = await doc.copyPages(pdf, pdf.getPageIndices());
+  pages.forEach(page => doc.addPage(page));
+}
+
+async function appendImage(doc, buffer, type) {
+  // O leitor de JPG do pdf-lib lê `bytes.buffer` desde o início: um Buffer
+  // pequeno do Node é uma fatia de um bloco compartilhado, então vai uma cópia
+  const bytes = Uint8Array.from(buffer);
+  const image = type === 'png' ? await doc.embedPng(bytes) : await doc.embedJpg(bytes);
+  const landscape = image.width > image.height;
+  const [pageWidth, pageHeight] = landscape ? [A4_HEIGHT, A4_WIDTH] : [A4_WIDTH, A4_HEIGHT];
+
+  const scale = Math.min(
+    (pageWidth - 2 * PAGE_MARGIN) / image.width,
+    (pageHeight - 2 * PAGE_MARGIN) / image.height
+  );
+  const width = image.width * scale;
+  const height = image.height * scale;
+
+  const page = doc.addPage([pageWidth, pageHeight]);
+  page.drawImage(image, {
+    x: (pageWidth - width) / 2,
+    y: (pageHeight - height) / 2,
+    width,
+    height
+  });
+}
+
+// Título e linhas de texto numa página A4 nova, com as fontes padrão
+async function appendTextPage(doc, title, paragraphs) {
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  const bold = await doc.embedFont(StandardFonts.HelveticaBold);
+  const page = doc.addPage([A4_WIDTH, A4_HEIGHT]);
+  const maxWidth = A4_WIDTH - 2 * PAGE_MARGIN;
+
+  let y = A4_HEIGHT - PAGE_MARGIN - 18;
+  for (const line of wrapText(winAnsiText(title), bold, 16, maxWidth)) {
+    page.drawText(line, { x: PAGE_MARGIN, y, size: 16, font: bold });
+    y -= 22;
+  }
+
+  for (const { text, size, color } of paragraphs) {
+    y -= 10;
+    for (const line of wrapText(winAnsiText(text), font, size, maxWidth)) {
+      page.drawText(line, { x: PAGE_MARGIN, y, size, font, color });
+      y -= size + 4;
+    }
+  }
+}
+
+async function appendPlaceholder(doc, name, reason) {
+  await appendTextPage(doc, 'Anexo não incluído nesta ficha', [
+    { text: name, size: 12 },
+    { text: `${reason}. O arquivo continua disponível na inscrição, no Mapas Culturais.`, size: 10, color: rgb(0.3, 0.3, 0.3) }
+  ]);
+}
+
+async function appendSeparator(doc, { title, phaseName, name }) {
+  await appendTextPage(doc, title || 'Anexo', [
+    { text: phaseName ? `Anexo da fase ${phaseName}` : 'Anexo', size: 12, color: rgb(0.3, 0.3, 0.3) },
+    { text: name, size: 12 }
+  ]);
+}
+
+/**
+ * Acrescenta o conteúdo de um anexo `{ name, buffer }` ao documento
+ * (`buffer` nulo: arquivo não encontrado). Devolve `null` quando o conteúdo
+ * entrou, ou o motivo quando só a página de aviso entrou.
+ */
+async function appendAttachment(doc, { name, buffer }) {
+  const type = attachmentType(name);
+  let reason = buffer ? SKIP_REASONS.UNSUPPORTED : SKIP_REASONS.MISSING;
+
+  if (type && buffer) {
+    try {
+      if (type === 'pdf') {
+        await appendPdf(doc, buffer);
+      } else {
+        await appendImage(doc, buffer, type);
+      }
+      return null;
+    } catch {
+      reason = type === 'pdf' ? SKIP_REASONS.INVALID_PDF : SKIP_REASONS.INVALID_IMAGE;
+    }
+  }
+
+  await appendPlaceholder(doc, name, reason);
+  return reason;
+}
+
+/**
+ * Caderno de anexos: para cada `{ name, buffer, title, phaseName }`, a página
+ * separadora com o título do campo e o conteúdo do arquivo.
+ *
+ * @returns {Promise<{ pdf: Uint8Array, pageCount: number, startPages: number[], skipped: Array<{ index, reason }> }>}
+ *   `startPages[i]` é a página (a partir de 0) do separador do anexo `i`;
+ *   `skipped`, os anexos que só ganharam a página de aviso, para o relatório
+ */
+async function buildAttachmentBundle(attachments, { logger = console } = {}) {
+  const doc = await PDFDocument.create();
+  const startPages = [];
+  const skipped = [];
+
+  for (const [index, attachment] of attachments.entries()) {
+    startPages.push(doc.getPageCount());
+    await appendSeparator(doc, attachment);
+    const reason = await appendAttachment(doc, attachment);
+    if (reason) {
+      logger.warn(`Anexo ${attachment.name} não incluído (${reason}); página de aviso no lugar.`);
+      skipped.push({ index, reason });
+    }
+  }
+
+  return { pdf: await doc.save(), pageCount: doc.getPageCount(), startPages, skipped };
+}
+
+async function pdfPageCount(buffer) {
+  return (await PDFDocument.load(buffer)).getPageCount();
+}
+
+/**
+ * Junta o PDF da ficha com o caderno de anexos, num único PDF.
+ */
+async function appendBundle(mainBuffer, bundlePdf) {
+  const mergedPdf = await PDFDocument.load(mainBuffer);
+  await appendPdf(mergedPdf, bundlePdf);
+  return mergedPdf.save();
+}
+
+/**
+ * Junta o PDF da ficha com os anexos, na ordem recebida, num único PDF.
+ */
+async function mergeWithAttachments(mainBuffer, attachments, options) {
+  const bundle = await buildAttachmentBundle(attachments, options);
+  return appendBundle(mainBuffer, bundle.pdf);
+}
+
+module.exports = {
+  A4_WIDTH,
+  A4_HEIGHT,
+  SKIP_REASONS,
+  attachmentType,
+  appendAttachment,
+  buildAttachmentBundle,
+  appendBundle,
+  pdfPageCount,
+  mergeWithAttachments
+};
@@ -0,0 +1,149 @@
+/**
+ * Pool de navegadores Chromium de longa duração para a renderização dos PDFs.
+ *
+ * Cada vaga do pool mantém um navegador e uma página reutilizada entre as
+ * fichas. A vaga é reciclada (navegador fechado e relançado sob demanda)
+ * quando a renderização falha, quando o navegador cai, quando aparecem abas
+ * perdidas ou depois de `maxRendersPerBrowser` renderizações. O lançamento
+ * do navegador é injetado, o que deixa o pool testável sem Chromium.
+ */
+
+const DEFAULT_POOL_SIZE = 2;
+const DEFAULT_MAX_RENDERS_PER_BROWSER = 100;
+
+function createBrowserPool({
+  size = DEFAULT_POOL_SIZE,
+  maxRendersPerBrowser = DEFAULT_MAX_RENDERS_PER_BROWSER,
+  launchBrowser,
+  logger = console
+}) {
+  // Sem vagas, acquire() nunca abriria um navegador e as fichas esperariam
+  // para sempre
+  if (!Number.isInteger(size) || size < 1) {
+    throw new Error(`createBrowserPool: size deve ser um inteiro positivo (recebido ${size}).`);
+  }
+  if (!Number.isInteger(maxRendersPerBrowser) || maxRendersPerBrowser < 1) {
+    throw new Error(`createBrowserPool: maxRendersPerBrowser deve ser um inteiro positivo (recebido ${maxRendersPerBrowser}).`);
+  }
+
+  const slots = [];
+  const waiters = [];
+  let closed = false;
+
+  function createSlot() {
+    const slot = { id: slots.length + 1, browser: null, page: null, renders: 0, busy: false };
+    slots.push(slot);
+    return slot;
+  }
+
+  async function ensurePage(slot) {
+    if (slot.browser && slot.browser.isConnected() && slot.page && !slot.page.isClosed()) {
+      return slot.page;
+    }
+
+    await recycle(slot);
+    const browser = await launchBrowser();
+    browser.on('disconnected', () => {
+      if (slot.browser !== browser) return;
+      logger.warn(`Navegador #${slot.id} do pool caiu; será relançado na próxima ficha.`);
+      slot.browser = null;
+      slot.page = null;
+    });
+
+    const [initialPage] = await browser.pages();
+    slot.browser = browser;
+    slot.page = initialPage || await browser.newPage();
+    slot.renders = 0;
+    return slot.page;
+  }
+
+  async function recycle(slot) {
+    const browser = slot.browser;
+    slot.browser = null;
+    slot.page = null;
+    slot.renders = 0;
+    if (!browser) return;
+
+    try {
+      await browser.close();
+    } catch (err) {
+      logger.warn(`Erro ao fechar o navegador #${slot.id} do pool:`, err);
+    }
+  }
+
+  // Abas além da que o pool usa indicam vazamento (pop-ups, páginas órfãs)
+  async function hasStrayPages(slot) {
+    try {
+      return (await slot.browser.pages()).length > 1;
+    } catch {
+      return true;
+    }
+  }
+
+  function acquire() {
+    if (closed) {
+      return Promise.reject(new Error('Pool de navegadores encerrado.'));
+    }
+
+    const idle = slots.find(slot => !slot.busy) || (slots.length < size ? createSlot() : null);
+    if (idle) {
+      idle.busy = true;
+      return Promise.resolve(idle);
+    }
+
+    return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+  }
+
+  async function release(slot, failed) {
+    slot.renders++;
+    const shouldRecycle = closed ||
+      failed ||
+      !slot.browser ||
+      slot.renders >= maxRendersPerBrowser ||
+      await hasStrayPages(slot);
+
+    if (shouldRecycle) {
+      await recycle(slot);
+    }
+
+    const next = waiters.shift();
+    if (next) {
+      next.resolve(slot);
+    } else {
+      slot.busy = false;
+    }
+  }
+
+  /**
+   * Empresta uma página do pool para `fn(page)` e a devolve ao final.
+   */
+  async function withPage(fn) {
+    const slot = await acquire();
+    let failed = false;
+    try {
+      const page = await ensurePage(slot);
+      return await fn(page);
+    } catch (err) {
+      failed = true;
+      throw err;
+    } finally {
+      await release(slot, failed);
+    }
+  }
+
+  async function close() {
+    closed = true;
+    for (const waiter of waiters.splice(0)) {
+      waiter.reject(new Error('Pool de navegadores encerrado.'));
+    }
+    await Promise.all(slots.map(recycle));
+  }
+
+  return { withPage, close };
+}
+
+module.exports = {
+  DEFAULT_POOL_SIZE,
+  DEFAULT_MAX_RENDERS_PER_BROWSER,
+  createBrowserPool
+};
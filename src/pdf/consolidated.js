@@ -0,0 +1,135 @@
+/**
+ * PDF único com todas as fichas da geração, para a comissão ler de ponta a
+ * ponta em vez de abrir centenas de arquivos do ZIP.
+ *
+ *   - capa com a oportunidade, a quantidade de fichas e a data da geração;
+ *   - sumário com o número, o agente e a página de cada ficha (clicáveis);
+ *   - as fichas, na ordem da geração, cada uma com os seus anexos;
+ *   - marcadores inscrição → fase → anexos (ver outline.js).
+ */
+
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const { A4_WIDTH, A4_HEIGHT, PAGE_MARGIN, winAnsiText, wrapText, fitText } = require('./pdf-text');
+const { writeOutline, shiftOutline } = require('./outline');
+
+const TOC_FONT_SIZE = 10;
+const TOC_LINE_HEIGHT = 16;
+const TOC_TOP = A4_HEIGHT - PAGE_MARGIN - 40;
+const TOC_LINES_PER_PAGE = Math.floor((TOC_TOP - PAGE_MARGIN) / TOC_LINE_HEIGHT);
+
+function tocPageCount(entryCount) {
+  return Math.max(1, Math.ceil(entryCount / TOC_LINES_PER_PAGE));
+}
+
+function fichaLabel(ficha) {
+  return ficha.agentName ? `${ficha.registrationNumber} - ${ficha.agentName}` : String(ficha.registrationNumber);
+}
+
+function drawCover(page, fonts, { title, details }) {
+  const maxWidth = A4_WIDTH - 2 * PAGE_MARGIN;
+  let y = A4_HEIGHT / 2 + 120;
+
+  page.drawText('Fichas de inscrição', { x: PAGE_MARGIN, y, size: 14, font: fonts.regular, color: rgb(0.3, 0.3, 0.3) });
+  y -= 36;
+  for (const line of wrapText(winAnsiText(title), fonts.bold, 24, maxWidth)) {
+    page.drawText(line, { x: PAGE_MARGIN, y, size: 24, font: fonts.bold });
+    y -= 30;
+  }
+  y -= 12;
+  for (const detail of details) {
+    page.drawText(winAnsiText(detail), { x: PAGE_MARGIN, y, size: 12, font: fonts.regular });
+    y -= 18;
+  }
+}
+
+// Link interno: o retângulo leva à página de destino
+function addInternalLink(doc, page, rect, targetPage) {
+  const link = doc.context.obj({
+    Type: 'Annot',
+    Subtype: 'Link',
+    Rect: rect,
+    Border: [0, 0, 0],
+    Dest: [targetPage.ref, 'Fit']
+  });
+  page.node.addAnnot(doc.context.register(link));
+}
+
+function drawTableOfContents(doc, tocPages, fonts, entries) {
+  const pages = doc.getPages();
+  const numberWidth = 40;
+  const labelWidth = A4_WIDTH - 2 * PAGE_MARGIN - numberWidth - 8;
+
+  tocPages[0].drawText('Sumário', { x: PAGE_MARGIN, y: A4_HEIGHT - PAGE_MARGIN - 18, size: 16, font: fonts.bold });
+
+  entries.forEach((entry, i) => {
+    const page = tocPages[Math.floor(i / TOC_LINES_PER_PAGE)];
+    const y = TOC_TOP - (i % TOC_LINES_PER_PAGE) * TOC_LINE_HEIGHT;
+    const pageNumber = String(entry.pageIndex + 1);
+    const numberX = A4_WIDTH - PAGE_MARGIN - fonts.regular.widthOfTextAtSize(pageNumber, TOC_FONT_SIZE);
+
+    page.drawText(fitText(winAnsiText(entry.title), fonts.regular, TOC_FONT_SIZE, labelWidth), {
+      x: PAGE_MARGIN, y, size: TOC_FONT_SIZE, font: fonts.regular
+    });
+    page.drawText(pageNumber, { x: numberX, y, size: TOC_FONT_SIZE, font: fonts.regular });
+    addInternalLink(doc, page, [PAGE_MARGIN, y - 4, A4_WIDTH - PAGE_MARGIN, y + TOC_FONT_SIZE], pages[entry.pageIndex]);
+  });
+}
+
+/**
+ * Junta as fichas num PDF só.
+ *
+ * @param {Object} input
+ * @param {string} input.title nome da oportunidade, para a capa
+ * @param {string[]} [input.details] linhas da capa (oportunidade, data...)
+ * @param {Array<{ registrationNumber, agentName, pdf, loadPdf, outline }>} input.fichas
+ *   PDF de cada ficha (`pdf`, ou `loadPdf()` para lê-lo só na vez da ficha)
+ *   e os seus marcadores (fase → anexos), com páginas contadas dentro da
+ *   ficha. Com `loadPdf`, só uma ficha fica em memória por vez além do PDF
+ *   único: cada uma já traz os seus anexos.
+ * @returns {Promise<Uint8Array>}
+ */
+async function buildConsolidatedPdf({ title, details = [], fichas }, { logger = console } = {}) {
+  const doc = await PDFDocument.create();
+  doc.setTitle(`Fichas de inscrição - ${title}`);
+  const fonts = {
+    regular: await doc.embedFont(StandardFonts.Helvetica),
+    bold: await doc.embedFont(StandardFonts.HelveticaBold)
+  };
+
+  drawCover(doc.addPage([A4_WIDTH, A4_HEIGHT]), fonts, { title, details });
+  // O sumário entra antes das fichas, em branco, e é escrito quando as
+  // páginas de cada ficha já são conhecidas
+  const tocPages = Array.from({ length: tocPageCount(fichas.length) }, () => doc.addPage([A4_WIDTH, A4_HEIGHT]));
+
+  const entries = [];
+  for (const ficha of fichas) {
+    let source;
+    try {
+      source = await PDFDocument.load(ficha.loadPdf ? await ficha.loadPdf() : ficha.pdf);
+    } catch (err) {
+      logger.warn(`Ficha ${ficha.registrationNumber} fora do PDF único: ${err.message}`);
+      continue;
+    }
+    const pageIndex = doc.getPageCount();
+    const pages = await doc.copyPages(source, source.getPageIndices());
+    pages.forEach(page => doc.addPage(page));
+    entries.push({
+      title: fichaLabel(ficha),
+      pageIndex,
+      children: shiftOutline(ficha.outline || [], pageIndex)
+    });
+  }
+
+  drawTableOfContents(doc, tocPages, fonts, entries);
+  writeOutline(doc, [
+    { title: 'Capa', pageIndex: 0 },
+    { title: 'Sumário', pageIndex: 1 },
+    ...entries
+  ]);
+  return doc.save();
+}
+
+module.exports = {
+  TOC_LINES_PER_PAGE,
+  buildConsolidatedPdf
+};
@@ -4,17 +4,22 @@
  * Concentra tudo que é apresentação do PDF: o template Handlebars, o CSS
  * embutido, a logo e a conversão HTML → PDF via Puppeteer. A regra de negócio
  * apenas monta os dados e chama renderFichaPdf().
+ *
+ * Os navegadores vêm de um pool de longa duração (ver browser-pool.js),
+ * criado na primeira ficha e encerrado por closeBrowserPool().
  */
 
 const fs = require('fs');
 const path = require('path');
 const Handlebars = require('handlebars');
 const puppeteer = require('puppeteer-core');
-const { PDFDocument } = require('pdf-lib');
 const { loadLogoBase64 } = require('../../logo_loader');
+const { createBrowserPool } = require('./browser-pool');
 
 const PROJECT_ROOT = path.join(__dirname, '..', '..');
 const CHROMIUM_PATH = process.env.CHROMIUM_PATH || '/usr/bin/chromium';
+const BROWSER_POOL_SIZE = Math.max(1, parseInt(process.env.BROWSER_POOL_SIZE || '2', 10) || 2);
+const BROWSER_MAX_RENDERS = Math.max(1, parseInt(process.env.BROWSER_MAX_RENDERS || '100', 10) || 100);
 
 const handlebars = Handlebars.create();
 handlebars.registerHelper('get', (obj, key) => (obj && obj[key] !== undefined ? obj[key] : ''));
@@ -39,48 +44,59 @@ function renderFichaHtml(data) {
   return template({ ...data, logoBase64, bootstrapCSS });
 }
 
+let browserPool = null;
+
+function getBrowserPool() {
+  if (!browserPool) {
+    browserPool = createBrowserPool({
+      size: BROWSER_POOL_SIZE,
+      maxRendersPerBrowser: BROWSER_MAX_RENDERS,
+      // O encerramento é do pool (closeBrowserPool), não dos sinais do Puppeteer
+      launchBrowser: () => puppeteer.launch({
+        executablePath: CHROMIUM_PATH,
+        args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-gpu'],
+        handleSIGINT: false,
+        handleSIGTERM: false,
+        handleSIGHUP: false
+      })
+    });
+  }
+  return browserPool;
+}
+
+/**
+ * Fecha todos os navegadores do pool. Um novo pool é criado se outra ficha
+ * for renderizada depois.
+ */
+async function closeBrowserPool() {
+  if (!browserPool) return;
+  const pool = browserPool;
+  browserPool = null;
+  await pool.close();
+}
+
 async function htmlToPdfBuffer(html) {
-  const browser = await puppeteer.launch({
-    executablePath: CHROMIUM_PATH,
-    args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-gpu'],
-  });
-  try {
-    const page = await browser.newPage();
+  return getBrowserPool().withPage(async page => {
     await page.setContent(html, { waitUntil: 'networkidle0' });
-    return await page.pdf({
+    // Marcadores a partir dos títulos (h1 da ficha, h2 de cada fase), lidos
+    // depois por src/pdf/outline.js
+    return page.pdf({
       format: 'A4',
       printBackground: true,
+      tagged: true,
+      outline: true,
       margin: { top: '1.5cm', bottom: '1.5cm', left: '1cm', right: '1cm' },
     });
-  } finally {
-    await browser.close();
-  }
+  });
 }
 
 async function renderFichaPdf(data) {
   return htmlToPdfBuffer(renderFichaHtml(data));
 }
 
-/**
- * Junta o PDF da ficha com os buffers dos anexos, num único PDF.
- */
-async function mergeWithAttachments(mainBuffer, attachmentBuffers) {
-  const mergedPdf = await PDFDocument.load(mainBuffer);
-  for (const buf of attachmentBuffers) {
-    try {
-      const pdf = await PDFDocument.load(buf);
-      const pages = await mergedPdf.copyPages(pdf, pdf.getPageIndices());
-      pages.forEach(page => mergedPdf.addPage(page));
-    } catch {
-      console.warn('Arquivo anexo inválido, pulando...');
-    }
-  }
-  return mergedPdf.save();
-}
-
 module.exports = {
   renderFichaHtml,
   renderFichaPdf,
-  mergeWithAttachments,
+  closeBrowserPool,
   logoBase64
 };
@@ -0,0 +1,174 @@
+/**
+ * Marcadores (outline) dos PDFs, via pdf-lib.
+ *
+ * O pdf-lib não tem API para marcadores, então eles são montados direto nos
+ * objetos do PDF. Um marcador é `{ title, pageIndex, children }`, com a
+ * página contada a partir de 0.
+ *
+ * O Chromium gera os marcadores a partir dos títulos (h1, h2...) do HTML
+ * quando o PDF é pedido com `outline: true` (ver ficha-renderer.js);
+ * readOutline os lê de volta para saber em que página cada fase começa.
+ */
+
+const {
+  PDFDocument,
+  PDFArray,
+  PDFDict,
+  PDFHexString,
+  PDFName,
+  PDFRef,
+  PDFString
+} = require('pdf-lib');
+
+function decodeTitle(value) {
+  return value instanceof PDFString || value instanceof PDFHexString ? value.decodeText() : '';
+}
+
+// Destino explícito ([página /XYZ ...]), por nome (/Dests do catálogo) ou
+// numa ação GoTo
+function destinationPageRef(doc, item) {
+  let dest = item.lookup(PDFName.of('Dest'));
+  if (!dest) {
+    const action = item.lookup(PDFName.of('A'));
+    dest = action instanceof PDFDict ? action.lookup(PDFName.of('D')) : null;
+  }
+  if (dest instanceof PDFName || dest instanceof PDFString || dest instanceof PDFHexString) {
+    const dests = doc.catalog.lookup(PDFName.of('Dests'));
+    dest = dests instanceof PDFDict ? dests.lookup(PDFName.of(dest.decodeText())) : null;
+    if (dest instanceof PDFDict) dest = dest.lookup(PDFName.of('D'));
+  }
+  if (!(dest instanceof PDFArray)) return null;
+  const target = dest.get(0);
+  return target instanceof PDFRef ? target : null;
+}
+
+/**
+ * Marcadores do documento, em árvore. Destinos que não apontam para uma
+ * página do documento ficam com `pageIndex` nulo.
+ */
+function readOutline(doc) {
+  const outlines = doc.catalog.lookup(PDFName.of('Outlines'));
+  if (!(outlines instanceof PDFDict)) return [];
+
+  const pageIndexByRef = new Map(doc.getPages().map((page, index) => [page.ref.toString(), index]));
+  const visited = new Set();
+
+  const readLevel = first => {
+    const entries = [];
+    let ref = first;
+    while (ref instanceof PDFRef && !visited.has(ref.toString())) {
+      visited.add(ref.toString());
+      const item = doc.context.lookup(ref);
+      if (!(item instanceof PDFDict)) break;
+
+      const pageRef = destinationPageRef(doc, item);
+      const pageIndex = pageRef ? pageIndexByRef.get(pageRef.toString()) : undefined;
+      entries.push({
+        title: decodeTitle(item.lookup(PDFName.of('Title'))).replace(/\s+/g, ' ').trim(),
+        pageIndex: pageIndex === undefined ? null : pageIndex,
+        children: readLevel(item.get(PDFName.of('First')))
+      });
+      ref = item.get(PDFName.of('Next'));
+    }
+    return entries;
+  };
+
+  return readLevel(outlines.get(PDFName.of('First')));
+}
+
+async function readPdfOutline(buffer) {
+  return readOutline(await PDFDocument.load(buffer));
+}
+
+/**
+ * Marcadores de uma ficha: cada fase na página do seu título e, abaixo dela,
+ * os anexos da fase.
+ *
+ * @param {Array} headings marcadores que o Chromium gerou para a ficha: o h1
+ *   do número da inscrição com um h2 por fase, na ordem de `phases`
+ * @param {Array<{ id, name }>} phases fases da ficha
+ * @param {Array<{ phaseId, title, name, pageIndex }>} attachments anexos, com
+ *   a página do separador no PDF da ficha
+ */
+function fichaOutline(headings, phases, attachments = []) {
+  const phaseHeadings = headings.length === 1 && headings[0].children.length ? headings[0].children : headings;
+  // Sem um título por fase (Chromium sem marcadores), as fases apontam para a
+  // primeira página
+  const matched = phaseHeadings.length === phases.length;
+
+  return phases.map((phase, i) => ({
+    title: matched && phaseHeadings[i].title ? phaseHeadings[i].title : phase.name,
+    pageIndex: matched && phaseHeadings[i].pageIndex !== null ? phaseHeadings[i].pageIndex : 0,
+    children: attachments
+      .filter(attachment => attachment.phaseId === phase.id)
+      .map(attachment => ({
+        title: attachment.title ? `${attachment.title}: ${attachment.name}` : attachment.name,
+        pageIndex: attachment.pageIndex,
+        children: []
+      }))
+  }));
+}
+
+/**
+ * Troca os marcadores do documento pelos de `entries`. Itens com filhos
+ * ficam fechados, para a árvore caber na barra lateral do leitor.
+ */
+function writeOutline(doc, entries) {
+  const { context } = doc;
+  const pages = doc.getPages();
+
+  const writeLevel = (items, parentRef) => {
+    const refs = items.map(() => context.nextRef());
+    items.forEach((item, i) => {
+      const page = pages[Math.min(Math.max(item.pageIndex || 0, 0), pages.length - 1)];
+      const dict = context.obj({
+        Title: PDFHexString.fromText(item.title),
+        Parent: parentRef,
+        Dest: context.obj([page.ref, PDFName.of('Fit')])
+      });
+      if (i > 0) dict.set(PDFName.of('Prev'), refs[i - 1]);
+      if (i < items.length - 1) dict.set(PDFName.of('Next'), refs[i + 1]);
+
+      const children = item.children || [];
+      if (children.length) {
+        const level = writeLevel(children, refs[i]);
+        dict.set(PDFName.of('First'), level.first);
+        dict.set(PDFName.of('Last'), level.last);
+        dict.set(PDFName.of('Count'), context.obj(-children.length));
+      }
+      context.assign(refs[i], dict);
+    });
+    return { first: refs[0], last: refs[refs.length - 1] };
+  };
+
+  if (!entries.length || !pages.length) {
+    doc.catalog.delete(PDFName.of('Outlines'));
+    return;
+  }
+
+  const rootRef = context.nextRef();
+  const { first, last } = writeLevel(entries, rootRef);
+  context.assign(rootRef, context.obj({ Type: 'Outlines', First: first, Last: last, Count: entries.length }));
+  doc.catalog.set(PDFName.of('Outlines'), rootRef);
+  doc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+}
+
+/**
+ * Desloca as páginas dos marcadores (ficha dentro de um PDF maior). Página
+ * desconhecida vira a primeira.
+ */
+function shiftOutline(entries, offset) {
+  return entries.map(entry => ({
+    title: entry.title,
+    pageIndex: (entry.pageIndex || 0) + offset,
+    children: shiftOutline(entry.children || [], offset)
+  }));
+}
+
+module.exports = {
+  readOutline,
+  readPdfOutline,
+  fichaOutline,
+  writeOutline,
+  shiftOutline
+};
@@ -0,0 +1,116 @@
+/**
+ * Cabeçalho, rodapé e marcadores gravados no PDF final da ficha, depois da
+ * junção dos anexos, via pdf-lib.
+ *
+ * Toda página (da ficha, separadores e anexos) ganha no cabeçalho o número da
+ * inscrição e o nome do agente e, no rodapé, "Página X de N". Assim uma
+ * página solta de um anexo ainda diz de que inscrição veio, e a numeração
+ * confere com a coluna "Página" da tabela de anexos.
+ *
+ * O texto fica na margem de 1,5 cm que o Chromium deixa na ficha; nas
+ * páginas dos anexos, sobre uma faixa branca, para não se misturar ao
+ * conteúdo escaneado.
+ */
+
+const { PDFDocument, StandardFonts, degrees, rgb } = require('pdf-lib');
+const { winAnsiText, fitText } = require('./pdf-text');
+const { writeOutline } = require('./outline');
+
+const STAMP_FONT_SIZE = 8;
+// Distância da linha de base até a borda da página
+const STAMP_EDGE = 20;
+const STAMP_SIDE = 28;
+const STAMP_PADDING = 3;
+const STAMP_COLOR = rgb(0.35, 0.35, 0.35);
+
+function headerText(registrationNumber, agentName) {
+  return agentName ? `Inscrição ${registrationNumber} - ${agentName}` : `Inscrição ${registrationNumber}`;
+}
+
+// Página girada (/Rotate, comum em digitalizações): o texto é posicionado
+// como o leitor exibe a página, e convertido para as coordenadas do PDF
+function pageFrame(page) {
+  const box = page.getMediaBox();
+  const angle = ((page.getRotation().angle % 360) + 360) % 360;
+  const sideways = angle === 90 || angle === 270;
+  const width = sideways ? box.height : box.width;
+  const height = sideways ? box.width : box.height;
+
+  const toPage = (u, v) => {
+    if (angle === 90) return { x: box.x + box.width - v, y: box.y + u };
+    if (angle === 180) return { x: box.x + box.width - u, y: box.y + box.height - v };
+    if (angle === 270) return { x: box.x + v, y: box.y + box.height - u };
+    return { x: box.x + u, y: box.y + v };
+  };
+  return { width, height, angle, toPage };
+}
+
+function drawStampText(page, frame, text, { u, v, font }) {
+  const textWidth = font.widthOfTextAtSize(text, STAMP_FONT_SIZE);
+  const corner = frame.toPage(u - STAMP_PADDING, v - STAMP_PADDING);
+  page.drawRectangle({
+    ...corner,
+    width: textWidth + 2 * STAMP_PADDING,
+    height: STAMP_FONT_SIZE + 2 * STAMP_PADDING,
+    rotate: degrees(frame.angle),
+    color: rgb(1, 1, 1)
+  });
+  page.drawText(text, {
+    ...frame.toPage(u, v),
+    size: STAMP_FONT_SIZE,
+    font,
+    color: STAMP_COLOR,
+    rotate: degrees(frame.angle)
+  });
+}
+
+/**
+ * Escreve o cabeçalho (inscrição e agente) e o rodapé (página X de N) em
+ * todas as páginas do documento.
+ */
+async function stampPages(doc, { registrationNumber, agentName = '' }) {
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  const pages = doc.getPages();
+  const header = winAnsiText(headerText(registrationNumber, agentName));
+
+  pages.forEach((page, index) => {
+    const frame = pageFrame(page);
+    const footer = `Página ${index + 1} de ${pages.length}`;
+    const footerWidth = font.widthOfTextAtSize(footer, STAMP_FONT_SIZE);
+
+    drawStampText(page, frame, fitText(header, font, STAMP_FONT_SIZE, frame.width - 2 * STAMP_SIDE), {
+      u: STAMP_SIDE,
+      v: frame.height - STAMP_EDGE,
+      font
+    });
+    drawStampText(page, frame, footer, {
+      u: frame.width - STAMP_SIDE - footerWidth,
+      v: STAMP_EDGE - STAMP_FONT_SIZE,
+      font
+    });
+  });
+}
+
+/**
+ * Última etapa da ficha: cabeçalho e rodapé em todas as páginas e os
+ * marcadores fase → anexos (ver outline.js) no lugar dos gerados pelo
+ * Chromium.
+ *
+ * @param {Uint8Array|Buffer} buffer PDF da ficha, já com os anexos
+ * @param {Object} options
+ * @param {string} options.registrationNumber
+ * @param {string} [options.agentName]
+ * @param {Array} [options.outline] marcadores, com páginas contadas na ficha
+ * @returns {Promise<Uint8Array>}
+ */
+async function finishFichaPdf(buffer, { registrationNumber, agentName, outline = [] }) {
+  const doc = await PDFDocument.load(buffer);
+  await stampPages(doc, { registrationNumber, agentName });
+  writeOutline(doc, outline);
+  return doc.save();
+}
+
+module.exports = {
+  stampPages,
+  finishFichaPdf
+};
@@ -0,0 +1,48 @@
+/**
+ * Texto desenhado direto com o pdf-lib (páginas de aviso, separadores,
+ * capa e sumário), sem passar pelo Chromium.
+ */
+
+// A4 em pontos
+const A4_WIDTH = 595.28;
+const A4_HEIGHT = 841.89;
+const PAGE_MARGIN = 36;
+
+// As fontes padrão do PDF só têm WinAnsi: o que não cabe nela vira "?"
+function winAnsiText(text) {
+  return String(text).replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+}
+
+// Quebra o texto em linhas que cabem em `maxWidth`, mesmo sem espaços
+function wrapText(text, font, size, maxWidth) {
+  const lines = [];
+  let line = '';
+  for (const char of text) {
+    if (line && font.widthOfTextAtSize(line + char, size) > maxWidth) {
+      lines.push(line);
+      line = '';
+    }
+    line += char;
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+// Corta o texto com reticências para caber em `maxWidth`, numa linha só
+function fitText(text, font, size, maxWidth) {
+  if (font.widthOfTextAtSize(text, size) <= maxWidth) return text;
+  let fitted = text;
+  while (fitted && font.widthOfTextAtSize(`${fitted}...`, size) > maxWidth) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted.trimEnd()}...`;
+}
+
+module.exports = {
+  A4_WIDTH,
+  A4_HEIGHT,
+  PAGE_MARGIN,
+  winAnsiText,
+  wrapText,
+  fitText
+};
@@ -5,23 +5,59 @@
  * delegam todo o HTML para src/web/views.js. Nenhuma dependência de banco,
  * Puppeteer ou filesystem é resolvida aqui — tudo entra por parâmetro, o que
  * torna as rotas testáveis sem infraestrutura.
+ *
+ * Só /login, /assets e /downloads são públicos. Os downloads exigem um link
+ * assinado e dentro da validade (ver src/auth/download-links.js), emitido
+ * pelas listagens de arquivos. Todo o resto exige sessão; gerar fichas e a
+ * API JSON de fichas exigem o papel "operator" (ver src/web/auth.js).
  */
 
+const path = require('path');
 const express = require('express');
 
 const {
   REGISTRATION_FILTERS,
   ATTACHMENT_MODES,
-  DEFAULT_FILTER,
+  REDACTION_PROFILES,
+  EVALUATOR_IDENTITIES,
+  ZIP_LAYOUTS,
   DEFAULT_ATTACHMENT_MODE,
-  isValidFilterType,
+  DEFAULT_REDACTION_PROFILE,
+  DEFAULT_EVALUATOR_IDENTITY,
+  DEFAULT_ZIP_LAYOUT,
+  PSEUDONYMS_UNAVAILABLE_MESSAGE,
   isValidAttachmentMode,
-  includesAttachments
+  isValidRedactionProfile,
+  isValidEvaluatorIdentity,
+  isEvaluatorIdentityAvailable,
+  isValidZipLayout,
+  includesAttachments,
+  isConsolidated
 } = require('../domain/generation-options');
+const { parsePhaseIds, unknownPhaseIds } = require('../domain/phases');
+const { REGISTRATION_NUMBER_PATTERN, REGISTRATION_STATUS_OPTIONS, parseRegistrationFilter } = require('../domain/registration-filter');
+const { parseRegistrationList, withRegistrationList } = require('../domain/registration-list');
+const { FILENAME_TOKENS, DEFAULT_FILENAME_TEMPLATE, parseFilenameTemplate } = require('../domain/file-naming');
+const { parsePagination, fichaPageToJson, fichaResponseToJson } = require('../domain/ficha-api');
+const { generationResultSummary } = require('../domain/generation-report');
+
+const { createJobStore, jobSnapshot, JOB_STATUS } = require('../jobs/job-store');
+const { ROLES, authenticate } = require('../auth/users');
+const { DOWNLOADS_PATH, LINK_STATUS, createDownloadLinks } = require('../auth/download-links');
+
+const {
+  SESSION_COOKIE,
+  createSessionMiddleware,
+  currentUser,
+  requireLogin,
+  requireRole,
+  safeRedirectTarget
+} = require('./auth');
 
 const {
   renderIndexPage,
   renderResultPage,
+  renderLoginPage,
   renderGeneratedFilesList
 } = require('./views');
 
@@ -31,18 +67,105 @@ function createApp({
   logoBase64 = '',
   fetchParentOpportunities,
   fetchOpportunityById,
+  fetchPhasesForOpportunity,
   generateFichas,
+  generateFichaForRegistration,
+  fetchFichaPage,
+  fetchFicha,
   listGeneratedFilesForOpportunity,
   listResultFilesForGeneration,
+  users = [],
+  sessionSecret,
+  secureCookie = false,
+  downloadLinks,
+  pseudonymsAvailable = true,
+  jobStore = createJobStore(),
   logger = console
 }) {
+  if (!sessionSecret) {
+    throw new Error('createApp: sessionSecret é obrigatório.');
+  }
+  if (!downloadLinks) {
+    downloadLinks = createDownloadLinks({ secret: sessionSecret });
+  }
+
   const app = express();
-  app.use(express.urlencoded({ extended: true }));
+  const operatorOnly = requireRole(ROLES.OPERATOR);
+  // A lista de números enviada no formulário passa do limite padrão de 100kb
+  app.use(express.urlencoded({ extended: true, limit: '2mb' }));
+  app.use(createSessionMiddleware({ secret: sessionSecret, secureCookie }));
 
-  // Estáticos: PDFs/ZIPs gerados e assets da interface
-  app.use('/downloads', express.static(outputDir));
+  // Assets da interface são públicos: a página de login precisa deles
   app.use('/assets', express.static(assetsDir));
 
+  app.get('/login', (req, res) => {
+    if (currentUser(req)) {
+      return res.redirect(safeRedirectTarget(req.query.next));
+    }
+    res.send(renderLoginPage({ next: safeRedirectTarget(req.query.next), logoBase64 }));
+  });
+
+  app.post('/login', async (req, res) => {
+    const next = safeRedirectTarget(req.body.next);
+    let user;
+    try {
+      user = await authenticate(users, req.body.username, req.body.password);
+    } catch (err) {
+      logger.error('Erro ao autenticar usuário:', err);
+    }
+    if (!user) {
+      return res.status(401).send(renderLoginPage({
+        next,
+        username: req.body.username || '',
+        error: 'Usuário ou senha inválidos.',
+        logoBase64
+      }));
+    }
+
+    // Nova sessão a cada login, para não reaproveitar um id anterior
+    req.session.regenerate(err => {
+      if (err) {
+        logger.error('Erro ao criar sessão:', err);
+        return res.status(500).send('Erro ao entrar. Veja o log no servidor.');
+      }
+      req.session.user = user;
+      res.redirect(303, next);
+    });
+  });
+
+  app.post('/logout', (req, res) => {
+    req.session.destroy(() => {
+      res.clearCookie(SESSION_COOKIE);
+      res.redirect(303, '/login');
+    });
+  });
+
+  // PDFs/ZIPs gerados: o link assinado substitui a sessão
+  app.get(`${DOWNLOADS_PATH}/:filename`, (req, res) => {
+    const { filename } = req.params;
+    const status = downloadLinks.verify(filename, req.query);
+    if (status === LINK_STATUS.EXPIRED) {
+      return res.status(410).send('Link de download expirado. Gere um novo na página de arquivos.');
+    }
+    // Assinatura válida só sai das listagens, mas o nome continua restrito ao OUTPUT_DIR
+    if (status !== LINK_STATUS.VALID || filename !== path.basename(filename)) {
+      return res.status(403).send('Link de download inválido.');
+    }
+
+    res.sendFile(filename, { root: outputDir }, err => {
+      if (!err) return;
+      if (err.code === 'ENOENT' || err.statusCode === 404) {
+        if (!res.headersSent) res.status(404).send('Arquivo não encontrado.');
+        return;
+      }
+      logger.error(`Erro ao enviar ${filename}:`, err);
+      if (!res.headersSent) res.status(500).send('Erro ao baixar arquivo.');
+    });
+  });
+
+  // Daqui em diante, tudo exige sessão
+  app.use(requireLogin);
+
   app.get('/', async (req, res) => {
     let opportunities = [];
     try {
@@ -51,11 +174,20 @@ function createApp({
       logger.error('Erro ao buscar oportunidades-pai:', err);
     }
 
+    const user = currentUser(req);
     res.send(renderIndexPage({
       opportunities,
       filterOptions: REGISTRATION_FILTERS,
+      statusOptions: REGISTRATION_STATUS_OPTIONS,
       attachmentOptions: ATTACHMENT_MODES,
-      logoBase64
+      redactionOptions: REDACTION_PROFILES,
+      evaluatorIdentityOptions: EVALUATOR_IDENTITIES,
+      zipLayoutOptions: ZIP_LAYOUTS,
+      filenameTokens: FILENAME_TOKENS.map(token => `{${token}}`),
+      defaultFilenameTemplate: DEFAULT_FILENAME_TEMPLATE,
+      canGenerate: user.role === ROLES.OPERATOR,
+      logoBase64,
+      user
     }));
   });
 
@@ -66,7 +198,7 @@ function createApp({
     }
 
     try {
-      const files = listGeneratedFilesForOpportunity(outputDir, parentId);
+      const files = listGeneratedFilesForOpportunity(outputDir, parentId, downloadLinks);
       return res.json({ files, html: renderGeneratedFilesList(files) });
     } catch (err) {
       logger.error('Erro ao listar arquivos gerados:', err);
@@ -74,42 +206,326 @@ function createApp({
     }
   });
 
-  app.post('/generate', async (req, res) => {
+  // Fases da oportunidade para o seletor do formulário
+  app.get('/opportunities/:id/phases', async (req, res) => {
+    const parentId = parseInt(req.params.id, 10);
+    if (isNaN(parentId)) {
+      return res.status(400).json({ error: 'Oportunidade inválida.' });
+    }
+
+    let phases;
+    try {
+      phases = await fetchPhasesForOpportunity(parentId);
+    } catch (err) {
+      logger.error('Erro ao buscar fases:', err);
+      return res.status(500).json({ error: 'Erro ao buscar fases.' });
+    }
+    if (!phases.length) {
+      return res.status(404).json({ error: 'Oportunidade não encontrada.' });
+    }
+
+    return res.json({
+      phases: phases.map(phase => ({
+        id: phase.id,
+        name: phase.name,
+        isAppealPhase: Boolean(phase.isAppealPhase),
+        isDataCollection: Boolean(phase.isDataCollection)
+      }))
+    });
+  });
+
+  app.post('/generate', operatorOnly, async (req, res) => {
     const parentId = parseInt(req.body.parent, 10);
-    const filterType = req.body.filterType || DEFAULT_FILTER;
     const attachmentMode = req.body.attachmentMode || DEFAULT_ATTACHMENT_MODE;
+    const redactionProfile = req.body.redactionProfile || DEFAULT_REDACTION_PROFILE;
+    const evaluatorIdentity = req.body.evaluatorIdentity || DEFAULT_EVALUATOR_IDENTITY;
+    const zipLayout = req.body.zipLayout || DEFAULT_ZIP_LAYOUT;
+    const filenameTemplate = (req.body.filenameTemplate || '').trim() || null;
+    const spreadsheet = req.body.spreadsheet === '1';
+    let phaseIds;
+    try {
+      phaseIds = parsePhaseIds(req.body.phaseIds);
+    } catch (err) {
+      return res.status(400).send('Fase inválida para esta oportunidade.');
+    }
 
     if (isNaN(parentId)) {
       return res.status(400).send('Oportunidade inválida.');
     }
-    if (!isValidFilterType(filterType)) {
-      return res.status(400).send('Tipo de filtro inválido.');
+    let registrationFilter;
+    try {
+      registrationFilter = parseRegistrationFilter(req.body);
+    } catch (err) {
+      return res.status(400).send(err.message);
+    }
+    // Conteúdo do CSV ou texto escolhido no formulário, lido pelo navegador
+    if (req.body.registrationList) {
+      try {
+        registrationFilter = withRegistrationList(registrationFilter, parseRegistrationList(req.body.registrationList));
+      } catch (err) {
+        return res.status(400).send(`Lista de inscrições: ${err.message}`);
+      }
     }
     if (!isValidAttachmentMode(attachmentMode)) {
       return res.status(400).send('Tipo de geração inválido.');
     }
+    if (!isValidRedactionProfile(redactionProfile)) {
+      return res.status(400).send('Perfil de ocultação inválido.');
+    }
+    if (!isValidEvaluatorIdentity(evaluatorIdentity)) {
+      return res.status(400).send('Identificação de avaliadores inválida.');
+    }
+    if (!isEvaluatorIdentityAvailable(evaluatorIdentity, { pseudonymsAvailable })) {
+      return res.status(400).send(PSEUDONYMS_UNAVAILABLE_MESSAGE);
+    }
+    if (!isValidZipLayout(zipLayout)) {
+      return res.status(400).send('Organização do ZIP inválida.');
+    }
+    if (filenameTemplate) {
+      try {
+        parseFilenameTemplate(filenameTemplate);
+      } catch (err) {
+        return res.status(400).send(err.message);
+      }
+    }
 
     let opportunity;
-    let zipFilename;
     try {
       opportunity = await fetchOpportunityById(parentId);
-      if (!opportunity) {
-        return res.status(400).send('Oportunidade não encontrada.');
-      }
-      zipFilename = await generateFichas(parentId, filterType, includesAttachments(attachmentMode));
     } catch (err) {
-      logger.error('Erro ao gerar fichas:', err);
+      logger.error('Erro ao buscar oportunidade:', err);
+      return res.status(500).send('Erro ao gerar fichas. Veja o log no servidor.');
+    }
+    if (!opportunity) {
+      return res.status(400).send('Oportunidade não encontrada.');
+    }
+
+    if (phaseIds) {
+      let phases;
+      try {
+        phases = await fetchPhasesForOpportunity(parentId);
+      } catch (err) {
+        logger.error('Erro ao buscar fases:', err);
+        return res.status(500).send('Erro ao gerar fichas. Veja o log no servidor.');
+      }
+      if (unknownPhaseIds(phases, phaseIds).length) {
+        return res.status(400).send('Fase inválida para esta oportunidade.');
+      }
+    }
+
+    // A geração roda em segundo plano; o progresso sai por GET /jobs/:id/events
+    // e o navegador recebe só o resumo do resultado (a página de resultado
+    // lê o relatório completo do job)
+    const job = jobStore.start({ opportunity, parentId }, async onProgress => {
+      try {
+        return await generateFichas(parentId, registrationFilter, includesAttachments(attachmentMode), {
+          onProgress,
+          redactionProfile,
+          evaluatorIdentity,
+          phaseIds,
+          filenameTemplate,
+          zipLayout,
+          consolidated: isConsolidated(attachmentMode),
+          spreadsheet
+        });
+      } catch (err) {
+        logger.error('Erro ao gerar fichas:', err);
+        throw err;
+      }
+    }, { summarize: generationResultSummary });
+
+    res.status(202).json({
+      jobId: job.id,
+      eventsUrl: `/jobs/${job.id}/events`,
+      resultUrl: `/jobs/${job.id}/result`
+    });
+  });
+
+  app.get('/jobs/:id', operatorOnly, (req, res) => {
+    const job = jobStore.get(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Geração não encontrada.' });
+    }
+    return res.json(jobSnapshot(job));
+  });
+
+  // Server-Sent Events: reenvia o histórico e segue até 'done' ou 'failed'
+  app.get('/jobs/:id/events', operatorOnly, (req, res) => {
+    const job = jobStore.get(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Geração não encontrada.' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const unsubscribe = jobStore.subscribe(job, event => {
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+      if (event.type !== 'progress') res.end();
+    });
+    res.on('close', unsubscribe);
+  });
+
+  app.get('/jobs/:id/result', operatorOnly, (req, res) => {
+    const job = jobStore.get(req.params.id);
+    if (!job) {
+      return res.status(404).send('Geração não encontrada.');
+    }
+    if (job.status === JOB_STATUS.RUNNING) {
+      return res.status(409).send('Geração ainda em andamento.');
+    }
+    if (job.status === JOB_STATUS.FAILED) {
       return res.status(500).send('Erro ao gerar fichas. Veja o log no servidor.');
     }
 
+    const { opportunity, parentId } = job.meta;
+    const { zipFilename, consolidatedFilename = null, spreadsheetFilenames = [], unmatchedNumbers = [], report = null } = job.result;
+    const files = listResultFilesForGeneration(outputDir, parentId, zipFilename, downloadLinks, [
+      ...(consolidatedFilename ? [consolidatedFilename] : []),
+      ...spreadsheetFilenames
+    ]);
     res.send(renderResultPage({
       opportunity,
-      zipUrl: `/downloads/${zipFilename}`,
-      files: listResultFilesForGeneration(outputDir, parentId, zipFilename),
-      logoBase64
+      zipUrl: downloadLinks.urlFor(zipFilename),
+      consolidatedUrl: consolidatedFilename ? downloadLinks.urlFor(consolidatedFilename) : null,
+      spreadsheets: spreadsheetFilenames.map(name => ({
+        url: downloadLinks.urlFor(name),
+        type: name.endsWith('.xlsx') ? 'xlsx' : 'csv'
+      })),
+      unmatchedNumbers,
+      report,
+      files,
+      logoBase64,
+      user: currentUser(req)
     }));
   });
 
+  // Ficha avulsa, gerada na hora e devolvida sem passar pelo OUTPUT_DIR
+  app.get('/opportunities/:parentId/registrations/:number/ficha.pdf', operatorOnly, async (req, res) => {
+    const parentId = parseInt(req.params.parentId, 10);
+    const registrationNumber = req.params.number;
+    const attachmentMode = req.query.attachmentMode || DEFAULT_ATTACHMENT_MODE;
+    const redactionProfile = req.query.redactionProfile || DEFAULT_REDACTION_PROFILE;
+    const evaluatorIdentity = req.query.evaluatorIdentity || DEFAULT_EVALUATOR_IDENTITY;
+
+    if (isNaN(parentId)) {
+      return res.status(400).send('Oportunidade inválida.');
+    }
+    if (!REGISTRATION_NUMBER_PATTERN.test(registrationNumber)) {
+      return res.status(400).send('Número de inscrição inválido.');
+    }
+    if (!isValidAttachmentMode(attachmentMode)) {
+      return res.status(400).send('Tipo de geração inválido.');
+    }
+    if (!isValidRedactionProfile(redactionProfile)) {
+      return res.status(400).send('Perfil de ocultação inválido.');
+    }
+    if (!isValidEvaluatorIdentity(evaluatorIdentity)) {
+      return res.status(400).send('Identificação de avaliadores inválida.');
+    }
+    if (!isEvaluatorIdentityAvailable(evaluatorIdentity, { pseudonymsAvailable })) {
+      return res.status(400).send(PSEUDONYMS_UNAVAILABLE_MESSAGE);
+    }
+
+    let ficha;
+    try {
+      ficha = await generateFichaForRegistration(parentId, registrationNumber, includesAttachments(attachmentMode), {
+        redactionProfile,
+        evaluatorIdentity
+      });
+    } catch (err) {
+      logger.error(`Erro ao gerar ficha da inscrição ${registrationNumber}:`, err);
+      return res.status(500).send('Erro ao gerar ficha. Veja o log no servidor.');
+    }
+    if (!ficha) {
+      return res.status(404).send('Inscrição não encontrada nesta oportunidade.');
+    }
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="${ficha.filename}"`
+    });
+    return res.send(ficha.buffer);
+  });
+
+  // API JSON das fichas: os dados da ficha, sem renderizar PDF (formato em
+  // src/domain/ficha-api.js). Perfil LGPD e avaliadores como na ficha avulsa.
+  const fichaApiOptions = query => {
+    const redactionProfile = query.redactionProfile || DEFAULT_REDACTION_PROFILE;
+    const evaluatorIdentity = query.evaluatorIdentity || DEFAULT_EVALUATOR_IDENTITY;
+    if (!isValidRedactionProfile(redactionProfile)) {
+      throw new Error('Perfil de ocultação inválido.');
+    }
+    if (!isValidEvaluatorIdentity(evaluatorIdentity)) {
+      throw new Error('Identificação de avaliadores inválida.');
+    }
+    if (!isEvaluatorIdentityAvailable(evaluatorIdentity, { pseudonymsAvailable })) {
+      throw new Error(PSEUDONYMS_UNAVAILABLE_MESSAGE);
+    }
+    return { redactionProfile, evaluatorIdentity };
+  };
+
+  app.get('/api/opportunities/:id/fichas', operatorOnly, async (req, res) => {
+    const parentId = parseInt(req.params.id, 10);
+    if (isNaN(parentId)) {
+      return res.status(400).json({ error: 'Oportunidade inválida.' });
+    }
+    let options;
+    try {
+      options = {
+        ...parsePagination(req.query),
+        filter: parseRegistrationFilter(req.query),
+        ...fichaApiOptions(req.query)
+      };
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    try {
+      if (!await fetchOpportunityById(parentId)) {
+        return res.status(404).json({ error: 'Oportunidade não encontrada.' });
+      }
+      const { total, entries } = await fetchFichaPage(parentId, options);
+      return res.json(fichaPageToJson({ opportunityId: parentId, page: options.page, pageSize: options.pageSize, total, entries }));
+    } catch (err) {
+      logger.error(`Erro ao montar as fichas da oportunidade ${parentId}:`, err);
+      return res.status(500).json({ error: 'Erro ao montar as fichas.' });
+    }
+  });
+
+  app.get('/api/opportunities/:id/fichas/:number', operatorOnly, async (req, res) => {
+    const parentId = parseInt(req.params.id, 10);
+    const registrationNumber = req.params.number;
+    if (isNaN(parentId)) {
+      return res.status(400).json({ error: 'Oportunidade inválida.' });
+    }
+    if (!REGISTRATION_NUMBER_PATTERN.test(registrationNumber)) {
+      return res.status(400).json({ error: 'Número de inscrição inválido.' });
+    }
+    let options;
+    try {
+      options = fichaApiOptions(req.query);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    let entry;
+    try {
+      entry = await fetchFicha(parentId, registrationNumber, options);
+    } catch (err) {
+      logger.error(`Erro ao montar a ficha da inscrição ${registrationNumber}:`, err);
+      return res.status(500).json({ error: 'Erro ao montar a ficha.' });
+    }
+    if (!entry) {
+      return res.status(404).json({ error: 'Inscrição não encontrada nesta oportunidade.' });
+    }
+    return res.json(fichaResponseToJson({ opportunityId: parentId, entry }));
+  });
+
   return app;
 }
 
@@ -0,0 +1,68 @@
+/**
+ * Sessão e controle de acesso das rotas web.
+ *
+ * A sessão guarda apenas `{ username, role }` do usuário autenticado
+ * (ver src/auth/users.js). Rotas protegidas redirecionam navegadores para
+ * /login e respondem 401 a chamadas de API/EventSource; papel insuficiente
+ * responde 403.
+ */
+
+const session = require('express-session');
+
+const SESSION_COOKIE = 'fichas.sid';
+const SESSION_MAX_AGE_MS = 8 * 60 * 60 * 1000;
+
+function createSessionMiddleware({ secret, secureCookie = false }) {
+  return session({
+    name: SESSION_COOKIE,
+    secret,
+    resave: false,
+    saveUninitialized: false,
+    cookie: {
+      httpOnly: true,
+      // 'lax' impede que outro site dispare POST /generate com a sessão do usuário
+      sameSite: 'lax',
+      secure: secureCookie,
+      maxAge: SESSION_MAX_AGE_MS
+    }
+  });
+}
+
+function currentUser(req) {
+  return (req.session && req.session.user) || null;
+}
+
+function requireLogin(req, res, next) {
+  if (currentUser(req)) return next();
+
+  if (req.method === 'GET' && req.accepts(['html', 'json']) === 'html') {
+    return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+  }
+  return res.status(401).send('Autenticação necessária.');
+}
+
+function requireRole(...roles) {
+  return (req, res, next) => {
+    const user = currentUser(req);
+    if (user && roles.includes(user.role)) return next();
+    return res.status(403).send('Acesso negado para o seu perfil.');
+  };
+}
+
+/**
+ * Só aceita caminhos locais no `next` do login, evitando open redirect.
+ */
+function safeRedirectTarget(target) {
+  return typeof target === 'string' && target.startsWith('/') && !target.startsWith('//') && !target.startsWith('/\\')
+    ? target
+    : '/';
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  createSessionMiddleware,
+  currentUser,
+  requireLogin,
+  requireRole,
+  safeRedirectTarget
+};
@@ -9,13 +9,17 @@
 const fs = require('fs');
 const path = require('path');
 const Handlebars = require('handlebars');
+const { ROLE_LABELS } = require('../auth/users');
 
 const VIEWS_DIR = path.join(__dirname, 'views');
 const PARTIALS_DIR = path.join(VIEWS_DIR, 'partials');
 
 const handlebars = Handlebars.create();
 
-handlebars.registerHelper('typeLabel', type => (type === 'zip' ? 'ZIP' : 'PDF'));
+const FILE_TYPE_LABELS = { zip: 'ZIP', pdf: 'PDF', xlsx: 'XLSX', csv: 'CSV' };
+
+handlebars.registerHelper('typeLabel', type => FILE_TYPE_LABELS[type] || 'PDF');
+handlebars.registerHelper('roleLabel', role => ROLE_LABELS[role] || role);
 
 function compileView(name) {
   return handlebars.compile(fs.readFileSync(path.join(VIEWS_DIR, `${name}.hbs`), 'utf-8'));
@@ -31,31 +35,59 @@ for (const file of fs.readdirSync(PARTIALS_DIR)) {
 const views = {
   layout: compileView('layout'),
   index: compileView('index'),
-  result: compileView('result')
+  result: compileView('result'),
+  login: compileView('login')
 };
 
-function renderPage(viewName, { title, logoBase64 = '', pageScript = '' }, data) {
+function renderPage(viewName, { title, logoBase64 = '', pageScript = '', user = null }, data) {
   return views.layout({
     title,
     logoBase64,
     pageScript,
+    user,
     body: views[viewName](data)
   }).trim();
 }
 
-function renderIndexPage({ opportunities, filterOptions, attachmentOptions, logoBase64 }) {
+function renderIndexPage({
+  opportunities,
+  filterOptions,
+  statusOptions = [],
+  attachmentOptions,
+  redactionOptions = [],
+  evaluatorIdentityOptions = [],
+  zipLayoutOptions = [],
+  filenameTokens = [],
+  defaultFilenameTemplate = '',
+  canGenerate = true,
+  logoBase64,
+  user
+}) {
   return renderPage(
     'index',
-    { title: 'Gerar Fichas de Inscrição', logoBase64, pageScript: '/assets/js/index-page.js' },
-    { opportunities, filterOptions, attachmentOptions }
+    {
+      title: canGenerate ? 'Gerar Fichas de Inscrição' : 'Fichas de Inscrição',
+      logoBase64,
+      user,
+      pageScript: '/assets/js/index-page.js'
+    },
+    { opportunities, filterOptions, statusOptions, attachmentOptions, redactionOptions, evaluatorIdentityOptions, zipLayoutOptions, filenameTokens, defaultFilenameTemplate, canGenerate }
   );
 }
 
-function renderResultPage({ opportunity, zipUrl, files, logoBase64 }) {
+function renderResultPage({ opportunity, zipUrl, consolidatedUrl = null, spreadsheets = [], files, unmatchedNumbers = [], report = null, logoBase64, user }) {
   return renderPage(
     'result',
-    { title: 'Fichas Geradas', logoBase64 },
-    { opportunity, zipUrl, files }
+    { title: 'Fichas Geradas', logoBase64, user },
+    { opportunity, zipUrl, consolidatedUrl, spreadsheets, files, unmatchedNumbers, report }
+  );
+}
+
+function renderLoginPage({ next = '/', username = '', error = '', logoBase64 }) {
+  return renderPage(
+    'login',
+    { title: 'Entrar', logoBase64 },
+    { next, username, error }
   );
 }
 
@@ -71,5 +103,6 @@ function renderGeneratedFilesList(files) {
 module.exports = {
   renderIndexPage,
   renderResultPage,
+  renderLoginPage,
   renderGeneratedFilesList
 };
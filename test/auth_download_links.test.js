@@ -0,0 +1,77 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { LINK_STATUS, DEFAULT_DOWNLOAD_LINK_TTL_MS, createDownloadLinks } = require('../src/auth/download-links');
+
+const START = Date.parse('2026-03-01T12:00:00.000Z');
+
+function linksAt(clock, options = {}) {
+  return createDownloadLinks({ secret: 'segredo-de-teste', now: () => clock.now, ...options });
+}
+
+function queryOf(url) {
+  return Object.fromEntries(new URL(url, 'http://localhost').searchParams);
+}
+
+test('urlFor builds an encoded /downloads url with expiry and signature', () => {
+  const links = linksAt({ now: START }, { ttlMs: 60 * 60 * 1000 });
+
+  const url = links.urlFor('ficha_9_EG1_maria da silva.pdf');
+
+  assert.match(url, /^\/downloads\/ficha_9_EG1_maria%20da%20silva\.pdf\?expires=1772370000&signature=[0-9a-f]{64}$/);
+});
+
+test('a link is valid for the same file until it expires', () => {
+  const clock = { now: START };
+  const links = linksAt(clock, { ttlMs: 60 * 1000 });
+  const query = queryOf(links.urlFor('fichas_9.zip'));
+
+  assert.equal(links.verify('fichas_9.zip', query), LINK_STATUS.VALID);
+  clock.now += 59 * 1000;
+  assert.equal(links.verify('fichas_9.zip', query), LINK_STATUS.VALID);
+  clock.now += 1000;
+  assert.equal(links.verify('fichas_9.zip', query), LINK_STATUS.EXPIRED);
+});
+
+test('the default validity is 72 hours', () => {
+  assert.equal(DEFAULT_DOWNLOAD_LINK_TTL_MS, 72 * 60 * 60 * 1000);
+});
+
+test('a signature does not carry over to another file, expiry or secret', () => {
+  const clock = { now: START };
+  const links = linksAt(clock);
+  const query = queryOf(links.urlFor('fichas_9.zip'));
+
+  assert.equal(links.verify('fichas_10.zip', query), LINK_STATUS.INVALID);
+  assert.equal(links.verify('fichas_9.zip', { ...query, expires: String(Number(query.expires) + 1) }), LINK_STATUS.INVALID);
+  assert.equal(
+    createDownloadLinks({ secret: 'outro-segredo', now: () => clock.now }).verify('fichas_9.zip', query),
+    LINK_STATUS.INVALID
+  );
+});
+
+test('an expired link with a forged signature is reported as invalid, not expired', () => {
+  const clock = { now: START };
+  const links = linksAt(clock);
+
+  assert.equal(links.verify('fichas_9.zip', { expires: '1', signature: 'a'.repeat(64) }), LINK_STATUS.INVALID);
+});
+
+test('missing or malformed parameters are invalid', () => {
+  const links = linksAt({ now: START });
+
+  for (const query of [
+    undefined,
+    {},
+    { expires: '1772370000' },
+    { expires: 'amanha', signature: 'a'.repeat(64) },
+    { expires: '1772370000', signature: 'curta' },
+    { expires: ['1772370000'], signature: ['a'.repeat(64)] }
+  ]) {
+    assert.equal(links.verify('fichas_9.zip', query), LINK_STATUS.INVALID);
+  }
+});
+
+test('createDownloadLinks requires a secret', () => {
+  assert.throws(() => createDownloadLinks({ secret: '' }), /secret é obrigatório/);
+});
@@ -0,0 +1,81 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+
+const {
+  hashPassword,
+  verifyPassword,
+  parseUsers,
+  loadUsersFile,
+  authenticate
+} = require('../src/auth/users');
+
+test('hashPassword produces salted scrypt hashes that verifyPassword accepts', async () => {
+  const first = await hashPassword('segredo');
+  const second = await hashPassword('segredo');
+
+  assert.match(first, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+  assert.notEqual(first, second);
+  assert.equal(await verifyPassword('segredo', first), true);
+  assert.equal(await verifyPassword('outra', first), false);
+});
+
+test('verifyPassword rejects malformed hashes instead of throwing', async () => {
+  for (const stored of [undefined, '', 'texto-puro', 'scrypt$abc', 'bcrypt$aa$bb', 'scrypt$00$ff']) {
+    assert.equal(await verifyPassword('segredo', stored), false, String(stored));
+  }
+});
+
+test('parseUsers accepts operators and viewers', () => {
+  const users = parseUsers([
+    { username: ' ana ', passwordHash: 'scrypt$aa$bb', role: 'operator' },
+    { username: 'bruno', passwordHash: 'scrypt$cc$dd', role: 'viewer', extra: 'ignorado' }
+  ]);
+
+  assert.deepEqual(users, [
+    { username: 'ana', passwordHash: 'scrypt$aa$bb', role: 'operator' },
+    { username: 'bruno', passwordHash: 'scrypt$cc$dd', role: 'viewer' }
+  ]);
+});
+
+test('parseUsers rejects broken configurations with a descriptive error', () => {
+  const cases = [
+    { input: { users: [] },                                                       expected: /lista/ },
+    { input: [{ passwordHash: 'scrypt$a$b', role: 'viewer' }],                    expected: /sem username/ },
+    { input: [{ username: 'ana', passwordHash: 'senha', role: 'viewer' }],        expected: /passwordHash/ },
+    { input: [{ username: 'ana', passwordHash: 'scrypt$a$b', role: 'admin' }],    expected: /papel inválido/ },
+    {
+      input: [
+        { username: 'ana', passwordHash: 'scrypt$a$b', role: 'viewer' },
+        { username: 'ana', passwordHash: 'scrypt$c$d', role: 'operator' }
+      ],
+      expected: /duplicado/
+    }
+  ];
+
+  for (const { input, expected } of cases) {
+    assert.throws(() => parseUsers(input), expected);
+  }
+});
+
+test('loadUsersFile reads the JSON file and reports a missing one', async () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'users-'));
+  const usersFile = path.join(tmpDir, 'users.json');
+  fs.writeFileSync(usersFile, JSON.stringify([
+    { username: 'ana', passwordHash: await hashPassword('x'), role: 'operator' }
+  ]));
+
+  assert.equal(loadUsersFile(usersFile)[0].username, 'ana');
+  assert.throws(() => loadUsersFile(path.join(tmpDir, 'inexistente.json')), /não encontrado/);
+});
+
+test('authenticate returns only the username and role on success', async () => {
+  const users = [{ username: 'ana', passwordHash: await hashPassword('segredo'), role: 'operator' }];
+
+  assert.deepEqual(await authenticate(users, 'ana', 'segredo'), { username: 'ana', role: 'operator' });
+  assert.equal(await authenticate(users, 'ana', 'errada'), null);
+  assert.equal(await authenticate(users, 'ninguem', 'segredo'), null);
+  assert.equal(await authenticate(users, undefined, undefined), null);
+});
@@ -0,0 +1,135 @@
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const test = require('node:test');
+
+const { createBrowserPool } = require('../src/pdf/browser-pool');
+
+const silentLogger = { error() {}, warn() {}, log() {} };
+
+/**
+ * Navegador falso com a mesma superfície usada pelo pool.
+ */
+function fakeLauncher() {
+  const launched = [];
+  const launchBrowser = async () => {
+    const browser = new EventEmitter();
+    const page = { id: launched.length + 1, isClosed: () => false };
+    browser.openPages = [page];
+    browser.connected = true;
+    browser.closed = false;
+    browser.isConnected = () => browser.connected;
+    browser.pages = async () => browser.openPages;
+    browser.newPage = async () => page;
+    browser.close = async () => {
+      browser.closed = true;
+      browser.connected = false;
+    };
+    launched.push(browser);
+    return browser;
+  };
+  return { launched, launchBrowser };
+}
+
+test('the pool reuses the same browser across renders', async () => {
+  const { launched, launchBrowser } = fakeLauncher();
+  const pool = createBrowserPool({ size: 1, launchBrowser, logger: silentLogger });
+
+  const first = await pool.withPage(async page => page.id);
+  const second = await pool.withPage(async page => page.id);
+
+  assert.equal(launched.length, 1);
+  assert.equal(first, second);
+});
+
+test('the pool never opens more browsers than its size', async () => {
+  const { launched, launchBrowser } = fakeLauncher();
+  const pool = createBrowserPool({ size: 2, launchBrowser, logger: silentLogger });
+  let running = 0;
+  let maxRunning = 0;
+
+  await Promise.all(Array.from({ length: 6 }, () => pool.withPage(async () => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await new Promise(resolve => setImmediate(resolve));
+    running--;
+  })));
+
+  assert.equal(launched.length, 2);
+  assert.equal(maxRunning, 2);
+});
+
+test('the pool refuses a size or render limit that would never open a browser', () => {
+  const { launchBrowser } = fakeLauncher();
+
+  for (const size of [0, -1, NaN, 1.5]) {
+    assert.throws(() => createBrowserPool({ size, launchBrowser, logger: silentLogger }), /size deve ser um inteiro positivo/, String(size));
+  }
+  for (const maxRendersPerBrowser of [0, NaN]) {
+    assert.throws(
+      () => createBrowserPool({ size: 1, maxRendersPerBrowser, launchBrowser, logger: silentLogger }),
+      /maxRendersPerBrowser deve ser um inteiro positivo/
+    );
+  }
+});
+
+test('a browser is restarted after the configured number of renders', async () => {
+  const { launched, launchBrowser } = fakeLauncher();
+  const pool = createBrowserPool({ size: 1, maxRendersPerBrowser: 2, launchBrowser, logger: silentLogger });
+
+  for (let i = 0; i < 5; i++) {
+    await pool.withPage(async () => {});
+  }
+
+  assert.equal(launched.length, 3);
+  assert.deepEqual(launched.map(browser => browser.closed), [true, true, false]);
+});
+
+test('a failed render recycles the browser and the error still reaches the caller', async () => {
+  const { launched, launchBrowser } = fakeLauncher();
+  const pool = createBrowserPool({ size: 1, launchBrowser, logger: silentLogger });
+
+  await assert.rejects(
+    pool.withPage(async () => { throw new Error('timeout'); }),
+    /timeout/
+  );
+  await pool.withPage(async () => {});
+
+  assert.equal(launched.length, 2);
+  assert.equal(launched[0].closed, true);
+});
+
+test('a crashed browser is relaunched on the next render', async () => {
+  const { launched, launchBrowser } = fakeLauncher();
+  const pool = createBrowserPool({ size: 1, launchBrowser, logger: silentLogger });
+
+  await pool.withPage(async () => {});
+  launched[0].connected = false;
+  launched[0].emit('disconnected');
+  await pool.withPage(async () => {});
+
+  assert.equal(launched.length, 2);
+});
+
+test('a browser that leaks extra tabs is recycled', async () => {
+  const { launched, launchBrowser } = fakeLauncher();
+  const pool = createBrowserPool({ size: 1, launchBrowser, logger: silentLogger });
+
+  await pool.withPage(async () => {
+    launched[0].openPages.push({ isClosed: () => false });
+  });
+  await pool.withPage(async () => {});
+
+  assert.equal(launched.length, 2);
+  assert.equal(launched[0].closed, true);
+});
+
+test('close shuts every browser and rejects new renders', async () => {
+  const { launched, launchBrowser } = fakeLauncher();
+  const pool = createBrowserPool({ size: 2, launchBrowser, logger: silentLogger });
+
+  await Promise.all([pool.withPage(async () => {}), pool.withPage(async () => {})]);
+  await pool.close();
+
+  assert.equal(launched.every(browser => browser.closed), true);
+  await assert.rejects(pool.withPage(async () => {}), /Pool de navegadores encerrado/);
+});
@@ -0,0 +1,390 @@
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { Readable } = require('node:stream');
+const test = require('node:test');
+
+const { runCli, EXIT_OK, EXIT_FAILURE, EXIT_USAGE } = require('../src/cli/cli');
+const { buildGenerationReport } = require('../src/domain/generation-report');
+
+function output() {
+  const chunks = [];
+  return { write: chunk => chunks.push(chunk), text: () => chunks.join('') };
+}
+
+function defaultDeps(overrides = {}) {
+  return {
+    outputDir: '/srv/fichas/output',
+    fetchParentOpportunities: async () => [
+      { id: 9, name: 'Edital de Música' },
+      { id: 585, name: 'Edital de Artes Cênicas' }
+    ],
+    fetchOpportunityById: async id => ({ id, name: 'Edital de Música' }),
+    fetchPhasesForOpportunity: async () => [
+      { id: 9, name: 'Inscrições', isAppealPhase: false },
+      { id: 11, name: 'Recurso', isAppealPhase: true }
+    ],
+    generateFichas: async () => ({ zipFilename: 'fichas_9.zip', unmatchedNumbers: [] }),
+    hashPassword: async password => `scrypt$hash-de$${password}`,
+    stdin: Readable.from([]),
+    stdout: output(),
+    stderr: output(),
+    ...overrides
+  };
+}
+
+function registrationFilter(filterType, statuses, overrides = {}) {
+  return {
+    filterType,
+    statuses,
+    category: null,
+    proponentType: null,
+    range: null,
+    sentFrom: null,
+    sentTo: null,
+    registrationNumbers: null,
+    ...overrides
+  };
+}
+
+test('generate passes the parsed options to generateFichas and prints the ZIP path', async () => {
+  const calls = [];
+  const deps = defaultDeps({
+    generateFichas: async (...args) => {
+      calls.push(args);
+      return { zipFilename: 'fichas_123_sem_anexos.zip', unmatchedNumbers: [] };
+    }
+  });
+
+  const code = await runCli([
+    'generate', '--parent', '123', '--filter', 'selected_and_alternate', '--sheet-only', '--out', './saida'
+  ], deps);
+
+  const outputDir = path.resolve('./saida');
+  assert.equal(code, EXIT_OK);
+  assert.deepEqual(calls, [[123, registrationFilter('selected_and_alternate', [8, 10]), false, { outputDir, redactionProfile: 'full', evaluatorIdentity: 'anonymous', phaseIds: null, filenameTemplate: null, zipLayout: 'flat', consolidated: false, spreadsheet: false }]]);
+  assert.equal(deps.stdout.text(), `${path.join(outputDir, 'fichas_123_sem_anexos.zip')}\n`);
+});
+
+test('generate defaults to selected registrations with attachments in OUTPUT_DIR', async () => {
+  const calls = [];
+  const code = await runCli(['generate', '--parent', '9'], defaultDeps({
+    generateFichas: async (...args) => {
+      calls.push(args);
+      return { zipFilename: 'fichas_9.zip', unmatchedNumbers: [] };
+    }
+  }));
+
+  assert.equal(code, EXIT_OK);
+  assert.deepEqual(calls, [[9, registrationFilter('selected', [10]), true, { outputDir: '/srv/fichas/output', redactionProfile: 'full', evaluatorIdentity: 'anonymous', phaseIds: null, filenameTemplate: null, zipLayout: 'flat', consolidated: false, spreadsheet: false }]]);
+});
+
+test('generate passes the chosen LGPD redaction profile to the generator', async () => {
+  const calls = [];
+  const code = await runCli(['generate', '--parent', '9', '--redaction', 'masked'], defaultDeps({
+    generateFichas: async (...args) => {
+      calls.push(args);
+      return { zipFilename: 'fichas_9_lgpd_mascarado.zip', unmatchedNumbers: [] };
+    }
+  }));
+
+  assert.equal(code, EXIT_OK);
+  assert.equal(calls[0][3].redactionProfile, 'masked');
+});
+
+test('generate passes the chosen evaluator identity to the generator', async () => {
+  const calls = [];
+  const code = await runCli(['generate', '--parent', '9', '--evaluators', 'pseudonymous'], defaultDeps({
+    generateFichas: async (...args) => {
+      calls.push(args);
+      return { zipFilename: 'fichas_9_pseudonimos.zip', unmatchedNumbers: [] };
+    }
+  }));
+
+  assert.equal(code, EXIT_OK);
+  assert.equal(calls[0][3].evaluatorIdentity, 'pseudonymous');
+});
+
+test('generate refuses pseudonymous evaluators without a pseudonym secret before touching the database', async () => {
+  let called = false;
+  const stderr = output();
+  const code = await runCli(['generate', '--parent', '9', '--evaluators', 'pseudonymous'], defaultDeps({
+    pseudonymsAvailable: false,
+    fetchOpportunityById: async () => { called = true; return null; },
+    generateFichas: async () => { called = true; return { zipFilename: 'x.zip', unmatchedNumbers: [] }; },
+    stderr
+  }));
+
+  assert.equal(code, EXIT_USAGE);
+  assert.equal(called, false);
+  assert.match(stderr.text(), /defina EVALUATOR_PSEUDONYM_SECRET ou SESSION_SECRET/);
+});
+
+test('generate in consolidated mode asks for the single PDF and prints its path after the ZIP', async () => {
+  const calls = [];
+  const deps = defaultDeps({
+    generateFichas: async (...args) => {
+      calls.push(args);
+      return { zipFilename: 'fichas_9.zip', consolidatedFilename: 'fichas_9_consolidado.pdf', unmatchedNumbers: [] };
+    }
+  });
+
+  const code = await runCli(['generate', '--parent', '9', '--attachment-mode', 'consolidated'], deps);
+
+  assert.equal(code, EXIT_OK);
+  assert.equal(calls[0][2], true);
+  assert.equal(calls[0][3].consolidated, true);
+  assert.equal(deps.stdout.text(), [
+    path.join('/srv/fichas/output', 'fichas_9.zip'),
+    path.join('/srv/fichas/output', 'fichas_9_consolidado.pdf')
+  ].join('\n') + '\n');
+});
+
+test('generate --spreadsheet asks for the spreadsheet and prints its paths after the ZIP', async () => {
+  const calls = [];
+  const deps = defaultDeps({
+    generateFichas: async (...args) => {
+      calls.push(args);
+      return {
+        zipFilename: 'fichas_9.zip',
+        spreadsheetFilenames: ['fichas_9_planilha.xlsx', 'fichas_9_planilha.csv'],
+        unmatchedNumbers: []
+      };
+    }
+  });
+
+  const code = await runCli(['generate', '--parent', '9', '--spreadsheet'], deps);
+
+  assert.equal(code, EXIT_OK);
+  assert.equal(calls[0][3].spreadsheet, true);
+  assert.equal(deps.stdout.text(), [
+    path.join('/srv/fichas/output', 'fichas_9.zip'),
+    path.join('/srv/fichas/output', 'fichas_9_planilha.xlsx'),
+    path.join('/srv/fichas/output', 'fichas_9_planilha.csv')
+  ].join('\n') + '\n');
+});
+
+test('generate passes the chosen phases to the generator', async () => {
+  const calls = [];
+  const code = await runCli(['generate', '--parent', '9', '--phases', '9, 11'], defaultDeps({
+    generateFichas: async (...args) => {
+      calls.push(args);
+      return { zipFilename: 'fichas_9.zip', unmatchedNumbers: [] };
+    }
+  }));
+
+  assert.equal(code, EXIT_OK);
+  assert.deepEqual(calls[0][3].phaseIds, [9, 11]);
+});
+
+test('generate builds a custom registration filter from the filter options', async () => {
+  const calls = [];
+  const code = await runCli([
+    'generate', '--parent', '9', '--status', '10,3', '--category', 'Música',
+    '--proponent-type', 'Coletivo', '--range', 'Faixa 1',
+    '--sent-from', '2025-03-01', '--sent-to', '2025-03-31', '--numbers', 'on-1,on-2'
+  ], defaultDeps({
+    generateFichas: async (...args) => {
+      calls.push(args);
+      return { zipFilename: 'fichas_9.zip', unmatchedNumbers: [] };
+    }
+  }));
+
+  assert.equal(code, EXIT_OK);
+  assert.deepEqual(calls[0][1], registrationFilter('custom', [3, 10], {
+    category: 'Música',
+    proponentType: 'Coletivo',
+    range: 'Faixa 1',
+    sentFrom: '2025-03-01',
+    sentTo: '2025-03-31',
+    registrationNumbers: ['on-1', 'on-2']
+  }));
+});
+
+test('generate reads the registration list from --numbers-file and reports numbers without ficha', async () => {
+  const calls = [];
+  const deps = defaultDeps({
+    readFile: file => {
+      assert.equal(file, 'deferidos.csv');
+      return 'inscricao\non-1\non-2\non-404\n';
+    },
+    generateFichas: async (...args) => {
+      calls.push(args);
+      return {
+        zipFilename: 'fichas_9.zip',
+        unmatchedNumbers: [{ number: 'on-404', reason: 'Não encontrada', opportunityId: null, opportunityName: null }]
+      };
+    }
+  });
+
+  const code = await runCli(['generate', '--parent', '9', '--filter', 'all', '--numbers-file', 'deferidos.csv'], deps);
+
+  assert.equal(code, EXIT_OK);
+  assert.deepEqual(calls[0][1].registrationNumbers, ['on-1', 'on-2', 'on-404']);
+  assert.equal(deps.stderr.text(), 'Inscrição on-404 sem ficha: Não encontrada.\n');
+});
+
+test('generate rejects an unreadable or invalid --numbers-file with exit code 2', async () => {
+  const unreadable = defaultDeps({ readFile: () => { throw new Error('ENOENT'); } });
+  assert.equal(await runCli(['generate', '--parent', '9', '--numbers-file', 'x.csv'], unreadable), EXIT_USAGE);
+  assert.match(unreadable.stderr.text(), /Não foi possível ler x\.csv: ENOENT/);
+
+  const invalid = defaultDeps({ readFile: () => '' });
+  assert.equal(await runCli(['generate', '--parent', '9', '--numbers-file', 'x.csv'], invalid), EXIT_USAGE);
+  assert.match(invalid.stderr.text(), /x\.csv: A lista não tem números de inscrição\./);
+});
+
+test('generate passes the naming template and ZIP folders to the generator', async () => {
+  const calls = [];
+  const code = await runCli(['generate', '--parent', '9', '--name-template', '{status}_{number}', '--zip-folders', 'status'], defaultDeps({
+    generateFichas: async (...args) => {
+      calls.push(args);
+      return { zipFilename: 'fichas_9.zip', unmatchedNumbers: [] };
+    }
+  }));
+
+  assert.equal(code, EXIT_OK);
+  assert.equal(calls[0][3].filenameTemplate, '{status}_{number}');
+  assert.equal(calls[0][3].zipLayout, 'status');
+});
+
+test('generate rejects invalid usage with exit code 2 without calling the generator', async () => {
+  const cases = [
+    { argv: ['generate'],                                                  expected: /--parent/ },
+    { argv: ['generate', '--parent', 'abc'],                               expected: /--parent/ },
+    { argv: ['generate', '--parent', '9', '--filter', 'todas'],            expected: /Tipo de filtro inválido/ },
+    { argv: ['generate', '--parent', '9', '--attachment-mode', 'nenhum'],  expected: /Tipo de geração inválido/ },
+    { argv: ['generate', '--parent', '9', '--redaction', 'parcial'],       expected: /Perfil de ocultação inválido/ },
+    { argv: ['generate', '--parent', '9', '--evaluators', 'todos'],        expected: /Identificação de avaliadores inválida/ },
+    { argv: ['generate', '--parent', '9', '--filter', 'all', '--status', '8'], expected: /--status só pode ser usado com --filter custom/ },
+    { argv: ['generate', '--parent', '9', '--status', '7'],                expected: /Status de inscrição inválido: 7/ },
+    { argv: ['generate', '--parent', '9', '--sent-from', '2025-02-30'],    expected: /Data de envio inválida: 2025-02-30/ },
+    { argv: ['generate', '--parent', '9', '--zip-folders', 'fase'],        expected: /Organização do ZIP inválida/ },
+    { argv: ['generate', '--parent', '9', '--name-template', '{agent}'],   expected: /precisa ter \{number\}/ },
+    { argv: ['generate', '--parent', '9', '--phases', '11,abc'],           expected: /Fase inválida: abc/ },
+    { argv: ['generate', '--parent', '9', '--phases', '11,12'],            expected: /Fase inválida para esta oportunidade: 12/ },
+    { argv: ['generate', '--parent', '9', '--sheet-only', '--attachment-mode', 'with_attachments'], expected: /--sheet-only/ },
+    { argv: ['generate', '--parent', '9', '--desconhecida'],               expected: /desconhecida/ }
+  ];
+
+  for (const { argv, expected } of cases) {
+    let called = false;
+    const deps = defaultDeps({ generateFichas: async () => { called = true; return { zipFilename: 'x.zip', unmatchedNumbers: [] }; } });
+
+    const code = await runCli(argv, deps);
+
+    assert.equal(code, EXIT_USAGE, argv.join(' '));
+    assert.match(deps.stderr.text(), expected);
+    assert.equal(called, false, argv.join(' '));
+  }
+});
+
+test('generate exits with 1 when the opportunity does not exist or the generation fails', async () => {
+  const missing = defaultDeps({ fetchOpportunityById: async () => null });
+  assert.equal(await runCli(['generate', '--parent', '999'], missing), EXIT_FAILURE);
+  assert.match(missing.stderr.text(), /Oportunidade não encontrada/);
+
+  const failing = defaultDeps({ generateFichas: async () => { throw new Error('Nenhuma inscrição encontrada'); } });
+  assert.equal(await runCli(['generate', '--parent', '9'], failing), EXIT_FAILURE);
+  assert.match(failing.stderr.text(), /Nenhuma inscrição encontrada/);
+});
+
+test('generate prints the report summary and exits with 1 when some ficha failed', async () => {
+  const reportWith = outcomes => buildGenerationReport({ opportunityId: 9, outcomes });
+  const failing = defaultDeps({
+    generateFichas: async () => ({
+      zipFilename: 'fichas_9.zip',
+      unmatchedNumbers: [],
+      report: reportWith([
+        { registrationNumber: 'on-1', filename: 'ficha_9_on-1_ana.pdf' },
+        { registrationNumber: 'on-2', error: 'Timeout ao renderizar' }
+      ])
+    })
+  });
+
+  assert.equal(await runCli(['generate', '--parent', '9'], failing), EXIT_FAILURE);
+  assert.equal(failing.stdout.text(), `${path.resolve('/srv/fichas/output', 'fichas_9.zip')}\n`);
+  assert.match(failing.stderr.text(), /Ficha on-2 falhou: Timeout ao renderizar/);
+  assert.match(failing.stderr.text(), /1 de 2 fichas geradas/);
+
+  const succeeding = defaultDeps({
+    generateFichas: async () => ({
+      zipFilename: 'fichas_9.zip',
+      unmatchedNumbers: [],
+      report: reportWith([{ registrationNumber: 'on-1', filename: 'ficha_9_on-1_ana.pdf' }])
+    })
+  });
+  assert.equal(await runCli(['generate', '--parent', '9'], succeeding), EXIT_OK);
+});
+
+test('list-opportunities prints one tab-separated line per opportunity', async () => {
+  const deps = defaultDeps();
+
+  assert.equal(await runCli(['list-opportunities'], deps), EXIT_OK);
+  assert.equal(deps.stdout.text(), '9\tEdital de Música\n585\tEdital de Artes Cênicas\n');
+});
+
+test('list-opportunities and list-phases support JSON output', async () => {
+  const opportunities = defaultDeps();
+  await runCli(['list-opportunities', '--json'], opportunities);
+  assert.deepEqual(JSON.parse(opportunities.stdout.text()).map(o => o.id), [9, 585]);
+
+  const phases = defaultDeps();
+  await runCli(['list-phases', '--parent', '9', '--json'], phases);
+  assert.deepEqual(JSON.parse(phases.stdout.text()).map(p => p.id), [9, 11]);
+});
+
+test('list-phases marks appeal phases and requires --parent', async () => {
+  const deps = defaultDeps();
+  assert.equal(await runCli(['list-phases', '--parent', '9'], deps), EXIT_OK);
+  assert.equal(deps.stdout.text(), '9\tInscrições\n11\tRecurso\t(recurso)\n');
+
+  assert.equal(await runCli(['list-phases'], defaultDeps()), EXIT_USAGE);
+});
+
+test('list-phases marks phases that only evaluate', async () => {
+  const deps = defaultDeps({
+    fetchPhasesForOpportunity: async () => [
+      { id: 9, name: 'Inscrições', isAppealPhase: false, isDataCollection: true },
+      { id: 10, name: 'Mérito', isAppealPhase: false, isDataCollection: false }
+    ]
+  });
+
+  await runCli(['list-phases', '--parent', '9'], deps);
+  assert.equal(deps.stdout.text(), '9\tInscrições\n10\tMérito\t(somente avaliação)\n');
+});
+
+test('list-phases exits with 1 for an opportunity without phases', async () => {
+  const deps = defaultDeps({ fetchPhasesForOpportunity: async () => [] });
+  assert.equal(await runCli(['list-phases', '--parent', '999'], deps), EXIT_FAILURE);
+});
+
+test('a database failure while listing exits with 1', async () => {
+  const deps = defaultDeps({ fetchParentOpportunities: async () => { throw new Error('conexão recusada'); } });
+
+  assert.equal(await runCli(['list-opportunities'], deps), EXIT_FAILURE);
+  assert.match(deps.stderr.text(), /conexão recusada/);
+});
+
+test('help prints the usage and unknown commands exit with 2', async () => {
+  const help = defaultDeps();
+  assert.equal(await runCli(['help'], help), EXIT_OK);
+  assert.match(help.stdout.text(), /list-opportunities/);
+
+  const unknown = defaultDeps();
+  assert.equal(await runCli(['gerar'], unknown), EXIT_USAGE);
+  assert.match(unknown.stderr.text(), /Comando desconhecido: gerar/);
+});
+
+test('hash-password reads the password from stdin and prints its hash', async () => {
+  const deps = defaultDeps({ stdin: Readable.from([Buffer.from('senha secreta\n')]) });
+
+  assert.equal(await runCli(['hash-password'], deps), EXIT_OK);
+  assert.equal(deps.stdout.text(), 'scrypt$hash-de$senha secreta\n');
+});
+
+test('hash-password without a password on stdin exits with 2', async () => {
+  const deps = defaultDeps();
+
+  assert.equal(await runCli(['hash-password'], deps), EXIT_USAGE);
+  assert.match(deps.stderr.text(), /entrada padrão/);
+});
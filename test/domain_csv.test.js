@@ -0,0 +1,31 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { csvCell, rowsToCsv } = require('../src/domain/csv');
+
+test('csvCell quotes cells with separators, quotes or line breaks', () => {
+  assert.equal(csvCell('Grupo "Maré"; Cultura'), '"Grupo ""Maré""; Cultura"');
+  assert.equal(csvCell('linha 1\nlinha 2'), '"linha 1\nlinha 2"');
+  assert.equal(csvCell(null), '');
+  assert.equal(csvCell(8.5), '8.5');
+});
+
+test('csvCell neutralizes cells that a spreadsheet would run as a formula', () => {
+  assert.equal(csvCell('=HYPERLINK("http://x.example","clique")'), '"\'=HYPERLINK(""http://x.example"",""clique"")"');
+  assert.equal(csvCell('+55 62 9999-0000'), "'+55 62 9999-0000");
+  assert.equal(csvCell('-2+3'), "'-2+3");
+  assert.equal(csvCell('@SUM(A1:A2)'), "'@SUM(A1:A2)");
+  assert.equal(csvCell('\t=1+1'), "'\t=1+1");
+  assert.equal(csvCell('\r=1+1'), '"\'\r=1+1"');
+});
+
+test('csvCell keeps plain numbers, negative ones included', () => {
+  assert.equal(csvCell('-3'), '-3');
+  assert.equal(csvCell('-3,5'), '-3,5');
+  assert.equal(csvCell(-1.25), '-1.25');
+  assert.equal(csvCell('+7'), '+7');
+});
+
+test('rowsToCsv writes one CRLF-terminated line per row', () => {
+  assert.equal(rowsToCsv([['a', 'b'], ['=1', 2]]), "a;b\r\n'=1;2\r\n");
+});
@@ -0,0 +1,63 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { DEFAULT_TIME_ZONE, isValidTimeZone, formatDateValue } = require('../src/domain/dates');
+
+test('the default display time zone is Brasília', () => {
+  assert.equal(DEFAULT_TIME_ZONE, 'America/Sao_Paulo');
+});
+
+test('calendar dates are printed as they are, without time zone shifts', () => {
+  assert.equal(formatDateValue('2025-03-09'), '09/03/2025');
+  assert.equal(formatDateValue('2025-03-09', { timeZone: 'Asia/Tokyo' }), '09/03/2025');
+});
+
+test('timestamps with Z or an offset are converted to the display time zone', () => {
+  assert.equal(formatDateValue('2025-03-09T02:30:00Z'), '08/03/2025 23:30:00');
+  assert.equal(formatDateValue('2025-03-09T14:30:00.123Z'), '09/03/2025 11:30:00');
+  assert.equal(formatDateValue('2025-03-09T14:30:00+01:00'), '09/03/2025 10:30:00');
+  assert.equal(formatDateValue('2025-03-09 14:30:00-0300'), '09/03/2025 14:30:00');
+  assert.equal(formatDateValue('2025-03-09T14:30Z', { timeZone: 'America/Manaus' }), '09/03/2025 10:30:00');
+});
+
+test('timestamps without offset are read in the source zone, which defaults to the display zone', () => {
+  assert.equal(formatDateValue('2025-03-09T14:30:00'), '09/03/2025 14:30:00');
+  assert.equal(formatDateValue('2025-03-09 14:30:00', { sourceTimeZone: 'UTC' }), '09/03/2025 11:30:00');
+  assert.equal(
+    formatDateValue('2025-03-09T14:30:00', { timeZone: 'America/Rio_Branco', sourceTimeZone: 'America/Sao_Paulo' }),
+    '09/03/2025 12:30:00'
+  );
+});
+
+test('historic daylight saving time in Brasília is respected', () => {
+  // Horário de verão 2018/2019: -02:00
+  assert.equal(formatDateValue('2019-01-15T12:00:00Z'), '15/01/2019 10:00:00');
+  assert.equal(formatDateValue('2019-01-15 10:00:00', { timeZone: 'UTC', sourceTimeZone: 'America/Sao_Paulo' }), '15/01/2019 12:00:00');
+});
+
+test('Date objects are printed in the display time zone', () => {
+  assert.equal(formatDateValue(new Date('2025-03-09T14:30:00Z')), '09/03/2025 11:30:00');
+  assert.equal(formatDateValue(new Date('invalido')), null);
+});
+
+test('values that are not dates return null', () => {
+  assert.equal(formatDateValue('Projeto 2025-03-09'), null);
+  assert.equal(formatDateValue('2025-03-09T14:30:00 até as 18h'), null);
+  assert.equal(formatDateValue(20250309), null);
+  assert.equal(formatDateValue(null), null);
+});
+
+test('impossible dates and times are not treated as dates', () => {
+  assert.equal(formatDateValue('2024-02-31'), null);
+  assert.equal(formatDateValue('2023-02-29'), null);
+  assert.equal(formatDateValue('2025-13-01'), null);
+  assert.equal(formatDateValue('2025-03-09T25:00:00Z'), null);
+  assert.equal(formatDateValue('2025-03-09 14:61:00'), null);
+  assert.equal(formatDateValue('2024-02-29'), '29/02/2024');
+});
+
+test('isValidTimeZone accepts IANA names only', () => {
+  assert.equal(isValidTimeZone('America/Sao_Paulo'), true);
+  assert.equal(isValidTimeZone('UTC'), true);
+  assert.equal(isValidTimeZone('Brasil/Fortaleza'), false);
+});
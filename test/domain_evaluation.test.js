@@ -2,6 +2,7 @@ const assert = require('node:assert/strict');
 const test = require('node:test');
 
 const {
+  EVALUATION_INTERPRETERS,
   parseEvaluationData,
   processEvaluation,
   processAppealResult,
@@ -19,13 +20,19 @@ const TECHNICAL_SECTIONS = [
   }
 ];
 
-const noSections = async () => [];
-const withSections = async () => TECHNICAL_SECTIONS;
+const noSections = async () => ({ type: 'simple', sections: [] });
+const withSections = async () => ({ type: 'technical', sections: TECHNICAL_SECTIONS });
 
 test('processEvaluation returns an empty result when there is no evaluation', async () => {
   for (const input of [undefined, null, []]) {
     const result = await processEvaluation(1, input, withSections);
-    assert.deepEqual(result, { evaluations: [], hasTechnical: false, hasSimplified: false });
+    assert.deepEqual(result, {
+      evaluations: [],
+      hasTechnical: false,
+      hasSimplified: false,
+      hasDocumentary: false,
+      hasQualification: false
+    });
   }
 });
 
@@ -47,11 +54,15 @@ test('processEvaluation maps technical criteria scores by criterion id', async (
     {
       sectionTitle: 'Mérito Cultural',
       criteria: [
-        { label: 'Relevância', score: 8 },
-        { label: 'Originalidade', score: 5 }
-      ]
+        { label: 'Relevância', score: 8, max: null, weight: 1, weightedScore: 8 },
+        { label: 'Originalidade', score: 5, max: null, weight: 1, weightedScore: 5 }
+      ],
+      subtotal: 13,
+      maxSubtotal: null
     }
   ]);
+  assert.equal(evaluation.computedTotal, 13);
+  assert.equal(evaluation.totalMismatch, false);
 });
 
 test('processEvaluation scores missing or non-numeric criteria as zero', async () => {
@@ -78,7 +89,7 @@ test('processEvaluation loads the phase sections only once per phase', async ()
   let calls = 0;
   const countingLoader = async () => {
     calls++;
-    return TECHNICAL_SECTIONS;
+    return { type: 'technical', sections: TECHNICAL_SECTIONS };
   };
 
   await processEvaluation(1, [
@@ -90,6 +101,80 @@ test('processEvaluation loads the phase sections only once per phase', async ()
   assert.equal(calls, 1);
 });
 
+const WEIGHTED_SECTIONS = [
+  {
+    id: 's1',
+    name: 'Mérito Cultural',
+    criteria: [
+      { id: 'c1', title: 'Relevância', weight: 2, max: 10 },
+      { id: 'c2', title: 'Originalidade', weight: 1, max: 5 }
+    ]
+  },
+  {
+    id: 's2',
+    name: 'Viabilidade',
+    criteria: [{ id: 'c3', title: 'Orçamento', weight: 1.5, max: 10 }]
+  }
+];
+
+const withWeightedSections = async () => ({ type: 'technical', sections: WEIGHTED_SECTIONS });
+
+test('processEvaluation computes weighted section subtotals and maximums', async () => {
+  const result = await processEvaluation(1, [
+    { evaluation_data: { c1: 8, c2: 4.5, c3: 7 }, total_score: 31 }
+  ], withWeightedSections);
+
+  const [evaluation] = result.evaluations;
+  assert.deepEqual(evaluation.sections[0].criteria[0], {
+    label: 'Relevância', score: 8, max: 10, weight: 2, weightedScore: 16
+  });
+  assert.deepEqual(evaluation.sections.map(sec => [sec.subtotal, sec.maxSubtotal]), [[20.5, 25], [10.5, 15]]);
+  assert.equal(evaluation.computedTotal, 31);
+  assert.equal(evaluation.maxTotal, 40);
+  assert.equal(evaluation.totalMismatch, false);
+});
+
+test('processEvaluation flags a stored total that differs from the criteria', async () => {
+  const result = await processEvaluation(1, [
+    { evaluation_data: { c1: 8, c2: 4.5, c3: 7 }, total_score: '28.5' }
+  ], withWeightedSections);
+
+  assert.equal(result.evaluations[0].computedTotal, 31);
+  assert.equal(result.evaluations[0].totalMismatch, true);
+});
+
+test('processEvaluation averages the stored totals across evaluators', async () => {
+  const result = await processEvaluation(1, [
+    { evaluation_data: { c1: 8 }, total_score: 16 },
+    { evaluation_data: { c1: 9 }, total_score: 18 },
+    { evaluation_data: { c1: 6 }, total_score: '12.5' }
+  ], withWeightedSections);
+
+  assert.equal(result.meanTotal, 15.5);
+  assert.equal(result.hasMeanTotal, true);
+});
+
+test('processEvaluation leaves a blank technical total out of the mean', async () => {
+  const result = await processEvaluation(1, [
+    { evaluation_data: { c1: 8 }, total_score: 16 },
+    { evaluation_data: {}, total_score: null }
+  ], withWeightedSections);
+
+  assert.equal(result.evaluations[1].total, null);
+  assert.equal(result.evaluations[1].totalMismatch, false);
+  assert.equal(result.meanTotal, 16);
+  assert.equal(result.hasMeanTotal, false);
+});
+
+test('processEvaluation does not show a mean for a single evaluator', async () => {
+  const result = await processEvaluation(1, [
+    { evaluation_data: { c1: 8 }, total_score: 16 }
+  ], withWeightedSections);
+
+  assert.equal(result.meanTotal, 16);
+  assert.equal(result.hasMeanTotal, false);
+});
+
 test('processEvaluation falls back to a simplified evaluation when the phase has no sections', async () => {
   const result = await processEvaluation(1, [
     { evaluation_data: JSON.stringify({ obs: 'Aprovado' }), total_score: 7 }
@@ -118,6 +203,116 @@ test('processEvaluation survives malformed evaluation data', async () => {
   }
 });
 
+test('processEvaluation treats a phase without evaluation method as simplified', async () => {
+  const result = await processEvaluation(1, [{ evaluation_data: {}, total_score: 5 }], async () => null);
+
+  assert.equal(result.hasSimplified, true);
+  assert.equal(result.evaluations[0].method, null);
+});
+
+const documentaryMethod = async () => ({
+  type: 'documentary',
+  fieldLabels: { field_7: 'Comprovante de residência', rfc_3: 'Portfólio' }
+});
+
+test('processEvaluation lists documentary verdicts and justifications per field', async () => {
+  const result = await processEvaluation(2, [{
+    evaluation_data: JSON.stringify({
+      field_5: { label: 'CPF do proponente', evaluation: 'valid', obs_items: '', obs: '' },
+      field_7: { evaluation: 'invalid', obs_items: 'Documento ilegível', obs: 'Reenviar em PDF' },
+      rfc_3: { evaluation: '' },
+      obs: 'Pendências na documentação'
+    }),
+    total_score: -1
+  }], documentaryMethod);
+
+  assert.equal(result.hasDocumentary, true);
+  assert.equal(result.hasTechnical, false);
+  assert.equal(result.hasSimplified, false);
+
+  const [evaluation] = result.evaluations;
+  assert.equal(evaluation.method, 'documentary');
+  assert.equal(evaluation.parecer, 'Pendências na documentação');
+  assert.equal(evaluation.result, 'Inválida');
+  assert.deepEqual(evaluation.items, [
+    { label: 'CPF do proponente', verdict: 'Válido', justification: '' },
+    { label: 'Comprovante de residência', verdict: 'Inválido', justification: 'Documento ilegível — Reenviar em PDF' },
+    { label: 'Portfólio', verdict: 'Não avaliado', justification: '' }
+  ]);
+});
+
+test('a documentary evaluation is valid only when every field is valid', async () => {
+  const allValid = await processEvaluation(2, [{
+    evaluation_data: { field_5: { evaluation: 'valid' }, field_99: { evaluation: 'valid' } },
+    total_score: 1
+  }], documentaryMethod);
+  const pending = await processEvaluation(2, [{
+    evaluation_data: { field_5: { evaluation: 'valid' }, field_7: { evaluation: '' } },
+    total_score: 0
+  }], documentaryMethod);
+
+  assert.equal(allValid.evaluations[0].result, 'Válida');
+  assert.equal(pending.evaluations[0].result, '');
+  // Campo sem rótulo conhecido aparece pela chave
+  assert.equal(allValid.evaluations[0].items[1].label, 'field_99');
+});
+
+const QUALIFICATION_SECTIONS = [
+  {
+    id: 's1',
+    name: 'Documentação',
+    criteria: [
+      { id: 'c1', title: 'Certidão negativa' },
+      { id: 'c2', title: 'Comprovante de atuação' },
+      { id: 'c3', title: 'Estatuto social' }
+    ]
+  }
+];
+
+const qualificationMethod = async () => ({ type: 'qualification', sections: QUALIFICATION_SECTIONS });
+
+test('processEvaluation lists qualification verdicts and justifications per criterion', async () => {
+  const result = await processEvaluation(3, [{
+    evaluation_data: {
+      c1: 'valid',
+      c2: 'invalid',
+      c2_reason: 'Sem comprovação de 2 anos',
+      c3: { value: ['Não se aplica'], reason: 'Pessoa física' },
+      obs: 'Proponente inabilitado'
+    },
+    total_score: 'Inabilitado'
+  }], qualificationMethod);
+
+  assert.equal(result.hasQualification, true);
+  assert.equal(result.hasTechnical, false);
+
+  const [evaluation] = result.evaluations;
+  assert.equal(evaluation.result, 'Inabilitado');
+  assert.equal(evaluation.parecer, 'Proponente inabilitado');
+  assert.deepEqual(evaluation.sections, [{
+    sectionTitle: 'Documentação',
+    criteria: [
+      { label: 'Certidão negativa', verdict: 'Atende', justification: '' },
+      { label: 'Comprovante de atuação', verdict: 'Não atende', justification: 'Sem comprovação de 2 anos' },
+      { label: 'Estatuto social', verdict: 'Não se aplica', justification: 'Pessoa física' }
+    ]
+  }]);
+});
+
+test('the qualification result is derived from the criteria when none is stored', async () => {
+  const resultFor = async evaluationData => (await processEvaluation(3, [
+    { evaluation_data: evaluationData, total_score: 0 }
+  ], qualificationMethod)).evaluations[0].result;
+
+  assert.equal(await resultFor({ c1: 'valid', c2: 'valid', c3: 'valid' }), 'Habilitado');
+  assert.equal(await resultFor({ c1: 'valid', c2: 'invalid' }), 'Inabilitado');
+  assert.equal(await resultFor({ c1: 'valid' }), '');
+});
+
+test('every supported evaluation method has an interpreter', () => {
+  assert.deepEqual(Object.keys(EVALUATION_INTERPRETERS).sort(), ['documentary', 'qualification', 'technical']);
+});
+
 test('parseEvaluationData always yields an object', () => {
   assert.deepEqual(parseEvaluationData('{"a":1}'), { a: 1 });
   assert.deepEqual(parseEvaluationData('{quebrado'), {});
@@ -168,6 +363,21 @@ test('buildSectionsWithCriteria groups criteria under their section', () => {
   assert.deepEqual(sections.map(s => s.criteria.map(c => c.id)), [['c1', 'c3'], ['c2']]);
 });
 
+test('buildSectionsWithCriteria keeps weight, min and max of each criterion', () => {
+  const [section] = buildSectionsWithCriteria(
+    [{ id: 's1', name: 'Seção A' }],
+    [
+      { id: 'c1', title: 'Critério 1', sid: 's1', weight: '2', min: '0', max: '10' },
+      { id: 'c2', title: 'Critério 2', sid: 's1', weight: '', max: 'dez' }
+    ]
+  );
+
+  assert.deepEqual(section.criteria, [
+    { id: 'c1', title: 'Critério 1', sid: 's1', weight: 2, min: 0, max: 10 },
+    { id: 'c2', title: 'Critério 2', sid: 's1', weight: 1, min: null, max: null }
+  ]);
+});
+
 test('buildSectionsWithCriteria tolerates missing metadata', () => {
   assert.deepEqual(buildSectionsWithCriteria(null, null), []);
   assert.deepEqual(buildSectionsWithCriteria([{ id: 's1', name: 'A' }], null), [
@@ -0,0 +1,57 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { EVALUATOR_IDENTITY, evaluatorPseudonym, createEvaluatorLabeler } = require('../src/domain/evaluators');
+const { processEvaluation } = require('../src/domain/evaluation');
+
+const SECRET = 'segredo-de-teste';
+
+test('anonymous evaluators are numbered in evaluation order', () => {
+  const label = createEvaluatorLabeler();
+
+  assert.equal(label({ user_id: 77 }, 0), '#1');
+  assert.equal(label({ user_id: 12 }, 1), '#2');
+});
+
+test('a pseudonym is stable within an opportunity and differs across opportunities', () => {
+  const label = createEvaluatorLabeler({ identity: EVALUATOR_IDENTITY.PSEUDONYMOUS, opportunityId: 9, secret: SECRET });
+
+  assert.match(label({ user_id: 77 }, 0), /^AV-[0-9A-F]{6}$/);
+  assert.equal(label({ user_id: 77 }, 0), label({ user_id: 77 }, 3));
+  assert.notEqual(label({ user_id: 77 }, 0), label({ user_id: 78 }, 0));
+  assert.notEqual(evaluatorPseudonym(SECRET, 9, 77), evaluatorPseudonym(SECRET, 10, 77));
+  assert.notEqual(evaluatorPseudonym(SECRET, 9, 77), evaluatorPseudonym('outro-segredo', 9, 77));
+});
+
+test('pseudonyms require a secret', () => {
+  assert.throws(
+    () => createEvaluatorLabeler({ identity: EVALUATOR_IDENTITY.PSEUDONYMOUS, opportunityId: 9, secret: '' }),
+    /secret é obrigatório/
+  );
+});
+
+test('named evaluators show the agent name, or the user id when it is unknown', () => {
+  const label = createEvaluatorLabeler({
+    identity: EVALUATOR_IDENTITY.NAMED,
+    opportunityId: 9,
+    namesByUserId: { 77: 'Maria Parecerista' }
+  });
+
+  assert.equal(label({ user_id: 77 }, 0), 'Maria Parecerista');
+  assert.equal(label({ user_id: 78 }, 1), 'Usuário 78');
+  assert.equal(label({}, 2), '#3');
+});
+
+test('processEvaluation labels each evaluator with the given labeler', async () => {
+  const result = await processEvaluation(1, [
+    { evaluation_data: {}, total_score: 5, user_id: 77 },
+    { evaluation_data: {}, total_score: 6, user_id: 78 }
+  ], async () => null, {
+    evaluatorLabel: createEvaluatorLabeler({
+      identity: EVALUATOR_IDENTITY.NAMED,
+      namesByUserId: { 77: 'Maria', 78: 'João' }
+    })
+  });
+
+  assert.deepEqual(result.evaluations.map(e => e.evaluator), ['Maria', 'João']);
+});
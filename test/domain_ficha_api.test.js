@@ -0,0 +1,231 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const {
+  FICHA_API_VERSION,
+  MAX_PAGE_SIZE,
+  parsePagination,
+  pageWindow,
+  fichaToJson,
+  fichaPageToJson,
+  fichaResponseToJson
+} = require('../src/domain/ficha-api');
+
+function entry(overrides = {}) {
+  return {
+    ficha: {
+      registration_number: 'on-1',
+      created_at: '01/03/2025 09:00:00',
+      sent_at: '10/03/2025 14:30:00',
+      evaluatorIdentityNote: '',
+      agent: { id: 42, name: 'Ana Cultural' },
+      phases: [
+        {
+          id: 9,
+          name: 'Inscrições',
+          isAppealPhase: false,
+          rows: [
+            { label: 'Nome do projeto', value: 'Som &amp; Luz' },
+            { label: 'Site', value: '<a href="https://ana.art">ana.art</a>' }
+          ],
+          evaluation: { evaluations: [], hasTechnical: false, hasSimplified: false, hasDocumentary: false, hasQualification: false },
+          appealResult: null,
+          regStatusText: 'Selecionada',
+          files: [{ fieldId: 31, title: 'Portfólio', name: 'portfolio.pdf' }],
+          evalRegId: 1001
+        },
+        {
+          id: 11,
+          name: 'Mérito',
+          isAppealPhase: false,
+          rows: [],
+          evaluation: {
+            hasTechnical: true,
+            hasSimplified: false,
+            hasDocumentary: false,
+            hasQualification: false,
+            meanTotal: 8.5,
+            hasMeanTotal: false,
+            evaluations: [{
+              evaluator: '#1',
+              method: 'technical',
+              status: '',
+              parecer: 'Projeto consistente',
+              total: '8.50',
+              computedTotal: 8.5,
+              maxTotal: 10,
+              totalMismatch: false,
+              hasTechnical: true,
+              sections: [{
+                sectionTitle: 'Mérito cultural',
+                subtotal: 8.5,
+                maxSubtotal: 10,
+                criteria: [{ label: 'Relevância', score: 8.5, max: 10, weight: 1, weightedScore: 8.5 }]
+              }]
+            }]
+          },
+          appealResult: null,
+          regStatusText: 'Selecionada',
+          files: [],
+          evalRegId: 1002
+        },
+        {
+          id: 12,
+          name: 'Recurso',
+          isAppealPhase: true,
+          rows: [],
+          evaluation: { evaluations: [] },
+          appealResult: { statusText: 'Indeferido', parecer: '' },
+          regStatusText: 'Não selecionada',
+          files: [],
+          evalRegId: 1003
+        }
+      ]
+    },
+    category: 'Música',
+    status: 10,
+    unmatchedPhases: [],
+    ...overrides
+  };
+}
+
+test('parsePagination defaults to the first page and validates the query', () => {
+  assert.deepEqual(parsePagination({}), { page: 1, pageSize: 20 });
+  assert.deepEqual(parsePagination({ page: '3', pageSize: '50' }), { page: 3, pageSize: 50 });
+  assert.throws(() => parsePagination({ page: '0' }), /Página inválida/);
+  assert.throws(() => parsePagination({ page: '1.5' }), /Página inválida/);
+  assert.throws(() => parsePagination({ pageSize: 'abc' }), /Tamanho de página inválido/);
+  assert.throws(() => parsePagination({ pageSize: String(MAX_PAGE_SIZE + 1) }), /acima do máximo/);
+});
+
+test('pageWindow pages the query, shortening the last page and skipping pages past the end', () => {
+  assert.deepEqual(pageWindow(41, { page: 1, pageSize: 20 }), { limit: 20, offset: 0 });
+  assert.deepEqual(pageWindow(41, { page: 3, pageSize: 20 }), { limit: 1, offset: 40 });
+  assert.deepEqual(pageWindow(40, { page: 2, pageSize: 20 }), { limit: 20, offset: 20 });
+  assert.equal(pageWindow(40, { page: 3, pageSize: 20 }), null);
+  assert.equal(pageWindow(41, { page: 9, pageSize: 20 }), null);
+  assert.equal(pageWindow(0, { page: 1, pageSize: 20 }), null);
+});
+
+test('fichaToJson exposes the registration and its phases in the documented shape', () => {
+  const json = fichaToJson(entry());
+
+  assert.equal(json.registrationNumber, 'on-1');
+  assert.deepEqual(json.agent, { id: 42, name: 'Ana Cultural' });
+  assert.equal(json.category, 'Música');
+  assert.deepEqual(json.status, { code: 10, label: 'Selecionada' });
+  assert.equal(json.createdAt, '01/03/2025 09:00:00');
+  assert.equal(json.sentAt, '10/03/2025 14:30:00');
+  assert.equal(json.evaluatorIdentityNote, null);
+  assert.deepEqual(json.phasesWithoutMatch, []);
+  assert.deepEqual(json.phases.map(phase => [phase.id, phase.name, phase.status]), [
+    [9, 'Inscrições', 'Selecionada'],
+    [11, 'Mérito', 'Selecionada'],
+    [12, 'Recurso', 'Não selecionada']
+  ]);
+});
+
+test('fields carry both the plain text and the HTML shown in the ficha', () => {
+  const [phase] = fichaToJson(entry()).phases;
+
+  assert.deepEqual(phase.fields, [
+    { label: 'Nome do projeto', value: 'Som & Luz', html: 'Som &amp; Luz' },
+    { label: 'Site', value: 'ana.art', html: '<a href="https://ana.art">ana.art</a>' }
+  ]);
+  assert.deepEqual(phase.files, [{ fieldId: 31, field: 'Portfólio', name: 'portfolio.pdf' }]);
+  assert.equal('evalRegId' in phase, false);
+});
+
+test('technical evaluations keep scores as numbers and fill absent values with null', () => {
+  const { evaluation } = fichaToJson(entry()).phases[1];
+
+  assert.equal(evaluation.hasTechnical, true);
+  assert.equal(evaluation.meanTotal, 8.5);
+  assert.deepEqual(evaluation.evaluations, [{
+    evaluator: '#1',
+    method: 'technical',
+    status: null,
+    parecer: 'Projeto consistente',
+    total: 8.5,
+    computedTotal: 8.5,
+    maxTotal: 10,
+    totalMismatch: false,
+    result: null,
+    sections: [{
+      title: 'Mérito cultural',
+      subtotal: 8.5,
+      maxSubtotal: 10,
+      criteria: [{ label: 'Relevância', score: 8.5, max: 10, weight: 1, weightedScore: 8.5, verdict: null, justification: null }]
+    }],
+    items: []
+  }]);
+});
+
+test('qualification and documentary evaluations expose verdicts without a total', () => {
+  const ficha = entry().ficha;
+  ficha.phases[1].evaluation = {
+    hasQualification: true,
+    evaluations: [
+      {
+        evaluator: 'AV-3F9A2C',
+        method: 'qualification',
+        hasQualification: true,
+        total: 'habilitado',
+        result: 'Habilitado',
+        sections: [{ sectionTitle: '', criteria: [{ label: 'Documentos', verdict: 'Atende', justification: '' }] }]
+      },
+      {
+        evaluator: 'AV-77B1D0',
+        method: 'documentary',
+        hasDocumentary: true,
+        total: 0,
+        result: 'Inválida',
+        sections: [],
+        items: [{ label: 'RG', verdict: 'Inválido', justification: 'Ilegível' }]
+      }
+    ]
+  };
+
+  const [qualification, documentary] = fichaToJson(entry({ ficha })).phases[1].evaluation.evaluations;
+
+  assert.equal(qualification.total, null);
+  assert.equal(qualification.result, 'Habilitado');
+  assert.deepEqual(qualification.sections[0].title, null);
+  assert.deepEqual(qualification.sections[0].criteria[0].verdict, 'Atende');
+  assert.equal(documentary.total, null);
+  assert.deepEqual(documentary.items, [{ label: 'RG', verdict: 'Inválido', justification: 'Ilegível' }]);
+});
+
+test('appeal results and phases without a matched registration are reported', () => {
+  const json = fichaToJson(entry({
+    unmatchedPhases: [{ phaseId: 13, phaseName: 'Execução', reason: 'ambígua', candidates: ['on-7', 'on-8'] }]
+  }));
+
+  assert.deepEqual(json.phases[2].appealResult, { status: 'Indeferido', parecer: null });
+  assert.equal(json.phases[0].appealResult, null);
+  assert.deepEqual(json.phasesWithoutMatch, [{ phaseId: 13, phaseName: 'Execução', reason: 'ambígua', candidates: ['on-7', 'on-8'] }]);
+});
+
+test('responses carry the schema version and the pagination', () => {
+  const page = fichaPageToJson({ opportunityId: 9, page: 2, pageSize: 20, total: 41, entries: [entry()] });
+  const single = fichaResponseToJson({ opportunityId: 9, entry: entry() });
+
+  assert.equal(FICHA_API_VERSION, 1);
+  assert.deepEqual({ ...page, fichas: page.fichas.length }, {
+    version: FICHA_API_VERSION,
+    opportunityId: 9,
+    page: 2,
+    pageSize: 20,
+    total: 41,
+    totalPages: 3,
+    fichas: 1
+  });
+  assert.equal(single.version, FICHA_API_VERSION);
+  assert.equal(single.ficha.registrationNumber, 'on-1');
+});
+
+test('the JSON survives a round trip unchanged', () => {
+  const json = fichaResponseToJson({ opportunityId: 9, entry: entry() });
+
+  assert.deepEqual(JSON.parse(JSON.stringify(json)), json);
+});
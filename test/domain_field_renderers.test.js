@@ -0,0 +1,152 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const {
+  escapeHtml,
+  parseNumber,
+  renderNumber,
+  renderCurrency,
+  renderCpf,
+  renderCnpj,
+  renderPhone,
+  renderEmail,
+  renderUrl,
+  renderLinks,
+  renderAddress,
+  renderAddresses,
+  renderBankFields,
+  renderCheckbox,
+  renderOptionList
+} = require('../src/domain/field-renderers');
+
+test('escapeHtml escapes markup without numeric entities', () => {
+  assert.equal(escapeHtml(`<b>"Tom" & 'Jerry'</b>`), '&lt;b&gt;&quot;Tom&quot; &amp; &apos;Jerry&apos;&lt;/b&gt;');
+});
+
+test('parseNumber reads JS and Brazilian notations', () => {
+  assert.equal(parseNumber(1500.5), 1500.5);
+  assert.equal(parseNumber('1500.5'), 1500.5);
+  assert.equal(parseNumber('1.500,50'), 1500.5);
+  assert.equal(parseNumber('R$ 1.500,50'), 1500.5);
+  assert.equal(parseNumber('1.234.567'), 1234567);
+  assert.equal(parseNumber('-10'), -10);
+  assert.equal(parseNumber('mil reais'), null);
+  assert.equal(parseNumber(''), null);
+});
+
+test('renderNumber uses the Brazilian thousands and decimal separators', () => {
+  assert.equal(renderNumber('1234.5'), '1.234,5');
+  assert.equal(renderNumber(42), '42');
+  assert.equal(renderNumber('abc'), null);
+});
+
+test('renderCurrency prints reais with two decimals', () => {
+  assert.equal(renderCurrency('1500'), 'R$ 1.500,00');
+  assert.equal(renderCurrency('1234567.891'), 'R$ 1.234.567,89');
+  assert.equal(renderCurrency('R$ 80,5'), 'R$ 80,50');
+  assert.equal(renderCurrency('a combinar'), null);
+});
+
+test('renderCpf and renderCnpj apply the document masks', () => {
+  assert.equal(renderCpf('12345678900'), '123.456.789-00');
+  assert.equal(renderCpf('123.456.789-00'), '123.456.789-00');
+  assert.equal(renderCpf('1234'), null);
+  assert.equal(renderCnpj('12345678000190'), '12.345.678/0001-90');
+  assert.equal(renderCnpj('12.345.678/0001-90'), '12.345.678/0001-90');
+  assert.equal(renderCnpj('123'), null);
+});
+
+test('renderPhone formats landlines, mobiles and drops the country code', () => {
+  assert.equal(renderPhone('8533334444'), '(85) 3333-4444');
+  assert.equal(renderPhone('85999998888'), '(85) 99999-8888');
+  assert.equal(renderPhone('+55 (85) 99999-8888'), '(85) 99999-8888');
+  assert.equal(renderPhone('99999-8888'), '99999-8888');
+  assert.equal(renderPhone('123'), null);
+});
+
+test('renderEmail turns valid addresses into mailto links', () => {
+  assert.equal(renderEmail('ana@exemplo.org'), '<a href="mailto:ana@exemplo.org">ana@exemplo.org</a>');
+  assert.equal(renderEmail('não tenho'), null);
+  assert.equal(renderEmail('"><script>@x.y'), null);
+});
+
+test('renderUrl links only http(s) addresses', () => {
+  assert.equal(renderUrl('https://exemplo.org/a?b=1&c=2'), '<a href="https://exemplo.org/a?b=1&amp;c=2">https://exemplo.org/a?b=1&amp;c=2</a>');
+  assert.equal(renderUrl('www.exemplo.org'), '<a href="https://www.exemplo.org">www.exemplo.org</a>');
+  assert.equal(renderUrl('javascript:alert(1)'), null);
+  assert.equal(renderUrl('ver portfólio anexo'), null);
+});
+
+test('renderLinks prints one titled link per line and keeps unsafe ones as text', () => {
+  const links = [
+    { title: 'Portfólio', value: 'https://portfolio.exemplo.org' },
+    { title: '', value: 'www.video.org' },
+    { title: 'Perigoso', value: 'javascript:alert(1)' },
+    'https://site.org'
+  ];
+
+  assert.equal(
+    renderLinks(links),
+    '<a href="https://portfolio.exemplo.org">Portfólio</a><br/>' +
+    '<a href="https://www.video.org">www.video.org</a><br/>' +
+    'Perigoso<br/>' +
+    '<a href="https://site.org">https://site.org</a>'
+  );
+  assert.equal(renderLinks(42), null);
+});
+
+test('renderAddress writes a single line from Mapas and En_* keys', () => {
+  assert.equal(
+    renderAddress({
+      nome: 'Sede',
+      logradouro: 'Rua das Flores',
+      numero: '123',
+      complemento: 'Sala 2',
+      bairro: 'Centro',
+      cidade: 'Fortaleza',
+      estado: 'CE',
+      cep: '60000-000'
+    }),
+    'Sede: Rua das Flores, 123 - Sala 2, Centro, Fortaleza/CE, CEP 60000-000'
+  );
+  assert.equal(
+    renderAddress({ En_Nome_Logradouro: 'Av. Beira Mar', En_Num: '10', En_Municipio: 'Fortaleza', En_Estado: 'CE' }),
+    'Av. Beira Mar, 10, Fortaleza/CE'
+  );
+  assert.equal(renderAddress({ titulo: 'Oficina' }), null);
+});
+
+test('renderAddresses separates each address with a blank line', () => {
+  assert.equal(
+    renderAddresses([{ cidade: 'Fortaleza', estado: 'CE' }, { cidade: 'Sobral', estado: 'CE' }]),
+    'Fortaleza/CE<br/><br/>Sobral/CE'
+  );
+  assert.equal(renderAddresses(['texto']), null);
+});
+
+test('renderBankFields lists bank, branch and account with check digits', () => {
+  assert.equal(
+    renderBankFields({ account_type: 1, number: '001', branch: '1234', dv_branch: '5', account_number: '98765', dv_account_number: 'X' }),
+    'Banco: 001; Agência: 1234-5; Conta corrente: 98765-X'
+  );
+  assert.equal(renderBankFields({ banco: '104', agencia: '0001', conta: '123' }), 'Banco: 104; Agência: 0001; Conta: 123');
+  assert.equal(renderBankFields({ outro: 'x' }), null);
+  assert.equal(renderBankFields('texto'), null);
+});
+
+test('renderCheckbox answers Sim/Não for a single checkbox', () => {
+  assert.equal(renderCheckbox(true), 'Sim');
+  assert.equal(renderCheckbox('true'), 'Sim');
+  assert.equal(renderCheckbox('0'), 'Não');
+  assert.equal(renderCheckbox(false), 'Não');
+  assert.equal(renderCheckbox(['Li e concordo']), 'Li e concordo');
+  assert.equal(renderCheckbox('talvez'), null);
+});
+
+test('renderOptionList prints the checked options one per line', () => {
+  assert.equal(renderOptionList(['Teatro', 'Dança', '']), 'Teatro<br/>Dança');
+  assert.equal(renderOptionList({ Teatro: true, Circo: false, $$hashKey: true }), 'Teatro');
+  assert.equal(renderOptionList('Música'), 'Música');
+  assert.equal(renderOptionList(['<b>']), '&lt;b&gt;');
+  assert.equal(renderOptionList(null), null);
+});
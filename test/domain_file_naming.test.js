@@ -0,0 +1,74 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const {
+  DEFAULT_FILENAME_TEMPLATE,
+  parseFilenameTemplate,
+  filenameValuesFor,
+  fichaFilename,
+  zipFolderFor
+} = require('../src/domain/file-naming');
+
+const REG = {
+  registration_id: 501,
+  registration_number: 'on-123',
+  registration_status: 8,
+  agent_name: 'Maria da Silva',
+  category: 'Música / Canto',
+  phase_id: 9
+};
+
+test('the default template keeps the historical ficha_<parent>_<number>_<agent> names', () => {
+  const values = filenameValuesFor(REG, { id: 9, name: 'Inscrições' });
+
+  assert.equal(DEFAULT_FILENAME_TEMPLATE, '{number}_{agent}');
+  assert.equal(fichaFilename(9, values), 'ficha_9_on-123_maria-da-silva.pdf');
+  assert.equal(fichaFilename(9, values, { suffix: '_sem_anexos' }), 'ficha_9_on-123_maria-da-silva_sem_anexos.pdf');
+});
+
+test('every token is filled with a file-safe slug', () => {
+  const values = filenameValuesFor(REG, { id: 9, name: 'Inscrições 2025' });
+
+  assert.deepEqual(values, {
+    number: 'on-123',
+    agent: 'maria-da-silva',
+    status: 'suplente',
+    category: 'musica--canto',
+    phase: 'inscricoes-2025'
+  });
+  assert.equal(
+    fichaFilename(9, values, { template: '{status}_{category}_{phase}_{number}' }),
+    'ficha_9_suplente_musica--canto_inscricoes-2025_on-123.pdf'
+  );
+});
+
+test('missing values fall back to placeholders instead of empty segments', () => {
+  const values = filenameValuesFor({ registration_id: 7, registration_status: 99 });
+
+  assert.deepEqual(values, {
+    number: '7',
+    agent: 'sem-nome',
+    status: 'sem-status',
+    category: 'sem-categoria',
+    phase: 'sem-fase'
+  });
+});
+
+test('parseFilenameTemplate accepts known tokens and rejects unsafe templates', () => {
+  assert.equal(parseFilenameTemplate(''), DEFAULT_FILENAME_TEMPLATE);
+  assert.equal(parseFilenameTemplate(' {category}-{number}.v2 '), '{category}-{number}.v2');
+
+  assert.throws(() => parseFilenameTemplate('{number}_{cpf}'), /Marcador desconhecido no modelo de nome: \{cpf\}\./);
+  assert.throws(() => parseFilenameTemplate('{agent}_{status}'), /precisa ter \{number\}/);
+  assert.throws(() => parseFilenameTemplate('../{number}'), /só aceita letras, números/);
+  assert.throws(() => parseFilenameTemplate('{number} final'), /só aceita letras, números/);
+});
+
+test('zipFolderFor groups fichas by status or category', () => {
+  assert.equal(zipFolderFor('flat', REG), '');
+  assert.equal(zipFolderFor('status', REG), 'Suplentes/');
+  assert.equal(zipFolderFor('status', { ...REG, registration_status: 10 }), 'Selecionadas/');
+  assert.equal(zipFolderFor('status', { ...REG, registration_status: 42 }), 'Outros status/');
+  assert.equal(zipFolderFor('category', REG), 'Música Canto/');
+  assert.equal(zipFolderFor('category', { ...REG, category: '' }), 'Sem categoria/');
+});
@@ -1,11 +1,18 @@
 const assert = require('node:assert/strict');
 const test = require('node:test');
 
-const { formatValue, formatPeopleList, isBlankValue, slugifyAgentName } = require('../src/domain/format');
+const { formatValue, formatField, formatPeopleList, isBlankValue, slugifyAgentName } = require('../src/domain/format');
+const { redactionProfileFor } = require('../src/domain/generation-options');
 
 test('formatValue converts ISO dates to Brazilian format', () => {
   assert.equal(formatValue('2025-03-09'), '09/03/2025');
-  assert.equal(formatValue('2025-03-09T14:30:00Z'), '09/03/2025 14:30:00');
+  assert.equal(formatValue('2025-03-09T14:30:00'), '09/03/2025 14:30:00');
+  assert.equal(formatValue('2024-02-31'), '2024-02-31');
+});
+
+test('formatValue converts UTC timestamps to the display time zone', () => {
+  assert.equal(formatValue('2025-03-09T14:30:00Z'), '09/03/2025 11:30:00');
+  assert.equal(formatValue('2025-03-09T14:30:00Z', 'date', { timeZone: 'UTC' }), '09/03/2025 14:30:00');
 });
 
 test('formatValue returns empty string for null and undefined', () => {
@@ -66,6 +73,34 @@ test('people list fields render Portuguese labels and omit blank values', () =>
   assert.doesNotMatch(formatted, /Email do representante:\s*(;|<br\/>)/);
 });
 
+test('formatValue escapes the markup typed by the proponent', () => {
+  assert.equal(formatValue('<script>alert(1)</script>'), '&lt;script&gt;alert(1)&lt;/script&gt;');
+  assert.equal(formatValue('["<b>Teatro</b>"]'), '&lt;b&gt;Teatro&lt;/b&gt;');
+  assert.equal(formatValue('[{"<i>":"a & b"}]'), '&lt;i&gt;: a &amp; b');
+});
+
+test('formatValue dispatches to the renderer of the field type', () => {
+  assert.equal(formatValue('1500.5', 'currency'), 'R$ 1.500,50');
+  assert.equal(formatValue('12345678900', 'cpf'), '123.456.789-00');
+  assert.equal(formatValue('"85999998888"', 'brPhone'), '(85) 99999-8888');
+  assert.equal(formatValue('["Teatro","Circo"]', 'checkboxes'), 'Teatro<br/>Circo');
+  assert.equal(formatValue('https://exemplo.org', 'url'), '<a href="https://exemplo.org">https://exemplo.org</a>');
+});
+
+test('formatValue falls back to the generic output when the renderer does not apply', () => {
+  assert.equal(formatValue('a combinar', 'currency'), 'a combinar');
+  assert.equal(formatValue('javascript:alert(1)', 'url'), 'javascript:alert(1)');
+});
+
+test('formatValue renders loose objects instead of raw JSON', () => {
+  assert.equal(
+    formatValue('{"En_Nome_Logradouro":"Rua A","En_Num":"1","En_Municipio":"Crato","En_Estado":"CE"}', 'agent-owner-field'),
+    'Rua A, 1, Crato/CE'
+  );
+  assert.equal(formatValue('{"Teatro":true,"Circo":false}'), 'Teatro');
+  assert.equal(formatValue('{"ano":"2024","local":"Praça"}'), 'ano: 2024; local: Praça');
+});
+
 test('persons field type is only applied to arrays', () => {
   assert.equal(formatValue('não informado', 'persons'), 'não informado');
 });
@@ -75,6 +110,58 @@ test('formatPeopleList separates each person with a blank line', () => {
   assert.equal(formatted, 'Nome: Ana<br/><br/>Nome: Bruno');
 });
 
+test('the masked LGPD profile masks documents and drops sensitive keys from people lists', () => {
+  const people = [{
+    name: 'Maria',
+    cpf: '123.456.789-00',
+    race: 'Parda',
+    gender: 'Mulher cis',
+    sexualOrientation: 'Bissexual',
+    deficiencies: { visual: true },
+    income: 'Até 1 salário mínimo',
+    funcao: ['Produtora']
+  }];
+
+  const formatted = formatPeopleList(people, { redact: redactionProfileFor('masked').redact });
+
+  assert.equal(formatted, 'Nome: Maria; CPF: ***.456.789-**; Funções/Profissões: Produtora');
+});
+
+test('the hidden LGPD profile also drops documents from people lists', () => {
+  const raw = JSON.stringify([{ name: 'Maria', cpf: '123.456.789-00', cnpj: '12.345.678/0001-90' }]);
+
+  assert.equal(formatValue(raw, 'persons', { redact: redactionProfileFor('hidden').redact }), 'Nome: Maria');
+});
+
+test('formatField masks or hides top-level fields matched by label or field type', () => {
+  const masked = { redact: redactionProfileFor('masked').redact };
+  const hidden = { redact: redactionProfileFor('hidden').redact };
+
+  assert.deepEqual(
+    formatField({ label: 'CPF', fieldType: 'text', value: '123.456.789-00' }, masked),
+    { label: 'CPF', value: '***.456.789-**' }
+  );
+  assert.deepEqual(
+    formatField({ label: 'Documento', fieldType: 'cnpj', value: '12345678000190' }, masked),
+    { label: 'Documento', value: '**.345.678/0001-**' }
+  );
+  assert.equal(formatField({ label: 'Raça/Cor', fieldType: 'select', value: 'Preta' }, masked), null);
+  assert.equal(formatField({ label: 'CPF', fieldType: 'text', value: '123.456.789-00' }, hidden), null);
+});
+
+test('formatField keeps every field with the full profile', () => {
+  const full = { redact: redactionProfileFor('full').redact };
+
+  assert.deepEqual(
+    formatField({ label: 'CPF', fieldType: 'cpf', value: '123.456.789-00' }, full),
+    { label: 'CPF', value: '123.456.789-00' }
+  );
+  assert.deepEqual(
+    formatField({ label: 'Data de início', fieldType: 'date', value: '2025-03-09' }),
+    { label: 'Data de início', value: '09/03/2025' }
+  );
+});
+
 test('isBlankValue treats empty structures and false as blank', () => {
   assert.equal(isBlankValue(''), true);
   assert.equal(isBlankValue('   '), true);
@@ -4,27 +4,34 @@ const test = require('node:test');
 const {
   REGISTRATION_FILTERS,
   ATTACHMENT_MODES,
+  REDACTION_PROFILES,
+  EVALUATOR_IDENTITIES,
+  ZIP_LAYOUTS,
   isValidFilterType,
   isValidAttachmentMode,
-  statusFilterFor,
-  includesAttachments
+  isValidRedactionProfile,
+  isValidEvaluatorIdentity,
+  isEvaluatorIdentityAvailable,
+  isValidZipLayout,
+  includesAttachments,
+  isConsolidated,
+  redactionProfileFor,
+  evaluatorIdentityFor
 } = require('../src/domain/generation-options');
 
-test('registration filters map to the expected registration statuses', () => {
-  assert.equal(statusFilterFor('selected'), 'r.status = 10');
-  assert.equal(statusFilterFor('selected_and_alternate'), 'r.status IN (8, 10)');
-  assert.equal(statusFilterFor('all'), 'r.status != 0');
-});
+test('registration filter presets map to the expected registration statuses', () => {
+  const statusesOf = value => REGISTRATION_FILTERS.find(filter => filter.value === value).statuses;
 
-test('an unknown filter falls back to selected only', () => {
-  assert.equal(statusFilterFor('inexistente'), 'r.status = 10');
-  assert.equal(statusFilterFor(undefined), 'r.status = 10');
+  assert.deepEqual(statusesOf('selected'), [10]);
+  assert.deepEqual(statusesOf('selected_and_alternate'), [8, 10]);
+  assert.equal(statusesOf('all'), null);
 });
 
 test('only the documented filters are accepted', () => {
   assert.equal(isValidFilterType('selected'), true);
   assert.equal(isValidFilterType('selected_and_alternate'), true);
   assert.equal(isValidFilterType('all'), true);
+  assert.equal(isValidFilterType('custom'), true);
   assert.equal(isValidFilterType('todas'), false);
   assert.equal(isValidFilterType(''), false);
 });
@@ -32,14 +39,22 @@ test('only the documented filters are accepted', () => {
 test('only the documented attachment modes are accepted', () => {
   assert.equal(isValidAttachmentMode('with_attachments'), true);
   assert.equal(isValidAttachmentMode('sheet_only'), true);
+  assert.equal(isValidAttachmentMode('consolidated'), true);
   assert.equal(isValidAttachmentMode('zip'), false);
 });
 
-test('attachments are included only in with_attachments mode', () => {
+test('attachments are left out only in sheet_only mode', () => {
   assert.equal(includesAttachments('with_attachments'), true);
+  assert.equal(includesAttachments('consolidated'), true);
   assert.equal(includesAttachments('sheet_only'), false);
 });
 
+test('only the consolidated mode asks for the single PDF', () => {
+  assert.equal(isConsolidated('consolidated'), true);
+  assert.equal(isConsolidated('with_attachments'), false);
+  assert.equal(isConsolidated('sheet_only'), false);
+});
+
 test('every option offered in the form is also accepted by the validation', () => {
   for (const filter of REGISTRATION_FILTERS) {
     assert.equal(isValidFilterType(filter.value), true, `filtro ${filter.value}`);
@@ -55,3 +70,71 @@ test('exactly one attachment mode is pre-selected in the form', () => {
   assert.equal(ATTACHMENT_MODES.filter(mode => mode.selected).length, 1);
   assert.equal(ATTACHMENT_MODES.find(mode => mode.selected).value, 'with_attachments');
 });
+
+test('only the documented LGPD redaction profiles are accepted', () => {
+  for (const profile of REDACTION_PROFILES) {
+    assert.equal(isValidRedactionProfile(profile.value), true, `perfil ${profile.value}`);
+  }
+  assert.equal(isValidRedactionProfile('parcial'), false);
+  assert.equal(isValidRedactionProfile(''), false);
+});
+
+test('the full profile is pre-selected, redacts nothing and keeps the original file names', () => {
+  const selected = REDACTION_PROFILES.filter(profile => profile.selected);
+
+  assert.deepEqual(selected.map(profile => profile.value), ['full']);
+  assert.deepEqual(selected[0].redact, {});
+  assert.equal(selected[0].filenameSuffix, '');
+});
+
+test('redacted profiles get distinct file name suffixes', () => {
+  const suffixes = REDACTION_PROFILES.map(profile => profile.filenameSuffix);
+
+  assert.equal(new Set(suffixes).size, suffixes.length);
+});
+
+test('an unknown redaction profile falls back to full data', () => {
+  assert.equal(redactionProfileFor('inexistente').value, 'full');
+  assert.equal(redactionProfileFor(undefined).value, 'full');
+  assert.equal(redactionProfileFor('masked').redact.cpf, 'mask');
+});
+
+test('anonymous evaluators are the default and keep the original file names', () => {
+  const selected = EVALUATOR_IDENTITIES.filter(identity => identity.selected);
+
+  assert.deepEqual(selected.map(identity => identity.value), ['anonymous']);
+  assert.equal(selected[0].filenameSuffix, '');
+  assert.equal(selected[0].note, '');
+});
+
+test('evaluator identities get distinct file name suffixes and a note when not anonymous', () => {
+  const suffixes = EVALUATOR_IDENTITIES.map(identity => identity.filenameSuffix);
+
+  assert.equal(new Set(suffixes).size, suffixes.length);
+  for (const identity of EVALUATOR_IDENTITIES.filter(i => i.value !== 'anonymous')) {
+    assert.ok(identity.note, `nota de ${identity.value}`);
+  }
+});
+
+test('only the documented evaluator identities are accepted, unknown ones fall back to anonymous', () => {
+  assert.deepEqual(EVALUATOR_IDENTITIES.map(identity => identity.value), ['anonymous', 'pseudonymous', 'named']);
+  assert.equal(isValidEvaluatorIdentity('named'), true);
+  assert.equal(isValidEvaluatorIdentity('nominal'), false);
+  assert.equal(evaluatorIdentityFor('nominal').value, 'anonymous');
+  assert.equal(evaluatorIdentityFor('pseudonymous').filenameSuffix, '_pseudonimos');
+});
+
+test('pseudonymous evaluators are only available with a pseudonym secret', () => {
+  assert.equal(isEvaluatorIdentityAvailable('pseudonymous', { pseudonymsAvailable: true }), true);
+  assert.equal(isEvaluatorIdentityAvailable('pseudonymous', { pseudonymsAvailable: false }), false);
+  assert.equal(isEvaluatorIdentityAvailable('anonymous', { pseudonymsAvailable: false }), true);
+  assert.equal(isEvaluatorIdentityAvailable('named', { pseudonymsAvailable: false }), true);
+});
+
+test('ZIP layouts offer flat, status and category folders with flat pre-selected', () => {
+  assert.deepEqual(ZIP_LAYOUTS.map(layout => layout.value), ['flat', 'status', 'category']);
+  assert.equal(ZIP_LAYOUTS.filter(layout => layout.selected).length, 1);
+  assert.equal(ZIP_LAYOUTS.find(layout => layout.selected).value, 'flat');
+  assert.equal(isValidZipLayout('status'), true);
+  assert.equal(isValidZipLayout('fase'), false);
+});
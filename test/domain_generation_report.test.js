@@ -0,0 +1,66 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const {
+  REPORT_VERSION,
+  REGISTRATION_OUTCOMES,
+  buildGenerationReport,
+  generationReportToCsv
+} = require('../src/domain/generation-report');
+
+const GENERATED_AT = new Date('2025-04-01T12:00:00Z');
+
+function sampleReport() {
+  return buildGenerationReport({
+    opportunityId: 9,
+    generatedAt: GENERATED_AT,
+    outcomes: [
+      {
+        registrationNumber: 'on-1',
+        agentName: 'Grupo "Maré"; Cultura',
+        filename: 'ficha_9_on-1_grupo-mare-cultura.pdf',
+        skippedAttachments: [{ phaseName: 'Inscrições', field: 'Orçamento', file: 'orcamento.docx', reason: 'Tipo de arquivo não suportado na ficha' }],
+        unmatchedPhases: [{ phaseId: 11, phaseName: 'Mérito', reason: 'Sem cadeia de fases.', candidates: ['on-1', 'on-7'] }]
+      },
+      { registrationNumber: 'on-2', agentName: 'Ana', error: 'Timeout ao renderizar' }
+    ],
+    unmatchedNumbers: [{ number: 'on-77', reason: 'Pertence a outra oportunidade', opportunityId: 585, opportunityName: 'Edital de Teatro' }]
+  });
+}
+
+test('the report summarises successes, failures and everything left out', () => {
+  const report = sampleReport();
+
+  assert.equal(report.version, REPORT_VERSION);
+  assert.equal(report.opportunityId, 9);
+  assert.equal(report.generatedAt, '2025-04-01T12:00:00.000Z');
+  assert.deepEqual(report.summary, {
+    registrations: 2,
+    generated: 1,
+    failed: 1,
+    skippedAttachments: 1,
+    phasesWithoutMatch: 1,
+    unmatchedNumbers: 1
+  });
+  assert.deepEqual(report.registrations[1], {
+    registrationNumber: 'on-2',
+    agentName: 'Ana',
+    status: REGISTRATION_OUTCOMES.FAILED,
+    filename: null,
+    error: 'Timeout ao renderizar'
+  });
+  assert.equal(report.skippedAttachments[0].registrationNumber, 'on-1');
+  assert.equal(report.phasesWithoutMatch[0].agentName, 'Grupo "Maré"; Cultura');
+});
+
+test('the report CSV has one semicolon separated line per occurrence, quoting when needed', () => {
+  assert.equal(generationReportToCsv(sampleReport()), [
+    'tipo;inscricao;agente;fase;campo;arquivo;detalhe',
+    'ficha_gerada;on-1;"Grupo ""Maré""; Cultura";;;ficha_9_on-1_grupo-mare-cultura.pdf;',
+    'falha_renderizacao;on-2;Ana;;;;Timeout ao renderizar',
+    'anexo_nao_incluido;on-1;;Inscrições;Orçamento;orcamento.docx;Tipo de arquivo não suportado na ficha',
+    'fase_sem_inscricao;on-1;"Grupo ""Maré""; Cultura";Mérito;;;Sem cadeia de fases. Candidatas: on-1, on-7',
+    'inscricao_sem_ficha;on-77;;;;;Pertence a outra oportunidade: Edital de Teatro (#585)',
+    ''
+  ].join('\r\n'));
+});
@@ -0,0 +1,157 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { MATCH_ISSUES, matchRegistrationAcrossPhases, phasesWithoutMatch } = require('../src/domain/phase-matching');
+const { selectPhases } = require('../src/domain/phases');
+
+const PHASES = [
+  { id: 9, name: 'Inscrição', isAppealPhase: false },
+  { id: 11, name: 'Mérito', isAppealPhase: false },
+  { id: 12, name: 'Recurso', isAppealPhase: true },
+  { id: 13, name: 'Habilitação', isAppealPhase: false }
+];
+
+function registration(id, number, agentId, phaseId) {
+  return { registration_id: id, registration_number: number, agent_id: agentId, phase_id: phaseId };
+}
+
+// Agente 42 tem duas inscrições (EG1 e EG2), cada uma com a sua cadeia
+const REGISTRATIONS_BY_PHASE = {
+  9: [registration(100, 'EG1', 42, 9), registration(101, 'EG2', 42, 9)],
+  11: [registration(200, 'EG1', 42, 11), registration(201, 'EG2', 42, 11)],
+  12: [registration(300, 'EG2', 42, 12)],
+  13: [registration(400, 'EG1', 42, 13), registration(401, 'EG2', 42, 13)]
+};
+
+const CHAIN = { 200: 100, 201: 101, 400: 200, 401: 201 };
+
+function match(reg, overrides = {}) {
+  return matchRegistrationAcrossPhases(reg, {
+    parentId: 9,
+    phases: PHASES,
+    registrationsByPhase: REGISTRATIONS_BY_PHASE,
+    previousRegistrationIds: CHAIN,
+    rootRegistrationId: reg.registration_id,
+    ...overrides
+  });
+}
+
+const idsByPhase = byPhase => Object.fromEntries(
+  Object.entries(byPhase).map(([phaseId, r]) => [phaseId, r ? r.registration_id : null])
+);
+
+test('each registration of the same agent follows its own chain of phases', () => {
+  const first = match(REGISTRATIONS_BY_PHASE[9][0]);
+  const second = match(REGISTRATIONS_BY_PHASE[9][1]);
+
+  assert.deepEqual(idsByPhase(first.byPhase), { 9: 100, 11: 200, 12: null, 13: 400 });
+  assert.deepEqual(idsByPhase(second.byPhase), { 9: 101, 11: 201, 12: 300, 13: 401 });
+  assert.deepEqual(first.issues, []);
+});
+
+test('without a chain, the only registration of the agent in the phase is used', () => {
+  const result = matchRegistrationAcrossPhases(registration(100, 'EG1', 42, 9), {
+    parentId: 9,
+    phases: PHASES,
+    registrationsByPhase: {
+      9: [registration(100, 'EG1', 42, 9)],
+      11: [registration(200, 'EG1', 42, 11), registration(202, 'EG7', 77, 11)]
+    },
+    previousRegistrationIds: {},
+    rootRegistrationId: 100
+  });
+
+  assert.equal(result.byPhase[11].registration_id, 200);
+  assert.deepEqual(result.issues, []);
+});
+
+test('agent fallback skips registrations that belong to another chain', () => {
+  const result = match(registration(102, 'EG3', 42, 9), {
+    registrationsByPhase: {
+      ...REGISTRATIONS_BY_PHASE,
+      9: [...REGISTRATIONS_BY_PHASE[9], registration(102, 'EG3', 42, 9)],
+      11: [...REGISTRATIONS_BY_PHASE[11], registration(202, 'EG3', 42, 11)]
+    }
+  });
+
+  assert.equal(result.byPhase[11].registration_id, 202);
+});
+
+test('a chain through a phase that is not loaded falls back to the agent', () => {
+  const result = matchRegistrationAcrossPhases(registration(100, 'EG1', 42, 9), {
+    parentId: 9,
+    phases: PHASES.slice(0, 2),
+    registrationsByPhase: { 9: [registration(100, 'EG1', 42, 9)], 11: [registration(200, 'EG1', 42, 11)] },
+    // 150 é a inscrição numa fase fora da ficha
+    previousRegistrationIds: { 200: 150 },
+    rootRegistrationId: 100
+  });
+
+  assert.equal(result.byPhase[11].registration_id, 200);
+});
+
+test('deselecting a middle phase keeps the chain for an agent with two registrations', () => {
+  // Mérito (11) fica fora da ficha, mas é por ele que Habilitação (13) chega à fase pai
+  const rendered = selectPhases(PHASES, 9, [13]);
+  const [first, second] = REGISTRATIONS_BY_PHASE[9];
+
+  for (const [reg, expected] of [[first, 400], [second, 401]]) {
+    const { byPhase, issues } = match(reg);
+    assert.equal(byPhase[13].registration_id, expected);
+    assert.deepEqual(phasesWithoutMatch({ parentId: 9, phases: rendered, byPhase, issues }), []);
+  }
+
+  // Sem as inscrições da fase deixada de fora, a cadeia se perde e o agente fica ambíguo
+  const withoutMiddle = match(first, {
+    phases: rendered,
+    registrationsByPhase: { 9: REGISTRATIONS_BY_PHASE[9], 13: REGISTRATIONS_BY_PHASE[13] }
+  });
+  assert.equal(withoutMiddle.byPhase[13], null);
+  assert.equal(withoutMiddle.issues[0].reason, MATCH_ISSUES.AMBIGUOUS_AGENT);
+});
+
+test('an agent with two unchained registrations in a phase is reported as ambiguous', () => {
+  const result = match(REGISTRATIONS_BY_PHASE[9][0], { previousRegistrationIds: {} });
+
+  assert.equal(result.byPhase[11], null);
+  assert.deepEqual(result.issues[0], {
+    phaseId: 11,
+    phaseName: 'Mérito',
+    reason: MATCH_ISSUES.AMBIGUOUS_AGENT,
+    candidates: ['EG1', 'EG2']
+  });
+});
+
+test('two registrations chained to the same one are reported as ambiguous', () => {
+  const result = match(REGISTRATIONS_BY_PHASE[9][0], { previousRegistrationIds: { ...CHAIN, 201: 100 } });
+
+  assert.equal(result.byPhase[11], null);
+  assert.equal(result.issues[0].reason, MATCH_ISSUES.AMBIGUOUS_CHAIN);
+});
+
+test('phases without a match include the ambiguous ones and skip the parent and appeal phases', () => {
+  const reg = registration(102, 'EG3', 42, 9);
+  const result = match(reg, {
+    registrationsByPhase: { ...REGISTRATIONS_BY_PHASE, 9: [...REGISTRATIONS_BY_PHASE[9], reg] },
+    previousRegistrationIds: {}
+  });
+
+  assert.deepEqual(phasesWithoutMatch({ parentId: 9, phases: PHASES, ...result }), [
+    { phaseId: 11, phaseName: 'Mérito', reason: MATCH_ISSUES.AMBIGUOUS_AGENT, candidates: ['EG1', 'EG2'] },
+    { phaseId: 13, phaseName: 'Habilitação', reason: MATCH_ISSUES.AMBIGUOUS_AGENT, candidates: ['EG1', 'EG2'] }
+  ]);
+});
+
+test('a phase with no registration for the agent is reported without candidates', () => {
+  const result = matchRegistrationAcrossPhases(registration(100, 'EG1', 42, 9), {
+    parentId: 9,
+    phases: PHASES,
+    registrationsByPhase: { 9: [registration(100, 'EG1', 42, 9)], 11: [registration(200, 'EG1', 42, 11)] },
+    previousRegistrationIds: { 200: 100 },
+    rootRegistrationId: 100
+  });
+
+  assert.deepEqual(phasesWithoutMatch({ parentId: 9, phases: PHASES, ...result }), [
+    { phaseId: 13, phaseName: 'Habilitação', reason: MATCH_ISSUES.NO_REGISTRATION, candidates: [] }
+  ]);
+});
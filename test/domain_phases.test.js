@@ -0,0 +1,70 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { parsePhaseIds, unknownPhaseIds, selectPhases, loadRegistrationPhase } = require('../src/domain/phases');
+
+const PHASES = [
+  { id: 9, name: 'Inscrições', isAppealPhase: false },
+  { id: 10, name: 'Mérito', isAppealPhase: false },
+  { id: 11, name: 'Recurso', isAppealPhase: true }
+];
+
+test('parsePhaseIds reads form arrays and comma separated lists', () => {
+  assert.deepEqual(parsePhaseIds(['9', '11']), [9, 11]);
+  assert.deepEqual(parsePhaseIds('10, 11'), [10, 11]);
+  assert.deepEqual(parsePhaseIds('11'), [11]);
+});
+
+test('parsePhaseIds returns null when no phase was chosen', () => {
+  assert.equal(parsePhaseIds(undefined), null);
+  assert.equal(parsePhaseIds(''), null);
+  assert.equal(parsePhaseIds(' , '), null);
+});
+
+test('parsePhaseIds rejects ids that are not positive integers', () => {
+  assert.throws(() => parsePhaseIds('11,abc'), /Fase inválida: abc\./);
+  assert.throws(() => parsePhaseIds(['0']), /Fase inválida: 0\./);
+  assert.throws(() => parsePhaseIds('-3'), /Fase inválida: -3\./);
+});
+
+test('unknownPhaseIds lists the ids that are not phases of the opportunity', () => {
+  assert.deepEqual(unknownPhaseIds(PHASES, [9, 12, 11, 40]), [12, 40]);
+  assert.deepEqual(unknownPhaseIds(PHASES, null), []);
+});
+
+test('selectPhases keeps the parent and the chosen phases in their original order', () => {
+  assert.deepEqual(selectPhases(PHASES, 9, [11]).map(p => p.id), [9, 11]);
+  assert.deepEqual(selectPhases(PHASES, 9, [11, 10]).map(p => p.id), [9, 10, 11]);
+  assert.equal(selectPhases(PHASES, 9, null), PHASES);
+});
+
+test('loadRegistrationPhase takes the parent phase when it has registrations', async () => {
+  const loaded = [];
+  const result = await loadRegistrationPhase(PHASES, 9, phaseId => {
+    loaded.push(phaseId);
+    return { total: 2, registrations: [{ registration_id: 1 }, { registration_id: 2 }] };
+  });
+
+  assert.deepEqual(result, { phaseId: 9, total: 2, registrations: [{ registration_id: 1 }, { registration_id: 2 }] });
+  assert.deepEqual(loaded, [9]);
+});
+
+test('loadRegistrationPhase falls back to the first child phase with registrations, skipping appeals', async () => {
+  const loaded = [];
+  const load = totals => async phaseId => {
+    loaded.push(phaseId);
+    return { total: totals[phaseId], registrations: [] };
+  };
+
+  assert.deepEqual(await loadRegistrationPhase(PHASES, 9, load({ 9: 0, 10: 3, 11: 5 })), { phaseId: 10, total: 3, registrations: [] });
+  assert.deepEqual(loaded, [9, 10]);
+  assert.deepEqual(await loadRegistrationPhase(PHASES, 9, load({ 9: 0, 10: 0, 11: 5 })), { phaseId: null, total: 0, registrations: [] });
+});
+
+test('loadRegistrationPhase keeps the chosen phase and its total for a page past the end', async () => {
+  const result = await loadRegistrationPhase(PHASES, 9, async phaseId => (
+    phaseId === 10 ? { total: 41, registrations: [] } : { total: 0, registrations: [] }
+  ));
+
+  assert.deepEqual(result, { phaseId: 10, total: 41, registrations: [] });
+});
@@ -0,0 +1,62 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const {
+  categoryForField,
+  categoryForPersonKey,
+  redactionActionFor,
+  maskDocument
+} = require('../src/domain/redaction');
+
+test('maskDocument keeps only the middle digits of CPFs and CNPJs', () => {
+  assert.equal(maskDocument('123.456.789-00'), '***.456.789-**');
+  assert.equal(maskDocument('12345678900'), '***.456.789-**');
+  assert.equal(maskDocument('12.345.678/0001-90'), '**.345.678/0001-**');
+  assert.equal(maskDocument('CPF 123.456.789-00 e CNPJ 12345678000190'), 'CPF ***.456.789-** e CNPJ **.345.678/0001-**');
+});
+
+test('maskDocument hides every digit of numbers that are not CPF or CNPJ', () => {
+  assert.equal(maskDocument('1234-5'), '****-*');
+  assert.equal(maskDocument('não possui'), 'não possui');
+});
+
+test('fields are classified by field type before the label', () => {
+  assert.equal(categoryForField('Documento', 'cpf'), 'cpf');
+  assert.equal(categoryForField('Documento', 'cnpj'), 'cnpj');
+  assert.equal(categoryForField('Documento', 'text'), null);
+});
+
+test('sensitive fields are recognised by label regardless of accents and case', () => {
+  assert.equal(categoryForField('CPF do proponente'), 'cpf');
+  assert.equal(categoryForField('CNPJ da empresa'), 'cnpj');
+  assert.equal(categoryForField('Raça/Cor'), 'race');
+  assert.equal(categoryForField('Identidade de Gênero'), 'gender');
+  assert.equal(categoryForField('Gênero'), 'gender');
+  assert.equal(categoryForField('Orientação sexual'), 'sexualOrientation');
+  assert.equal(categoryForField('Você é pessoa com deficiência?'), 'disability');
+  assert.equal(categoryForField('Tipo de deficiência'), 'disability');
+  assert.equal(categoryForField('Renda individual mensal'), 'income');
+});
+
+test('project questions that only mention a sensitive word are not redacted', () => {
+  assert.equal(categoryForField('Gênero musical'), null);
+  assert.equal(categoryForField('Medidas de acessibilidade para pessoas com deficiência'), null);
+  assert.equal(categoryForField('Nome do projeto'), null);
+});
+
+test('person keys map to their sensitive category', () => {
+  assert.equal(categoryForPersonKey('cpf'), 'cpf');
+  assert.equal(categoryForPersonKey('deficiencies'), 'disability');
+  assert.equal(categoryForPersonKey('name'), null);
+});
+
+test('only documents can be masked; other categories are hidden instead', () => {
+  const rules = { cpf: 'mask', race: 'mask', income: 'hide' };
+
+  assert.equal(redactionActionFor(rules, 'cpf'), 'mask');
+  assert.equal(redactionActionFor(rules, 'race'), 'hide');
+  assert.equal(redactionActionFor(rules, 'income'), 'hide');
+  assert.equal(redactionActionFor(rules, 'gender'), null);
+  assert.equal(redactionActionFor(rules, null), null);
+  assert.equal(redactionActionFor({}, 'cpf'), null);
+});
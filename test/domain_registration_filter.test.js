@@ -0,0 +1,157 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const {
+  REGISTRATION_STATUS_OPTIONS,
+  parseRegistrationFilter,
+  parseRegistrationNumbers,
+  registrationFilterFor,
+  buildRegistrationFilterSql,
+  buildPhaseRegistrationsSql,
+  describeRegistrationFilter
+} = require('../src/domain/registration-filter');
+
+test('a preset filter keeps its statuses and ignores the custom status checkboxes', () => {
+  const filter = parseRegistrationFilter({ filterType: 'selected_and_alternate', statuses: ['0'] });
+
+  assert.deepEqual(filter, {
+    filterType: 'selected_and_alternate',
+    statuses: [8, 10],
+    category: null,
+    proponentType: null,
+    range: null,
+    sentFrom: null,
+    sentTo: null,
+    registrationNumbers: null
+  });
+});
+
+test('the custom filter reads the chosen statuses, text fields and sent-date window', () => {
+  const filter = parseRegistrationFilter({
+    filterType: 'custom',
+    statuses: ['10', '3', '10'],
+    category: '  Música ',
+    proponentType: 'Coletivo',
+    range: '',
+    sentFrom: '2025-03-01',
+    sentTo: '2025-03-01'
+  });
+
+  assert.deepEqual(filter.statuses, [3, 10]);
+  assert.equal(filter.category, 'Música');
+  assert.equal(filter.proponentType, 'Coletivo');
+  assert.equal(filter.range, null);
+  assert.equal(filter.sentFrom, '2025-03-01');
+  assert.equal(filter.sentTo, '2025-03-01');
+});
+
+test('parseRegistrationFilter rejects invalid input with a message for the operator', () => {
+  const cases = [
+    [{ filterType: 'qualquer' }, /Tipo de filtro inválido\./],
+    [{ filterType: 'custom' }, /Escolha ao menos um status de inscrição\./],
+    [{ filterType: 'custom', statuses: '10,7' }, /Status de inscrição inválido: 7\./],
+    [{ sentFrom: '01/03/2025' }, /Data de envio inválida: 01\/03\/2025\./],
+    [{ sentTo: '2025-02-30' }, /Data de envio inválida: 2025-02-30\./],
+    [{ sentFrom: '2025-04-01', sentTo: '2025-03-01' }, /a data inicial é posterior à final/]
+  ];
+
+  for (const [input, expected] of cases) {
+    assert.throws(() => parseRegistrationFilter(input), expected, JSON.stringify(input));
+  }
+});
+
+test('parseRegistrationNumbers accepts commas, semicolons and line breaks and drops repeats', () => {
+  assert.deepEqual(parseRegistrationNumbers('on-1, on-2;on-3\r\non-1'), ['on-1', 'on-2', 'on-3']);
+  assert.deepEqual(parseRegistrationNumbers(['EG1', 'EG2']), ['EG1', 'EG2']);
+  assert.equal(parseRegistrationNumbers('  '), null);
+  assert.throws(() => parseRegistrationNumbers("on-1'--"), /Número de inscrição inválido: on-1'--\./);
+});
+
+test('registrationFilterFor accepts a preset name or an already parsed filter', () => {
+  const parsed = parseRegistrationFilter({ filterType: 'all', category: 'Teatro' });
+
+  assert.equal(registrationFilterFor(parsed), parsed);
+  assert.deepEqual(registrationFilterFor('selected_and_alternate').statuses, [8, 10]);
+  assert.deepEqual(registrationFilterFor('inexistente').statuses, [10]);
+  assert.deepEqual(registrationFilterFor(undefined).statuses, [10]);
+});
+
+test('buildRegistrationFilterSql keeps every value out of the SQL text', () => {
+  const filter = parseRegistrationFilter({
+    filterType: 'custom',
+    statuses: ['8', '10'],
+    category: "Música'; DROP TABLE registration; --",
+    proponentType: 'Coletivo',
+    range: 'Faixa 1',
+    sentFrom: '2025-03-01',
+    sentTo: '2025-03-31',
+    registrationNumbers: 'on-1 on-2'
+  });
+
+  const { sql, params } = buildRegistrationFilterSql(filter, { firstParam: 3 });
+
+  assert.equal(sql, [
+    'r.status = ANY($3::int[])',
+    'r.category = $4',
+    'r.proponent_type = $5',
+    'r.range = $6',
+    'r.sent_timestamp >= $7::date',
+    'r.sent_timestamp < $8::date + 1',
+    'r.number = ANY($9::text[])'
+  ].join(' AND '));
+  assert.deepEqual(params, [
+    [8, 10],
+    "Música'; DROP TABLE registration; --",
+    'Coletivo',
+    'Faixa 1',
+    '2025-03-01',
+    '2025-03-31',
+    ['on-1', 'on-2']
+  ]);
+});
+
+test('the all preset keeps excluding registrations that were not evaluated', () => {
+  assert.deepEqual(buildRegistrationFilterSql(registrationFilterFor('all')), { sql: 'r.status != 0', params: [] });
+  assert.deepEqual(buildRegistrationFilterSql(registrationFilterFor('selected'), { alias: 'reg' }), {
+    sql: 'reg.status = ANY($1::int[])',
+    params: [[10]]
+  });
+});
+
+test('describeRegistrationFilter summarises the filter for the generation log', () => {
+  const filter = parseRegistrationFilter({ filterType: 'selected', category: 'Música', sentFrom: '2025-03-01', registrationNumbers: 'on-1,on-2' });
+
+  assert.equal(
+    describeRegistrationFilter(filter),
+    'selected: status 10; categoria "Música"; enviadas entre 2025-03-01 e ...; 2 número(s) de inscrição'
+  );
+});
+
+test('the custom filter offers every known registration status, with selected pre-checked', () => {
+  assert.deepEqual(REGISTRATION_STATUS_OPTIONS.map(option => option.value), [10, 8, 3, 2, 1, 0]);
+  assert.deepEqual(REGISTRATION_STATUS_OPTIONS.filter(option => option.selected).map(option => option.value), [10]);
+});
+
+test('buildPhaseRegistrationsSql filters only the parent phase and numbers the filter after the phases', () => {
+  const { sql, params } = buildPhaseRegistrationsSql(registrationFilterFor('selected'), { phaseIds: [9, 11], parentId: 9 });
+
+  assert.equal(sql, 'r.opportunity_id = ANY($1::int[]) AND (r.opportunity_id != $2 OR (r.status = ANY($3::int[])))');
+  assert.deepEqual(params, [[9, 11], 9, [10]]);
+});
+
+test('buildPhaseRegistrationsSql combines the filter with the related numbers and agents', () => {
+  const filter = parseRegistrationFilter({ filterType: 'custom', statuses: ['8', '10'], category: 'Música' });
+
+  const { sql, params } = buildPhaseRegistrationsSql(filter, {
+    phaseIds: [9, 11],
+    parentId: 9,
+    related: { numbers: ['on-1', 'on-2'], agentIds: [42] }
+  });
+
+  assert.equal(sql, [
+    'r.opportunity_id = ANY($1::int[])',
+    '(r.opportunity_id != $2 OR (r.status = ANY($3::int[]) AND r.category = $4))',
+    '(r.number = ANY($5::text[]) OR r.agent_id = ANY($6::int[]))'
+  ].join(' AND '));
+  assert.deepEqual(params, [[9, 11], 9, [8, 10], 'Música', ['on-1', 'on-2'], [42]]);
+});
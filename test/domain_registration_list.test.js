@@ -0,0 +1,84 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const {
+  UNMATCHED_REASONS,
+  parseRegistrationList,
+  withRegistrationList,
+  unmatchedRegistrationNumbers
+} = require('../src/domain/registration-list');
+const { parseRegistrationFilter, buildRegistrationFilterSql } = require('../src/domain/registration-filter');
+
+test('parseRegistrationList reads one number per line and drops repeats and blank lines', () => {
+  assert.deepEqual(parseRegistrationList('on-1\r\n\r\non-2\non-1\n'), ['on-1', 'on-2']);
+});
+
+test('parseRegistrationList reads a single line of numbers separated by commas or spaces', () => {
+  assert.deepEqual(parseRegistrationList('on-1, on-2; on-3 on-4'), ['on-1', 'on-2', 'on-3', 'on-4']);
+});
+
+test('parseRegistrationList picks the registration number column of a spreadsheet export', () => {
+  const csv = '\uFEFFNome;"Número da Inscrição";Resultado\r\n"Silva; Ana";on-10;Deferido\r\nBruno;on-11;Deferido\r\n';
+
+  assert.deepEqual(parseRegistrationList(csv), ['on-10', 'on-11']);
+  assert.deepEqual(parseRegistrationList('inscricao,status\non-1,10\non-2,8'), ['on-1', 'on-2']);
+});
+
+test('parseRegistrationList prefers the number column over another registration column', () => {
+  const csv = 'Data de inscrição;Número;Nome\n01/03/2025;on-10;Ana\n02/03/2025;on-11;Bruno';
+
+  assert.deepEqual(parseRegistrationList(csv), ['on-10', 'on-11']);
+  assert.deepEqual(parseRegistrationList('Nome,Inscrição\nAna,on-12'), ['on-12']);
+});
+
+test('parseRegistrationList uses the first column of a spreadsheet without header', () => {
+  assert.deepEqual(parseRegistrationList('on-1\tAna\non-2\tBruno'), ['on-1', 'on-2']);
+});
+
+test('parseRegistrationList points at the line of an invalid number and rejects empty lists', () => {
+  assert.throws(() => parseRegistrationList('on-1\non 2'), /Linha 2: número de inscrição inválido: on 2\./);
+  assert.throws(() => parseRegistrationList('\n \n'), /A lista não tem números de inscrição\./);
+  assert.throws(() => parseRegistrationList('Número\n'), /A lista não tem números de inscrição\./);
+});
+
+test('withRegistrationList adds the list to the numbers already in the filter', () => {
+  const filter = { filterType: 'all', statuses: null, registrationNumbers: ['on-1'] };
+
+  assert.deepEqual(withRegistrationList(filter, ['on-2', 'on-1']).registrationNumbers, ['on-1', 'on-2']);
+  assert.deepEqual(withRegistrationList({ ...filter, registrationNumbers: null }, ['on-3']).registrationNumbers, ['on-3']);
+  assert.deepEqual(filter.registrationNumbers, ['on-1']);
+});
+
+test('withRegistrationList lets listed registrations of any non-draft status through a preset', () => {
+  const filter = withRegistrationList(parseRegistrationFilter({}), ['on-1', 'on-2']);
+
+  assert.equal(filter.filterType, 'all');
+  assert.equal(filter.statuses, null);
+  assert.deepEqual(buildRegistrationFilterSql(filter), {
+    sql: 'r.status != 0 AND r.number = ANY($1::text[])',
+    params: [['on-1', 'on-2']]
+  });
+});
+
+test('withRegistrationList keeps the statuses chosen in a custom filter', () => {
+  const filter = withRegistrationList(parseRegistrationFilter({ filterType: 'custom', statuses: ['8'] }), ['on-1']);
+
+  assert.equal(filter.filterType, 'custom');
+  assert.deepEqual(filter.statuses, [8]);
+});
+
+test('unmatchedRegistrationNumbers explains why each requested number got no ficha', () => {
+  const found = [
+    { registration_number: 'on-3', opportunity_id: 12, opportunity_name: 'Mérito' },
+    { registration_number: 'on-4', opportunity_id: 585, opportunity_name: 'Edital de Teatro' },
+    { registration_number: 'on-5', opportunity_id: 585, opportunity_name: 'Edital de Teatro' },
+    { registration_number: 'on-5', opportunity_id: 9, opportunity_name: 'Edital de Música' }
+  ];
+
+  assert.deepEqual(unmatchedRegistrationNumbers(['on-1', 'on-2', 'on-3', 'on-4', 'on-5'], ['on-1'], found, [9, 12]), [
+    { number: 'on-2', reason: UNMATCHED_REASONS.NOT_FOUND, opportunityId: null, opportunityName: null },
+    { number: 'on-3', reason: UNMATCHED_REASONS.FILTERED_OUT, opportunityId: 12, opportunityName: 'Mérito' },
+    { number: 'on-4', reason: UNMATCHED_REASONS.OTHER_OPPORTUNITY, opportunityId: 585, opportunityName: 'Edital de Teatro' },
+    { number: 'on-5', reason: UNMATCHED_REASONS.FILTERED_OUT, opportunityId: 9, opportunityName: 'Edital de Música' }
+  ]);
+});
@@ -0,0 +1,197 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { plainText, buildRegistrationSpreadsheet, spreadsheetToCsv } = require('../src/domain/spreadsheet');
+
+const PHASES = [
+  { id: 9, name: 'Inscrições' },
+  { id: 11, name: 'Mérito' },
+  { id: 12, name: 'Recurso' }
+];
+
+function technicalEvaluation(evaluator, scores, total) {
+  return {
+    evaluator,
+    hasTechnical: true,
+    status: '',
+    parecer: `Parecer de ${evaluator}`,
+    total,
+    sections: [{
+      sectionTitle: 'Mérito cultural',
+      criteria: [
+        { label: 'Relevância', score: scores[0] },
+        { label: 'Viabilidade', score: scores[1] }
+      ]
+    }]
+  };
+}
+
+function entry(overrides = {}) {
+  return {
+    registrationNumber: 'on-1',
+    agentName: 'Ana Cultural',
+    category: 'Música',
+    status: 'Selecionada',
+    sentAt: '10/03/2025 14:30:00',
+    phases: [
+      {
+        id: 9,
+        regStatusText: 'Selecionada',
+        rows: [
+          { label: 'Nome do projeto', value: 'Som &amp; Luz' },
+          { label: 'Site', value: '<a href="https://ana.art">ana.art</a>' },
+          { label: 'Integrantes', value: 'Ana<br/>Bruno' }
+        ],
+        evaluation: { evaluations: [] },
+        appealResult: null
+      },
+      {
+        id: 11,
+        regStatusText: 'Selecionada',
+        rows: [],
+        evaluation: {
+          hasTechnical: true,
+          meanTotal: 8.25,
+          evaluations: [technicalEvaluation('#1', [4, 4.5], '8.5'), technicalEvaluation('#2', [4, 4], 8)]
+        },
+        appealResult: null
+      }
+    ],
+    ...overrides
+  };
+}
+
+test('plainText turns the ficha HTML into spreadsheet text', () => {
+  assert.equal(plainText('Rua A, 10<br/>Goiânia &#8211; GO'), 'Rua A, 10\nGoiânia – GO');
+  assert.equal(plainText('<a href="mailto:a@b.com">a@b.com</a>'), 'a@b.com');
+  assert.equal(plainText('D&apos;Ávila &quot;Cia&quot; &lt;3'), 'D\'Ávila "Cia" <3');
+  assert.equal(plainText(null), '');
+  assert.equal(plainText('a &#99999999; b &#x110000; c &#x10FFFF;'), 'a &#99999999; b &#x110000; c \u{10FFFF}');
+});
+
+test('each registration is a row with its fields, scores per evaluator, totals and statuses', () => {
+  const sheet = buildRegistrationSpreadsheet([entry()], PHASES);
+
+  assert.deepEqual(sheet.columns, [
+    'Inscrição',
+    'Agente',
+    'Categoria',
+    'Status',
+    'Enviada em',
+    'Inscrições - Status',
+    'Inscrições - Nome do projeto',
+    'Inscrições - Site',
+    'Inscrições - Integrantes',
+    'Mérito - Status',
+    'Mérito - Avaliação 1 - Avaliador',
+    'Mérito - Avaliação 1 - Mérito cultural: Relevância',
+    'Mérito - Avaliação 1 - Mérito cultural: Viabilidade',
+    'Mérito - Avaliação 1 - Total',
+    'Mérito - Avaliação 1 - Parecer',
+    'Mérito - Avaliação 2 - Avaliador',
+    'Mérito - Avaliação 2 - Mérito cultural: Relevância',
+    'Mérito - Avaliação 2 - Mérito cultural: Viabilidade',
+    'Mérito - Avaliação 2 - Total',
+    'Mérito - Avaliação 2 - Parecer',
+    'Mérito - Média'
+  ]);
+  assert.deepEqual(sheet.rows, [[
+    'on-1', 'Ana Cultural', 'Música', 'Selecionada', '10/03/2025 14:30:00',
+    'Selecionada', 'Som & Luz', 'ana.art', 'Ana\nBruno',
+    'Selecionada',
+    '#1', 4, 4.5, 8.5, 'Parecer de #1',
+    '#2', 4, 4, 8, 'Parecer de #2',
+    8.25
+  ]]);
+});
+
+test('columns are the union of every registration, in phase order, with blanks where a registration has no value', () => {
+  const appeal = {
+    id: 12,
+    regStatusText: '',
+    rows: [{ label: 'Justificativa', value: 'Nota errada' }],
+    evaluation: { evaluations: [] },
+    appealResult: { statusText: 'Deferido', parecer: 'Revisada a nota' }
+  };
+  const first = entry({ registrationNumber: 'on-1' });
+  first.phases = [first.phases[0]];
+  const second = entry({ registrationNumber: 'on-2' });
+  second.phases = [appeal, { ...second.phases[0], rows: [{ label: 'Nome do projeto', value: 'Outro' }, { label: 'Orçamento', value: 'R$ 1.500,00' }] }];
+
+  const sheet = buildRegistrationSpreadsheet([first, second], PHASES);
+
+  assert.deepEqual(sheet.columns.slice(5), [
+    'Inscrições - Status',
+    'Inscrições - Nome do projeto',
+    'Inscrições - Site',
+    'Inscrições - Integrantes',
+    'Inscrições - Orçamento',
+    'Recurso - Status',
+    'Recurso - Justificativa',
+    'Recurso - Resultado do recurso',
+    'Recurso - Parecer do recurso'
+  ]);
+  assert.deepEqual(sheet.rows[0].slice(5), ['Selecionada', 'Som & Luz', 'ana.art', 'Ana\nBruno', null, null, null, null, null]);
+  assert.deepEqual(sheet.rows[1].slice(5), ['Selecionada', 'Outro', null, null, 'R$ 1.500,00', null, 'Nota errada', 'Deferido', 'Revisada a nota']);
+});
+
+test('qualification and documentary evaluations show verdicts and results', () => {
+  const sheet = buildRegistrationSpreadsheet([entry({
+    phases: [{
+      id: 11,
+      regStatusText: '',
+      rows: [],
+      evaluation: {
+        hasQualification: true,
+        evaluations: [
+          {
+            evaluator: 'AV-3F9A2C',
+            hasQualification: true,
+            parecer: '',
+            result: 'Habilitado',
+            sections: [{ sectionTitle: '', criteria: [{ label: 'Documentos', verdict: 'Atende' }] }]
+          },
+          { evaluator: 'AV-77B1D0', hasDocumentary: true, parecer: '', result: 'Inválida', sections: [] }
+        ]
+      },
+      appealResult: null
+    }]
+  })], PHASES);
+
+  assert.deepEqual(sheet.columns.slice(5), [
+    'Mérito - Status',
+    'Mérito - Avaliação 1 - Avaliador',
+    'Mérito - Avaliação 1 - Documentos',
+    'Mérito - Avaliação 1 - Resultado',
+    'Mérito - Avaliação 1 - Parecer',
+    'Mérito - Avaliação 2 - Avaliador',
+    'Mérito - Avaliação 2 - Resultado',
+    'Mérito - Avaliação 2 - Parecer'
+  ]);
+  assert.deepEqual(sheet.rows[0].slice(5), [null, 'AV-3F9A2C', 'Atende', 'Habilitado', null, 'AV-77B1D0', 'Inválida', null]);
+});
+
+test('a registration whose data could not be loaded keeps its own columns', () => {
+  const sheet = buildRegistrationSpreadsheet([entry(), entry({ registrationNumber: 'on-2', phases: null })], PHASES);
+
+  assert.deepEqual(sheet.rows[1].slice(0, 6), ['on-2', 'Ana Cultural', 'Música', 'Selecionada', '10/03/2025 14:30:00', null]);
+  assert.equal(sheet.rows[1].length, sheet.columns.length);
+});
+
+test('fields with the same label in a phase get their own columns', () => {
+  const sheet = buildRegistrationSpreadsheet([entry({
+    phases: [{ id: 9, regStatusText: '', rows: [{ label: 'Link', value: 'a' }, { label: 'Link', value: 'b' }], evaluation: {}, appealResult: null }]
+  })], PHASES);
+
+  assert.deepEqual(sheet.columns.slice(5), ['Inscrições - Status', 'Inscrições - Link', 'Inscrições - Link (2)']);
+  assert.deepEqual(sheet.rows[0].slice(6), ['a', 'b']);
+});
+
+test('the CSV uses semicolons and decimal commas', () => {
+  const csv = spreadsheetToCsv({
+    columns: ['Inscrição', 'Agente', 'Nota'],
+    rows: [['on-1', 'Grupo "Maré"; Cultura', 8.5], ['on-2', null, 7]]
+  });
+
+  assert.equal(csv, 'Inscrição;Agente;Nota\r\non-1;"Grupo ""Maré""; Cultura";8,5\r\non-2;;7\r\n');
+});
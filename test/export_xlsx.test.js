@@ -0,0 +1,44 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { columnName, xlsxParts, buildXlsx } = require('../src/export/xlsx');
+
+const SHEET = {
+  columns: ['Inscrição', 'Nota', 'Parecer'],
+  rows: [
+    ['on-1', 8.5, 'Bom <projeto> & "viável"\nSegunda linha'],
+    ['on-2', null, 'Texto com controle\u0007']
+  ]
+};
+
+test('columnName follows the spreadsheet letters', () => {
+  assert.deepEqual([0, 25, 26, 51, 52, 701, 702].map(columnName), ['A', 'Z', 'AA', 'AZ', 'BA', 'ZZ', 'AAA']);
+});
+
+test('the worksheet keeps numbers numeric and escapes the text cells', () => {
+  const sheet = xlsxParts(SHEET)['xl/worksheets/sheet1.xml'];
+
+  assert.match(sheet, /<row r="1"><c r="A1" t="inlineStr" s="1"><is><t xml:space="preserve">Inscrição<\/t><\/is><\/c>/);
+  assert.match(sheet, /<c r="B2" s="2"><v>8\.5<\/v><\/c>/);
+  assert.match(sheet, /<t xml:space="preserve">Bom &lt;projeto&gt; &amp; &quot;viável&quot;\nSegunda linha<\/t>/);
+  assert.match(sheet, /<row r="3"><c r="A3" t="inlineStr" s="2"><is><t xml:space="preserve">on-2<\/t><\/is><\/c><c r="C3"/);
+  assert.match(sheet, /Texto com controle<\/t>/);
+  assert.match(sheet, /<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"\/>/);
+  assert.match(sheet, /<autoFilter ref="A1:C3"\/>/);
+});
+
+test('the workbook names the sheet without the characters Excel rejects', () => {
+  const workbook = xlsxParts(SHEET, { sheetName: 'Inscrições: 2025/1' })['xl/workbook.xml'];
+
+  assert.match(workbook, /<sheet name="Inscrições  2025 1" sheetId="1" r:id="rId1"\/>/);
+  assert.match(workbook, />'Inscrições  2025 1'!\$A\$1:\$C\$3</);
+});
+
+test('buildXlsx packs every part in a ZIP', async () => {
+  const buffer = await buildXlsx(SHEET);
+
+  assert.equal(buffer.subarray(0, 2).toString('latin1'), 'PK');
+  for (const name of Object.keys(xlsxParts(SHEET))) {
+    assert.ok(buffer.includes(Buffer.from(name)), name);
+  }
+});
@@ -20,6 +20,23 @@ test('the sheet shows the registration number and the agent data', () => {
   assert.match(html, /DADOS DO AGENTE CULTURAL/);
 });
 
+test('the sheet shows when the registration was created and sent, when known', () => {
+  const withDates = renderFichaHtml(fichaData({ created_at: '01/03/2025 09:00:00', sent_at: '09/03/2025 14:30:00' }));
+  const withoutDates = renderFichaHtml(fichaData());
+
+  assert.match(withDates, /Inscrição criada em<\/td>\s*<td class="value">01\/03\/2025 09:00:00/);
+  assert.match(withDates, /Inscrição enviada em<\/td>\s*<td class="value">09\/03\/2025 14:30:00/);
+  assert.doesNotMatch(withoutDates, /Inscrição enviada em/);
+});
+
+test('the sheet explains how evaluators are identified, except when anonymous', () => {
+  const named = renderFichaHtml(fichaData({ evaluatorIdentityNote: 'Avaliadores identificados pelo nome. Documento para uso interno.' }));
+  const anonymous = renderFichaHtml(fichaData({ evaluatorIdentityNote: '' }));
+
+  assert.match(named, /Avaliadores<\/td>\s*<td class="value">Avaliadores identificados pelo nome/);
+  assert.doesNotMatch(anonymous, /<td class="label">Avaliadores<\/td>/);
+});
+
 test('the sheet renders each phase with its fields and attachments', () => {
   const html = renderFichaHtml(fichaData({
     phases: [{
@@ -30,14 +47,38 @@ test('the sheet renders each phase with its fields and attachments', () => {
       evaluation: { evaluations: [], hasTechnical: false, hasSimplified: false },
       appealResult: null,
       regStatusText: 'Selecionada',
-      files: ['portfolio.pdf']
+      files: [{ fieldId: 31, title: 'Portfólio', name: 'portfolio.pdf', page: null }]
     }]
   }));
 
   assert.match(html, /Título do projeto/);
   assert.match(html, /Sarau na Praça/);
   assert.match(html, /Anexos/);
-  assert.match(html, /portfolio\.pdf/);
+  assert.match(html, /<td>Portfólio<\/td>\s*<td>portfolio\.pdf<\/td>/);
+  assert.doesNotMatch(html, /<th>Página<\/th>/);
+});
+
+test('the attachments table points to the page where each attachment starts', () => {
+  const html = renderFichaHtml(fichaData({
+    attachmentPages: true,
+    phases: [{
+      id: 9,
+      name: 'Inscrição',
+      isAppealPhase: false,
+      rows: [],
+      evaluation: { evaluations: [], hasTechnical: false, hasSimplified: false },
+      appealResult: null,
+      regStatusText: '',
+      files: [
+        { fieldId: 31, title: 'Portfólio', name: 'portfolio.pdf', page: 4 },
+        { fieldId: 32, title: 'Orçamento', name: 'orcamento.xlsx', page: 9 }
+      ]
+    }]
+  }));
+
+  assert.match(html, /<th>Página<\/th>/);
+  assert.match(html, /<td>portfolio\.pdf<\/td>\s*<td>4<\/td>/);
+  assert.match(html, /<td>orcamento\.xlsx<\/td>\s*<td>9<\/td>/);
 });
 
 test('the sheet omits the attachments block when the phase has no files', () => {
@@ -76,6 +117,8 @@ test('the first phase gets the fixed heading and the others keep their own name'
   assert.match(html, /Fase de Inscrições/);
   assert.doesNotMatch(html, /Nome ignorado da primeira fase/);
   assert.match(html, /Habilitação Documental/);
+  // Títulos de fase em h2 viram marcadores do PDF
+  assert.match(html, /<h2 class="section-title phase-title">\s*Habilitação Documental\s*<\/h2>/);
 });
 
 test('the sheet renders technical evaluation sections, criteria and scores', () => {
@@ -116,6 +159,127 @@ test('the sheet renders technical evaluation sections, criteria and scores', ()
   assert.match(html, /Selecionada/);
 });
 
+test('the sheet shows score over maximum, weighted subtotals, the mean and total mismatches', () => {
+  const evaluation = (total, totalMismatch) => ({
+    evaluator: '#1',
+    sections: [{
+      sectionTitle: 'Mérito Cultural',
+      criteria: [{ label: 'Relevância', score: 8, max: 10, weight: 2, weightedScore: 16 }],
+      subtotal: 16,
+      maxSubtotal: 20
+    }],
+    status: '',
+    parecer: '',
+    total,
+    computedTotal: 16,
+    maxTotal: 20,
+    totalMismatch,
+    hasTechnical: true,
+    hasSimplified: false
+  });
+  const html = renderFichaHtml(fichaData({
+    phases: [{
+      id: 10,
+      name: 'Fase de Avaliação',
+      isAppealPhase: false,
+      rows: [],
+      evaluation: {
+        evaluations: [evaluation(16, false), evaluation(18, true)],
+        hasTechnical: true,
+        hasSimplified: false,
+        meanTotal: 17,
+        hasMeanTotal: true
+      },
+      appealResult: null,
+      regStatusText: 'Selecionada',
+      files: []
+    }]
+  }));
+
+  assert.match(html, /<td>8 \/ 10<\/td>\s*<td>2<\/td>\s*<td>16<\/td>/);
+  assert.match(html, /Subtotal da seção<\/strong><\/td>\s*<td><strong>16 \/ 20<\/strong>/);
+  assert.match(html, /Total da Pontuação<\/strong><\/td>\s*<td class="value"><strong>16 \/ 20/);
+  assert.match(html, /Média entre avaliadores<\/strong><\/td>\s*<td class="value"><strong>17/);
+  assert.equal((html.match(/Divergência/g) || []).length, 1);
+  assert.match(html, /soma ponderada dos critérios \(16\) difere do total registrado na avaliação \(18\)/);
+});
+
+test('the sheet renders documentary verdicts and justifications per field', () => {
+  const html = renderFichaHtml(fichaData({
+    phases: [{
+      id: 12,
+      name: 'Análise Documental',
+      isAppealPhase: false,
+      rows: [],
+      evaluation: {
+        evaluations: [{
+          evaluator: '#1',
+          method: 'documentary',
+          sections: [],
+          items: [
+            { label: 'Comprovante de residência', verdict: 'Inválido', justification: 'Documento ilegível' }
+          ],
+          result: 'Inválida',
+          status: '',
+          parecer: 'Reenviar documentação',
+          total: -1,
+          hasDocumentary: true
+        }],
+        hasTechnical: false,
+        hasSimplified: false,
+        hasDocumentary: true,
+        hasQualification: false
+      },
+      appealResult: null,
+      regStatusText: 'Inválida',
+      files: []
+    }]
+  }));
+
+  assert.match(html, /<div class="section-title">Análise Documental<\/div>/);
+  assert.match(html, /Comprovante de residência<\/strong><\/td>\s*<td>Inválido<\/td>\s*<td>Documento ilegível<\/td>/);
+  assert.match(html, /Resultado da Análise/);
+  assert.match(html, /Reenviar documentação/);
+  assert.doesNotMatch(html, /Análise de Mérito/);
+});
+
+test('the sheet renders qualification verdicts per criterion and the final result', () => {
+  const html = renderFichaHtml(fichaData({
+    phases: [{
+      id: 13,
+      name: 'Habilitação',
+      isAppealPhase: false,
+      rows: [],
+      evaluation: {
+        evaluations: [{
+          evaluator: '#1',
+          method: 'qualification',
+          sections: [{
+            sectionTitle: 'Documentação',
+            criteria: [{ label: 'Certidão negativa', verdict: 'Não atende', justification: 'Certidão vencida' }]
+          }],
+          result: 'Inabilitado',
+          status: '',
+          parecer: '',
+          total: 'Inabilitado',
+          hasQualification: true
+        }],
+        hasTechnical: false,
+        hasSimplified: false,
+        hasDocumentary: false,
+        hasQualification: true
+      },
+      appealResult: null,
+      regStatusText: 'Não selecionada',
+      files: []
+    }]
+  }));
+
+  assert.match(html, /<div class="section-title">Habilitação<\/div>/);
+  assert.match(html, /Certidão negativa<\/strong><\/td>\s*<td>Não atende<\/td>\s*<td>Certidão vencida<\/td>/);
+  assert.match(html, /Resultado da Habilitação<\/strong><\/td>\s*<td class="value"><strong>Inabilitado/);
+});
+
 test('the sheet renders an appeal phase with its result and justification', () => {
   const html = renderFichaHtml(fichaData({
     phases: [{
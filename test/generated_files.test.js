@@ -5,6 +5,14 @@ const path = require('node:path');
 const test = require('node:test');
 
 const { listGeneratedFilesForOpportunity, listResultFilesForGeneration } = require('../generated_files');
+const { createDownloadLinks } = require('../src/auth/download-links');
+
+// Relógio fixo: as URLs assinadas ficam determinísticas
+const downloadLinks = createDownloadLinks({
+  secret: 'segredo-de-teste',
+  ttlMs: 60 * 60 * 1000,
+  now: () => Date.parse('2026-01-01T00:00:00.000Z')
+});
 
 test('listGeneratedFilesForOpportunity returns generated ZIP and PDFs for the selected parent', () => {
   const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'generated-files-'));
@@ -22,7 +30,7 @@ test('listGeneratedFilesForOpportunity returns generated ZIP and PDFs for the se
     fs.writeFileSync(path.join(outputDir, file), file);
   }
 
-  const result = listGeneratedFilesForOpportunity(outputDir, 123);
+  const result = listGeneratedFilesForOpportunity(outputDir, 123, downloadLinks);
 
   assert.deepEqual(result.map(file => file.name).sort(), [
     'ficha_123_AC001_maria.pdf',
@@ -30,33 +38,52 @@ test('listGeneratedFilesForOpportunity returns generated ZIP and PDFs for the se
     'fichas_123.zip'
   ]);
   assert.deepEqual(new Set(result.map(file => file.type)), new Set(['pdf', 'zip']));
-  assert.equal(result.every(file => file.url.startsWith('/downloads/')), true);
+  assert.equal(result.every(file => file.url === downloadLinks.urlFor(file.name)), true);
+});
+
+test('listGeneratedFilesForOpportunity recognises fichas named by a custom template', () => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'generated-files-'));
+  const files = [
+    'ficha_123_suplente_on-1.pdf',
+    'ficha_123_musica_on-2_inscricoes_sem_anexos.pdf',
+    'ficha_1234_selecionada_on-3.pdf',
+    'fichas_123.zip'
+  ];
+  for (const file of files) {
+    fs.writeFileSync(path.join(outputDir, file), file);
+  }
+
+  const listed = listGeneratedFilesForOpportunity(outputDir, 123, downloadLinks).map(file => file.name).sort();
+  const result = listResultFilesForGeneration(outputDir, 123, 'fichas_123.zip', downloadLinks).map(file => file.name);
+
+  assert.deepEqual(listed, ['ficha_123_musica_on-2_inscricoes_sem_anexos.pdf', 'ficha_123_suplente_on-1.pdf', 'fichas_123.zip']);
+  assert.deepEqual(result, ['fichas_123.zip', 'ficha_123_musica_on-2_inscricoes_sem_anexos.pdf', 'ficha_123_suplente_on-1.pdf']);
 });
 
 test('listGeneratedFilesForOpportunity returns an empty list when output dir does not exist', () => {
   const missingDir = path.join(os.tmpdir(), `missing-generated-files-${Date.now()}`);
 
-  assert.deepEqual(listGeneratedFilesForOpportunity(missingDir, 123), []);
+  assert.deepEqual(listGeneratedFilesForOpportunity(missingDir, 123, downloadLinks), []);
 });
 
 test('listGeneratedFilesForOpportunity returns an empty list for invalid parent ids', () => {
   const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'generated-files-'));
   fs.writeFileSync(path.join(outputDir, 'fichas_123.zip'), 'zip');
 
-  assert.deepEqual(listGeneratedFilesForOpportunity(outputDir, 0), []);
-  assert.deepEqual(listGeneratedFilesForOpportunity(outputDir, -1), []);
-  assert.deepEqual(listGeneratedFilesForOpportunity(outputDir, 'abc'), []);
+  assert.deepEqual(listGeneratedFilesForOpportunity(outputDir, 0, downloadLinks), []);
+  assert.deepEqual(listGeneratedFilesForOpportunity(outputDir, -1, downloadLinks), []);
+  assert.deepEqual(listGeneratedFilesForOpportunity(outputDir, 'abc', downloadLinks), []);
 });
 
-test('listGeneratedFilesForOpportunity encodes download urls for special filenames', () => {
+test('listGeneratedFilesForOpportunity signs and encodes download urls for special filenames', () => {
   const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'generated-files-'));
   const filename = 'ficha_123_AC001_maria da silva.pdf';
   fs.writeFileSync(path.join(outputDir, filename), 'pdf');
 
-  const [result] = listGeneratedFilesForOpportunity(outputDir, 123);
+  const [result] = listGeneratedFilesForOpportunity(outputDir, 123, downloadLinks);
 
   assert.equal(result.name, filename);
-  assert.equal(result.url, '/downloads/ficha_123_AC001_maria%20da%20silva.pdf');
+  assert.match(result.url, /^\/downloads\/ficha_123_AC001_maria%20da%20silva\.pdf\?expires=1767229200&signature=[0-9a-f]{64}$/);
 });
 
 test('listGeneratedFilesForOpportunity keeps zip first and sorts pdfs by newest modified time', () => {
@@ -74,7 +101,7 @@ test('listGeneratedFilesForOpportunity keeps zip first and sorts pdfs by newest
   fs.utimesSync(oldPdf, oldTime, oldTime);
   fs.utimesSync(newPdf, newTime, newTime);
 
-  const result = listGeneratedFilesForOpportunity(outputDir, 123);
+  const result = listGeneratedFilesForOpportunity(outputDir, 123, downloadLinks);
 
   assert.deepEqual(result.map(file => file.name), [
     'fichas_123.zip',
@@ -83,12 +110,43 @@ test('listGeneratedFilesForOpportunity keeps zip first and sorts pdfs by newest
   ]);
 });
 
+test('listGeneratedFilesForOpportunity groups zip, pdf, xlsx and csv files in that order, newest first', () => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'generated-files-'));
+  const files = [
+    ['fichas_123_planilha.csv', '2026-01-05'],
+    ['ficha_123_AC001_antiga.pdf', '2026-01-01'],
+    ['fichas_123_planilha_sem_anexos.xlsx', '2026-01-02'],
+    ['fichas_123.zip', '2026-01-03'],
+    ['fichas_123_planilha.xlsx', '2026-01-06'],
+    ['fichas_123_consolidado.pdf', '2026-01-04'],
+    ['fichas_123_sem_anexos.zip', '2026-01-07']
+  ];
+  for (const [name, day] of files) {
+    const filepath = path.join(outputDir, name);
+    fs.writeFileSync(filepath, 'x');
+    const time = new Date(`${day}T00:00:00.000Z`);
+    fs.utimesSync(filepath, time, time);
+  }
+
+  const result = listGeneratedFilesForOpportunity(outputDir, 123, downloadLinks);
+
+  assert.deepEqual(result.map(file => file.name), [
+    'fichas_123_sem_anexos.zip',
+    'fichas_123.zip',
+    'fichas_123_consolidado.pdf',
+    'ficha_123_AC001_antiga.pdf',
+    'fichas_123_planilha.xlsx',
+    'fichas_123_planilha_sem_anexos.xlsx',
+    'fichas_123_planilha.csv'
+  ]);
+});
+
 test('listGeneratedFilesForOpportunity includes sheet-only zip files', () => {
   const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'generated-files-'));
   fs.writeFileSync(path.join(outputDir, 'fichas_123_sem_anexos.zip'), 'zip');
   fs.writeFileSync(path.join(outputDir, 'ficha_123_AC001_maria_sem_anexos.pdf'), 'pdf');
 
-  const result = listGeneratedFilesForOpportunity(outputDir, 123);
+  const result = listGeneratedFilesForOpportunity(outputDir, 123, downloadLinks);
 
   assert.deepEqual(result.map(file => file.name).sort(), [
     'ficha_123_AC001_maria_sem_anexos.pdf',
@@ -96,6 +154,44 @@ test('listGeneratedFilesForOpportunity includes sheet-only zip files', () => {
   ]);
 });
 
+test('listGeneratedFilesForOpportunity includes LGPD-redacted zip files', () => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'generated-files-'));
+  for (const name of [
+    'fichas_123_lgpd_mascarado.zip',
+    'fichas_123_sem_anexos_lgpd_oculto.zip',
+    'fichas_123_lgpd_qualquer.zip',
+    'ficha_123_AC001_maria_lgpd_mascarado.pdf'
+  ]) {
+    fs.writeFileSync(path.join(outputDir, name), 'x');
+  }
+
+  const result = listGeneratedFilesForOpportunity(outputDir, 123, downloadLinks);
+
+  assert.deepEqual(result.map(file => file.name).sort(), [
+    'ficha_123_AC001_maria_lgpd_mascarado.pdf',
+    'fichas_123_lgpd_mascarado.zip',
+    'fichas_123_sem_anexos_lgpd_oculto.zip'
+  ]);
+});
+
+test('listGeneratedFilesForOpportunity includes zip files with identified or pseudonymous evaluators', () => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'generated-files-'));
+  for (const name of [
+    'fichas_123_pseudonimos.zip',
+    'fichas_123_sem_anexos_lgpd_mascarado_avaliadores_identificados.zip',
+    'fichas_123_avaliadores_qualquer.zip'
+  ]) {
+    fs.writeFileSync(path.join(outputDir, name), 'x');
+  }
+
+  const result = listGeneratedFilesForOpportunity(outputDir, 123, downloadLinks);
+
+  assert.deepEqual(result.map(file => file.name).sort(), [
+    'fichas_123_pseudonimos.zip',
+    'fichas_123_sem_anexos_lgpd_mascarado_avaliadores_identificados.zip'
+  ]);
+});
+
 test('listResultFilesForGeneration puts the new ZIP first, then the opportunity PDFs', () => {
   const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'result-files-'));
   for (const name of [
@@ -107,19 +203,80 @@ test('listResultFilesForGeneration puts the new ZIP first, then the opportunity
     fs.writeFileSync(path.join(outputDir, name), 'x');
   }
 
-  const result = listResultFilesForGeneration(outputDir, 123, 'fichas_123.zip');
+  const result = listResultFilesForGeneration(outputDir, 123, 'fichas_123.zip', downloadLinks);
 
   assert.deepEqual(result, [
-    { name: 'fichas_123.zip', url: '/downloads/fichas_123.zip', type: 'zip' },
-    { name: 'ficha_123_AC001_maria.pdf', url: '/downloads/ficha_123_AC001_maria.pdf', type: 'pdf' },
-    { name: 'ficha_123_AC002_joao.pdf', url: '/downloads/ficha_123_AC002_joao.pdf', type: 'pdf' }
+    { name: 'fichas_123.zip', url: downloadLinks.urlFor('fichas_123.zip'), type: 'zip' },
+    { name: 'ficha_123_AC001_maria.pdf', url: downloadLinks.urlFor('ficha_123_AC001_maria.pdf'), type: 'pdf' },
+    { name: 'ficha_123_AC002_joao.pdf', url: downloadLinks.urlFor('ficha_123_AC002_joao.pdf'), type: 'pdf' }
+  ]);
+});
+
+test('listGeneratedFilesForOpportunity includes the single PDF of the consolidated mode', () => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'generated-files-'));
+  for (const name of [
+    'fichas_123_consolidado.pdf',
+    'fichas_123_consolidado_lgpd_mascarado.pdf',
+    'fichas_1234_consolidado.pdf',
+    'fichas_123_consolidado_qualquer.pdf'
+  ]) {
+    fs.writeFileSync(path.join(outputDir, name), 'x');
+  }
+
+  const result = listGeneratedFilesForOpportunity(outputDir, 123, downloadLinks);
+
+  assert.deepEqual(result.map(file => [file.name, file.type]).sort(), [
+    ['fichas_123_consolidado.pdf', 'pdf'],
+    ['fichas_123_consolidado_lgpd_mascarado.pdf', 'pdf']
+  ]);
+});
+
+test('listGeneratedFilesForOpportunity includes the spreadsheets of the generation', () => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'generated-files-'));
+  for (const name of [
+    'fichas_123_planilha.xlsx',
+    'fichas_123_planilha.csv',
+    'fichas_123_planilha_sem_anexos_pseudonimos.xlsx',
+    'fichas_456_planilha.xlsx',
+    'fichas_123_planilha_qualquer.csv'
+  ]) {
+    fs.writeFileSync(path.join(outputDir, name), 'x');
+  }
+
+  const result = listGeneratedFilesForOpportunity(outputDir, 123, downloadLinks);
+
+  assert.deepEqual(result.map(file => [file.name, file.type]).sort(), [
+    ['fichas_123_planilha.csv', 'csv'],
+    ['fichas_123_planilha.xlsx', 'xlsx'],
+    ['fichas_123_planilha_sem_anexos_pseudonimos.xlsx', 'xlsx']
+  ]);
+});
+
+test('listResultFilesForGeneration lists the other files of the generation right after the ZIP', () => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'result-files-'));
+  for (const name of ['ficha_123_AC001_maria.pdf', 'fichas_123_consolidado.pdf']) {
+    fs.writeFileSync(path.join(outputDir, name), 'x');
+  }
+
+  const result = listResultFilesForGeneration(outputDir, 123, 'fichas_123.zip', downloadLinks, [
+    'fichas_123_consolidado.pdf',
+    'fichas_123_planilha.xlsx',
+    'fichas_123_planilha.csv'
+  ]);
+
+  assert.deepEqual(result.map(file => [file.name, file.type]), [
+    ['fichas_123.zip', 'zip'],
+    ['fichas_123_consolidado.pdf', 'pdf'],
+    ['fichas_123_planilha.xlsx', 'xlsx'],
+    ['fichas_123_planilha.csv', 'csv'],
+    ['ficha_123_AC001_maria.pdf', 'pdf']
   ]);
 });
 
 test('listResultFilesForGeneration still returns the ZIP when the output dir cannot be read', () => {
-  const result = listResultFilesForGeneration('/caminho/inexistente', 123, 'fichas_123.zip');
+  const result = listResultFilesForGeneration('/caminho/inexistente', 123, 'fichas_123.zip', downloadLinks);
 
   assert.deepEqual(result, [
-    { name: 'fichas_123.zip', url: '/downloads/fichas_123.zip', type: 'zip' }
+    { name: 'fichas_123.zip', url: downloadLinks.urlFor('fichas_123.zip'), type: 'zip' }
   ]);
 });
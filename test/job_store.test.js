@@ -0,0 +1,95 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { createJobStore, jobSnapshot } = require('../src/jobs/job-store');
+
+function waitForFinish(store, job) {
+  return new Promise(resolve => {
+    store.subscribe(job, event => {
+      if (event.type !== 'progress') resolve(event);
+    });
+  });
+}
+
+test('a job records its progress and resolves to done with the result', async () => {
+  const store = createJobStore();
+  const job = store.start({ parentId: 9 }, async report => {
+    report({ current: 1, total: 2 });
+    report({ current: 2, total: 2 });
+    return 'fichas_9.zip';
+  });
+
+  assert.equal(job.status, 'running');
+  const finalEvent = await waitForFinish(store, job);
+
+  assert.deepEqual(finalEvent, { type: 'done', data: { result: 'fichas_9.zip' } });
+  assert.deepEqual(jobSnapshot(job), {
+    id: job.id,
+    status: 'done',
+    progress: { current: 2, total: 2 },
+    result: 'fichas_9.zip',
+    error: null
+  });
+});
+
+test('a summarized job sends the summary to clients and keeps the whole result', async () => {
+  const store = createJobStore();
+  const job = store.start({}, async () => ({ zipFilename: 'fichas_9.zip', report: { rows: [1, 2, 3] } }), {
+    summarize: result => ({ zipFilename: result.zipFilename })
+  });
+
+  const finalEvent = await waitForFinish(store, job);
+
+  assert.deepEqual(finalEvent, { type: 'done', data: { result: { zipFilename: 'fichas_9.zip' } } });
+  assert.deepEqual(jobSnapshot(job).result, { zipFilename: 'fichas_9.zip' });
+  assert.deepEqual(job.result, { zipFilename: 'fichas_9.zip', report: { rows: [1, 2, 3] } });
+});
+
+test('a job that throws is marked as failed with the error message', async () => {
+  const store = createJobStore();
+  const job = store.start({}, async () => { throw new Error('banco fora do ar'); });
+
+  const finalEvent = await waitForFinish(store, job);
+
+  assert.deepEqual(finalEvent, { type: 'failed', data: { error: 'banco fora do ar' } });
+  assert.equal(job.status, 'failed');
+  assert.equal(job.error, 'banco fora do ar');
+});
+
+test('late subscribers receive the whole event history', async () => {
+  const store = createJobStore();
+  const job = store.start({}, async report => {
+    report({ current: 1, total: 1 });
+    return 'ok.zip';
+  });
+  await waitForFinish(store, job);
+
+  const received = [];
+  store.subscribe(job, event => received.push(event.type));
+
+  assert.deepEqual(received, ['progress', 'done']);
+});
+
+test('jobs are found by id and unknown ids return null', () => {
+  const store = createJobStore({ idFactory: () => 'job-1' });
+  const job = store.start({}, () => new Promise(() => {}));
+
+  assert.equal(store.get('job-1'), job);
+  assert.equal(store.get('outro'), null);
+});
+
+test('finished jobs are pruned after the ttl, running jobs are kept', async () => {
+  let clock = 0;
+  let nextId = 0;
+  const store = createJobStore({ ttlMs: 1000, now: () => clock, idFactory: () => `job-${++nextId}` });
+
+  const finished = store.start({}, async () => 'a.zip');
+  await waitForFinish(store, finished);
+  const running = store.start({}, () => new Promise(() => {}));
+
+  clock = 5000;
+  store.start({}, () => new Promise(() => {}));
+
+  assert.equal(store.get(finished.id), null);
+  assert.equal(store.get(running.id), running);
+});
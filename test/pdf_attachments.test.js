@@ -0,0 +1,158 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const zlib = require('node:zlib');
+const { PDFDocument } = require('pdf-lib');
+
+const {
+  A4_WIDTH,
+  A4_HEIGHT,
+  SKIP_REASONS,
+  attachmentType,
+  appendAttachment,
+  buildAttachmentBundle,
+  appendBundle,
+  pdfPageCount,
+  mergeWithAttachments
+} = require('../src/pdf/attachments');
+
+const silentLogger = { warn() {} };
+
+async function pdfWithPages(count) {
+  const doc = await PDFDocument.create();
+  for (let i = 0; i < count; i++) doc.addPage([300, 300]);
+  return Buffer.from(await doc.save());
+}
+
+// CRC-32 do PNG calculado aqui: zlib.crc32 só existe a partir do Node 20.15
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+    }
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// PNG RGB de cor sólida
+function png(width, height) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bits por canal
+  header[9] = 2; // RGB
+  const row = Buffer.concat([Buffer.from([0]), Buffer.alloc(width * 3, 200)]);
+  const pixels = Buffer.concat(Array.from({ length: height }, () => row));
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(pixels)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+// Só o cabeçalho de um JPG: o pdf-lib lê as dimensões e embute os bytes
+function jpg(width, height) {
+  return Buffer.from([
+    0xff, 0xd8,
+    0xff, 0xc0, 0x00, 0x11, 0x08,
+    height >> 8, height & 0xff, width >> 8, width & 0xff,
+    0x03, 0x01, 0x22, 0x00, 0x02, 0x11, 0x01, 0x03, 0x11, 0x01,
+    0xff, 0xd9
+  ]);
+}
+
+async function pageSizes(buffer) {
+  const doc = await PDFDocument.load(buffer);
+  return doc.getPages().map(page => {
+    const { width, height } = page.getSize();
+    return [Math.round(width), Math.round(height)];
+  });
+}
+
+const A4 = [Math.round(A4_WIDTH), Math.round(A4_HEIGHT)];
+const A4_LANDSCAPE = [A4[1], A4[0]];
+
+test('attachmentType recognises PDFs and images by extension', () => {
+  assert.equal(attachmentType('projeto.PDF'), 'pdf');
+  assert.equal(attachmentType('foto.jpeg'), 'jpg');
+  assert.equal(attachmentType('foto.JPG'), 'jpg');
+  assert.equal(attachmentType('cartaz.png'), 'png');
+  assert.equal(attachmentType('orcamento.docx'), null);
+  assert.equal(attachmentType('sem-extensao'), null);
+});
+
+test('mergeWithAttachments keeps the ficha pages and adds a separator before each attachment', async () => {
+  const merged = await mergeWithAttachments(await pdfWithPages(2), [
+    { name: 'projeto.pdf', title: 'Projeto', buffer: await pdfWithPages(3) }
+  ], { logger: silentLogger });
+
+  assert.deepEqual(await pageSizes(merged), [[300, 300], [300, 300], A4, [300, 300], [300, 300], [300, 300]]);
+});
+
+test('image attachments become one A4 page each, landscape when the image is wide', async () => {
+  const merged = await mergeWithAttachments(await pdfWithPages(1), [
+    { name: 'retrato.png', buffer: png(20, 40) },
+    { name: 'paisagem.jpg', buffer: jpg(1600, 900) }
+  ], { logger: silentLogger });
+
+  assert.deepEqual((await pageSizes(merged)).slice(1), [A4, A4, A4, A4_LANDSCAPE]);
+});
+
+test('unsupported, missing and broken attachments get a placeholder page and are reported', async () => {
+  const warnings = [];
+  const bundle = await buildAttachmentBundle([
+    { name: 'orcamento.docx', buffer: Buffer.from('PK') },
+    { name: 'sumiu.pdf', buffer: null },
+    { name: 'corrompido.pdf', buffer: Buffer.from('não é pdf') },
+    { name: 'corrompida.png', buffer: Buffer.from('não é png') }
+  ], { logger: { warn: message => warnings.push(message) } });
+
+  assert.equal(bundle.pageCount, 8);
+  assert.deepEqual(bundle.skipped, [
+    { index: 0, reason: SKIP_REASONS.UNSUPPORTED },
+    { index: 1, reason: SKIP_REASONS.MISSING },
+    { index: 2, reason: SKIP_REASONS.INVALID_PDF },
+    { index: 3, reason: SKIP_REASONS.INVALID_IMAGE }
+  ]);
+  assert.deepEqual(warnings, [
+    `Anexo orcamento.docx não incluído (${SKIP_REASONS.UNSUPPORTED}); página de aviso no lugar.`,
+    `Anexo sumiu.pdf não incluído (${SKIP_REASONS.MISSING}); página de aviso no lugar.`,
+    `Anexo corrompido.pdf não incluído (${SKIP_REASONS.INVALID_PDF}); página de aviso no lugar.`,
+    `Anexo corrompida.png não incluído (${SKIP_REASONS.INVALID_IMAGE}); página de aviso no lugar.`
+  ]);
+});
+
+test('buildAttachmentBundle tells where each attachment starts, in the order given', async () => {
+  const bundle = await buildAttachmentBundle([
+    { name: 'projeto.pdf', title: 'Projeto', phaseName: 'Inscrições', buffer: await pdfWithPages(3) },
+    { name: 'foto.png', title: 'Foto', phaseName: 'Inscrições', buffer: png(10, 10) },
+    { name: 'recurso.pdf', title: 'Documento do recurso', phaseName: 'Recurso', buffer: await pdfWithPages(1) }
+  ], { logger: silentLogger });
+
+  assert.deepEqual(bundle.startPages, [0, 4, 6]);
+  assert.deepEqual(bundle.skipped, []);
+  assert.equal(bundle.pageCount, 8);
+  assert.equal(await pdfPageCount(bundle.pdf), 8);
+
+  const merged = await appendBundle(await pdfWithPages(2), bundle.pdf);
+  assert.equal(await pdfPageCount(merged), 10);
+});
+
+test('appendAttachment writes file names outside WinAnsi without failing', async () => {
+  const doc = await PDFDocument.create();
+  const reason = await appendAttachment(doc, { name: '项目 – ✓.odt', buffer: Buffer.alloc(0) });
+
+  assert.equal(reason, SKIP_REASONS.UNSUPPORTED);
+  assert.equal(doc.getPageCount(), 1);
+});
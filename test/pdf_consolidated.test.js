@@ -0,0 +1,106 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const { PDFDocument, PDFName } = require('pdf-lib');
+
+const { TOC_LINES_PER_PAGE, buildConsolidatedPdf } = require('../src/pdf/consolidated');
+const { readOutline } = require('../src/pdf/outline');
+
+const silentLogger = { warn() {} };
+
+async function pdfWithPages(count) {
+  const doc = await PDFDocument.create();
+  for (let i = 0; i < count; i++) doc.addPage([300, 300]);
+  return doc.save();
+}
+
+function linkCount(page) {
+  const annots = page.node.Annots();
+  return annots ? annots.size() : 0;
+}
+
+test('the consolidated PDF has a cover, a table of contents and every ficha in order', async () => {
+  const bytes = await buildConsolidatedPdf({
+    title: 'Edital de Música',
+    details: ['Oportunidade #9', '2 fichas'],
+    fichas: [
+      {
+        registrationNumber: 'on-1',
+        agentName: 'Ana Cultural',
+        pdf: await pdfWithPages(3),
+        outline: [
+          { title: 'Fase de Inscrições', pageIndex: 0, children: [{ title: 'Portfólio: portfolio.pdf', pageIndex: 2, children: [] }] },
+          { title: 'Mérito', pageIndex: 1, children: [] }
+        ]
+      },
+      { registrationNumber: 'on-2', agentName: 'Bruno', pdf: await pdfWithPages(1), outline: [] }
+    ]
+  }, { logger: silentLogger });
+
+  const doc = await PDFDocument.load(bytes);
+  assert.equal(doc.getPageCount(), 1 + 1 + 3 + 1);
+  assert.equal(doc.getTitle(), 'Fichas de inscrição - Edital de Música');
+  assert.equal(linkCount(doc.getPage(1)), 2);
+  assert.equal(doc.catalog.get(PDFName.of('PageMode')), PDFName.of('UseOutlines'));
+
+  assert.deepEqual(readOutline(doc), [
+    { title: 'Capa', pageIndex: 0, children: [] },
+    { title: 'Sumário', pageIndex: 1, children: [] },
+    { title: 'on-1 - Ana Cultural', pageIndex: 2, children: [
+      { title: 'Fase de Inscrições', pageIndex: 2, children: [{ title: 'Portfólio: portfolio.pdf', pageIndex: 4, children: [] }] },
+      { title: 'Mérito', pageIndex: 3, children: [] }
+    ] },
+    { title: 'on-2 - Bruno', pageIndex: 5, children: [] }
+  ]);
+});
+
+test('the table of contents grows to as many pages as the fichas need', async () => {
+  const ficha = await pdfWithPages(1);
+  const fichas = Array.from({ length: TOC_LINES_PER_PAGE + 1 }, (_, i) => ({ registrationNumber: `on-${i}`, agentName: '', pdf: ficha }));
+
+  const doc = await PDFDocument.load(await buildConsolidatedPdf({ title: 'Edital', fichas }, { logger: silentLogger }));
+
+  assert.equal(doc.getPageCount(), 1 + 2 + fichas.length);
+  assert.equal(linkCount(doc.getPage(1)), TOC_LINES_PER_PAGE);
+  assert.equal(linkCount(doc.getPage(2)), 1);
+  assert.equal(readOutline(doc)[2].pageIndex, 3);
+});
+
+test('a ficha that cannot be read is left out and reported', async () => {
+  const warnings = [];
+  const doc = await PDFDocument.load(await buildConsolidatedPdf({
+    title: 'Edital',
+    fichas: [
+      { registrationNumber: 'on-1', agentName: 'Ana', pdf: Buffer.from('não é pdf') },
+      { registrationNumber: 'on-2', agentName: 'Bruno', pdf: await pdfWithPages(2) }
+    ]
+  }, { logger: { warn: message => warnings.push(message) } }));
+
+  assert.equal(doc.getPageCount(), 4);
+  assert.deepEqual(readOutline(doc).map(entry => entry.title), ['Capa', 'Sumário', 'on-2 - Bruno']);
+  assert.match(warnings[0], /^Ficha on-1 fora do PDF único/);
+});
+
+test('fichas given as loaders are read one at a time, in order', async () => {
+  const events = [];
+  const ficha = number => ({
+    registrationNumber: number,
+    agentName: '',
+    loadPdf: async () => {
+      events.push(`lê ${number}`);
+      if (number === 'on-2') throw new Error('ENOENT');
+      const pdf = await pdfWithPages(1);
+      events.push(`lido ${number}`);
+      return pdf;
+    }
+  });
+  const warnings = [];
+
+  const doc = await PDFDocument.load(await buildConsolidatedPdf({
+    title: 'Edital',
+    fichas: [ficha('on-1'), ficha('on-2'), ficha('on-3')]
+  }, { logger: { warn: message => warnings.push(message) } }));
+
+  assert.deepEqual(events, ['lê on-1', 'lido on-1', 'lê on-2', 'lê on-3', 'lido on-3']);
+  assert.equal(doc.getPageCount(), 1 + 1 + 2);
+  assert.match(warnings[0], /^Ficha on-2 fora do PDF único: ENOENT/);
+});
@@ -0,0 +1,63 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const { PDFDocument } = require('pdf-lib');
+
+const { readOutline, readPdfOutline, fichaOutline, writeOutline, shiftOutline } = require('../src/pdf/outline');
+
+async function documentWithPages(count) {
+  const doc = await PDFDocument.create();
+  for (let i = 0; i < count; i++) doc.addPage([300, 300]);
+  return doc;
+}
+
+test('writeOutline and readOutline round-trip a nested bookmark tree', async () => {
+  const doc = await documentWithPages(4);
+  const entries = [
+    { title: 'on-1 - Ana Cultural', pageIndex: 0, children: [
+      { title: 'Fase de Inscrições', pageIndex: 0, children: [] },
+      { title: 'Mérito', pageIndex: 2, children: [{ title: 'Portfólio: portfolio.pdf', pageIndex: 3, children: [] }] }
+    ] },
+    { title: 'on-2', pageIndex: 3, children: [] }
+  ];
+
+  writeOutline(doc, entries);
+
+  assert.deepEqual(await readPdfOutline(await doc.save()), entries);
+});
+
+test('readOutline returns an empty tree for a PDF without bookmarks', async () => {
+  assert.deepEqual(readOutline(await documentWithPages(1)), []);
+});
+
+test('shiftOutline moves every bookmark by the offset', () => {
+  assert.deepEqual(shiftOutline([{ title: 'Mérito', pageIndex: 1, children: [{ title: 'Anexo', pageIndex: 3 }] }], 10), [
+    { title: 'Mérito', pageIndex: 11, children: [{ title: 'Anexo', pageIndex: 13, children: [] }] }
+  ]);
+});
+
+test('fichaOutline takes the phase pages from the headings and nests the attachments of each phase', () => {
+  const headings = [{
+    title: 'FICHA DE INSCRIÇÃO – on-1',
+    pageIndex: 0,
+    children: [
+      { title: 'Fase de Inscrições', pageIndex: 0, children: [] },
+      { title: 'Mérito', pageIndex: 2, children: [] }
+    ]
+  }];
+  const phases = [{ id: 9, name: 'Edital de Música' }, { id: 11, name: 'Mérito' }];
+  const attachments = [
+    { phaseId: 9, title: 'Portfólio', name: 'portfolio.pdf', pageIndex: 3 },
+    { phaseId: 11, title: '', name: 'parecer.pdf', pageIndex: 5 }
+  ];
+
+  assert.deepEqual(fichaOutline(headings, phases, attachments), [
+    { title: 'Fase de Inscrições', pageIndex: 0, children: [{ title: 'Portfólio: portfolio.pdf', pageIndex: 3, children: [] }] },
+    { title: 'Mérito', pageIndex: 2, children: [{ title: 'parecer.pdf', pageIndex: 5, children: [] }] }
+  ]);
+});
+
+test('fichaOutline points the phases to the first page when the headings are missing', () => {
+  assert.deepEqual(fichaOutline([], [{ id: 9, name: 'Inscrições' }]), [
+    { title: 'Inscrições', pageIndex: 0, children: [] }
+  ]);
+});
@@ -0,0 +1,77 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const { PDFArray, PDFDocument, PDFRawStream, decodePDFRawStream, degrees } = require('pdf-lib');
+
+const { stampPages, finishFichaPdf } = require('../src/pdf/page-stamp');
+const { readOutline } = require('../src/pdf/outline');
+
+async function pdfWithPages(sizes) {
+  const doc = await PDFDocument.create();
+  for (const size of sizes) doc.addPage(size);
+  return doc.save();
+}
+
+// Texto das fontes padrão: cada string vai em hexadecimal, byte a byte WinAnsi
+function hexText(text) {
+  return `<${Buffer.from(text, 'latin1').toString('hex').toUpperCase()}>`;
+}
+
+function pageContent(doc, page) {
+  const contents = page.node.Contents();
+  const streams = contents instanceof PDFArray
+    ? contents.asArray().map(ref => doc.context.lookup(ref))
+    : [contents];
+  return streams.map(stream => stream instanceof PDFRawStream
+    ? Buffer.from(decodePDFRawStream(stream).decode()).toString('latin1')
+    : Buffer.from(stream.getContents()).toString('latin1')).join('\n');
+}
+
+test('every page gets the registration in the header and its number in the footer', async () => {
+  const doc = await PDFDocument.load(await finishFichaPdf(await pdfWithPages([[595, 842], [595, 842], [300, 300]]), {
+    registrationNumber: 'on-1',
+    agentName: 'Ana Cultural'
+  }));
+
+  doc.getPages().forEach((page, index) => {
+    const content = pageContent(doc, page);
+    assert.ok(content.includes(hexText('Inscrição on-1 - Ana Cultural')), `cabeçalho da página ${index + 1}`);
+    assert.ok(content.includes(hexText(`Página ${index + 1} de 3`)), `rodapé da página ${index + 1}`);
+  });
+});
+
+test('the header is cut to fit narrow attachment pages', async () => {
+  const source = await PDFDocument.create();
+  source.addPage([150, 200]);
+  await stampPages(source, { registrationNumber: 'on-1', agentName: 'Maria Aparecida dos Santos Oliveira' });
+  const doc = await PDFDocument.load(await source.save());
+
+  const content = pageContent(doc, doc.getPage(0));
+  assert.ok(!content.includes(hexText('Oliveira')));
+  assert.match(content, new RegExp(`${hexText('Inscrição on-1').slice(0, -1)}[0-9A-F]*2E2E2E>`));
+});
+
+test('text on rotated pages follows the page as the reader shows it', async () => {
+  const source = await PDFDocument.create();
+  source.addPage([400, 200]).setRotation(degrees(90));
+  const doc = await PDFDocument.load(await finishFichaPdf(await source.save(), { registrationNumber: 'on-1' }));
+
+  const content = pageContent(doc, doc.getPage(0));
+  // Cabeçalho ao longo da borda esquerda do PDF (a de cima, na tela), girado 90 graus
+  assert.match(content, new RegExp(`0\\.0+6123\\d* 1 -1 0\\.0+6123\\d* 20 28 Tm\n${hexText('Inscrição on-1')} Tj`));
+});
+
+test('finishFichaPdf replaces the bookmarks with the ficha outline', async () => {
+  const doc = await PDFDocument.load(await finishFichaPdf(await pdfWithPages([[300, 300], [300, 300], [300, 300]]), {
+    registrationNumber: 'on-1',
+    agentName: 'Ana',
+    outline: [
+      { title: 'Fase de Inscrições', pageIndex: 0, children: [{ title: 'Portfólio: portfolio.pdf', pageIndex: 2, children: [] }] },
+      { title: 'Mérito', pageIndex: 1, children: [] }
+    ]
+  }));
+
+  assert.deepEqual(readOutline(doc), [
+    { title: 'Fase de Inscrições', pageIndex: 0, children: [{ title: 'Portfólio: portfolio.pdf', pageIndex: 2, children: [] }] },
+    { title: 'Mérito', pageIndex: 1, children: [] }
+  ]);
+});
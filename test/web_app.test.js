@@ -5,9 +5,22 @@ const fs = require('node:fs');
 const test = require('node:test');
 
 const { createApp } = require('../src/web/app');
+const { hashPassword } = require('../src/auth/users');
+const { createDownloadLinks } = require('../src/auth/download-links');
+const { buildGenerationReport } = require('../src/domain/generation-report');
+const { parseRegistrationNumbers } = require('../src/domain/registration-filter');
+const { parseRegistrationList } = require('../src/domain/registration-list');
 
 const silentLogger = { error() {}, warn() {}, log() {} };
 
+const PASSWORDS = { ana: 'senha-da-ana', bruno: 'senha-do-bruno' };
+
+// Hash calculado uma vez só: scrypt é propositalmente lento
+const testUsers = Promise.all([
+  hashPassword(PASSWORDS.ana).then(passwordHash => ({ username: 'ana', passwordHash, role: 'operator' })),
+  hashPassword(PASSWORDS.bruno).then(passwordHash => ({ username: 'bruno', passwordHash, role: 'viewer' }))
+]);
+
 function defaultDeps(overrides = {}) {
   return {
     outputDir: fs.mkdtempSync(path.join(os.tmpdir(), 'fichas-out-')),
@@ -18,9 +31,21 @@ function defaultDeps(overrides = {}) {
       { id: 585, name: 'Edital de Artes Cênicas' }
     ],
     fetchOpportunityById: async id => ({ id, name: 'Edital de Música' }),
-    generateFichas: async () => 'fichas_9.zip',
+    fetchPhasesForOpportunity: async () => [
+      { id: 9, name: 'Inscrições', isAppealPhase: false, isDataCollection: true },
+      { id: 10, name: 'Mérito', isAppealPhase: false, isDataCollection: false },
+      { id: 11, name: 'Recurso', isAppealPhase: true, isDataCollection: true }
+    ],
+    generateFichas: async () => ({ zipFilename: 'fichas_9.zip', unmatchedNumbers: [] }),
+    generateFichaForRegistration: async () => ({
+      filename: 'ficha_9_EG1_ana.pdf',
+      buffer: Buffer.from('%PDF-1.7 ficha')
+    }),
+    fetchFichaPage: async () => ({ total: 0, entries: [] }),
+    fetchFicha: async () => null,
     listGeneratedFilesForOpportunity: () => [],
     listResultFilesForGeneration: () => [],
+    sessionSecret: 'segredo-de-teste',
     logger: silentLogger,
     ...overrides
   };
@@ -28,25 +53,39 @@ function defaultDeps(overrides = {}) {
 
 /**
  * Sobe o app numa porta efêmera e devolve um `request` já apontado para ele.
+ * Por padrão entra como "ana" (operator); `as: 'bruno'` entra como viewer e
+ * `as: null` não faz login.
  */
-async function withServer(deps, run) {
-  const app = createApp(defaultDeps(deps));
+async function withServer(deps, run, { as = 'ana' } = {}) {
+  const app = createApp(defaultDeps({ users: await testUsers, ...deps }));
   const server = app.listen(0);
   await new Promise(resolve => server.once('listening', resolve));
   const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  let cookie = '';
+
+  const withCookie = (headers = {}) => (cookie ? { ...headers, cookie } : headers);
+  const request = {
+    get: (url, init = {}) => fetch(baseUrl + url, { ...init, headers: withCookie(init.headers) }),
+    post: (url, body) => fetch(baseUrl + url, {
+      method: 'POST',
+      headers: withCookie({ 'content-type': 'application/x-www-form-urlencoded' }),
+      body: new URLSearchParams(body).toString(),
+      redirect: 'manual'
+    })
+  };
 
   try {
-    return await run({
-      get: (url, init) => fetch(baseUrl + url, init),
-      post: (url, body) => fetch(baseUrl + url, {
-        method: 'POST',
-        headers: { 'content-type': 'application/x-www-form-urlencoded' },
-        body: new URLSearchParams(body).toString(),
-        redirect: 'manual'
-      })
-    });
+    if (as) {
+      const login = await request.post('/login', { username: as, password: PASSWORDS[as] });
+      assert.equal(login.status, 303, `login de ${as} deveria funcionar`);
+      cookie = login.headers.get('set-cookie').split(';')[0];
+    }
+    return await run(request);
   } finally {
-    await new Promise(resolve => server.close(resolve));
+    // Respostas não lidas prendem a conexão keep-alive; fecha tudo de uma vez
+    const closed = new Promise(resolve => server.close(resolve));
+    server.closeAllConnections();
+    await closed;
   }
 }
 
@@ -90,15 +129,30 @@ test('GET / still renders when the database is unavailable', async () => {
   });
 });
 
-test('GET / offers every registration filter and attachment mode', async () => {
+test('GET / offers every registration filter, attachment mode, LGPD profile and evaluator identity', async () => {
   await withServer({}, async request => {
     const html = await (await request.get('/')).text();
 
     assert.match(html, /<option value="selected">/);
     assert.match(html, /<option value="selected_and_alternate">/);
     assert.match(html, /<option value="all">/);
+    assert.match(html, /<option value="custom">/);
+    assert.match(html, /name="statuses" id="status-10" value="10" checked>/);
+    assert.match(html, /name="sentFrom"/);
+    assert.match(html, /name="registrationNumbers"/);
+    assert.match(html, /<option value="status">Uma pasta por status/);
+    assert.match(html, /name="filenameTemplate" id="filenameTemplate" class="form-control" placeholder="\{number\}_\{agent\}"/);
+    assert.match(html, /<code>\{category\}<\/code>/);
+    assert.match(html, /id="registrationListFile"[^>]*accept="\.csv,\.txt,text\/csv,text\/plain"/);
     assert.match(html, /<option value="with_attachments" selected>Ficha \+ anexos<\/option>/);
     assert.match(html, /<option value="sheet_only">Somente ficha<\/option>/);
+    assert.match(html, /<option value="full" selected>Dados completos<\/option>/);
+    assert.match(html, /<option value="masked">/);
+    assert.match(html, /<option value="hidden">/);
+    assert.match(html, /<option value="anonymous" selected>/);
+    assert.match(html, /<option value="pseudonymous">/);
+    assert.match(html, /<option value="named">/);
+    assert.match(html, /name="spreadsheet" id="spreadsheet" value="1" class="form-check-input">/);
   });
 });
 
@@ -133,6 +187,20 @@ test('GET /generated-files returns the files and the rendered markup', async ()
   });
 });
 
+test('GET /generated-files labels the spreadsheets by format', async () => {
+  await withServer({
+    listGeneratedFilesForOpportunity: () => [
+      { name: 'fichas_9_planilha.xlsx', url: '/downloads/fichas_9_planilha.xlsx', type: 'xlsx' },
+      { name: 'fichas_9_planilha.csv', url: '/downloads/fichas_9_planilha.csv', type: 'csv' }
+    ]
+  }, async request => {
+    const body = await (await request.get('/generated-files?parent=9')).json();
+
+    assert.match(body.html, /badge text-bg-light">XLSX</);
+    assert.match(body.html, /badge text-bg-light">CSV</);
+  });
+});
+
 test('GET /generated-files escapes file names in the rendered markup', async () => {
   await withServer({
     listGeneratedFilesForOpportunity: () => [
@@ -167,10 +235,81 @@ test('GET /generated-files reports a listing failure as 500', async () => {
 });
 
 // ------------------------------------------------------------
-// POST /generate
+// GET /opportunities/:id/phases
 // ------------------------------------------------------------
 
-test('POST /generate renders the opportunity name and the download links', async () => {
+test('GET /opportunities/:id/phases returns the phases for the picker', async () => {
+  await withServer({}, async request => {
+    const response = await request.get('/opportunities/9/phases');
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), {
+      phases: [
+        { id: 9, name: 'Inscrições', isAppealPhase: false, isDataCollection: true },
+        { id: 10, name: 'Mérito', isAppealPhase: false, isDataCollection: false },
+        { id: 11, name: 'Recurso', isAppealPhase: true, isDataCollection: true }
+      ]
+    });
+  });
+});
+
+test('GET /opportunities/:id/phases answers 400, 404 and 500 as JSON', async () => {
+  const cases = [
+    { url: '/opportunities/abc/phases', deps: {}, status: 400, error: 'Oportunidade inválida.' },
+    { url: '/opportunities/999/phases', deps: { fetchPhasesForOpportunity: async () => [] }, status: 404, error: 'Oportunidade não encontrada.' },
+    {
+      url: '/opportunities/9/phases',
+      deps: { fetchPhasesForOpportunity: async () => { throw new Error('conexão recusada'); } },
+      status: 500,
+      error: 'Erro ao buscar fases.'
+    }
+  ];
+
+  for (const { url, deps, status, error } of cases) {
+    await withServer(deps, async request => {
+      const response = await request.get(url);
+
+      assert.equal(response.status, status, `esperado ${status} para ${url}`);
+      assert.deepEqual(await response.json(), { error });
+    });
+  }
+});
+
+test('GET / renders the phase picker for operators', async () => {
+  await withServer({}, async request => {
+    const html = await (await request.get('/')).text();
+
+    assert.match(html, /id="phasePicker"/);
+  });
+});
+
+// ------------------------------------------------------------
+// POST /generate e acompanhamento do job
+// ------------------------------------------------------------
+
+/**
+ * Dispara POST /generate e espera o job terminar lendo o stream de eventos
+ * até o fim. Devolve o corpo JSON do POST e o texto SSE recebido.
+ */
+async function generateAndWait(request, body) {
+  const response = await request.post('/generate', body);
+  assert.equal(response.status, 202);
+  const job = await response.json();
+  const events = await (await request.get(job.eventsUrl)).text();
+  return { job, events };
+}
+
+test('POST /generate answers right away with the job id and its urls', async () => {
+  await withServer({}, async request => {
+    const { job } = await generateAndWait(request, { parent: '9' });
+
+    assert.equal(typeof job.jobId, 'string');
+    assert.equal(job.eventsUrl, `/jobs/${job.jobId}/events`);
+    assert.equal(job.resultUrl, `/jobs/${job.jobId}/result`);
+  });
+});
+
+test('the job result page renders the opportunity name and the download links', async () => {
   await withServer({
     fetchOpportunityById: async () => ({ id: 9, name: 'Edital de Música 2025' }),
     listResultFilesForGeneration: () => [
@@ -178,13 +317,14 @@ test('POST /generate renders the opportunity name and the download links', async
       { name: 'ficha_9_EG1_ana.pdf', url: '/downloads/ficha_9_EG1_ana.pdf', type: 'pdf' }
     ]
   }, async request => {
-    const response = await request.post('/generate', { parent: '9', filterType: 'selected' });
+    const { job } = await generateAndWait(request, { parent: '9', filterType: 'selected' });
+    const response = await request.get(job.resultUrl);
     const html = await response.text();
 
     assert.equal(response.status, 200);
     assert.match(html, /Edital de Música 2025/);
     assert.match(html, /Oportunidade #9/);
-    assert.match(html, /href="\/downloads\/fichas_9\.zip" class="btn btn-success"/);
+    assert.match(html, /href="\/downloads\/fichas_9\.zip\?expires&#x3D;\d+&amp;signature&#x3D;[0-9a-f]{64}" class="btn btn-success"/);
     assert.match(html, /ficha_9_EG1_ana\.pdf/);
   });
 });
@@ -194,17 +334,97 @@ test('POST /generate passes the chosen filter and attachment mode to the generat
   await withServer({
     generateFichas: async (...args) => {
       calls.push(args);
-      return 'fichas_9_sem_anexos.zip';
+      return { zipFilename: 'fichas_9_sem_anexos.zip', unmatchedNumbers: [] };
     }
   }, async request => {
-    await request.post('/generate', {
+    await generateAndWait(request, {
       parent: '9',
       filterType: 'selected_and_alternate',
       attachmentMode: 'sheet_only'
     });
   });
 
-  assert.deepEqual(calls, [[9, 'selected_and_alternate', false]]);
+  assert.deepEqual(calls.map(args => [args[0], args[1].filterType, args[1].statuses, args[2]]), [[9, 'selected_and_alternate', [8, 10], false]]);
+  assert.equal(typeof calls[0][3].onProgress, 'function');
+});
+
+test('the consolidated mode asks for the single PDF and the result page links to it', async () => {
+  const calls = [];
+  const received = [];
+  await withServer({
+    generateFichas: async (...args) => {
+      calls.push(args);
+      return { zipFilename: 'fichas_9.zip', consolidatedFilename: 'fichas_9_consolidado.pdf', unmatchedNumbers: [] };
+    },
+    listResultFilesForGeneration: (...args) => {
+      received.push(args[4]);
+      return [];
+    }
+  }, async request => {
+    const { job } = await generateAndWait(request, { parent: '9', attachmentMode: 'consolidated' });
+    const html = await (await request.get(job.resultUrl)).text();
+
+    assert.match(html, /href="\/downloads\/fichas_9_consolidado\.pdf\?expires&#x3D;\d+&amp;signature&#x3D;[0-9a-f]{64}" class="btn btn-primary"/);
+    assert.match(html, /Baixar PDF único/);
+  });
+
+  assert.equal(calls[0][2], true);
+  assert.equal(calls[0][3].consolidated, true);
+  assert.deepEqual(received, [['fichas_9_consolidado.pdf']]);
+});
+
+test('the spreadsheet option asks for the spreadsheet and the result page links to each file', async () => {
+  const calls = [];
+  const received = [];
+  await withServer({
+    generateFichas: async (...args) => {
+      calls.push(args);
+      return {
+        zipFilename: 'fichas_9.zip',
+        spreadsheetFilenames: ['fichas_9_planilha.xlsx', 'fichas_9_planilha.csv'],
+        unmatchedNumbers: []
+      };
+    },
+    listResultFilesForGeneration: (...args) => {
+      received.push(args[4]);
+      return [];
+    }
+  }, async request => {
+    const { job } = await generateAndWait(request, { parent: '9', spreadsheet: '1' });
+    const html = await (await request.get(job.resultUrl)).text();
+
+    assert.match(html, /href="\/downloads\/fichas_9_planilha\.xlsx\?[^"]+" class="btn btn-outline-success">\s*Baixar planilha \(XLSX\)/);
+    assert.match(html, /href="\/downloads\/fichas_9_planilha\.csv\?[^"]+" class="btn btn-outline-success">\s*Baixar planilha \(CSV\)/);
+  });
+
+  assert.equal(calls[0][3].spreadsheet, true);
+  assert.deepEqual(received, [['fichas_9_planilha.xlsx', 'fichas_9_planilha.csv']]);
+});
+
+test('POST /generate leaves the spreadsheet out unless it is asked for', async () => {
+  const calls = [];
+  await withServer({
+    generateFichas: async (...args) => {
+      calls.push(args);
+      return { zipFilename: 'fichas_9.zip', unmatchedNumbers: [] };
+    }
+  }, async request => {
+    const { job } = await generateAndWait(request, { parent: '9' });
+    const html = await (await request.get(job.resultUrl)).text();
+
+    assert.doesNotMatch(html, /Baixar planilha/);
+  });
+
+  assert.equal(calls[0][3].spreadsheet, false);
+});
+
+test('the result page has no single PDF button outside the consolidated mode', async () => {
+  await withServer({}, async request => {
+    const { job } = await generateAndWait(request, { parent: '9' });
+    const html = await (await request.get(job.resultUrl)).text();
+
+    assert.doesNotMatch(html, /Baixar PDF único/);
+  });
 });
 
 test('POST /generate defaults to selected registrations with attachments', async () => {
@@ -212,26 +432,285 @@ test('POST /generate defaults to selected registrations with attachments', async
   await withServer({
     generateFichas: async (...args) => {
       calls.push(args);
-      return 'fichas_9.zip';
+      return { zipFilename: 'fichas_9.zip', unmatchedNumbers: [] };
+    }
+  }, async request => {
+    await generateAndWait(request, { parent: '9' });
+  });
+
+  assert.deepEqual(calls.map(args => [args[0], args[1].filterType, args[1].statuses, args[2]]), [[9, 'selected', [10], true]]);
+  assert.equal(calls[0][3].redactionProfile, 'full');
+});
+
+test('POST /generate passes the custom registration filter to the generator', async () => {
+  const calls = [];
+  await withServer({
+    generateFichas: async (...args) => {
+      calls.push(args);
+      return { zipFilename: 'fichas_9.zip', unmatchedNumbers: [] };
+    }
+  }, async request => {
+    await generateAndWait(request, [
+      ['parent', '9'],
+      ['filterType', 'custom'],
+      ['statuses', '3'],
+      ['statuses', '2'],
+      ['category', 'Música'],
+      ['proponentType', ''],
+      ['sentTo', '2025-03-31'],
+      ['registrationNumbers', 'on-1\non-2']
+    ]);
+  });
+
+  assert.deepEqual(calls[0][1], {
+    filterType: 'custom',
+    statuses: [2, 3],
+    category: 'Música',
+    proponentType: null,
+    range: null,
+    sentFrom: null,
+    sentTo: '2025-03-31',
+    registrationNumbers: ['on-1', 'on-2']
+  });
+});
+
+test('POST /generate restricts the generation to the uploaded registration list', async () => {
+  const calls = [];
+  await withServer({
+    generateFichas: async (...args) => {
+      calls.push(args);
+      return { zipFilename: 'fichas_9.zip', unmatchedNumbers: [] };
     }
   }, async request => {
-    await request.post('/generate', { parent: '9' });
+    await generateAndWait(request, {
+      parent: '9',
+      registrationNumbers: 'on-1',
+      registrationList: 'Nome;Número da inscrição\r\nAna;on-2\r\nBruno;on-1\r\n'
+    });
+  });
+
+  assert.deepEqual(calls[0][1].registrationNumbers, ['on-1', 'on-2']);
+});
+
+test('POST /generate generates listed registrations that are not selected', async () => {
+  const calls = [];
+  await withServer({
+    generateFichas: async (...args) => {
+      calls.push(args);
+      return { zipFilename: 'fichas_9.zip', unmatchedNumbers: [] };
+    }
+  }, async request => {
+    // Filtro padrão "selecionadas", mas a lista traz um recurso deferido de uma não selecionada
+    await generateAndWait(request, { parent: '9', filterType: 'selected', registrationList: 'on-1\non-nao-selecionada\n' });
+  });
+
+  const [, filter] = calls[0];
+  assert.equal(filter.statuses, null);
+  assert.deepEqual(filter.registrationNumbers, ['on-1', 'on-nao-selecionada']);
+});
+
+test('POST /generate rejects an uploaded list with an invalid number', async () => {
+  let called = false;
+  await withServer({
+    generateFichas: async () => { called = true; return { zipFilename: 'x.zip', unmatchedNumbers: [] }; }
+  }, async request => {
+    const response = await request.post('/generate', { parent: '9', registrationList: 'on-1\non 2\n' });
+
+    assert.equal(response.status, 400);
+    assert.equal(await response.text(), 'Lista de inscrições: Linha 2: número de inscrição inválido: on 2.');
+  });
+  assert.equal(called, false);
+});
+
+test('the job result page lists the requested numbers that got no ficha', async () => {
+  await withServer({
+    generateFichas: async () => ({
+      zipFilename: 'fichas_9.zip',
+      unmatchedNumbers: [
+        { number: 'on-404', reason: 'Não encontrada', opportunityId: null, opportunityName: null },
+        { number: 'on-77', reason: 'Pertence a outra oportunidade', opportunityId: 585, opportunityName: '<b>Edital de Teatro</b>' }
+      ]
+    })
+  }, async request => {
+    const { job } = await generateAndWait(request, { parent: '9', registrationList: 'on-404\non-77\non-1' });
+    const html = await (await request.get(job.resultUrl)).text();
+
+    assert.match(html, /Inscrições pedidas sem ficha/);
+    assert.match(html, /<td class="text-break">on-404<\/td>\s*<td>Não encontrada<\/td>/);
+    assert.match(html, /Pertence a outra oportunidade: &lt;b&gt;Edital de Teatro&lt;\/b&gt; \(#585\)/);
+  });
+});
+
+test('the job result page has no unmatched list when every number was generated', async () => {
+  await withServer({}, async request => {
+    const { job } = await generateAndWait(request, { parent: '9' });
+    const html = await (await request.get(job.resultUrl)).text();
+
+    assert.doesNotMatch(html, /Inscrições pedidas sem ficha/);
+  });
+});
+
+test('the job result page shows the generation report', async () => {
+  await withServer({
+    generateFichas: async () => ({
+      zipFilename: 'fichas_9.zip',
+      unmatchedNumbers: [],
+      report: buildGenerationReport({
+        opportunityId: 9,
+        outcomes: [
+          {
+            registrationNumber: 'on-1',
+            filename: 'ficha_9_on-1_ana.pdf',
+            skippedAttachments: [{ phaseName: 'Inscrições', field: 'Orçamento', file: 'orcamento.docx', reason: 'Tipo de arquivo não suportado na ficha' }],
+            unmatchedPhases: [{ phaseId: 10, phaseName: 'Mérito', reason: 'Nenhuma inscrição da fase casa com esta.', candidates: [] }]
+          },
+          { registrationNumber: 'on-2', error: 'Timeout <30s>' }
+        ]
+      })
+    })
+  }, async request => {
+    const { job } = await generateAndWait(request, { parent: '9' });
+    const html = await (await request.get(job.resultUrl)).text();
+
+    assert.match(html, /Relatório da geração/);
+    assert.match(html, /1 de 2 fichas geradas/);
+    assert.match(html, /<td class="text-break">on-2<\/td>\s*<td class="text-break">Timeout &lt;30s&gt;<\/td>/);
+    assert.match(html, /<td class="text-break">orcamento\.docx<\/td>\s*<td>Tipo de arquivo não suportado na ficha<\/td>/);
+    assert.match(html, /Fases sem inscrição casada \(1\)/);
+  });
+});
+
+test('the browser gets only the files and counts of a finished job, not the whole report', async () => {
+  const report = buildGenerationReport({
+    opportunityId: 9,
+    outcomes: [
+      { registrationNumber: 'on-1', agentName: 'Ana', filename: 'ficha_9_on-1_ana.pdf' },
+      { registrationNumber: 'on-2', agentName: 'Bruno', error: 'Timeout' }
+    ],
+    unmatchedNumbers: [{ number: 'on-9', reason: 'Não encontrada' }]
+  });
+  await withServer({
+    generateFichas: async () => ({
+      zipFilename: 'fichas_9.zip',
+      spreadsheetFilenames: ['fichas_9_planilha.xlsx'],
+      unmatchedNumbers: [{ number: 'on-9', reason: 'Não encontrada' }],
+      report
+    })
+  }, async request => {
+    const { job, events } = await generateAndWait(request, { parent: '9' });
+    const expected = {
+      zipFilename: 'fichas_9.zip',
+      consolidatedFilename: null,
+      spreadsheetFilenames: ['fichas_9_planilha.xlsx'],
+      summary: report.summary,
+      unmatchedNumbers: 1
+    };
+
+    const done = events.match(/^event: done\ndata: (.*)$/m);
+    assert.deepEqual(JSON.parse(done[1]), { result: expected });
+    assert.deepEqual((await (await request.get(`/jobs/${job.jobId}`)).json()).result, expected);
+    assert.doesNotMatch(events, /Bruno|Timeout|on-9/);
+
+    const html = await (await request.get(job.resultUrl)).text();
+    assert.match(html, /1 de 2 fichas geradas/);
+    assert.match(html, /on-9/);
+  });
+});
+
+test('POST /generate passes the naming template and ZIP layout to the generator', async () => {
+  const calls = [];
+  await withServer({
+    generateFichas: async (...args) => {
+      calls.push(args);
+      return { zipFilename: 'fichas_9.zip', unmatchedNumbers: [] };
+    }
+  }, async request => {
+    await generateAndWait(request, { parent: '9', filenameTemplate: ' {category}_{number} ', zipLayout: 'category' });
+    await generateAndWait(request, { parent: '9' });
+  });
+
+  assert.deepEqual(calls.map(args => [args[3].filenameTemplate, args[3].zipLayout]), [
+    ['{category}_{number}', 'category'],
+    [null, 'flat']
+  ]);
+});
+
+test('POST /generate passes the chosen LGPD profile to the generator', async () => {
+  const calls = [];
+  await withServer({
+    generateFichas: async (...args) => {
+      calls.push(args);
+      return { zipFilename: 'fichas_9_lgpd_oculto.zip', unmatchedNumbers: [] };
+    }
+  }, async request => {
+    await generateAndWait(request, { parent: '9', redactionProfile: 'hidden' });
+  });
+
+  assert.equal(calls[0][3].redactionProfile, 'hidden');
+});
+
+test('POST /generate passes the chosen evaluator identity to the generator', async () => {
+  const calls = [];
+  await withServer({
+    generateFichas: async (...args) => {
+      calls.push(args);
+      return { zipFilename: 'fichas_9_avaliadores_identificados.zip', unmatchedNumbers: [] };
+    }
+  }, async request => {
+    await generateAndWait(request, { parent: '9', evaluatorIdentity: 'named' });
   });
 
-  assert.deepEqual(calls, [[9, 'selected', true]]);
+  assert.equal(calls[0][3].evaluatorIdentity, 'named');
+});
+
+test('POST /generate passes the chosen phases to the generator', async () => {
+  const calls = [];
+  await withServer({
+    generateFichas: async (...args) => {
+      calls.push(args);
+      return { zipFilename: 'fichas_9.zip', unmatchedNumbers: [] };
+    }
+  }, async request => {
+    await generateAndWait(request, [['parent', '9'], ['phaseIds', '9'], ['phaseIds', '11']]);
+    await generateAndWait(request, { parent: '9' });
+  });
+
+  assert.deepEqual(calls.map(args => args[3].phaseIds), [[9, 11], null]);
+});
+
+test('POST /generate rejects phases outside the opportunity', async () => {
+  let called = false;
+  await withServer({
+    generateFichas: async () => { called = true; return { zipFilename: 'x.zip', unmatchedNumbers: [] }; }
+  }, async request => {
+    for (const phaseIds of ['12', 'abc']) {
+      const response = await request.post('/generate', [['parent', '9'], ['phaseIds', phaseIds]]);
+
+      assert.equal(response.status, 400);
+      assert.equal(await response.text(), 'Fase inválida para esta oportunidade.');
+    }
+  });
+  assert.equal(called, false);
 });
 
 test('POST /generate rejects invalid input without calling the generator', async () => {
   const cases = [
     { body: { parent: 'abc' },                          expected: 'Oportunidade inválida.' },
     { body: { parent: '9', filterType: 'qualquer' },    expected: 'Tipo de filtro inválido.' },
-    { body: { parent: '9', attachmentMode: 'nenhum' },  expected: 'Tipo de geração inválido.' }
+    { body: { parent: '9', filterType: 'custom' },      expected: 'Escolha ao menos um status de inscrição.' },
+    { body: { parent: '9', sentFrom: '2025-04-01', sentTo: '2025-03-01' }, expected: 'Período de envio inválido: a data inicial é posterior à final.' },
+    { body: { parent: '9', registrationNumbers: "on-1' OR 1=1" }, expected: "Número de inscrição inválido: on-1'." },
+    { body: { parent: '9', attachmentMode: 'nenhum' },  expected: 'Tipo de geração inválido.' },
+    { body: { parent: '9', redactionProfile: 'todos' }, expected: 'Perfil de ocultação inválido.' },
+    { body: { parent: '9', evaluatorIdentity: 'todos' }, expected: 'Identificação de avaliadores inválida.' },
+    { body: { parent: '9', zipLayout: 'fase' },         expected: 'Organização do ZIP inválida.' },
+    { body: { parent: '9', filenameTemplate: '{agent}' }, expected: 'O modelo de nome precisa ter {number}, para cada inscrição ter o seu arquivo.' }
   ];
 
   for (const { body, expected } of cases) {
     let called = false;
     await withServer({
-      generateFichas: async () => { called = true; return 'x.zip'; }
+      generateFichas: async () => { called = true; return { zipFilename: 'x.zip', unmatchedNumbers: [] }; }
     }, async request => {
       const response = await request.post('/generate', body);
 
@@ -242,11 +721,35 @@ test('POST /generate rejects invalid input without calling the generator', async
   }
 });
 
+test('pseudonymous evaluators are refused up front when no pseudonym secret is configured', async () => {
+  const expected = 'Pseudônimos de avaliadores indisponíveis: defina EVALUATOR_PSEUDONYM_SECRET ou SESSION_SECRET no .env.';
+  let called = false;
+  await withServer({
+    pseudonymsAvailable: false,
+    generateFichas: async () => { called = true; return { zipFilename: 'x.zip', unmatchedNumbers: [] }; },
+    generateFichaForRegistration: async () => { called = true; return null; },
+    fetchFicha: async () => { called = true; return null; }
+  }, async request => {
+    const generate = await request.post('/generate', { parent: '9', evaluatorIdentity: 'pseudonymous' });
+    assert.equal(generate.status, 400);
+    assert.equal(await generate.text(), expected);
+
+    const single = await request.get('/opportunities/9/registrations/EG1/ficha.pdf?evaluatorIdentity=pseudonymous');
+    assert.equal(single.status, 400);
+    assert.equal(await single.text(), expected);
+
+    const api = await request.get('/api/opportunities/9/fichas/EG1?evaluatorIdentity=pseudonymous');
+    assert.equal(api.status, 400);
+    assert.deepEqual(await api.json(), { error: expected });
+  });
+  assert.equal(called, false);
+});
+
 test('POST /generate returns 400 for an opportunity that does not exist', async () => {
   let called = false;
   await withServer({
     fetchOpportunityById: async () => null,
-    generateFichas: async () => { called = true; return 'x.zip'; }
+    generateFichas: async () => { called = true; return { zipFilename: 'x.zip', unmatchedNumbers: [] }; }
   }, async request => {
     const response = await request.post('/generate', { parent: '999999' });
 
@@ -256,28 +759,535 @@ test('POST /generate returns 400 for an opportunity that does not exist', async
   assert.equal(called, false);
 });
 
-test('POST /generate returns 500 when the generation fails', async () => {
+test('a failed generation is reported on the event stream and the result page', async () => {
   await withServer({
     generateFichas: async () => { throw new Error('Nenhuma inscrição encontrada'); }
   }, async request => {
-    const response = await request.post('/generate', { parent: '9' });
+    const { job, events } = await generateAndWait(request, { parent: '9' });
+
+    assert.match(events, /event: failed\ndata: \{"error":"Nenhuma inscrição encontrada"\}/);
 
+    const response = await request.get(job.resultUrl);
     assert.equal(response.status, 500);
     assert.match(await response.text(), /Erro ao gerar fichas/);
   });
 });
 
-test('POST /generate escapes the opportunity name on the result page', async () => {
+test('the event stream relays each registration progress and ends with done', async () => {
+  await withServer({
+    generateFichas: async (parentId, filterType, includeAttachments, { onProgress }) => {
+      onProgress({ current: 1, total: 2, registrationNumber: 'EG1', message: '[1/2] Processando EG1...' });
+      onProgress({ current: 2, total: 2, registrationNumber: 'EG2', message: '[2/2] Processando EG2...' });
+      return { zipFilename: 'fichas_9.zip', unmatchedNumbers: [] };
+    }
+  }, async request => {
+    const { job, events } = await generateAndWait(request, { parent: '9' });
+
+    const types = [...events.matchAll(/^event: (\w+)$/gm)].map(match => match[1]);
+    assert.deepEqual(types, ['progress', 'progress', 'done']);
+    assert.match(events, /\[2\/2\] Processando EG2/);
+    assert.match(events, /event: done\ndata: \{"result":\{"zipFilename":"fichas_9\.zip","consolidatedFilename":null,"spreadsheetFilenames":\[\],"summary":null,"unmatchedNumbers":0\}\}/);
+
+    const snapshot = await (await request.get(`/jobs/${job.jobId}`)).json();
+    assert.equal(snapshot.status, 'done');
+    assert.deepEqual(snapshot.result, {
+      zipFilename: 'fichas_9.zip',
+      consolidatedFilename: null,
+      spreadsheetFilenames: [],
+      summary: null,
+      unmatchedNumbers: 0
+    });
+    assert.equal(snapshot.progress.registrationNumber, 'EG2');
+  });
+});
+
+test('the result page answers 409 while the generation is still running', async () => {
+  let finish;
+  await withServer({
+    generateFichas: () => new Promise(resolve => { finish = resolve; })
+  }, async request => {
+    const job = await (await request.post('/generate', { parent: '9' })).json();
+    const response = await request.get(job.resultUrl);
+
+    assert.equal(response.status, 409);
+    assert.equal(await response.text(), 'Geração ainda em andamento.');
+
+    finish({ zipFilename: 'fichas_9.zip', unmatchedNumbers: [] });
+    await (await request.get(job.eventsUrl)).text();
+  });
+});
+
+test('unknown jobs answer 404 on every job route', async () => {
+  await withServer({}, async request => {
+    for (const url of ['/jobs/nao-existe', '/jobs/nao-existe/events', '/jobs/nao-existe/result']) {
+      const response = await request.get(url);
+      assert.equal(response.status, 404, url);
+    }
+  });
+});
+
+test('the job result page escapes the opportunity name', async () => {
   await withServer({
     fetchOpportunityById: async () => ({ id: 9, name: '<img src=x onerror=alert(1)>' })
   }, async request => {
-    const html = await (await request.post('/generate', { parent: '9' })).text();
+    const { job } = await generateAndWait(request, { parent: '9' });
+    const html = await (await request.get(job.resultUrl)).text();
 
     assert.doesNotMatch(html, /<img src=x/);
     assert.match(html, /&lt;img/);
   });
 });
 
+// ------------------------------------------------------------
+// GET /opportunities/:parentId/registrations/:number/ficha.pdf
+// ------------------------------------------------------------
+
+test('the single registration route streams the generated PDF inline', async () => {
+  const calls = [];
+  await withServer({
+    generateFichaForRegistration: async (...args) => {
+      calls.push(args);
+      return { filename: 'ficha_9_EG1_ana.pdf', buffer: Buffer.from('%PDF-1.7 ficha') };
+    }
+  }, async request => {
+    const response = await request.get('/opportunities/9/registrations/EG1/ficha.pdf');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'application/pdf');
+    assert.equal(response.headers.get('content-disposition'), 'inline; filename="ficha_9_EG1_ana.pdf"');
+    assert.equal(Buffer.from(await response.arrayBuffer()).toString(), '%PDF-1.7 ficha');
+  });
+
+  assert.deepEqual(calls, [[9, 'EG1', true, { redactionProfile: 'full', evaluatorIdentity: 'anonymous' }]]);
+});
+
+test('the single registration route honours the attachment mode and LGPD profile', async () => {
+  const calls = [];
+  await withServer({
+    generateFichaForRegistration: async (...args) => {
+      calls.push(args);
+      return { filename: 'ficha_9_EG1_ana_sem_anexos.pdf', buffer: Buffer.from('pdf') };
+    }
+  }, async request => {
+    await request.get('/opportunities/9/registrations/EG1/ficha.pdf?attachmentMode=sheet_only&redactionProfile=masked');
+  });
+
+  assert.deepEqual(calls, [[9, 'EG1', false, { redactionProfile: 'masked', evaluatorIdentity: 'anonymous' }]]);
+});
+
+test('the single registration route rejects invalid input without generating', async () => {
+  const cases = [
+    { url: '/opportunities/abc/registrations/EG1/ficha.pdf',                       expected: 'Oportunidade inválida.' },
+    { url: '/opportunities/9/registrations/EG1%20OR%201=1/ficha.pdf',             expected: 'Número de inscrição inválido.' },
+    { url: '/opportunities/9/registrations/EG1/ficha.pdf?attachmentMode=nenhum',  expected: 'Tipo de geração inválido.' },
+    { url: '/opportunities/9/registrations/EG1/ficha.pdf?redactionProfile=todos', expected: 'Perfil de ocultação inválido.' },
+    { url: '/opportunities/9/registrations/EG1/ficha.pdf?evaluatorIdentity=todos', expected: 'Identificação de avaliadores inválida.' }
+  ];
+
+  for (const { url, expected } of cases) {
+    let called = false;
+    await withServer({
+      generateFichaForRegistration: async () => { called = true; return null; }
+    }, async request => {
+      const response = await request.get(url);
+
+      assert.equal(response.status, 400, url);
+      assert.equal(await response.text(), expected);
+    });
+    assert.equal(called, false, url);
+  }
+});
+
+test('the single registration routes accept every number the filter and the list accept', async () => {
+  const number = 'on_1-2';
+  assert.deepEqual(parseRegistrationNumbers(number), [number]);
+  assert.deepEqual(parseRegistrationList(number), [number]);
+
+  const calls = [];
+  await withServer({
+    generateFichaForRegistration: async (...args) => {
+      calls.push(args[1]);
+      return { filename: 'ficha_9_on_1-2.pdf', buffer: Buffer.from('pdf') };
+    },
+    fetchFicha: async (...args) => {
+      calls.push(args[1]);
+      return null;
+    }
+  }, async request => {
+    assert.equal((await request.get(`/opportunities/9/registrations/${number}/ficha.pdf`)).status, 200);
+    assert.equal((await request.get(`/api/opportunities/9/fichas/${number}`)).status, 404);
+  });
+
+  assert.deepEqual(calls, [number, number]);
+});
+
+test('the single registration route answers 404 for a number outside the opportunity', async () => {
+  await withServer({
+    generateFichaForRegistration: async () => null
+  }, async request => {
+    const response = await request.get('/opportunities/9/registrations/EG999/ficha.pdf');
+
+    assert.equal(response.status, 404);
+    assert.equal(await response.text(), 'Inscrição não encontrada nesta oportunidade.');
+  });
+});
+
+test('the single registration route answers 500 when the rendering fails', async () => {
+  await withServer({
+    generateFichaForRegistration: async () => { throw new Error('Chromium indisponível'); }
+  }, async request => {
+    const response = await request.get('/opportunities/9/registrations/EG1/ficha.pdf');
+
+    assert.equal(response.status, 500);
+    assert.match(await response.text(), /Erro ao gerar ficha/);
+  });
+});
+
+// ------------------------------------------------------------
+// GET /api/opportunities/:id/fichas
+// ------------------------------------------------------------
+
+function fichaEntry(number) {
+  return {
+    ficha: {
+      registration_number: number,
+      created_at: '',
+      sent_at: '10/03/2025 14:30:00',
+      evaluatorIdentityNote: '',
+      agent: { id: 42, name: 'Ana' },
+      phases: [{ id: 9, name: 'Inscrições', rows: [{ label: 'Projeto', value: 'Som &amp; Luz' }], evaluation: { evaluations: [] }, appealResult: null, regStatusText: 'Selecionada', files: [] }]
+    },
+    category: 'Música',
+    status: 10,
+    unmatchedPhases: []
+  };
+}
+
+test('the fichas API returns a page of fichas in the versioned JSON format', async () => {
+  const calls = [];
+  await withServer({
+    fetchFichaPage: async (...args) => {
+      calls.push(args);
+      return { total: 3, entries: [fichaEntry('on-3')] };
+    }
+  }, async request => {
+    const response = await request.get('/api/opportunities/9/fichas?page=2&pageSize=2&filterType=all&redactionProfile=masked');
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.version, 1);
+    assert.deepEqual({ page: body.page, pageSize: body.pageSize, total: body.total, totalPages: body.totalPages }, { page: 2, pageSize: 2, total: 3, totalPages: 2 });
+    assert.equal(body.fichas[0].registrationNumber, 'on-3');
+    assert.deepEqual(body.fichas[0].phases[0].fields, [{ label: 'Projeto', value: 'Som & Luz', html: 'Som &amp; Luz' }]);
+  });
+
+  assert.equal(calls.length, 1);
+  const [parentId, options] = calls[0];
+  assert.equal(parentId, 9);
+  assert.equal(options.page, 2);
+  assert.equal(options.pageSize, 2);
+  assert.equal(options.filter.filterType, 'all');
+  assert.equal(options.redactionProfile, 'masked');
+  assert.equal(options.evaluatorIdentity, 'anonymous');
+});
+
+test('the fichas API rejects invalid input with a JSON error', async () => {
+  const cases = [
+    { url: '/api/opportunities/abc/fichas',                         expected: 'Oportunidade inválida.' },
+    { url: '/api/opportunities/9/fichas?page=0',                    expected: 'Página inválida.' },
+    { url: '/api/opportunities/9/fichas?pageSize=500',              expected: 'Tamanho de página acima do máximo (100).' },
+    { url: '/api/opportunities/9/fichas?filterType=nenhum',         expected: 'Tipo de filtro inválido.' },
+    { url: '/api/opportunities/9/fichas?redactionProfile=todos',    expected: 'Perfil de ocultação inválido.' },
+    { url: '/api/opportunities/9/fichas/EG1%20OR%201=1',            expected: 'Número de inscrição inválido.' },
+    { url: '/api/opportunities/9/fichas/EG1?evaluatorIdentity=x',   expected: 'Identificação de avaliadores inválida.' }
+  ];
+
+  for (const { url, expected } of cases) {
+    let called = false;
+    await withServer({
+      fetchFichaPage: async () => { called = true; return { total: 0, entries: [] }; },
+      fetchFicha: async () => { called = true; return null; }
+    }, async request => {
+      const response = await request.get(url);
+
+      assert.equal(response.status, 400, url);
+      assert.deepEqual(await response.json(), { error: expected });
+    });
+    assert.equal(called, false, url);
+  }
+});
+
+test('the fichas API answers 404 for an unknown opportunity', async () => {
+  await withServer({
+    fetchOpportunityById: async () => null
+  }, async request => {
+    const response = await request.get('/api/opportunities/999/fichas');
+
+    assert.equal(response.status, 404);
+    assert.deepEqual(await response.json(), { error: 'Oportunidade não encontrada.' });
+  });
+});
+
+test('the fichas API returns a single ficha by registration number', async () => {
+  const calls = [];
+  await withServer({
+    fetchFicha: async (...args) => {
+      calls.push(args);
+      return fichaEntry('EG1');
+    }
+  }, async request => {
+    const response = await request.get('/api/opportunities/9/fichas/EG1?evaluatorIdentity=pseudonymous');
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.version, 1);
+    assert.equal(body.opportunityId, 9);
+    assert.equal(body.ficha.registrationNumber, 'EG1');
+    assert.deepEqual(body.ficha.status, { code: 10, label: 'Selecionada' });
+  });
+
+  assert.deepEqual(calls, [[9, 'EG1', { redactionProfile: 'full', evaluatorIdentity: 'pseudonymous' }]]);
+});
+
+test('the fichas API answers 404 and 500 with JSON errors', async () => {
+  await withServer({}, async request => {
+    const response = await request.get('/api/opportunities/9/fichas/EG999');
+
+    assert.equal(response.status, 404);
+    assert.deepEqual(await response.json(), { error: 'Inscrição não encontrada nesta oportunidade.' });
+  });
+
+  await withServer({
+    fetchFichaPage: async () => { throw new Error('conexão recusada'); },
+    fetchFicha: async () => { throw new Error('conexão recusada'); }
+  }, async request => {
+    const page = await request.get('/api/opportunities/9/fichas');
+    const single = await request.get('/api/opportunities/9/fichas/EG1');
+
+    assert.equal(page.status, 500);
+    assert.deepEqual(await page.json(), { error: 'Erro ao montar as fichas.' });
+    assert.equal(single.status, 500);
+    assert.deepEqual(await single.json(), { error: 'Erro ao montar a ficha.' });
+  });
+});
+
+// ------------------------------------------------------------
+// Autenticação e papéis
+// ------------------------------------------------------------
+
+test('createApp refuses to start without a session secret', () => {
+  assert.throws(() => createApp(defaultDeps({ sessionSecret: '' })), /sessionSecret/);
+});
+
+test('anonymous browsers are redirected to the login page', async () => {
+  await withServer({}, async request => {
+    const response = await request.get('/', { redirect: 'manual', headers: { accept: 'text/html' } });
+
+    assert.equal(response.status, 302);
+    assert.equal(response.headers.get('location'), '/login?next=%2F');
+  }, { as: null });
+});
+
+test('every protected route refuses anonymous requests', async () => {
+  await withServer({}, async request => {
+    const urls = [
+      '/generated-files?parent=9',
+      '/jobs/qualquer',
+      '/jobs/qualquer/events',
+      '/opportunities/9/registrations/EG1/ficha.pdf'
+    ];
+    for (const url of urls) {
+      const response = await request.get(url, { headers: { accept: 'application/json' } });
+      assert.equal(response.status, 401, url);
+    }
+
+    const generate = await request.post('/generate', { parent: '9' });
+    assert.equal(generate.status, 401);
+  }, { as: null });
+});
+
+test('the login page and the interface assets stay public', async () => {
+  await withServer({}, async request => {
+    const login = await request.get('/login');
+    const css = await request.get('/assets/css/app.css');
+
+    assert.equal(login.status, 200);
+    assert.match(await login.text(), /name="password"/);
+    assert.equal(css.status, 200);
+  }, { as: null });
+});
+
+test('a wrong password renders the login page again with 401', async () => {
+  await withServer({}, async request => {
+    for (const body of [
+      { username: 'ana', password: 'errada' },
+      { username: 'ninguem', password: 'qualquer' }
+    ]) {
+      const response = await request.post('/login', body);
+
+      assert.equal(response.status, 401);
+      assert.match(await response.text(), /Usuário ou senha inválidos/);
+    }
+  }, { as: null });
+});
+
+test('login only redirects to local paths', async () => {
+  await withServer({}, async request => {
+    const local = await request.post('/login', { username: 'ana', password: PASSWORDS.ana, next: '/generated-files?parent=9' });
+    const external = await request.post('/login', { username: 'ana', password: PASSWORDS.ana, next: '//evil.example/' });
+
+    assert.equal(local.headers.get('location'), '/generated-files?parent=9');
+    assert.equal(external.headers.get('location'), '/');
+  }, { as: null });
+});
+
+test('viewers cannot generate fichas', async () => {
+  let called = false;
+  await withServer({
+    generateFichas: async () => { called = true; return { zipFilename: 'x.zip', unmatchedNumbers: [] }; },
+    generateFichaForRegistration: async () => { called = true; return null; },
+    fetchFichaPage: async () => { called = true; return { total: 0, entries: [] }; },
+    fetchFicha: async () => { called = true; return null; }
+  }, async request => {
+    const generate = await request.post('/generate', { parent: '9' });
+    const single = await request.get('/opportunities/9/registrations/EG1/ficha.pdf');
+    const api = await request.get('/api/opportunities/9/fichas');
+    const apiSingle = await request.get('/api/opportunities/9/fichas/EG1');
+
+    assert.equal(generate.status, 403);
+    assert.equal(single.status, 403);
+    assert.equal(api.status, 403);
+    assert.equal(apiSingle.status, 403);
+    assert.equal(await generate.text(), 'Acesso negado para o seu perfil.');
+  }, { as: 'bruno' });
+  assert.equal(called, false);
+});
+
+test('viewers see the generated files but not the generation form', async () => {
+  await withServer({}, async request => {
+    const html = await (await request.get('/')).text();
+
+    assert.match(html, /bruno \(Leitor\)/);
+    assert.match(html, /<option value="9">Edital de Música<\/option>/);
+    assert.doesNotMatch(html, /id="btnSubmit"/);
+    assert.doesNotMatch(html, /name="filterType"/);
+  }, { as: 'bruno' });
+});
+
+test('operators see the generation form and their user name', async () => {
+  await withServer({}, async request => {
+    const html = await (await request.get('/')).text();
+
+    assert.match(html, /ana \(Operador\)/);
+    assert.match(html, /id="btnSubmit"/);
+  });
+});
+
+test('logout ends the session', async () => {
+  await withServer({}, async request => {
+    const logout = await request.post('/logout', {});
+    assert.equal(logout.status, 303);
+    assert.equal(logout.headers.get('location'), '/login');
+
+    const response = await request.get('/generated-files?parent=9', { headers: { accept: 'application/json' } });
+    assert.equal(response.status, 401);
+  });
+});
+
+// ------------------------------------------------------------
+// GET /downloads/:filename (links assinados)
+// ------------------------------------------------------------
+
+function outputDirWith(files) {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fichas-out-'));
+  for (const [name, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(outputDir, name), content);
+  }
+  return outputDir;
+}
+
+test('a signed link downloads the file without a session', async () => {
+  const outputDir = outputDirWith({ 'fichas_9.zip': 'conteudo do zip' });
+  const downloadLinks = createDownloadLinks({ secret: 'segredo-dos-links' });
+
+  await withServer({ outputDir, downloadLinks }, async request => {
+    const response = await request.get(downloadLinks.urlFor('fichas_9.zip'));
+
+    assert.equal(response.status, 200);
+    assert.equal(await response.text(), 'conteudo do zip');
+  }, { as: null });
+});
+
+test('a guessed or tampered download link is refused even with a session', async () => {
+  const outputDir = outputDirWith({ 'fichas_9.zip': 'zip', 'ficha_9_EG1_ana.pdf': 'pdf' });
+  const downloadLinks = createDownloadLinks({ secret: 'segredo-dos-links' });
+  const signedZip = downloadLinks.urlFor('fichas_9.zip');
+
+  await withServer({ outputDir, downloadLinks }, async request => {
+    for (const url of [
+      '/downloads/fichas_9.zip',
+      signedZip.replace('fichas_9.zip', 'ficha_9_EG1_ana.pdf'),
+      signedZip.replace(/expires=\d+/, 'expires=9999999999'),
+      createDownloadLinks({ secret: 'outro-segredo' }).urlFor('fichas_9.zip')
+    ]) {
+      const response = await request.get(url);
+
+      assert.equal(response.status, 403, url);
+      assert.equal(await response.text(), 'Link de download inválido.');
+    }
+  });
+});
+
+test('an expired download link answers 410', async () => {
+  const outputDir = outputDirWith({ 'fichas_9.zip': 'zip' });
+  let now = Date.parse('2026-03-01T12:00:00Z');
+  const downloadLinks = createDownloadLinks({ secret: 'segredo-dos-links', ttlMs: 60 * 1000, now: () => now });
+  const url = downloadLinks.urlFor('fichas_9.zip');
+  now += 61 * 1000;
+
+  await withServer({ outputDir, downloadLinks }, async request => {
+    const response = await request.get(url);
+
+    assert.equal(response.status, 410);
+    assert.match(await response.text(), /expirado/);
+  }, { as: null });
+});
+
+test('a signed link to a file that no longer exists answers 404', async () => {
+  const downloadLinks = createDownloadLinks({ secret: 'segredo-dos-links' });
+
+  await withServer({ downloadLinks }, async request => {
+    const response = await request.get(downloadLinks.urlFor('fichas_9.zip'));
+
+    assert.equal(response.status, 404);
+    assert.equal(await response.text(), 'Arquivo não encontrado.');
+  }, { as: null });
+});
+
+test('the file listings receive the app download links to sign their urls', async () => {
+  const downloadLinks = createDownloadLinks({ secret: 'segredo-dos-links' });
+  const received = [];
+
+  await withServer({
+    downloadLinks,
+    listGeneratedFilesForOpportunity: (outputDir, parentId, links) => {
+      received.push(links);
+      return [];
+    },
+    listResultFilesForGeneration: (outputDir, parentId, zipFilename, links) => {
+      received.push(links);
+      return [{ name: zipFilename, url: links.urlFor(zipFilename), type: 'zip' }];
+    }
+  }, async request => {
+    await request.get('/generated-files?parent=9');
+    const { job } = await generateAndWait(request, { parent: '9' });
+    const html = await (await request.get(job.resultUrl)).text();
+
+    assert.deepEqual(received, [downloadLinks, downloadLinks]);
+    assert.match(html, /href="\/downloads\/fichas_9\.zip\?expires&#x3D;\d+&amp;signature&#x3D;[0-9a-f]{64}" class="btn btn-success"/);
+  });
+});
+
 // ------------------------------------------------------------
 // Estáticos
 // ------------------------------------------------------------
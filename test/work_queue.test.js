@@ -0,0 +1,69 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { runWithConcurrency } = require('../src/jobs/work-queue');
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('runWithConcurrency keeps results in input order even when items finish out of order', async () => {
+  const delays = [3, 0, 2, 1];
+
+  const results = await runWithConcurrency(delays, 4, async (delay, index) => {
+    for (let i = 0; i < delay; i++) await tick();
+    return `item-${index}`;
+  });
+
+  assert.deepEqual(results.map(r => r.value), ['item-0', 'item-1', 'item-2', 'item-3']);
+});
+
+test('runWithConcurrency never runs more workers than the limit', async () => {
+  let running = 0;
+  let maxRunning = 0;
+
+  await runWithConcurrency(Array.from({ length: 10 }), 3, async () => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await tick();
+    running--;
+  });
+
+  assert.equal(maxRunning, 3);
+});
+
+test('runWithConcurrency isolates failures so the other items still run', async () => {
+  const results = await runWithConcurrency(['a', 'b', 'c'], 2, async item => {
+    if (item === 'b') throw new Error('falha na b');
+    return item.toUpperCase();
+  });
+
+  assert.equal(results[0].status, 'fulfilled');
+  assert.equal(results[0].value, 'A');
+  assert.equal(results[1].status, 'rejected');
+  assert.match(results[1].reason.message, /falha na b/);
+  assert.equal(results[2].value, 'C');
+});
+
+test('runWithConcurrency starts items in input order', async () => {
+  const started = [];
+
+  await runWithConcurrency([1, 2, 3, 4, 5], 2, async item => {
+    started.push(item);
+    await tick();
+  });
+
+  assert.deepEqual(started, [1, 2, 3, 4, 5]);
+});
+
+test('runWithConcurrency treats an invalid limit as sequential and handles empty input', async () => {
+  let running = 0;
+  let maxRunning = 0;
+  await runWithConcurrency([1, 2, 3], 0, async () => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await tick();
+    running--;
+  });
+
+  assert.equal(maxRunning, 1);
+  assert.deepEqual(await runWithConcurrency([], 4, async () => 'x'), []);
+});